@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "time_entry_segments" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "time_entry_id" INTEGER NOT NULL,
+    "start_time" DATETIME NOT NULL,
+    "end_time" DATETIME,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "time_entry_segments_time_entry_id_fkey" FOREIGN KEY ("time_entry_id") REFERENCES "time_entries" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "time_entry_segments_time_entry_id_idx" ON "time_entry_segments"("time_entry_id");
+
+-- Backfill one segment per existing entry so resumed entries keep their logged time
+INSERT INTO "time_entry_segments" ("time_entry_id", "start_time", "end_time")
+SELECT "id", "start_time", "end_time" FROM "time_entries";
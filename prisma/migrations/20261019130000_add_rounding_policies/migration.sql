@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "clients" ADD COLUMN "rounding_mode" TEXT;
+ALTER TABLE "clients" ADD COLUMN "rounding_increment" INTEGER;
+ALTER TABLE "clients" ADD COLUMN "rounding_minimum" INTEGER;
+
+-- AlterTable
+ALTER TABLE "projects" ADD COLUMN "rounding_mode" TEXT;
+ALTER TABLE "projects" ADD COLUMN "rounding_increment" INTEGER;
+ALTER TABLE "projects" ADD COLUMN "rounding_minimum" INTEGER;
+
+-- AlterTable
+ALTER TABLE "time_entries" ADD COLUMN "raw_duration" INTEGER;
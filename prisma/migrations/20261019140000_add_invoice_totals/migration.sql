@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "clients" ADD COLUMN "tax_rates" TEXT;
+
+-- AlterTable
+ALTER TABLE "invoices" ADD COLUMN "subtotal" REAL;
+ALTER TABLE "invoices" ADD COLUMN "discount_amount" REAL;
+ALTER TABLE "invoices" ADD COLUMN "tax_amount" REAL;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "clients" ADD COLUMN "currency" TEXT;
+
+-- AlterTable
+ALTER TABLE "invoices" ADD COLUMN "currency" TEXT;
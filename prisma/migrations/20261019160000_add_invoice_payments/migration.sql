@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "payments" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "invoice_id" INTEGER NOT NULL,
+    "amount" REAL NOT NULL,
+    "date" DATETIME NOT NULL,
+    "method" TEXT,
+    "note" TEXT,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "payments_invoice_id_fkey" FOREIGN KEY ("invoice_id") REFERENCES "invoices" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "payments_invoice_id_idx" ON "payments"("invoice_id");
+
+-- Invoices generated before statuses were tracked count as sent
+UPDATE "invoices" SET "status" = 'sent' WHERE "status" = 'generated';
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "clients" ADD COLUMN "invoice_prefix" TEXT;
+
+-- CreateTable
+CREATE TABLE "invoice_sequences" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "scope" TEXT NOT NULL,
+    "next_value" INTEGER NOT NULL DEFAULT 1
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "invoice_sequences_scope_key" ON "invoice_sequences"("scope");
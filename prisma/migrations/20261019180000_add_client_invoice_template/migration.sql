@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "clients" ADD COLUMN "invoice_template" TEXT;
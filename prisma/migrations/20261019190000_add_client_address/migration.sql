@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "clients" ADD COLUMN "address" TEXT;
+ALTER TABLE "clients" ADD COLUMN "tax_id" TEXT;
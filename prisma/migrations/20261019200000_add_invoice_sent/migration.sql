@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "invoices" ADD COLUMN "sent_at" DATETIME;
+ALTER TABLE "invoices" ADD COLUMN "sent_to" TEXT;
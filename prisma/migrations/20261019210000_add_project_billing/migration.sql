@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "projects" ADD COLUMN "billing_type" TEXT NOT NULL DEFAULT 'hourly';
+ALTER TABLE "projects" ADD COLUMN "fixed_fee" REAL;
+ALTER TABLE "projects" ADD COLUMN "retainer_amount" REAL;
+ALTER TABLE "projects" ADD COLUMN "retainer_hours" REAL;
+ALTER TABLE "projects" ADD COLUMN "overage_rate" REAL;
+
+-- AlterTable
+ALTER TABLE "clients" ADD COLUMN "recurring_day" INTEGER;
+ALTER TABLE "clients" ADD COLUMN "last_billed_period" TEXT;
@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "invoices" ADD COLUMN "revision" INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE "invoices" ADD COLUMN "revision_note" TEXT;
+ALTER TABLE "invoices" ADD COLUMN "revised_by" TEXT;
+ALTER TABLE "invoices" ADD COLUMN "type" TEXT NOT NULL DEFAULT 'invoice';
+ALTER TABLE "invoices" ADD COLUMN "credited_invoice_id" INTEGER REFERENCES "invoices" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "invoices" ADD COLUMN "credit_reason" TEXT;
+
+-- Number the copies regenerating an invoice left behind as its revisions
+UPDATE "invoices" SET "revision" = (
+    SELECT COUNT(*) FROM "invoices" AS "earlier"
+    WHERE "earlier"."invoice_number" = "invoices"."invoice_number"
+      AND "earlier"."id" <= "invoices"."id"
+);
+
+-- Voided copies that were replaced by a later revision are superseded
+UPDATE "invoices" SET "status" = 'superseded'
+WHERE "status" = 'voided' AND EXISTS (
+    SELECT 1 FROM "invoices" AS "later"
+    WHERE "later"."invoice_number" = "invoices"."invoice_number"
+      AND "later"."id" > "invoices"."id"
+);
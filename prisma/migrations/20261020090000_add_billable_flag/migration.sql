@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "projects" ADD COLUMN "is_billable" BOOLEAN NOT NULL DEFAULT true;
+
+-- AlterTable
+ALTER TABLE "tasks" ADD COLUMN "is_billable" BOOLEAN;
+
+-- AlterTable
+ALTER TABLE "time_entries" ADD COLUMN "is_billable" BOOLEAN NOT NULL DEFAULT true;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "tasks" ADD COLUMN "hourly_rate" REAL;
+
+-- AlterTable
+ALTER TABLE "time_entries" ADD COLUMN "hourly_rate" REAL;
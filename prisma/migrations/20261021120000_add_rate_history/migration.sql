@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "rate_history" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "client_id" INTEGER,
+    "project_id" INTEGER,
+    "task_id" INTEGER,
+    "rate" REAL,
+    "effective_from" DATETIME NOT NULL,
+    "created_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "rate_history_client_id_fkey" FOREIGN KEY ("client_id") REFERENCES "clients" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "rate_history_project_id_fkey" FOREIGN KEY ("project_id") REFERENCES "projects" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "rate_history_task_id_fkey" FOREIGN KEY ("task_id") REFERENCES "tasks" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "rate_history_client_id_idx" ON "rate_history"("client_id");
+
+-- CreateIndex
+CREATE INDEX "rate_history_project_id_idx" ON "rate_history"("project_id");
+
+-- CreateIndex
+CREATE INDEX "rate_history_task_id_idx" ON "rate_history"("task_id");
+
+-- Current rates have applied since their client, project or task was created
+INSERT INTO "rate_history" ("client_id", "rate", "effective_from")
+SELECT "id", "hourly_rate", "created_at" FROM "clients" WHERE "hourly_rate" > 0;
+INSERT INTO "rate_history" ("project_id", "rate", "effective_from")
+SELECT "id", "hourly_rate", "created_at" FROM "projects" WHERE "hourly_rate" > 0;
+INSERT INTO "rate_history" ("task_id", "rate", "effective_from")
+SELECT "id", "hourly_rate", "created_at" FROM "tasks" WHERE "hourly_rate" > 0;
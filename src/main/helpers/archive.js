@@ -0,0 +1,137 @@
+// Data archives: everything in the app (clients down to time entries,
+// invoices, settings and invoice templates) in one JSON file that can be
+// imported on another machine, either into an empty database or merged into
+// one that already has data.
+
+export const ARCHIVE_FORMAT = "myhours-archive";
+export const ARCHIVE_SCHEMA_VERSION = 1;
+
+// "restore" fills an empty database keeping every id; "merge" adds the
+// archive to existing data, skipping what is already there
+export const ARCHIVE_IMPORT_MODES = ["restore", "merge"];
+
+// Tables in the archive, in the order they are imported
+export const ARCHIVE_TABLES = [
+  "clients",
+  "projects",
+  "tasks",
+  "rateHistory",
+  "invoices",
+  "payments",
+  "timeEntries",
+  "timeEntrySegments",
+  "invoiceSequences",
+  "settings",
+];
+
+// Secrets, paths and recent selections that only make sense on this machine
+export const ARCHIVE_EXCLUDED_SETTINGS = [
+  "smtp_password",
+  "backup_folder",
+  "lastUsedClientId",
+  "lastUsedProjectId",
+  "lastUsedTaskId",
+  "sample_data",
+];
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * File name for an archive exported on a given day
+ * @param {Date} date
+ * @returns {string} e.g. "myhours-archive-2024-03-05.json"
+ */
+export function createArchiveFileName(date) {
+  return `${ARCHIVE_FORMAT}-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}.json`;
+}
+
+/**
+ * Check that parsed JSON is an archive this version can import
+ * @param {Object} archive
+ * @returns {string|null} Why it can't be imported, or null
+ */
+export function validateArchive(archive) {
+  if (!archive || archive.format !== ARCHIVE_FORMAT) {
+    return "This file is not a myHours archive";
+  }
+  if (!Number.isInteger(archive.schemaVersion) || archive.schemaVersion < 1) {
+    return "The archive has no valid schema version";
+  }
+  if (archive.schemaVersion > ARCHIVE_SCHEMA_VERSION) {
+    return "The archive was made by a newer version of myHours; update the app to import it";
+  }
+  const data = archive.data || {};
+  const missing = ARCHIVE_TABLES.filter((table) => !Array.isArray(data[table]));
+  if (missing.length > 0) {
+    return `The archive is incomplete (missing ${missing.join(", ")})`;
+  }
+  if (archive.templates !== undefined && !Array.isArray(archive.templates)) {
+    return "The archive's invoice templates are not readable";
+  }
+  return null;
+}
+
+/**
+ * What an archive holds, to show before importing it
+ * @param {Object} archive - A valid archive
+ * @returns {Object} Row counts by table, templates, exportedAt and appVersion
+ */
+export function summarizeArchive(archive) {
+  const counts = {};
+  for (const table of ARCHIVE_TABLES) {
+    counts[table] = archive.data[table].length;
+  }
+  return {
+    ...counts,
+    templates: (archive.templates || []).length,
+    exportedAt: archive.exportedAt || null,
+    appVersion: archive.appVersion || null,
+  };
+}
+
+const normalizeName = (name) =>
+  String(name || "")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Matching key for clients, projects and tasks: their name within their
+ * parent, ignoring case and surrounding spaces
+ * @param {number|null} parentId - Parent id in the target database
+ * @param {string} name
+ * @returns {string}
+ */
+export function nameKey(parentId, name) {
+  return `${parentId ?? ""}|${normalizeName(name)}`;
+}
+
+/**
+ * Matching key for a time entry: same task, project and client, start time,
+ * duration and description
+ * @param {Object} entry - Entry with ids of the target database
+ * @returns {string}
+ */
+export function timeEntryKey(entry) {
+  return [
+    entry.clientId ?? "",
+    entry.projectId ?? "",
+    entry.taskId ?? "",
+    new Date(entry.startTime).getTime(),
+    entry.duration || 0,
+    (entry.description || "").trim(),
+  ].join("|");
+}
+
+/**
+ * Matching key for an invoice: number, revision and type for a client
+ * @param {Object} invoice - Invoice with the client id of the target database
+ * @returns {string}
+ */
+export function invoiceKey(invoice) {
+  return [
+    invoice.clientId,
+    invoice.invoiceNumber,
+    invoice.revision || 1,
+    invoice.type || "invoice",
+  ].join("|");
+}
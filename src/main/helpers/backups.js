@@ -0,0 +1,114 @@
+// Database backups: consistent copies of the SQLite database named after the
+// time they were made, kept in a folder the user chooses. Automatic backups
+// run daily or weekly and only the newest few are kept; the copies made before
+// a schema update are kept until the user removes them.
+
+export const BACKUP_SCHEDULES = ["off", "daily", "weekly"];
+export const DEFAULT_BACKUP_RETENTION = 7;
+export const PRE_MIGRATION_BACKUP = "pre-migration";
+
+// Tables a file needs before it can replace the live database
+export const REQUIRED_BACKUP_TABLES = [
+  "clients",
+  "projects",
+  "tasks",
+  "time_entries",
+  "invoices",
+  "settings",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCHEDULE_INTERVALS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+const BACKUP_FILE_PATTERN =
+  /^myhours-(backup|pre-migration)-(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})\.db$/;
+const SQLITE_HEADER = "SQLite format 3\u0000";
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/**
+ * File name of a backup made at a given time (local time, sorts by age)
+ * @param {Date} date
+ * @param {string} [kind] - "backup", or PRE_MIGRATION_BACKUP for the copy
+ *   made before a schema update
+ * @returns {string} e.g. "myhours-backup-20240305-090000.db"
+ */
+export function createBackupFileName(date, kind = "backup") {
+  const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+  const time = `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  return `myhours-${kind}-${day}-${time}.db`;
+}
+
+/**
+ * When a backup was made, from its file name
+ * @param {string} fileName
+ * @returns {Date|null} null for files that are not backups
+ */
+export function parseBackupFileName(fileName) {
+  const match = BACKUP_FILE_PATTERN.exec(fileName);
+  if (!match) return null;
+  const [year, month, day, hours, minutes, seconds] = match
+    .slice(2)
+    .map(Number);
+  return new Date(year, month - 1, day, hours, minutes, seconds);
+}
+
+/**
+ * Kind of backup, from its file name
+ * @param {string} fileName
+ * @returns {string|null} "backup", PRE_MIGRATION_BACKUP, or null for files
+ *   that are not backups
+ */
+export function getBackupKind(fileName) {
+  return BACKUP_FILE_PATTERN.exec(fileName)?.[1] ?? null;
+}
+
+/**
+ * Whether an automatic backup should be made now
+ * @param {string} schedule - "off", "daily" or "weekly"
+ * @param {Date|null} lastBackupAt - Newest backup, null when there is none
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export function isBackupDue(schedule, lastBackupAt, now) {
+  const interval = SCHEDULE_INTERVALS[schedule];
+  if (!interval) return false;
+  if (!lastBackupAt) return true;
+  return now.getTime() - lastBackupAt.getTime() >= interval;
+}
+
+/**
+ * Number of backups to keep from the setting
+ * @param {string|number} value
+ * @returns {number} A positive whole number
+ */
+export function resolveBackupRetention(value) {
+  const retention = parseInt(value, 10);
+  return retention > 0 ? retention : DEFAULT_BACKUP_RETENTION;
+}
+
+/**
+ * Backups beyond the retention count, oldest ones. Pre-migration backups
+ * don't count and are never expired: they may be the only copy of the data
+ * from before an update.
+ * @param {Array<{createdAt: Date, kind?: string}>} backups
+ * @param {number} retention - Number of newest backups to keep
+ * @returns {Array} Backups to delete
+ */
+export function getExpiredBackups(backups, retention) {
+  return backups
+    .filter((backup) => backup.kind !== PRE_MIGRATION_BACKUP)
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(retention);
+}
+
+/**
+ * Whether a file starts with the SQLite database header
+ * @param {Buffer} header - First 16 bytes of the file
+ * @returns {boolean}
+ */
+export function isSqliteFile(header) {
+  return (
+    header?.length >= SQLITE_HEADER.length &&
+    header.toString("latin1", 0, SQLITE_HEADER.length) === SQLITE_HEADER
+  );
+}
@@ -0,0 +1,57 @@
+// Billable time. An entry is billable unless marked otherwise; new entries
+// take their default from the task, which inherits from the project when it
+// has no setting of its own. Non-billable time (internal work, admin,
+// pro-bono) is tracked but left off invoices.
+
+/**
+ * Whether new time on a task/project is billable
+ * @param {Object} sources
+ * @param {Object} [sources.task] - Task with isBillable (null inherits)
+ * @param {Object} [sources.project] - Project with isBillable
+ * @returns {boolean}
+ */
+export function resolveBillable({ task, project } = {}) {
+  if (typeof task?.isBillable === "boolean") return task.isBillable;
+  if (typeof project?.isBillable === "boolean") return project.isBillable;
+  return true;
+}
+
+/**
+ * Entries recorded before the flag existed are billable
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+export function isBillableEntry(entry) {
+  return entry?.isBillable !== false;
+}
+
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+
+/**
+ * Billable and non-billable hours of some entries
+ * @param {Array} entries - Time entries with duration (minutes) and isBillable
+ * @returns {{billableHours: number, nonBillableHours: number, totalHours: number, utilization: number|null}}
+ *   utilization is the billable share of all hours in percent (null without hours)
+ */
+export function summarizeBillableHours(entries = []) {
+  let billableMinutes = 0;
+  let nonBillableMinutes = 0;
+  for (const entry of entries) {
+    if (isBillableEntry(entry)) {
+      billableMinutes += entry.duration || 0;
+    } else {
+      nonBillableMinutes += entry.duration || 0;
+    }
+  }
+
+  const totalMinutes = billableMinutes + nonBillableMinutes;
+  return {
+    billableHours: roundHours(billableMinutes / 60),
+    nonBillableHours: roundHours(nonBillableMinutes / 60),
+    totalHours: roundHours(totalMinutes / 60),
+    utilization:
+      totalMinutes > 0
+        ? Math.round((billableMinutes / totalMinutes) * 100)
+        : null,
+  };
+}
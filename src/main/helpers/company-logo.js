@@ -0,0 +1,41 @@
+// The company logo is copied into the user data directory and its file name
+// kept in the `company_logo` setting. Invoices get it inlined as a data URL
+// so the PDF renderer needs no file access.
+
+export const LOGO_MIME_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  svg: "image/svg+xml",
+};
+
+export const LOGO_EXTENSIONS = Object.keys(LOGO_MIME_TYPES);
+
+export const MAX_LOGO_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Image type of a logo file
+ * @param {string} fileName
+ * @returns {string|null} MIME type, or null for unsupported files
+ */
+export function getLogoMimeType(fileName) {
+  const extension = String(fileName || "")
+    .split(".")
+    .pop()
+    .toLowerCase();
+  return LOGO_MIME_TYPES[extension] || null;
+}
+
+/**
+ * Data URL for a logo image
+ * @param {string} fileName - Used for the image type
+ * @param {Buffer} contents
+ * @returns {string|null} Null when the file type is unsupported
+ */
+export function toLogoDataUrl(fileName, contents) {
+  const mimeType = getLogoMimeType(fileName);
+  if (!mimeType || !contents) return null;
+  return `data:${mimeType};base64,${Buffer.from(contents).toString("base64")}`;
+}
@@ -0,0 +1,438 @@
+// Time entries from CSV files: parsing, matching columns to entry fields and
+// reading dates, times, durations and billable flags the way spreadsheets
+// and other time trackers write them.
+
+export const CSV_IMPORT_FIELDS = [
+  "date",
+  "start",
+  "end",
+  "duration",
+  "client",
+  "project",
+  "task",
+  "description",
+  "billable",
+];
+
+// Order of day and month in dates like 03/05/2024
+export const DATE_FORMATS = ["mdy", "dmy"];
+export const DURATION_UNITS = ["hours", "minutes"];
+export const DEFAULT_START_TIME = "09:00";
+
+const CSV_DELIMITERS = [",", ";", "\t"];
+const MINUTES_PER_DAY = 24 * 60;
+// Longest shift an end time before the start is read as (ending next day)
+const MAX_OVERNIGHT_MINUTES = 12 * 60;
+const MS_PER_MINUTE = 60 * 1000;
+
+// Column names each field is recognized by (lowercase)
+const HEADER_ALIASES = {
+  date: ["date", "day", "work date"],
+  start: ["start", "start time", "started", "from", "begin"],
+  end: ["end", "end time", "ended", "to", "finish", "stop"],
+  duration: [
+    "duration",
+    "duration (hours)",
+    "duration (minutes)",
+    "hours",
+    "decimal hours",
+    "decimalhours",
+    "minutes",
+    "time",
+  ],
+  client: ["client", "customer", "company"],
+  project: ["project"],
+  task: ["task", "activity", "category"],
+  description: ["description", "notes", "note", "details", "comment"],
+  billable: ["billable", "is billable"],
+};
+
+const TRUE_VALUES = ["yes", "y", "true", "1", "billable"];
+const FALSE_VALUES = ["no", "n", "false", "0", "non-billable", "not billable"];
+
+const normalizeHeader = (header) =>
+  String(header || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+
+const countOutsideQuotes = (line, delimiter) => {
+  let count = 0;
+  let inQuotes = false;
+  for (const char of line) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if (char === delimiter && !inQuotes) count++;
+  }
+  return count;
+};
+
+/**
+ * Field separator of a CSV file, from its first line
+ * @param {string} text
+ * @returns {string} ",", ";" or a tab
+ */
+export function detectDelimiter(text) {
+  const firstLine = String(text).split(/\r?\n/, 1)[0] || "";
+  let best = ",";
+  let bestCount = 0;
+  for (const delimiter of CSV_DELIMITERS) {
+    const count = countOutsideQuotes(firstLine, delimiter);
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Rows of a CSV file. Quoted fields may hold separators, line breaks and
+ * doubled quotes; blank lines are dropped.
+ * @param {string} text
+ * @param {string} [delimiter] - Detected from the first line by default
+ * @returns {string[][]}
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const source = String(text).replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char !== '"') {
+        field += char;
+      } else if (source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        inQuotes = false;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+}
+
+/**
+ * Columns that look like entry fields, by their names
+ * @param {string[]} headers
+ * @returns {Object} Field -> column index, for the fields that were found
+ */
+export function guessColumnMapping(headers) {
+  const names = headers.map(normalizeHeader);
+  const used = new Set();
+  const mapping = {};
+
+  for (const field of CSV_IMPORT_FIELDS) {
+    const index = names.findIndex(
+      (name, i) => !used.has(i) && HEADER_ALIASES[field].includes(name),
+    );
+    if (index !== -1) {
+      mapping[field] = index;
+      used.add(index);
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Unit of a duration column, from its name
+ * @param {string} header
+ * @returns {string} "minutes" or "hours"
+ */
+export function guessDurationUnit(header) {
+  return /minute|\bmins?\b/.test(normalizeHeader(header)) ? "minutes" : "hours";
+}
+
+const toValidDate = (year, month, day) => {
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year &&
+    date.getMonth() === month - 1 &&
+    date.getDate() === day
+    ? date
+    : null;
+};
+
+/**
+ * A calendar day: 2024-03-05, 03/05/2024 (month and day in the given
+ * order), or written out like "Tue, Mar 5, 2024"
+ * @param {string} value
+ * @param {string} [dateFormat] - "mdy" or "dmy", for numeric dates
+ * @returns {Date|null} Local midnight, null when not a date
+ */
+export function parseDate(value, dateFormat = "mdy") {
+  const text = String(value || "").trim();
+  if (!text) return null;
+
+  const iso = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/.exec(text);
+  if (iso) {
+    return toValidDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  }
+
+  const numeric = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/.exec(text);
+  if (numeric) {
+    const [first, second, year] = numeric.slice(1).map(Number);
+    const fullYear = numeric[3].length === 2 ? 2000 + year : year;
+    return dateFormat === "dmy"
+      ? toValidDate(fullYear, second, first)
+      : toValidDate(fullYear, first, second);
+  }
+
+  // Written-out dates, without a leading weekday
+  if (!/[a-z]/i.test(text)) return null;
+  const parsed = new Date(text.replace(/^[a-z]+,\s*/i, ""));
+  if (isNaN(parsed.getTime())) return null;
+  return new Date(parsed.getFullYear(), parsed.getMonth(), parsed.getDate());
+}
+
+/**
+ * A time of day: 9:00, 17:30:00 or 5:30 PM
+ * @param {string} value
+ * @returns {{hours: number, minutes: number, seconds: number}|null}
+ */
+export function parseClock(value) {
+  const match =
+    /^(\d{1,2})(?:[:.](\d{2}))?(?::(\d{2}))?\s*(?:([ap])\.?\s*m?\.?)?$/i.exec(
+      String(value || "").trim(),
+    );
+  if (!match || (!match[2] && !match[4])) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const seconds = Number(match[3] || 0);
+  const meridiem = match[4]?.toLowerCase();
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (meridiem === "p" ? 12 : 0);
+  }
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+  return { hours, minutes, seconds };
+}
+
+/**
+ * A start or end time, either a time of day on a given date or a date and
+ * time together ("2024-03-05 09:00", "3/5/2024, 9:00:00 AM" or ISO 8601)
+ * @param {string} value
+ * @param {Date|null} date - Day for times without a date
+ * @param {string} [dateFormat] - "mdy" or "dmy", for numeric dates
+ * @returns {Date|null}
+ */
+export function parseDateTime(value, date, dateFormat = "mdy") {
+  const text = String(value || "").trim();
+  if (!text) return null;
+
+  // ISO 8601 with a zone is an exact moment
+  if (/^\d{4}-\d{2}-\d{2}T.*(?:Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const moment = new Date(text);
+    return isNaN(moment.getTime()) ? null : moment;
+  }
+
+  let day = date;
+  let clock = parseClock(text);
+  if (!clock) {
+    const parts =
+      /^(.+?)[,\sT]+(\d{1,2}[:.]\d{2}(?::\d{2})?(?:\s*[ap]\.?\s*m?\.?)?)$/i.exec(
+        text,
+      );
+    if (!parts) return null;
+    day = parseDate(parts[1], dateFormat);
+    clock = parseClock(parts[2]);
+  }
+  if (!day || !clock) return null;
+
+  const moment = new Date(day);
+  moment.setHours(clock.hours, clock.minutes, clock.seconds, 0);
+  return moment;
+}
+
+/**
+ * A duration: 1:30, 1.5 (hours or minutes by the column's unit), 1,5 or
+ * written out like "2h 10 min"
+ * @param {string} value
+ * @param {string} [unit] - "hours" or "minutes", for plain numbers
+ * @returns {number|null} Whole minutes, null when not a duration
+ */
+export function parseDuration(value, unit = "hours") {
+  const text = String(value || "")
+    .trim()
+    .toLowerCase();
+  if (!text) return null;
+
+  const clock = /^(\d+):(\d{1,2})(?::(\d{1,2}))?$/.exec(text);
+  if (clock) {
+    const [hours, minutes, seconds] = clock
+      .slice(1)
+      .map((part) => Number(part || 0));
+    return Math.round(hours * 60 + minutes + seconds / 60);
+  }
+
+  if (/^\d+(?:[.,]\d+)?$/.test(text)) {
+    const amount = Number(text.replace(",", "."));
+    return Math.round(unit === "minutes" ? amount : amount * 60);
+  }
+
+  const written =
+    /^(?:(\d+(?:[.,]\d+)?)\s*h[a-z]*)?\s*(?:(\d+)\s*m[a-z]*)?$/.exec(text);
+  if (written && (written[1] || written[2])) {
+    const hours = Number((written[1] || "0").replace(",", "."));
+    return Math.round(hours * 60 + Number(written[2] || 0));
+  }
+  return null;
+}
+
+/**
+ * A billable flag: yes/no, true/false, 1/0 or billable/non-billable
+ * @param {string} value
+ * @returns {boolean|null|undefined} null when empty (the entry follows its
+ *   task and project), undefined when not recognized
+ */
+export function parseBillable(value) {
+  const text = String(value || "")
+    .trim()
+    .toLowerCase();
+  if (!text) return null;
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  return undefined;
+}
+
+const sameDay = (a, b) =>
+  a.getFullYear() === b.getFullYear() &&
+  a.getMonth() === b.getMonth() &&
+  a.getDate() === b.getDate();
+
+/**
+ * Time entries from CSV rows, with what is wrong with each row. Entries
+ * without a start time start at the default start time; an end time before
+ * the start on the same day is taken as the next day (for up to 12 hours
+ * of work).
+ * @param {string[][]} records - Data rows (without the header row)
+ * @param {Object} options
+ * @param {Object} options.mapping - Field -> column index
+ * @param {string} [options.dateFormat] - "mdy" or "dmy"
+ * @param {string} [options.durationUnit] - "hours" or "minutes"
+ * @param {string} [options.defaultStartTime] - e.g. "09:00"
+ * @returns {Array<{row: number, entry: Object, errors: string[]}>} row
+ *   counts data rows from 1
+ */
+export function buildImportRows(
+  records,
+  {
+    mapping = {},
+    dateFormat = "mdy",
+    durationUnit = "hours",
+    defaultStartTime = DEFAULT_START_TIME,
+  } = {},
+) {
+  const defaultClock =
+    parseClock(defaultStartTime) || parseClock(DEFAULT_START_TIME);
+
+  return records.map((record, index) => {
+    const value = (field) =>
+      Number.isInteger(mapping[field])
+        ? String(record[mapping[field]] ?? "").trim()
+        : "";
+    const errors = [];
+
+    const dateText = value("date");
+    const date = parseDate(dateText, dateFormat);
+    if (dateText && !date) errors.push(`Unrecognized date "${dateText}"`);
+
+    const startText = value("start");
+    let startTime = parseDateTime(startText, date, dateFormat);
+    if (startText && !startTime) {
+      errors.push(`Unrecognized start time "${startText}"`);
+    }
+
+    const endText = value("end");
+    let endTime = parseDateTime(endText, date || startTime, dateFormat);
+    if (endText && !endTime) errors.push(`Unrecognized end time "${endText}"`);
+
+    const durationText = value("duration");
+    let duration = parseDuration(durationText, durationUnit);
+    if (durationText && duration === null) {
+      errors.push(`Unrecognized duration "${durationText}"`);
+    }
+
+    if (!dateText && !startText) {
+      errors.push("A date or start time is required");
+    }
+    if (!startTime && !startText && date) {
+      startTime = new Date(date);
+      startTime.setHours(defaultClock.hours, defaultClock.minutes, 0, 0);
+    }
+
+    if (startTime && endTime) {
+      const nextDay = new Date(
+        endTime.getTime() + MINUTES_PER_DAY * MS_PER_MINUTE,
+      );
+      if (
+        endTime <= startTime &&
+        sameDay(startTime, endTime) &&
+        nextDay - startTime <= MAX_OVERNIGHT_MINUTES * MS_PER_MINUTE
+      ) {
+        endTime = nextDay;
+      }
+      if (endTime <= startTime) {
+        errors.push("The end time is before the start time");
+      } else if (duration === null) {
+        duration = Math.round((endTime - startTime) / MS_PER_MINUTE);
+      }
+    }
+    if (startTime && !endTime && !endText && duration) {
+      endTime = new Date(startTime.getTime() + duration * MS_PER_MINUTE);
+    }
+    if (duration === null && !durationText && !endText) {
+      errors.push("A duration, or start and end times, are required");
+    } else if (duration !== null && duration <= 0) {
+      errors.push("The duration must be more than zero");
+    }
+
+    const clientName = value("client");
+    const projectName = value("project");
+    const taskName = value("task");
+    if (projectName && !clientName) errors.push("A project needs a client");
+    if (taskName && !projectName) errors.push("A task needs a project");
+
+    const billableText = value("billable");
+    const isBillable = parseBillable(billableText);
+    if (isBillable === undefined) {
+      errors.push(`Unrecognized billable value "${billableText}"`);
+    }
+
+    return {
+      row: index + 1,
+      entry: {
+        startTime,
+        endTime,
+        duration,
+        clientName: clientName || null,
+        projectName: projectName || null,
+        taskName: taskName || null,
+        description: value("description") || null,
+        isBillable: isBillable ?? null,
+      },
+      errors,
+    };
+  });
+}
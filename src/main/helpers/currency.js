@@ -0,0 +1,51 @@
+// Currency of a client (or invoice) and money formatting. Clients without
+// their own currency use the company default from Settings.
+
+export const DEFAULT_CURRENCY = "USD";
+
+/**
+ * Normalize a currency code; unknown codes fall back to the default
+ * @param {string} code - ISO 4217 code, e.g. "EUR"
+ * @param {string} [fallback] - Code to use when `code` is empty or invalid
+ * @returns {string}
+ */
+export function normalizeCurrency(code, fallback = DEFAULT_CURRENCY) {
+  const currency = String(code || "").trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) return fallback;
+
+  try {
+    new Intl.NumberFormat("en-US", { style: "currency", currency });
+    return currency;
+  } catch (_) {
+    return fallback;
+  }
+}
+
+/**
+ * Currency to bill a client in
+ * @param {Object} sources
+ * @param {Object} [sources.client] - Client with currency
+ * @param {Object} [sources.settings] - Settings with default_currency
+ * @returns {string}
+ */
+export function resolveCurrency({ client, settings = {} } = {}) {
+  const companyDefault = normalizeCurrency(settings.default_currency);
+  return normalizeCurrency(client?.currency, companyDefault);
+}
+
+/**
+ * Format an amount in a currency; non-numeric values (e.g. "Varies") are
+ * returned unchanged
+ * @param {number|string} amount
+ * @param {string} [currency]
+ * @returns {string}
+ */
+export function formatCurrency(amount, currency = DEFAULT_CURRENCY) {
+  const value = typeof amount === "number" ? amount : parseFloat(amount);
+  if (isNaN(value)) return amount ?? "";
+
+  return new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: normalizeCurrency(currency),
+  }).format(value);
+}
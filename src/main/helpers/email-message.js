@@ -0,0 +1,30 @@
+// Email addresses and recipient lists as typed in the send dialog and the
+// email settings. Messages themselves are built and sent by nodemailer.
+
+const EMAIL_PATTERN = /^[^\s@<>,;]+@[^\s@<>,;]+\.[^\s@<>,;]+$/;
+
+/**
+ * Bare address of a mailbox, e.g. "Jane <jane@example.com>" gives
+ * jane@example.com
+ * @param {string} mailbox
+ * @returns {string}
+ */
+export function getAddress(mailbox) {
+  const value = String(mailbox || "").trim();
+  const match = value.match(/<([^>]+)>\s*$/);
+  return (match ? match[1] : value).trim();
+}
+
+/**
+ * Split a comma or semicolon separated list of recipients
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+export function parseAddressList(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(/[,;]/);
+  return list.map((mailbox) => String(mailbox).trim()).filter(Boolean);
+}
+
+export function isValidEmail(mailbox) {
+  return EMAIL_PATTERN.test(getAddress(mailbox));
+}
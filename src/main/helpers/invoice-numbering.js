@@ -0,0 +1,120 @@
+// Sequential invoice numbers built from a pattern, e.g. "INV-{YYYY}-{SEQ:4}"
+// gives INV-2026-0001. Tokens:
+//   {YYYY} {YY} {MM}  invoice date
+//   {CLIENT}          client's invoice prefix (first letters of its name if unset)
+//   {SEQ} {SEQ:n}     counter, zero padded to n digits
+// Everything else is copied as is. The counter restarts every year with the
+// "yearly" reset, or keeps counting with "never". Credit notes have their own
+// pattern and counter.
+
+export const DEFAULT_INVOICE_NUMBER_PATTERN = "INV-{YYYY}-{SEQ:4}";
+
+export const DEFAULT_CREDIT_NOTE_NUMBER_PATTERN = "CN-{YYYY}-{SEQ:4}";
+
+export const INVOICE_NUMBER_RESETS = ["yearly", "never"];
+
+const TOKEN_PATTERN = /\{(YYYY|YY|MM|CLIENT|SEQ)(?::(\d+))?\}/g;
+
+/**
+ * Check a numbering pattern
+ * @param {string} pattern
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateInvoiceNumberPattern(pattern) {
+  if (!pattern || !String(pattern).trim()) return "Pattern is required";
+
+  const sequenceTokens = String(pattern).match(/\{SEQ(?::\d+)?\}/g) || [];
+  if (sequenceTokens.length !== 1) {
+    return "Pattern must contain the counter {SEQ} exactly once";
+  }
+
+  const unknown = String(pattern)
+    .replace(TOKEN_PATTERN, "")
+    .match(/\{[^}]*\}/);
+  if (unknown) return `Unknown token ${unknown[0]}`;
+
+  return null;
+}
+
+/**
+ * Numbering options from settings, falling back to the defaults when unset
+ * or invalid
+ * @param {Object} settings - invoice_number_pattern, invoice_number_reset
+ * @returns {{pattern: string, reset: string}}
+ */
+export function resolveNumbering(settings = {}) {
+  const pattern = settings.invoice_number_pattern;
+  const reset = settings.invoice_number_reset;
+
+  return {
+    pattern: validateInvoiceNumberPattern(pattern)
+      ? DEFAULT_INVOICE_NUMBER_PATTERN
+      : pattern.trim(),
+    reset: INVOICE_NUMBER_RESETS.includes(reset) ? reset : "yearly",
+  };
+}
+
+/**
+ * Credit note numbering pattern from settings
+ * @param {Object} settings - credit_note_number_pattern
+ * @returns {string}
+ */
+export function resolveCreditNotePattern(settings = {}) {
+  const pattern = settings.credit_note_number_pattern;
+  return validateInvoiceNumberPattern(pattern)
+    ? DEFAULT_CREDIT_NOTE_NUMBER_PATTERN
+    : pattern.trim();
+}
+
+/**
+ * Counter an invoice number is drawn from
+ * @param {string} reset - "yearly" or "never"
+ * @param {Date} date - Invoice date
+ * @param {string} [type] - "invoice" or "credit_note"
+ * @returns {string} The year, or "global" (prefixed "credit-" for credit notes)
+ */
+export function getSequenceScope(reset, date, type = "invoice") {
+  const scope = reset === "never" ? "global" : String(date.getFullYear());
+  return type === "credit_note" ? `credit-${scope}` : scope;
+}
+
+/**
+ * Invoice prefix of a client
+ * @param {Object} [client] - Client with invoicePrefix and name
+ * @returns {string}
+ */
+export function getClientPrefix(client) {
+  const prefix = String(client?.invoicePrefix || "").trim();
+  if (prefix) return prefix;
+
+  return String(client?.name || "")
+    .replace(/[^A-Za-z0-9]/g, "")
+    .slice(0, 3)
+    .toUpperCase();
+}
+
+/**
+ * Build an invoice number from a pattern
+ * @param {string} pattern
+ * @param {Object} values
+ * @param {number} values.sequence - Counter value
+ * @param {Date} values.date - Invoice date
+ * @param {Object} [values.client] - Client for {CLIENT}
+ * @returns {string}
+ */
+export function formatInvoiceNumber(pattern, { sequence, date, client }) {
+  return pattern.replace(TOKEN_PATTERN, (_, token, width) => {
+    switch (token) {
+      case "YYYY":
+        return String(date.getFullYear());
+      case "YY":
+        return String(date.getFullYear()).slice(-2);
+      case "MM":
+        return String(date.getMonth() + 1).padStart(2, "0");
+      case "CLIENT":
+        return getClientPrefix(client);
+      default:
+        return String(sequence).padStart(parseInt(width || "0", 10), "0");
+    }
+  });
+}
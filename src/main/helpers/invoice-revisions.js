@@ -0,0 +1,55 @@
+// Invoice revisions: regenerating an invoice keeps its number and stores a
+// new revision, with the previous one kept as superseded. Each revision
+// records who made it and a short description of what changed.
+
+import { formatCurrency } from "./currency.js";
+
+const sumHours = (entries = []) =>
+  entries.reduce((sum, entry) => sum + (entry.duration || 0), 0) / 60;
+
+const entries = (count) => `${count} ${count === 1 ? "entry" : "entries"}`;
+
+/**
+ * Describe what changed between two revisions of an invoice
+ * @param {Object} previous - Previous revision with timeEntries, totalAmount and currency
+ * @param {Object} next - New revision: timeEntries and totalAmount
+ * @returns {string} e.g. "1 entry added; hours 10.00 → 12.50; total $1,000.00 → $1,250.00"
+ */
+export function describeRevisionChanges(previous, next) {
+  const changes = [];
+  const previousIds = new Set((previous.timeEntries || []).map((e) => e.id));
+  const nextIds = new Set((next.timeEntries || []).map((e) => e.id));
+
+  const added = [...nextIds].filter((id) => !previousIds.has(id)).length;
+  const removed = [...previousIds].filter((id) => !nextIds.has(id)).length;
+  if (added > 0) changes.push(`${entries(added)} added`);
+  if (removed > 0) changes.push(`${entries(removed)} removed`);
+
+  const previousHours = sumHours(previous.timeEntries).toFixed(2);
+  const nextHours = sumHours(next.timeEntries).toFixed(2);
+  if (previousHours !== nextHours) {
+    changes.push(`hours ${previousHours} → ${nextHours}`);
+  }
+
+  const currency = previous.currency || undefined;
+  const previousTotal = formatCurrency(previous.totalAmount || 0, currency);
+  const nextTotal = formatCurrency(next.totalAmount || 0, currency);
+  if (previousTotal !== nextTotal) {
+    changes.push(`total ${previousTotal} → ${nextTotal}`);
+  }
+
+  return changes.length > 0
+    ? changes.join("; ")
+    : "No changes to time or totals";
+}
+
+/**
+ * Revision note stored with a regenerated invoice
+ * @param {string} [note] - Reason given by the user
+ * @param {string} changes - From describeRevisionChanges
+ * @returns {string}
+ */
+export function formatRevisionNote(note, changes) {
+  const reason = String(note || "").trim();
+  return reason ? `${reason} (${changes})` : changes;
+}
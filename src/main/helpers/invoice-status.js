@@ -0,0 +1,144 @@
+// Invoice lifecycle: draft → sent → partial → paid, with overdue computed
+// from the due date. Credit notes count toward settling the invoice they
+// credit; one credited in full without payments reads as credited. Voided
+// invoices and superseded revisions of a regenerated invoice no longer count.
+// Only draft, sent and voided are set by hand; the rest follow from payments,
+// credit notes and the date.
+
+export const INVOICE_STATUSES = [
+  "draft",
+  "sent",
+  "partial",
+  "paid",
+  "overdue",
+  "credited",
+  "voided",
+  "superseded",
+];
+
+// Statuses that can be chosen in the UI
+export const MANUAL_INVOICE_STATUSES = ["draft", "sent", "voided"];
+
+// Invoices (and credit notes) in these statuses are kept only for history
+export const CLOSED_INVOICE_STATUSES = ["voided", "superseded"];
+
+export const AGING_BUCKETS = ["current", "1-30", "31-60", "61-90", "90+"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Amount paid toward an invoice
+ * @param {Array} payments - [{amount}]
+ * @returns {number}
+ */
+export function sumPayments(payments = []) {
+  return roundMoney(
+    payments.reduce((sum, payment) => sum + (payment.amount || 0), 0),
+  );
+}
+
+/**
+ * Amount credited to an invoice by its live credit notes
+ * @param {Array} creditNotes - [{totalAmount, status}], totals are negative
+ * @returns {number}
+ */
+export function sumCredits(creditNotes = []) {
+  return roundMoney(
+    creditNotes
+      .filter((note) => !CLOSED_INVOICE_STATUSES.includes(note.status))
+      .reduce((sum, note) => sum - (note.totalAmount || 0), 0),
+  );
+}
+
+/**
+ * Whole days an invoice is past its due date (0 when not yet due)
+ * @param {Date|string|null} dueDate
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export function getDaysOverdue(dueDate, now = new Date()) {
+  if (!dueDate) return 0;
+  const days = Math.floor(
+    (startOfDay(now) - startOfDay(dueDate)) / DAY_MS,
+  );
+  return Math.max(days, 0);
+}
+
+/**
+ * Status to store after payments change; draft and voided invoices keep
+ * their status, others move between sent, partial and paid
+ * @param {string} status - Current stored status
+ * @param {number} totalAmount
+ * @param {number} paidAmount
+ * @returns {string}
+ */
+export function getPaymentStatus(status, totalAmount, paidAmount) {
+  if (CLOSED_INVOICE_STATUSES.includes(status)) return status;
+  if (paidAmount > 0 && paidAmount >= roundMoney(totalAmount)) return "paid";
+  if (paidAmount > 0) return "partial";
+  return status === "draft" ? "draft" : "sent";
+}
+
+/**
+ * Effective status, balance and age of an invoice
+ * @param {Object} invoice - Invoice with status, totalAmount, dueDate, payments
+ *   and creditNotes
+ * @param {Date} [now]
+ * @returns {{status: string, paidAmount: number, balanceDue: number, daysOverdue: number}}
+ */
+export function getInvoiceStatus(invoice, now = new Date()) {
+  // "generated" is what invoices were marked before statuses were tracked
+  const stored = invoice.status === "generated" ? "sent" : invoice.status;
+
+  // Credit notes are settled by issuing them
+  if (invoice.type === "credit_note") {
+    return { status: stored, paidAmount: 0, balanceDue: 0, daysOverdue: 0 };
+  }
+
+  const paidAmount = sumPayments(invoice.payments);
+  const owedAmount = roundMoney(
+    (invoice.totalAmount || 0) - sumCredits(invoice.creditNotes),
+  );
+  const balanceDue = roundMoney(Math.max(owedAmount - paidAmount, 0));
+  const daysOverdue = getDaysOverdue(invoice.dueDate, now);
+
+  let status = getPaymentStatus(stored, owedAmount, paidAmount);
+  if (
+    status === "sent" &&
+    balanceDue === 0 &&
+    owedAmount < (invoice.totalAmount || 0)
+  ) {
+    status = "credited";
+  }
+  if ((status === "sent" || status === "partial") && daysOverdue > 0) {
+    status = "overdue";
+  }
+
+  return {
+    status,
+    paidAmount,
+    balanceDue: CLOSED_INVOICE_STATUSES.includes(status) ? 0 : balanceDue,
+    daysOverdue: status === "overdue" ? daysOverdue : 0,
+  };
+}
+
+/**
+ * Aging bucket for an unpaid invoice
+ * @param {number} daysOverdue
+ * @returns {string} One of AGING_BUCKETS
+ */
+export function getAgingBucket(daysOverdue) {
+  if (daysOverdue <= 0) return "current";
+  if (daysOverdue <= 30) return "1-30";
+  if (daysOverdue <= 60) return "31-60";
+  if (daysOverdue <= 90) return "61-90";
+  return "90+";
+}
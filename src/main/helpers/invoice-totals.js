@@ -0,0 +1,154 @@
+// Invoice totals: labor from time entries, project fees (fixed fees and
+// retainers) and expense lines make the subtotal, a discount comes off the
+// subtotal and each named tax is charged on what is left.
+
+export const DISCOUNT_TYPES = ["percent", "fixed"];
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return isNaN(number) ? 0 : number;
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Parse a list of named taxes stored as JSON (setting or client column)
+ * @param {string|Array|null} value - JSON string or array of {name, rate}
+ * @returns {Array<{name: string, rate: number}>|null} null when not set
+ */
+export function parseTaxRates(value) {
+  if (value === null || value === undefined || value === "") return null;
+
+  let rates = value;
+  if (typeof value === "string") {
+    try {
+      rates = JSON.parse(value);
+    } catch (_) {
+      return null;
+    }
+  }
+  if (!Array.isArray(rates)) return null;
+
+  return rates
+    .map((tax) => ({
+      name: String(tax?.name || "").trim() || "Tax",
+      rate: toNumber(tax?.rate),
+    }))
+    .filter((tax) => tax.rate > 0);
+}
+
+/**
+ * Taxes charged to a client: its own list (an empty list means exempt) or
+ * the global `invoice_taxes` setting
+ * @param {Object} sources
+ * @param {Object} [sources.client] - Client with taxRates
+ * @param {Object} [sources.settings] - Settings with invoice_taxes
+ * @returns {Array<{name: string, rate: number}>}
+ */
+export function resolveTaxRates({ client, settings = {} } = {}) {
+  return (
+    parseTaxRates(client?.taxRates) ||
+    parseTaxRates(settings.invoice_taxes) ||
+    []
+  );
+}
+
+/**
+ * Normalize a discount from form input
+ * @param {Object} discount - {type: 'percent'|'fixed', value}
+ * @returns {{type: string, value: number}|null} null when there is no discount
+ */
+export function normalizeDiscount(discount) {
+  const value = toNumber(discount?.value);
+  if (value <= 0) return null;
+
+  const type = DISCOUNT_TYPES.includes(discount.type) ? discount.type : "fixed";
+  return { type, value: type === "percent" ? Math.min(value, 100) : value };
+}
+
+/**
+ * Normalize expense/materials lines from form input, dropping empty ones
+ * @param {Array} expenses - [{description, quantity, unitPrice}]
+ * @returns {Array<{description: string, quantity: number, unitPrice: number}>}
+ */
+export function normalizeExpenses(expenses) {
+  if (!Array.isArray(expenses)) return [];
+
+  return expenses
+    .map((expense) => ({
+      description: String(expense?.description || "").trim(),
+      quantity:
+        expense?.quantity === "" || expense?.quantity === undefined
+          ? 1
+          : toNumber(expense.quantity),
+      unitPrice: toNumber(expense?.unitPrice),
+    }))
+    .filter(
+      (expense) =>
+        expense.description && expense.quantity * expense.unitPrice !== 0,
+    );
+}
+
+/**
+ * Compute invoice totals
+ * @param {Object} params
+ * @param {number} params.laborAmount - Amount billed for time entries
+ * @param {Array} [params.charges] - Project fees ({amount}), see project-billing.js
+ * @param {Array} [params.expenses] - Normalized expense lines
+ * @param {Object|null} [params.discount] - Normalized discount
+ * @param {Array} [params.taxes] - Taxes to charge
+ * @returns {Object} Amounts rounded to cents
+ */
+export function calculateInvoiceTotals({
+  laborAmount,
+  charges = [],
+  expenses = [],
+  discount = null,
+  taxes = [],
+}) {
+  const expenseLines = expenses.map((expense) => ({
+    ...expense,
+    amount: roundMoney(expense.quantity * expense.unitPrice),
+  }));
+  const expenseAmount = roundMoney(
+    expenseLines.reduce((sum, expense) => sum + expense.amount, 0),
+  );
+  const chargeAmount = roundMoney(
+    charges.reduce((sum, charge) => sum + toNumber(charge.amount), 0),
+  );
+  const subtotal = roundMoney(
+    roundMoney(laborAmount) + chargeAmount + expenseAmount,
+  );
+
+  let discountAmount = 0;
+  if (discount) {
+    discountAmount =
+      discount.type === "percent"
+        ? roundMoney((subtotal * discount.value) / 100)
+        : roundMoney(discount.value);
+    discountAmount = Math.min(discountAmount, Math.max(subtotal, 0));
+  }
+
+  const taxableAmount = roundMoney(subtotal - discountAmount);
+  const taxLines = taxes.map((tax) => ({
+    ...tax,
+    amount: roundMoney((taxableAmount * tax.rate) / 100),
+  }));
+  const taxAmount = roundMoney(
+    taxLines.reduce((sum, tax) => sum + tax.amount, 0),
+  );
+
+  return {
+    laborAmount: roundMoney(laborAmount),
+    charges,
+    chargeAmount,
+    expenses: expenseLines,
+    expenseAmount,
+    subtotal,
+    discountAmount,
+    taxableAmount,
+    taxes: taxLines,
+    taxAmount,
+    totalAmount: roundMoney(taxableAmount + taxAmount),
+  };
+}
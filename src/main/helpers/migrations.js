@@ -0,0 +1,67 @@
+// Schema migrations: the prisma/migrations folders, numbered by the timestamp
+// in their name, applied in order by packaged builds. Each folder holds one
+// migration.sql written by `prisma migrate dev`.
+
+const MIGRATION_DIR_PATTERN = /^(\d{14})_(\w+)$/;
+
+/**
+ * Version and name of a migration folder
+ * @param {string} dirName - e.g. "20261021120000_add_rate_history"
+ * @returns {{version: number, name: string}|null} null for other folders
+ */
+export function parseMigrationDirName(dirName) {
+  const match = MIGRATION_DIR_PATTERN.exec(dirName);
+  if (!match) return null;
+  return { version: Number(match[1]), name: dirName };
+}
+
+/**
+ * Migrations not applied yet, oldest first
+ * @param {Array<{version: number}>} migrations
+ * @param {Set<number>} appliedVersions
+ * @returns {Array}
+ */
+export function getPendingMigrations(migrations, appliedVersions) {
+  return migrations
+    .filter((migration) => !appliedVersions.has(migration.version))
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Statements of a migration script, to run one at a time. Comment lines are
+ * dropped; statements end with a semicolon at the end of a line.
+ * @param {string} sql
+ * @returns {string[]}
+ */
+export function splitSqlStatements(sql) {
+  return sql
+    .split(/\r?\n/)
+    .filter((line) => !line.trim().startsWith("--"))
+    .join("\n")
+    .split(/;[ \t]*(?:\n|$)/)
+    .map((statement) => statement.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Message shown when a migration fails at startup
+ * @param {Error} error - Error from the migration runner, with migration and backupPath
+ * @returns {string}
+ */
+export function formatMigrationFailure(error) {
+  const lines = [
+    `myHours couldn't update your database for this version.`,
+    "",
+    `Failed update: ${error.migration?.name || "unknown"}`,
+    `Error: ${error.cause?.message || error.message}`,
+    "",
+    "The failed update was rolled back, so your data is as it was before.",
+  ];
+  if (error.backupPath) {
+    lines.push(
+      `A backup made just before the update is at:\n${error.backupPath}`,
+    );
+  }
+  lines.push("", "Please report this problem, including the details above.");
+  return lines.join("\n");
+}
@@ -0,0 +1,208 @@
+// How projects are billed. Hourly projects bill their time at the hourly
+// rate. A fixed-fee project bills its fee once, on the first invoice with time
+// on it. A retainer bills a monthly fee that includes some hours; hours beyond
+// that in the same month are billed at the overage rate.
+
+export const BILLING_TYPES = ["hourly", "fixed", "retainer"];
+
+export const BILLING_TYPE_LABELS = {
+  hourly: "Hourly",
+  fixed: "Fixed fee",
+  retainer: "Retainer",
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * Billing type of a project (projects without one are hourly)
+ * @param {Object} [project]
+ * @returns {string}
+ */
+export function getBillingType(project) {
+  return BILLING_TYPES.includes(project?.billingType)
+    ? project.billingType
+    : "hourly";
+}
+
+/**
+ * Billing period (calendar month, local time) a date falls in
+ * @param {Date|string} date
+ * @returns {string} e.g. "2026-10"
+ */
+export function getBillingPeriod(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}`;
+}
+
+/**
+ * Period a number of months before or after another
+ * @param {string} period - "YYYY-MM"
+ * @param {number} months
+ * @returns {string}
+ */
+export function addBillingPeriods(period, months) {
+  const [year, month] = period.split("-").map((n) => parseInt(n, 10));
+  return getBillingPeriod(new Date(year, month - 1 + months, 1));
+}
+
+/**
+ * First and last day of a period
+ * @param {string} period - "YYYY-MM"
+ * @returns {{startDate: string, endDate: string}} YYYY-MM-DD dates
+ */
+export function getPeriodRange(period) {
+  const [year, month] = period.split("-").map((n) => parseInt(n, 10));
+  const lastDay = new Date(year, month, 0).getDate();
+  return {
+    startDate: `${period}-01`,
+    endDate: `${period}-${pad(lastDay)}`,
+  };
+}
+
+/**
+ * @param {string} period - "YYYY-MM"
+ * @returns {string} e.g. "October 2026"
+ */
+export function formatBillingPeriod(period) {
+  const [year, month] = period.split("-").map((n) => parseInt(n, 10));
+  return new Date(year, month - 1, 1).toLocaleDateString("en-US", {
+    month: "long",
+    year: "numeric",
+  });
+}
+
+/**
+ * Hours used of a retainer in one period
+ * @param {Object} project - Retainer project with retainerHours
+ * @param {number} usedHours - Hours worked in the period
+ * @returns {Object} includedHours, usedHours, remainingHours, overageHours, percentUsed
+ */
+export function calculateRetainerUsage(project, usedHours) {
+  const includedHours = project?.retainerHours || 0;
+  const used = roundHours(usedHours || 0);
+
+  return {
+    includedHours,
+    usedHours: used,
+    remainingHours: roundHours(Math.max(includedHours - used, 0)),
+    overageHours: roundHours(Math.max(used - includedHours, 0)),
+    percentUsed:
+      includedHours > 0 ? Math.round((used / includedHours) * 100) : null,
+  };
+}
+
+const createCharge = (charge) => ({
+  ...charge,
+  quantity: roundHours(charge.quantity),
+  unitPrice: roundMoney(charge.unitPrice),
+  amount: roundMoney(charge.quantity * charge.unitPrice),
+});
+
+/**
+ * Fees an invoice charges for its fixed-fee and retainer projects
+ * @param {Object} params
+ * @param {Array} params.entries - Time entries on the invoice, with project and client
+ * @param {Array} [params.retainerProjects] - Retainers to bill for `periods` even without time
+ * @param {string[]} [params.periods] - Retainer periods billed regardless of time
+ * @param {Object} [params.history] - What other invoices already billed:
+ *   `charges` (charge keys) and `hours` (hours by "projectId:period")
+ * @returns {Array<Object>} Charges with key, type, projectId, period,
+ *   description, quantity, unitPrice and amount
+ */
+export function calculateProjectCharges({
+  entries,
+  retainerProjects = [],
+  periods = [],
+  history = {},
+}) {
+  const billedCharges = new Set(history.charges || []);
+  const billedHours = history.hours || {};
+  const projects = new Map();
+
+  const projectFor = (project) => {
+    if (!projects.has(project.id)) {
+      projects.set(project.id, { project, fallbackRate: 0, hours: {} });
+    }
+    return projects.get(project.id);
+  };
+
+  for (const project of retainerProjects) {
+    if (getBillingType(project) !== "retainer") continue;
+    const item = projectFor(project);
+    periods.forEach((period) => {
+      item.hours[period] = item.hours[period] || 0;
+    });
+  }
+
+  for (const entry of entries) {
+    if (!entry.project || getBillingType(entry.project) === "hourly") continue;
+    const item = projectFor(entry.project);
+    const period = getBillingPeriod(entry.startTime);
+    item.hours[period] = (item.hours[period] || 0) + (entry.duration || 0) / 60;
+    item.fallbackRate = item.fallbackRate || entry.client?.hourlyRate || 0;
+  }
+
+  const charges = [];
+  for (const { project, fallbackRate, hours } of projects.values()) {
+    if (getBillingType(project) === "fixed") {
+      const key = `fixed:${project.id}`;
+      if (!billedCharges.has(key) && project.fixedFee > 0) {
+        charges.push(
+          createCharge({
+            key,
+            type: "fixed",
+            projectId: project.id,
+            period: null,
+            description: `Fixed fee: ${project.name}`,
+            quantity: 1,
+            unitPrice: project.fixedFee,
+          }),
+        );
+      }
+      continue;
+    }
+
+    for (const period of Object.keys(hours).sort()) {
+      const label = `${project.name} (${formatBillingPeriod(period)})`;
+      const key = `retainer:${project.id}:${period}`;
+      if (!billedCharges.has(key) && project.retainerAmount > 0) {
+        charges.push(
+          createCharge({
+            key,
+            type: "retainer",
+            projectId: project.id,
+            period,
+            description: `Retainer: ${label}`,
+            quantity: 1,
+            unitPrice: project.retainerAmount,
+          }),
+        );
+      }
+
+      // Hours other invoices billed this month use up the included hours first
+      const included = project.retainerHours || 0;
+      const before = billedHours[`${project.id}:${period}`] || 0;
+      const overage =
+        Math.max(before + hours[period] - included, 0) -
+        Math.max(before - included, 0);
+      if (roundHours(overage) > 0) {
+        charges.push(
+          createCharge({
+            key: `overage:${project.id}:${period}`,
+            type: "overage",
+            projectId: project.id,
+            period,
+            description: `Hours beyond ${included} included: ${label}`,
+            quantity: overage,
+            unitPrice:
+              project.overageRate || project.hourlyRate || fallbackRate,
+          }),
+        );
+      }
+    }
+  }
+
+  return charges;
+}
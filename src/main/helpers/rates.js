@@ -0,0 +1,56 @@
+// Hourly rates. An entry is billed at its own rate when it has one, otherwise
+// at its task's, its project's or its client's, in that order. Everything
+// that prices time (invoices, exports, reports) resolves rates here.
+//
+// Client, project and task rates keep a history: each rate applies from its
+// effective date until the next one, so raising a rate doesn't reprice
+// earlier time. The first rate also covers time before it.
+
+const isRate = (rate) => typeof rate === "number" && rate > 0;
+
+/**
+ * Rate of a client, project or task as of a date
+ * @param {Object} [owner] - Client, project or task with hourlyRate and rateHistory
+ * @param {Date|string} [date] - Defaults to the current rate
+ * @returns {number|null|undefined}
+ */
+export function getRateAt(owner, date) {
+  const history = owner?.rateHistory || [];
+  if (!date || history.length === 0) return owner?.hourlyRate;
+
+  const time = new Date(date).getTime();
+  const sorted = [...history].sort(
+    (a, b) => new Date(a.effectiveFrom) - new Date(b.effectiveFrom),
+  );
+  let rate = sorted[0].rate;
+  for (const record of sorted) {
+    if (new Date(record.effectiveFrom).getTime() <= time) rate = record.rate;
+  }
+  return rate;
+}
+
+/**
+ * Hourly rate a time entry is billed at, as of its start time
+ * @param {Object} entry - Time entry with its task, project and client
+ * @returns {number} The rate, or 0 when none is set
+ */
+export function resolveHourlyRate(entry) {
+  const date = entry?.startTime;
+  const rates = [
+    entry?.hourlyRate,
+    getRateAt(entry?.task, date),
+    getRateAt(entry?.project, date),
+    getRateAt(entry?.client, date),
+  ];
+  return rates.find(isRate) || 0;
+}
+
+/**
+ * Rate from form data: a positive number, or null to inherit
+ * @param {*} value
+ * @returns {number|null}
+ */
+export function parseHourlyRate(value) {
+  const rate = parseFloat(value);
+  return isRate(rate) ? rate : null;
+}
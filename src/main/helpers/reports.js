@@ -0,0 +1,372 @@
+// Reports: time and money summed in SQL over a date range, so the Reports
+// page never loads every entry and invoice. Queries are built here and run by
+// DatabaseService; ReportService shapes the rows into totals, breakdowns and
+// chart series.
+//
+// Dates are stored by Prisma as milliseconds. Days, weeks (Monday to Sunday)
+// and months are taken in local time.
+
+import { CLOSED_INVOICE_STATUSES } from "./invoice-status.js";
+
+export const REPORT_TYPES = ["summary", "breakdown", "timeline", "receivables"];
+
+// Breakdowns and timeline stacks, from the widest to the narrowest
+export const REPORT_GROUPS = ["client", "project", "task"];
+
+export const REPORT_INTERVALS = ["day", "week", "month"];
+
+const LOCAL_TIME = "e.start_time / 1000, 'unixepoch', 'localtime'";
+
+// Columns added (and grouped by) for each dimension of a query
+const DIMENSIONS = {
+  client: ["e.client_id AS clientId", "e.client_name AS clientName"],
+  project: ["e.project_id AS projectId", "e.project_name AS projectName"],
+  task: ["e.task_id AS taskId", "e.task_name AS taskName"],
+  day: [`date(${LOCAL_TIME}) AS period`],
+  week: [`date(${LOCAL_TIME}, 'weekday 0', '-6 days') AS period`],
+  month: [`strftime('%Y-%m', ${LOCAL_TIME}) AS period`],
+};
+
+// Rate of a client, project or task as of the entry's start: its latest
+// rate history record from before then, else its first record, else its
+// hourly rate. Same as getRateAt in rates.js; a null rate reads as 0.
+const ownerRateSql = (alias, column) => `COALESCE(
+      (SELECT COALESCE(h.rate, 0) FROM rate_history h
+        WHERE h.${column} = ${alias}.id AND h.effective_from <= te.start_time
+        ORDER BY h.effective_from DESC, h.id DESC LIMIT 1),
+      (SELECT COALESCE(h.rate, 0) FROM rate_history h
+        WHERE h.${column} = ${alias}.id
+        ORDER BY h.effective_from, h.id LIMIT 1),
+      ${alias}.hourly_rate)`;
+
+// Rates of 0 or less (and none) fall through to the next one
+const positive = (sql) => `NULLIF(MAX(${sql}, 0), 0)`;
+
+// The rate an entry is billed at, as resolveHourlyRate in rates.js
+const ENTRY_RATE_SQL = `COALESCE(
+      ${positive("te.hourly_rate")},
+      ${positive(ownerRateSql("t", "task_id"))},
+      ${positive(ownerRateSql("p", "project_id"))},
+      ${positive(ownerRateSql("c", "client_id"))},
+      0)`;
+
+/**
+ * A report date: "YYYY-MM-DD" is a local day, anything else is parsed as is
+ * @param {Date|string|number} value
+ * @returns {Date|null} Null when missing or not a date
+ */
+export function parseReportDate(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  const date = match
+    ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+    : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Start and end of a report range; the end date is included in full
+ * @param {Object} params
+ * @param {Date|string} [params.startDate]
+ * @param {Date|string} [params.endDate]
+ * @returns {{start: Date|null, end: Date|null}}
+ */
+export function getReportRange({ startDate, endDate } = {}) {
+  const start = parseReportDate(startDate);
+  const end = parseReportDate(endDate);
+  if (end) end.setHours(23, 59, 59, 999);
+  return { start, end };
+}
+
+// Filter on one id or a list of ids; "none" matches rows without one
+const addIdFilter = (conditions, values, column, value) => {
+  if (value === undefined || value === null || value === "") return;
+  const list = Array.isArray(value) ? value : [value];
+  const ids = list.map((id) => parseInt(id, 10)).filter(Number.isInteger);
+  const matches = [];
+
+  if (ids.length > 0) {
+    matches.push(`${column} IN (${ids.map(() => "?").join(", ")})`);
+    values.push(...ids);
+  }
+  if (list.includes("none")) matches.push(`${column} IS NULL`);
+  if (matches.length === 0) return;
+  conditions.push(
+    matches.length > 1 ? `(${matches.join(" OR ")})` : matches[0],
+  );
+};
+
+/**
+ * WHERE clause for the time entries of a report
+ * @param {Object} [filters]
+ * @param {Date|string} [filters.startDate]
+ * @param {Date|string} [filters.endDate] - Included in full
+ * @param {number|number[]|string} [filters.clientId] - "none" for entries
+ *   without a client; the same for projectId and taskId
+ * @param {number|number[]} [filters.projectId]
+ * @param {number|number[]} [filters.taskId]
+ * @param {boolean} [filters.isBillable]
+ * @param {boolean} [filters.isInvoiced]
+ * @returns {{where: string, values: Array}}
+ */
+export function buildEntryFilter(filters = {}) {
+  const conditions = [];
+  const values = [];
+  const { start, end } = getReportRange(filters);
+
+  if (start) {
+    conditions.push("te.start_time >= ?");
+    values.push(start.getTime());
+  }
+  if (end) {
+    conditions.push("te.start_time <= ?");
+    values.push(end.getTime());
+  }
+  addIdFilter(conditions, values, "te.client_id", filters.clientId);
+  addIdFilter(conditions, values, "te.project_id", filters.projectId);
+  addIdFilter(conditions, values, "te.task_id", filters.taskId);
+  for (const [key, column] of [
+    ["isBillable", "te.is_billable"],
+    ["isInvoiced", "te.is_invoiced"],
+  ]) {
+    if (typeof filters[key] === "boolean") {
+      conditions.push(`${column} = ?`);
+      values.push(filters[key] ? 1 : 0);
+    }
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "",
+    values,
+  };
+}
+
+/**
+ * Query summing the hours and billable amounts of time entries, by
+ * currency and by any of the given dimensions
+ * @param {Object} [filters] - See buildEntryFilter
+ * @param {string[]} [dimensions] - "client", "project", "task", "day",
+ *   "week" or "month"
+ * @returns {{sql: string, values: Array}}
+ */
+export function buildTimeTotalsQuery(filters = {}, dimensions = []) {
+  const unknown = dimensions.filter((dimension) => !DIMENSIONS[dimension]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown report dimension: ${unknown.join(", ")}`);
+  }
+
+  const { where, values } = buildEntryFilter(filters);
+  const columns = dimensions.flatMap((dimension) => DIMENSIONS[dimension]);
+  const groupBy = [
+    ...columns.map((column) => column.split(" AS ")[1]),
+    "currency",
+  ];
+
+  const sql = `WITH e AS (
+    SELECT te.client_id, te.project_id, te.task_id, te.start_time,
+      te.duration, te.is_billable, te.is_invoiced,
+      c.name AS client_name, c.currency AS currency,
+      p.name AS project_name, t.name AS task_name,
+      ${ENTRY_RATE_SQL} AS rate
+    FROM time_entries te
+    LEFT JOIN clients c ON c.id = te.client_id
+    LEFT JOIN projects p ON p.id = te.project_id
+    LEFT JOIN tasks t ON t.id = te.task_id
+    ${where}
+  )
+  SELECT ${[...columns, "e.currency AS currency"].join(", ")},
+    COUNT(*) AS entries,
+    SUM(e.duration) AS minutes,
+    SUM(CASE WHEN e.is_billable THEN e.duration ELSE 0 END) AS billableMinutes,
+    SUM(CASE WHEN e.is_invoiced THEN e.duration ELSE 0 END) AS invoicedMinutes,
+    SUM(CASE WHEN e.is_billable THEN e.duration * e.rate ELSE 0 END) / 60.0 AS amount,
+    SUM(CASE WHEN e.is_billable AND e.is_invoiced THEN e.duration * e.rate ELSE 0 END) / 60.0 AS invoicedAmount
+  FROM e
+  GROUP BY ${groupBy.join(", ")}`;
+
+  return { sql, values };
+}
+
+/**
+ * Query summing invoices (net of credit notes) and their tax by currency.
+ * Voided invoices and superseded revisions are left out.
+ * @param {Object} [filters]
+ * @param {Date|string} [filters.startDate] - Invoices created from then
+ * @param {Date|string} [filters.endDate] - Included in full
+ * @param {number|number[]} [filters.clientId]
+ * @returns {{sql: string, values: Array}}
+ */
+export function buildInvoiceTotalsQuery(filters = {}) {
+  const conditions = [
+    `i.status NOT IN (${CLOSED_INVOICE_STATUSES.map(() => "?").join(", ")})`,
+  ];
+  const values = [...CLOSED_INVOICE_STATUSES];
+  const { start, end } = getReportRange(filters);
+
+  if (start) {
+    conditions.push("i.created_at >= ?");
+    values.push(start.getTime());
+  }
+  if (end) {
+    conditions.push("i.created_at <= ?");
+    values.push(end.getTime());
+  }
+  addIdFilter(conditions, values, "i.client_id", filters.clientId);
+
+  const sql = `SELECT COALESCE(NULLIF(i.currency, ''), c.currency) AS currency,
+    COUNT(*) AS invoices,
+    SUM(i.total_amount) AS invoiced,
+    SUM(COALESCE(i.tax_amount, 0)) AS tax,
+    SUM(CASE WHEN i.type = 'credit_note' THEN -i.total_amount ELSE 0 END) AS credited
+  FROM invoices i
+  LEFT JOIN clients c ON c.id = i.client_id
+  WHERE ${conditions.join(" AND ")}
+  GROUP BY 1`;
+
+  return { sql, values };
+}
+
+// SQLite returns integers from raw queries as BigInt
+const toNumber = (value) => (typeof value === "bigint" ? Number(value) : value);
+
+/**
+ * A row from a report query with plain numbers
+ * @param {Object} row
+ * @returns {Object}
+ */
+export function normalizeReportRow(row) {
+  return Object.fromEntries(
+    Object.entries(row).map(([key, value]) => [key, toNumber(value)]),
+  );
+}
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+const roundHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+/**
+ * Sum amounts into per-currency totals
+ * @param {Object} totals - { USD: 120 }, changed in place
+ * @param {string} currency
+ * @param {number} amount
+ * @returns {Object} totals
+ */
+export function addAmount(totals, currency, amount) {
+  if (!amount) return totals;
+  totals[currency] = roundMoney((totals[currency] || 0) + amount);
+  return totals;
+}
+
+/**
+ * Hours and amounts of some time totals rows, rows already in one currency
+ * each (see resolveCurrency)
+ * @param {Array} rows - Rows of buildTimeTotalsQuery with currency resolved
+ * @returns {Object} entries, hours (billable, non-billable, invoiced and
+ *   uninvoiced), utilization (billable share of hours, in percent) and
+ *   per-currency amount, invoicedAmount and uninvoicedAmount
+ */
+export function summarizeTimeRows(rows) {
+  const sums = {
+    entries: 0,
+    minutes: 0,
+    billableMinutes: 0,
+    invoicedMinutes: 0,
+  };
+  const amount = {};
+  const invoicedAmount = {};
+  const uninvoicedAmount = {};
+
+  for (const row of rows) {
+    for (const key of Object.keys(sums)) {
+      sums[key] += row[key] || 0;
+    }
+    addAmount(amount, row.currency, row.amount);
+    addAmount(invoicedAmount, row.currency, row.invoicedAmount);
+    addAmount(
+      uninvoicedAmount,
+      row.currency,
+      (row.amount || 0) - (row.invoicedAmount || 0),
+    );
+  }
+
+  return {
+    entries: sums.entries,
+    hours: roundHours(sums.minutes),
+    billableHours: roundHours(sums.billableMinutes),
+    nonBillableHours: roundHours(sums.minutes - sums.billableMinutes),
+    invoicedHours: roundHours(sums.invoicedMinutes),
+    uninvoicedHours: roundHours(sums.minutes - sums.invoicedMinutes),
+    utilization:
+      sums.minutes > 0
+        ? Math.round((sums.billableMinutes / sums.minutes) * 100)
+        : 0,
+    amount,
+    invoicedAmount,
+    uninvoicedAmount,
+  };
+}
+
+const LABELS = {
+  client: ["clientId", "clientName", "No client"],
+  project: ["projectId", "projectName", "No project"],
+  task: ["taskId", "taskName", "No task"],
+};
+
+/**
+ * Key and name of a row's group, e.g. "3/12" and "Website" for a project
+ * @param {Object} row
+ * @param {string} groupBy - One of REPORT_GROUPS
+ * @returns {{key: string, name: string}}
+ */
+export function getGroupLabel(row, groupBy) {
+  const levels = REPORT_GROUPS.slice(0, REPORT_GROUPS.indexOf(groupBy) + 1);
+  const [idKey, nameKey, fallback] = LABELS[groupBy];
+  return {
+    key: levels.map((level) => row[LABELS[level][0]] ?? "none").join("/"),
+    name: row[idKey] == null ? fallback : row[nameKey],
+  };
+}
+
+const pad = (number) => String(number).padStart(2, "0");
+
+const formatDay = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Period key of a date, as the queries group by
+ * @param {Date} date
+ * @param {string} interval - One of REPORT_INTERVALS
+ * @returns {string} "YYYY-MM-DD" (the Monday for weeks) or "YYYY-MM"
+ */
+export function getPeriodKey(date, interval) {
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  if (interval === "month") return formatDay(day).slice(0, 7);
+  if (interval === "week")
+    day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+  return formatDay(day);
+}
+
+/**
+ * Every period from one date to another, so charts show empty days too
+ * @param {Date} start
+ * @param {Date} end
+ * @param {string} interval - One of REPORT_INTERVALS
+ * @returns {string[]} Period keys in order
+ */
+export function listPeriods(start, end, interval) {
+  const periods = [];
+  const last = getPeriodKey(end, interval);
+  const cursor = new Date(
+    start.getFullYear(),
+    start.getMonth(),
+    start.getDate(),
+  );
+  if (interval === "month") cursor.setDate(1);
+
+  for (let key = getPeriodKey(cursor, interval); key <= last;) {
+    periods.push(key);
+    if (interval === "month") cursor.setMonth(cursor.getMonth() + 1);
+    else cursor.setDate(cursor.getDate() + (interval === "week" ? 7 : 1));
+    key = getPeriodKey(cursor, interval);
+  }
+  return periods;
+}
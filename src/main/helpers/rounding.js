@@ -0,0 +1,86 @@
+// Rounding policies turn the worked (raw) minutes of a time entry into billed
+// minutes. A policy can be set on a project or a client; the first one found
+// (project -> client -> global settings) applies.
+
+export const ROUNDING_MODES = ["up", "down", "nearest"];
+
+export const DEFAULT_ROUNDING_POLICY = { mode: "up", increment: 15, minimum: 0 };
+
+const toMinutes = (value, fallback = 0) => {
+  const minutes = parseInt(value, 10);
+  return isNaN(minutes) || minutes < 0 ? fallback : minutes;
+};
+
+const toMode = (value) =>
+  ROUNDING_MODES.includes(value) ? value : DEFAULT_ROUNDING_POLICY.mode;
+
+/**
+ * Policy stored on a client or project, or null when it inherits
+ * @param {Object} owner - Client or project with roundingMode/Increment/Minimum
+ * @returns {{mode: string, increment: number, minimum: number}|null}
+ */
+export function getOwnRoundingPolicy(owner) {
+  if (!owner || !owner.roundingMode) return null;
+
+  return {
+    mode: toMode(owner.roundingMode),
+    increment: toMinutes(owner.roundingIncrement),
+    minimum: toMinutes(owner.roundingMinimum),
+  };
+}
+
+/**
+ * Pick the policy that applies to an entry
+ * @param {Object} sources
+ * @param {Object} [sources.project] - Project of the entry
+ * @param {Object} [sources.client] - Client of the entry
+ * @param {Object} [sources.settings] - timer_rounding_mode, timer_rounding, timer_rounding_minimum
+ * @returns {{mode: string, increment: number, minimum: number, source: string}}
+ */
+export function resolveRoundingPolicy({ project, client, settings = {} } = {}) {
+  const projectPolicy = getOwnRoundingPolicy(project);
+  if (projectPolicy) return { ...projectPolicy, source: "project" };
+
+  const clientPolicy = getOwnRoundingPolicy(client);
+  if (clientPolicy) return { ...clientPolicy, source: "client" };
+
+  return {
+    mode: toMode(settings.timer_rounding_mode),
+    increment: toMinutes(
+      settings.timer_rounding,
+      DEFAULT_ROUNDING_POLICY.increment,
+    ),
+    minimum: toMinutes(settings.timer_rounding_minimum),
+    source: "global",
+  };
+}
+
+/**
+ * Apply a rounding policy to a number of worked minutes
+ * @param {number} minutes - Raw worked minutes
+ * @param {{mode: string, increment: number, minimum: number}} policy
+ * @returns {number} Billed minutes
+ */
+export function roundDuration(minutes, policy = DEFAULT_ROUNDING_POLICY) {
+  const raw = Math.max(0, Math.floor(minutes || 0));
+  const { mode, increment, minimum } = policy;
+
+  let rounded = raw;
+  if (increment > 0) {
+    const steps = raw / increment;
+    if (mode === "down") {
+      rounded = Math.floor(steps) * increment;
+    } else if (mode === "nearest") {
+      rounded = Math.round(steps) * increment;
+    } else {
+      rounded = Math.ceil(steps) * increment;
+    }
+  }
+
+  // The minimum only applies to entries with some worked time
+  if (raw > 0 && minimum > 0) {
+    rounded = Math.max(rounded, minimum);
+  }
+
+  return rounded;
+}
@@ -0,0 +1,51 @@
+// Helpers for time entry segments (the start/stop work intervals of an entry).
+// Pausing and resuming an entry adds segments, so the worked time of an entry
+// is the sum of its segments rather than endTime - startTime.
+
+export const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Sum the length of a list of segments
+ * @param {Array<{startTime: Date|string, endTime: Date|string|null}>} segments
+ * @param {Date} now - Used as the end of an open (still running) segment
+ * @returns {number} Total milliseconds
+ */
+export function getSegmentsMilliseconds(segments = [], now = new Date()) {
+  return segments.reduce((total, segment) => {
+    const start = new Date(segment.startTime).getTime();
+    const end = segment.endTime ? new Date(segment.endTime).getTime() : now.getTime();
+    if (isNaN(start) || isNaN(end)) return total;
+    return total + Math.max(0, end - start);
+  }, 0);
+}
+
+/**
+ * Worked time of an entry. Entries without segments (recorded before segments
+ * existed) fall back to their own startTime/endTime.
+ * @param {Object} entry - Time entry, optionally including `segments`
+ * @param {Date} now - Used as the end of a running entry
+ * @returns {number} Total milliseconds
+ */
+export function getEntryWorkedMilliseconds(entry, now = new Date()) {
+  if (!entry) return 0;
+
+  if (Array.isArray(entry.segments) && entry.segments.length > 0) {
+    return getSegmentsMilliseconds(entry.segments, now);
+  }
+
+  return getSegmentsMilliseconds(
+    [{ startTime: entry.startTime, endTime: entry.isActive ? null : entry.endTime || entry.startTime }],
+    now,
+  );
+}
+
+/**
+ * Start time that makes `now - startTime` equal the worked time of the entry.
+ * Used by displays that only know how to count up from a start time (tray).
+ * @param {Object} entry - Time entry, optionally including `segments`
+ * @param {Date} now
+ * @returns {Date}
+ */
+export function getEffectiveStartTime(entry, now = new Date()) {
+  return new Date(now.getTime() - getEntryWorkedMilliseconds(entry, now));
+}
@@ -0,0 +1,118 @@
+// Timesheets: a client's time entries listed one per row with their day,
+// start and end times, project and task, subtotalled per day and per project.
+// They are rendered on their own or appended to an invoice.
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// Local calendar day of a date as YYYY-MM-DD
+const getDayKey = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Minutes as hours and minutes, e.g. 95 → "1:35"
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function formatMinutes(minutes) {
+  const total = Math.round(minutes || 0);
+  return `${Math.floor(total / 60)}:${pad(total % 60)}`;
+}
+
+const formatTime = (date) =>
+  date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+const formatHours = (minutes) => (minutes / 60).toFixed(2);
+
+/**
+ * Timesheet data for the template. Running timers are left out, as they
+ * have no end yet.
+ * @param {Array<Object>} entries - Time entries with startTime, endTime,
+ *   duration (billed minutes), description, project and task
+ * @returns {{days: Array<Object>, projects: Array<Object>, entryCount: number, totalDuration: string, totalHours: string}}
+ *   Days in order with their entries and subtotal; projects by most time
+ */
+export function buildTimesheet(entries = []) {
+  const finished = entries
+    .filter((entry) => !entry.isActive && entry.endTime)
+    .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+  const days = new Map();
+  const projects = new Map();
+  let totalMinutes = 0;
+
+  for (const entry of finished) {
+    const start = new Date(entry.startTime);
+    const end = new Date(entry.endTime);
+    const minutes = entry.duration || 0;
+    const projectName = entry.project?.name || "No project";
+    const key = getDayKey(start);
+
+    if (!days.has(key)) {
+      days.set(key, {
+        date: key,
+        label: start.toLocaleDateString("en-US", {
+          weekday: "short",
+          year: "numeric",
+          month: "short",
+          day: "numeric",
+        }),
+        minutes: 0,
+        entries: [],
+      });
+    }
+    const day = days.get(key);
+    day.minutes += minutes;
+    day.entries.push({
+      id: entry.id,
+      start: formatTime(start),
+      end: formatTime(end),
+      duration: formatMinutes(minutes),
+      hours: formatHours(minutes),
+      project: projectName,
+      task: entry.task?.name || "",
+      description: entry.description || "",
+      isBillable: entry.isBillable !== false,
+    });
+
+    const projectKey = entry.projectId ?? "none";
+    if (!projects.has(projectKey)) {
+      projects.set(projectKey, { name: projectName, minutes: 0 });
+    }
+    projects.get(projectKey).minutes += minutes;
+    totalMinutes += minutes;
+  }
+
+  return {
+    days: [...days.values()].map(({ minutes, ...day }) => ({
+      ...day,
+      duration: formatMinutes(minutes),
+      hours: formatHours(minutes),
+    })),
+    projects: [...projects.values()]
+      .sort((a, b) => b.minutes - a.minutes)
+      .map(({ name, minutes }) => ({
+        name,
+        duration: formatMinutes(minutes),
+        hours: formatHours(minutes),
+        share:
+          totalMinutes > 0 ? Math.round((minutes / totalMinutes) * 100) : 0,
+      })),
+    entryCount: finished.length,
+    totalDuration: formatMinutes(totalMinutes),
+    totalHours: formatHours(totalMinutes),
+  };
+}
+
+/**
+ * Append a rendered section (e.g. a timesheet) to an HTML document, on a
+ * page of its own
+ * @param {string} html - Full document
+ * @param {string} section
+ * @returns {string}
+ */
+export function appendHtmlSection(html, section) {
+  const page = `<div style="page-break-before: always; break-before: page;"></div>${section}`;
+  const bodyEnd = html.toLowerCase().lastIndexOf("</body>");
+  if (bodyEnd === -1) return html + page;
+  return html.slice(0, bodyEnd) + page + html.slice(bodyEnd);
+}
@@ -7,8 +7,14 @@ import VersionService from './services/version-service.js';
 import logger from './services/logger-service.js';
 import DatabaseService from './services/database-service.js';
 import InvoiceGenerator from './services/invoice-service.js';
+import TemplateService from './services/template-service.js';
+import PathService from './services/path-service.js';
 import IpcService from './services/ipc-service.js';
 import AutoUpdaterService from './services/auto-updater-service.js';
+import IdleService from './services/idle-service.js';
+import RecurringInvoiceService from './services/recurring-invoice-service.js';
+import BackupService from './services/backup-service.js';
+import { formatMigrationFailure } from './helpers/migrations.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -64,6 +70,9 @@ class MyHoursApp {
     this.ipcService = null;
     this.autoUpdaterService = null;
     this.trayService = null;
+    this.idleService = null;
+    this.recurringInvoiceService = null;
+    this.backupService = null;
     this.versionService = new VersionService();
     this.wsServer = null;
   }
@@ -221,7 +230,14 @@ class MyHoursApp {
     logger.debug('[MAIN] Database initialized');
     
     // Initialize invoice generator
-    this.invoiceGenerator = new InvoiceGenerator({ database: this.database });
+    const pathService = new PathService();
+    this.invoiceGenerator = new InvoiceGenerator({
+      database: this.database,
+      templateService: new TemplateService({
+        templatesDir: pathService.getInvoiceTemplatesPath()
+      }),
+      brandingDir: pathService.getBrandingPath()
+    });
     
     // Setup IPC handlers
     this.setupIPC();
@@ -269,6 +285,23 @@ class MyHoursApp {
     } else {
       logger.debug(`[MAIN] No tray service available for platform: ${process.platform}`);
     }
+
+    // Watch for idle time while a timer is running
+    this.idleService = new IdleService(this.mainWindow, this.database);
+    this.idleService.setup();
+    if (this.trayService) {
+      this.idleService.setTrayService(this.trayService);
+      this.trayService.setIdleService(this.idleService);
+    }
+
+    // Create recurring invoice drafts when they come due
+    this.recurringInvoiceService = new RecurringInvoiceService(this.database, this.invoiceGenerator);
+    this.recurringInvoiceService.setup();
+
+    // Back up the database on the schedule chosen in Settings
+    this.backupService = new BackupService(this.database);
+    this.backupService.setup();
+    this.ipcService.setBackupService(this.backupService);
 
     app.on('window-all-closed', () => {
       if (process.platform !== 'darwin') {
@@ -293,6 +326,15 @@ class MyHoursApp {
       if (this.trayService) {
         this.trayService.destroy();
       }
+      if (this.idleService) {
+        this.idleService.destroy();
+      }
+      if (this.recurringInvoiceService) {
+        this.recurringInvoiceService.destroy();
+      }
+      if (this.backupService) {
+        this.backupService.destroy();
+      }
       if (this.wsServer) {
         logger.debug('[WEBSOCKET] Closing WebSocket server...');
         this.wsServer.close();
@@ -314,7 +356,11 @@ myHoursApp.initialize().catch((error) => {
   
   // Show an error dialog
   if (dialog) {
-    dialog.showErrorBox('Startup Error', `Failed to start MyHours: ${error.message}`);
+    if (error.migration) {
+      dialog.showErrorBox('Database Update Failed', formatMigrationFailure(error));
+    } else {
+      dialog.showErrorBox('Startup Error', `Failed to start MyHours: ${error.message}`);
+    }
   }
   
   process.exit(1);
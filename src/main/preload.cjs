@@ -26,7 +26,8 @@ const api = {
     getAllWithRelationships: () => ipcRenderer.invoke('db:getClientsWithRelationships'),
     create: (client) => ipcRenderer.invoke('db:createClient', client),
     update: (id, client) => ipcRenderer.invoke('db:updateClient', id, client),
-    delete: (id) => ipcRenderer.invoke('db:deleteClient', id)
+    delete: (id) => ipcRenderer.invoke('db:deleteClient', id),
+    getRateHistory: (clientId) => ipcRenderer.invoke('db:getRateHistory', clientId)
   },
   
   projects: {
@@ -34,7 +35,8 @@ const api = {
     create: (project) => ipcRenderer.invoke('db:createProject', project),
     update: (id, project) => ipcRenderer.invoke('db:updateProject', id, project),
     delete: (id) => ipcRenderer.invoke('db:deleteProject', id),
-    getDefault: (clientId) => ipcRenderer.invoke('db:getDefaultProject', clientId)
+    getDefault: (clientId) => ipcRenderer.invoke('db:getDefaultProject', clientId),
+    getRetainerUsage: (clientId) => ipcRenderer.invoke('db:getRetainerUsage', clientId)
   },
   
   tasks: {
@@ -68,7 +70,11 @@ const api = {
     update: (settings) => ipcRenderer.invoke('db:updateSettings', settings),
     getLastUsedClient: () => ipcRenderer.invoke('db:getLastUsedClient'),
     getLastUsedProject: () => ipcRenderer.invoke('db:getLastUsedProject'),
-    getLastUsedTask: () => ipcRenderer.invoke('db:getLastUsedTask')
+    getLastUsedTask: () => ipcRenderer.invoke('db:getLastUsedTask'),
+    getLogo: () => ipcRenderer.invoke('settings:getLogo'),
+    uploadLogo: () => ipcRenderer.invoke('settings:uploadLogo'),
+    removeLogo: () => ipcRenderer.invoke('settings:removeLogo'),
+    sendTestEmail: (to) => ipcRenderer.invoke('email:sendTest', to)
   },
   
   invoices: {
@@ -77,8 +83,25 @@ const api = {
     generateFromSelected: (data) => ipcRenderer.invoke('invoice:generateFromSelected', data),
     download: (id) => ipcRenderer.invoke('invoice:download', id),
     view: (id) => ipcRenderer.invoke('invoice:view', id),
-    regenerate: (id) => ipcRenderer.invoke('invoice:regenerate', id),
-    delete: (id) => ipcRenderer.invoke('db:deleteInvoice', id)
+    regenerate: (id, options) => ipcRenderer.invoke('invoice:regenerate', id, options),
+    delete: (id) => ipcRenderer.invoke('db:deleteInvoice', id),
+    updateStatus: (id, status) => ipcRenderer.invoke('db:updateInvoiceStatus', id, status),
+    recordPayment: (invoiceId, payment) => ipcRenderer.invoke('db:recordPayment', invoiceId, payment),
+    deletePayment: (id) => ipcRenderer.invoke('db:deletePayment', id),
+    createCreditNote: (invoiceId, creditNote) => ipcRenderer.invoke('invoice:createCreditNote', invoiceId, creditNote),
+    getRevisions: (invoiceNumber) => ipcRenderer.invoke('db:getInvoiceRevisions', invoiceNumber),
+    previewNumber: (options) => ipcRenderer.invoke('db:previewInvoiceNumber', options),
+    generateTimesheet: (data) => ipcRenderer.invoke('invoice:generateTimesheet', data),
+    composeEmail: (id) => ipcRenderer.invoke('invoice:composeEmail', id),
+    sendEmail: (id, email) => ipcRenderer.invoke('invoice:sendEmail', id, email)
+  },
+
+  templates: {
+    list: () => ipcRenderer.invoke('template:list'),
+    get: (id) => ipcRenderer.invoke('template:get', id),
+    preview: (content) => ipcRenderer.invoke('template:preview', content),
+    save: (template) => ipcRenderer.invoke('template:save', template),
+    delete: (id) => ipcRenderer.invoke('template:delete', id)
   },
   
   export: {
@@ -86,6 +109,29 @@ const api = {
     json: (data) => ipcRenderer.invoke('export:json', data)
   },
 
+  archive: {
+    export: () => ipcRenderer.invoke('archive:export'),
+    chooseFile: () => ipcRenderer.invoke('archive:chooseFile'),
+    inspect: (filePath) => ipcRenderer.invoke('archive:inspect', filePath),
+    import: (filePath, mode) => ipcRenderer.invoke('archive:import', filePath, mode)
+  },
+
+  csvImport: {
+    chooseFile: () => ipcRenderer.invoke('csvImport:chooseFile'),
+    preview: (filePath, options) => ipcRenderer.invoke('csvImport:preview', filePath, options),
+    import: (filePath, options) => ipcRenderer.invoke('csvImport:import', filePath, options)
+  },
+
+  backups: {
+    list: () => ipcRenderer.invoke('backup:list'),
+    getFolder: () => ipcRenderer.invoke('backup:getFolder'),
+    create: () => ipcRenderer.invoke('backup:create'),
+    chooseFolder: () => ipcRenderer.invoke('backup:chooseFolder'),
+    chooseFile: () => ipcRenderer.invoke('backup:chooseFile'),
+    inspect: (filePath) => ipcRenderer.invoke('backup:inspect', filePath),
+    restore: (filePath) => ipcRenderer.invoke('backup:restore', filePath)
+  },
+
   // App helpers
   openExternal: (url) => ipcRenderer.invoke('app:openExternal', url),
   window: {
@@ -155,6 +201,27 @@ api.updater = {
   }
 };
 
+// Idle detection API (keep / discard / split the idle time of the running timer)
+const idleListenerMap = new Map();
+api.idle = {
+  getPending: () => ipcRenderer.invoke('idle:getPending'),
+  resolve: (action, options) => ipcRenderer.invoke('idle:resolve', action, options),
+  onEvent: (callback) => {
+    if (typeof callback === 'function') {
+      const wrapper = (_event, data) => callback(data);
+      idleListenerMap.set(callback, wrapper);
+      ipcRenderer.on('idle:event', wrapper);
+    }
+  },
+  removeEventListener: (callback) => {
+    const wrapper = idleListenerMap.get(callback);
+    if (wrapper) {
+      ipcRenderer.removeListener('idle:event', wrapper);
+      idleListenerMap.delete(callback);
+    }
+  }
+};
+
 // Expose the API to the renderer process
 if (!isDev) {
   api.console.log('Exposing electronAPI to main world...');
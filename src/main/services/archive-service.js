@@ -0,0 +1,156 @@
+import path from 'path';
+import { promises as fsPromises } from 'fs';
+import logger from './logger-service.js';
+import {
+  ARCHIVE_FORMAT,
+  ARCHIVE_IMPORT_MODES,
+  ARCHIVE_SCHEMA_VERSION,
+  summarizeArchive,
+  validateArchive
+} from '../helpers/archive.js';
+
+/**
+ * Data archives: exports everything in the app to one JSON file and imports
+ * such a file again, on this machine or another one
+ */
+class ArchiveService {
+  constructor(dependencies = {}) {
+    if (!dependencies.database) {
+      throw new Error('Database dependency is required');
+    }
+
+    this.database = dependencies.database;
+    this.templateService = dependencies.templateService || null;
+    this.versionService = dependencies.versionService || null;
+    this.fileSystem = dependencies.fileSystem || {
+      readFile: fsPromises.readFile,
+      writeFile: fsPromises.writeFile
+    };
+    this.dateProvider = dependencies.dateProvider || (() => new Date());
+  }
+
+  // The user's own invoice templates with their source
+  getTemplates() {
+    if (!this.templateService) return [];
+    return this.templateService.listTemplates()
+      .filter(template => !template.builtIn)
+      .map(template => {
+        const { id, name, content } = this.templateService.getTemplate(template.id);
+        return { id, name, content };
+      });
+  }
+
+  /**
+   * The archive of all current data
+   * @returns {Promise<Object>}
+   */
+  async createArchive() {
+    return {
+      format: ARCHIVE_FORMAT,
+      schemaVersion: ARCHIVE_SCHEMA_VERSION,
+      appVersion: this.versionService ? this.versionService.getBaseVersion() : null,
+      exportedAt: this.dateProvider().toISOString(),
+      data: await this.database.getArchiveData(),
+      templates: this.getTemplates()
+    };
+  }
+
+  /**
+   * Write an archive of all current data
+   * @param {string} filePath
+   * @returns {Promise<Object>} Summary of what was exported
+   */
+  async exportTo(filePath) {
+    const archive = await this.createArchive();
+    await this.fileSystem.writeFile(filePath, JSON.stringify(archive, null, 2), 'utf8');
+    logger.info('[ARCHIVE] Data exported', { filePath });
+    return summarizeArchive(archive);
+  }
+
+  /**
+   * Read and check an archive file
+   * @param {string} filePath
+   * @returns {Promise<Object>} The archive
+   * @throws {Error} When the file is not an archive this version can import
+   */
+  async readArchive(filePath) {
+    let archive;
+    try {
+      archive = JSON.parse(await this.fileSystem.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error('This file is not a myHours archive', { cause: error });
+    }
+
+    const problem = validateArchive(archive);
+    if (problem) {
+      throw new Error(problem);
+    }
+    return archive;
+  }
+
+  /**
+   * What an archive holds, shown before importing it
+   * @param {string} filePath
+   * @returns {Promise<Object>} Summary with the file's path and name,
+   *   whether the database is empty (so the archive can be restored) and
+   *   whether restoring replaces the sample data
+   */
+  async inspect(filePath) {
+    const archive = await this.readArchive(filePath);
+    return {
+      ...summarizeArchive(archive),
+      path: filePath,
+      name: path.basename(filePath),
+      canRestore: !(await this.database.hasUserData()),
+      replacesSampleData: await this.database.hasOnlySampleData()
+    };
+  }
+
+  // Add the archive's templates, with the ids of those renamed because a
+  // different template here has their id
+  importTemplates(templates) {
+    const templateIds = {};
+    let created = 0;
+    if (!this.templateService) {
+      return { templateIds, created };
+    }
+
+    for (const template of templates) {
+      const result = this.templateService.importTemplate(template);
+      if (result.id !== template.id) {
+        templateIds[template.id] = result.id;
+      }
+      if (result.created) created++;
+    }
+    return { templateIds, created };
+  }
+
+  /**
+   * Import an archive file
+   * @param {string} filePath
+   * @param {string} mode - "restore" into an empty database, or "merge"
+   * @returns {Promise<{created: Object, skipped: Object}>} Rows by table,
+   *   with the number of templates added under created.templates
+   */
+  async importFrom(filePath, mode) {
+    if (!ARCHIVE_IMPORT_MODES.includes(mode)) {
+      throw new Error(`Unknown import mode: ${mode}`);
+    }
+
+    const archive = await this.readArchive(filePath);
+    if (mode === 'restore' && await this.database.hasUserData()) {
+      throw new Error('Restoring an archive needs an empty database. Merge it into the current data instead.');
+    }
+
+    const { templateIds, created } = this.importTemplates(archive.templates || []);
+    const result = await this.database.importArchiveData(archive.data, {
+      mode,
+      templateIds,
+      exportedAt: archive.exportedAt
+    });
+    logger.info('[ARCHIVE] Data imported', { filePath, mode });
+    return { ...result, created: { ...result.created, templates: created } };
+  }
+}
+
+export default ArchiveService;
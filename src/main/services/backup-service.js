@@ -0,0 +1,234 @@
+import fsPromises from 'fs/promises';
+import path from 'path';
+import pkg from '@prisma/client';
+import logger from './logger-service.js';
+import PathService from './path-service.js';
+import {
+  REQUIRED_BACKUP_TABLES,
+  createBackupFileName,
+  getBackupKind,
+  getExpiredBackups,
+  isBackupDue,
+  isSqliteFile,
+  parseBackupFileName,
+  resolveBackupRetention
+} from '../helpers/backups.js';
+
+const { PrismaClient } = pkg;
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Tables counted in the summary shown before a restore
+const SUMMARY_TABLES = {
+  clients: 'clients',
+  projects: 'projects',
+  tasks: 'tasks',
+  timeEntries: 'time_entries',
+  invoices: 'invoices'
+};
+
+const openBackupDatabase = (filePath) =>
+  new PrismaClient({ datasources: { db: { url: `file:${filePath}` } } });
+
+// SQLite returns dates stored by Prisma as milliseconds (possibly BigInt)
+const toDate = (value) => {
+  if (value === null || value === undefined) return null;
+  const date = new Date(typeof value === 'bigint' ? Number(value) : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Backs up the database to the folder chosen in Settings, automatically on
+ * the daily or weekly schedule or when asked, and restores it from a backup.
+ * A backup is checked and summarised before it replaces the live database,
+ * and the current data is backed up first.
+ */
+class BackupService {
+  constructor(database, options = {}) {
+    this.database = database;
+    this.pathService = options.pathService || new PathService();
+    this.dateProvider = options.dateProvider || (() => new Date());
+    this.openDatabase = options.openDatabase || openBackupDatabase;
+    this.interval = null;
+    this.running = false;
+
+    this.runDue = this.runDue.bind(this);
+  }
+
+  setup() {
+    this.runDue();
+    this.interval = setInterval(this.runDue, CHECK_INTERVAL_MS);
+    logger.debug('[BACKUP] Automatic backups scheduled');
+  }
+
+  async getBackupFolder() {
+    const folder = await this.database.getSetting('backup_folder');
+    return folder || this.pathService.getBackupsPath();
+  }
+
+  /**
+   * Backups in the backup folder, newest first. `kind` is "backup", or
+   * "pre-migration" for the copies made before a schema update.
+   * @returns {Promise<Array<{name: string, path: string, size: number, createdAt: Date, kind: string}>>}
+   */
+  async listBackups() {
+    const folder = await this.getBackupFolder();
+    let fileNames;
+    try {
+      fileNames = await fsPromises.readdir(folder);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const backups = [];
+    for (const name of fileNames) {
+      const createdAt = parseBackupFileName(name);
+      if (!createdAt) continue;
+      const filePath = path.join(folder, name);
+      const { size } = await fsPromises.stat(filePath);
+      backups.push({ name, path: filePath, size, createdAt, kind: getBackupKind(name) });
+    }
+    return backups.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // Copy of the database in the backup folder, named after the current time
+  async createBackup() {
+    const folder = await this.getBackupFolder();
+    await fsPromises.mkdir(folder, { recursive: true });
+
+    const createdAt = this.dateProvider();
+    const name = createBackupFileName(createdAt);
+    const filePath = path.join(folder, name);
+    const exists = await fsPromises.access(filePath).then(() => true, () => false);
+    if (exists) {
+      throw new Error('A backup was made a moment ago; try again in a second');
+    }
+
+    await this.database.backupTo(filePath);
+    const { size } = await fsPromises.stat(filePath);
+    logger.info('[BACKUP] Database backed up', { filePath });
+    return { name, path: filePath, size, createdAt, kind: getBackupKind(name) };
+  }
+
+  /**
+   * Back up the database now and remove backups beyond the retention count
+   * @returns {Promise<Object>} The new backup
+   */
+  async backupNow() {
+    const backup = await this.createBackup();
+    await this.pruneBackups();
+    return backup;
+  }
+
+  async pruneBackups() {
+    const retention = resolveBackupRetention(await this.database.getSetting('backup_retention'));
+    for (const backup of getExpiredBackups(await this.listBackups(), retention)) {
+      try {
+        await fsPromises.rm(backup.path, { force: true });
+        logger.debug('[BACKUP] Removed old backup:', backup.name);
+      } catch (error) {
+        logger.warn('[BACKUP] Failed to remove old backup:', backup.name, error.message);
+      }
+    }
+  }
+
+  /**
+   * Make the scheduled backup when it is due
+   * @returns {Promise<Object|null>} The new backup, or null when none was due
+   */
+  async runDue() {
+    if (this.running) return null;
+    this.running = true;
+
+    try {
+      const schedule = await this.database.getSetting('backup_schedule');
+      const [latest] = await this.listBackups();
+      if (!isBackupDue(schedule, latest?.createdAt || null, this.dateProvider())) {
+        return null;
+      }
+      return await this.backupNow();
+    } catch (error) {
+      logger.error('[BACKUP] Error making scheduled backup:', error);
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Check that a file is a usable myHours database and summarise it
+   * @param {string} filePath
+   * @returns {Promise<Object>} File details, row counts and the latest time entry
+   */
+  async inspectBackup(filePath) {
+    const header = Buffer.alloc(16);
+    const handle = await fsPromises.open(filePath, 'r');
+    try {
+      await handle.read(header, 0, header.length, 0);
+    } finally {
+      await handle.close();
+    }
+    if (!isSqliteFile(header)) {
+      throw new Error('This file is not a myHours backup (not an SQLite database)');
+    }
+
+    const db = this.openDatabase(filePath);
+    try {
+      const [integrity] = await db.$queryRawUnsafe('PRAGMA integrity_check');
+      if (Object.values(integrity || {})[0] !== 'ok') {
+        throw new Error('This backup is damaged and cannot be restored');
+      }
+
+      const tables = await db.$queryRawUnsafe("SELECT name FROM sqlite_master WHERE type = 'table'");
+      const tableNames = tables.map(table => table.name);
+      const missing = REQUIRED_BACKUP_TABLES.filter(table => !tableNames.includes(table));
+      if (missing.length > 0) {
+        throw new Error(`This file is not a myHours backup (missing ${missing.join(', ')})`);
+      }
+
+      const counts = {};
+      for (const [key, table] of Object.entries(SUMMARY_TABLES)) {
+        const [row] = await db.$queryRawUnsafe(`SELECT COUNT(*) AS count FROM "${table}"`);
+        counts[key] = Number(row.count);
+      }
+      const [latest] = await db.$queryRawUnsafe('SELECT MAX(start_time) AS startTime FROM time_entries');
+
+      const { size, mtime } = await fsPromises.stat(filePath);
+      return {
+        name: path.basename(filePath),
+        path: filePath,
+        size,
+        createdAt: parseBackupFileName(path.basename(filePath)) || mtime,
+        ...counts,
+        lastEntryAt: toDate(latest?.startTime)
+      };
+    } finally {
+      await db.$disconnect();
+    }
+  }
+
+  /**
+   * Replace the live database with a backup. The current data is backed up
+   * first so the restore can be undone; old backups are not pruned here so
+   * the one being restored is never removed.
+   * @param {string} filePath
+   * @returns {Promise<{backup: Object, summary: Object}>} Safety backup and restored summary
+   */
+  async restoreBackup(filePath) {
+    const summary = await this.inspectBackup(filePath);
+    const backup = await this.createBackup();
+    await this.database.restoreFrom(filePath);
+    logger.info('[BACKUP] Database restored', { filePath, safetyBackup: backup.path });
+    return { backup, summary };
+  }
+
+  destroy() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+}
+
+export default BackupService;
@@ -0,0 +1,117 @@
+import path from 'path';
+import { promises as fsPromises } from 'fs';
+import logger from './logger-service.js';
+import {
+  CSV_IMPORT_FIELDS,
+  DATE_FORMATS,
+  DURATION_UNITS,
+  buildImportRows,
+  guessColumnMapping,
+  guessDurationUnit,
+  parseCsv
+} from '../helpers/csv-import.js';
+
+// Rows shown in the preview, and rows with errors listed
+const PREVIEW_ROWS = 50;
+const MAX_LISTED_ERRORS = 100;
+
+/**
+ * Imports time entries from any CSV file: reads its columns, maps them to
+ * entry fields the user chose, checks every row and adds the valid ones
+ */
+class CsvImportService {
+  constructor(dependencies = {}) {
+    if (!dependencies.database) {
+      throw new Error('Database dependency is required');
+    }
+
+    this.database = dependencies.database;
+    this.fileSystem = dependencies.fileSystem || {
+      readFile: fsPromises.readFile
+    };
+  }
+
+  async readFile(filePath) {
+    const rows = parseCsv(await this.fileSystem.readFile(filePath, 'utf8'));
+    if (rows.length < 2) {
+      throw new Error('The file has no rows to import');
+    }
+    const [headers, ...records] = rows;
+    return { headers: headers.map(header => header.trim()), records };
+  }
+
+  /**
+   * Columns of a file, with a suggested mapping from their names
+   * @param {string} filePath
+   * @returns {Promise<Object>} fileName, headers, rowCount, mapping
+   *   (field -> column index) and durationUnit
+   */
+  async open(filePath) {
+    const { headers, records } = await this.readFile(filePath);
+    const mapping = guessColumnMapping(headers);
+    return {
+      filePath,
+      fileName: path.basename(filePath),
+      headers,
+      rowCount: records.length,
+      mapping,
+      durationUnit: Number.isInteger(mapping.duration) ? guessDurationUnit(headers[mapping.duration]) : 'hours'
+    };
+  }
+
+  validateOptions({ mapping = {}, dateFormat, durationUnit } = {}) {
+    const unknown = Object.keys(mapping).filter(field => !CSV_IMPORT_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown fields: ${unknown.join(', ')}`);
+    }
+    if (dateFormat && !DATE_FORMATS.includes(dateFormat)) {
+      throw new Error(`Unknown date format: ${dateFormat}`);
+    }
+    if (durationUnit && !DURATION_UNITS.includes(durationUnit)) {
+      throw new Error(`Unknown duration unit: ${durationUnit}`);
+    }
+    if (!Number.isInteger(mapping.date) && !Number.isInteger(mapping.start)) {
+      throw new Error('Choose the column with the date or start time');
+    }
+  }
+
+  /**
+   * Check a file with a column mapping and import its valid rows
+   * @param {string} filePath
+   * @param {Object} options
+   * @param {Object} options.mapping - Field -> column index
+   * @param {string} [options.dateFormat] - "mdy" or "dmy"
+   * @param {string} [options.durationUnit] - "hours" or "minutes"
+   * @param {string} [options.defaultStartTime] - For rows without a start time
+   * @param {boolean} [options.dryRun] - Only report what would be imported
+   *   (default true)
+   * @returns {Promise<Object>} Counts (rows, valid, invalid, imported,
+   *   duplicates), new clients/projects/tasks, the first rows as a preview
+   *   and the rows with errors
+   */
+  async run(filePath, options = {}) {
+    this.validateOptions(options);
+    const { records } = await this.readFile(filePath);
+    const rows = buildImportRows(records, options);
+
+    const valid = rows.filter(row => row.errors.length === 0);
+    const invalid = rows.filter(row => row.errors.length > 0);
+    const dryRun = options.dryRun !== false;
+    const result = await this.database.importTimeEntries(valid.map(row => row.entry), { dryRun });
+
+    if (!dryRun) {
+      logger.info('[CSV IMPORT] Time entries imported', { filePath, imported: result.imported });
+    }
+    return {
+      dryRun,
+      rows: rows.length,
+      valid: valid.length,
+      invalid: invalid.length,
+      ...result,
+      preview: rows.slice(0, PREVIEW_ROWS),
+      errors: invalid.slice(0, MAX_LISTED_ERRORS).map(({ row, errors }) => ({ row, errors }))
+    };
+  }
+}
+
+export default CsvImportService;
@@ -7,10 +7,65 @@ import path from "path";
 import fs from "fs";
 
 import PathService from "./path-service.js";
+import MigrationService from "./migration-service.js";
 import logger from "./logger-service.js";
+import {
+  MS_PER_MINUTE,
+  getSegmentsMilliseconds,
+} from "../helpers/time-segments.js";
+import { resolveRoundingPolicy, roundDuration } from "../helpers/rounding.js";
+import { parseTaxRates } from "../helpers/invoice-totals.js";
+import { resolveBillable } from "../helpers/billable.js";
+import { parseHourlyRate, resolveHourlyRate } from "../helpers/rates.js";
+import {
+  CLOSED_INVOICE_STATUSES,
+  MANUAL_INVOICE_STATUSES,
+  getAgingBucket,
+  getInvoiceStatus,
+  getPaymentStatus,
+  sumCredits,
+  sumPayments,
+} from "../helpers/invoice-status.js";
+import {
+  formatInvoiceNumber,
+  getSequenceScope,
+  resolveCreditNotePattern,
+  resolveNumbering,
+} from "../helpers/invoice-numbering.js";
+import {
+  BILLING_TYPES,
+  calculateRetainerUsage,
+  getBillingPeriod,
+  getPeriodRange,
+} from "../helpers/project-billing.js";
+import {
+  ARCHIVE_EXCLUDED_SETTINGS,
+  invoiceKey,
+  nameKey,
+  timeEntryKey,
+} from "../helpers/archive.js";
+import {
+  buildInvoiceTotalsQuery,
+  buildTimeTotalsQuery,
+  normalizeReportRow,
+} from "../helpers/reports.js";
 const truthy = (v) => /^(1|true|yes|on)$/i.test(String(v || ""));
 const execAsync = promisify(exec);
 
+// Importing a large archive or CSV file is many inserts in one transaction
+const IMPORT_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Row counts and highest ids of the sample data seeded on first start, to
+// tell it apart from data added since
+const SAMPLE_DATA_SETTING = "sample_data";
+
+// Relations a time entry's rate is resolved from, with their rate history
+const ENTRY_RATE_INCLUDE = {
+  client: { include: { rateHistory: true } },
+  project: { include: { rateHistory: true } },
+  task: { include: { project: true, rateHistory: true } },
+};
+
 class DatabaseService {
   constructor() {
     this.pathService = new PathService();
@@ -36,6 +91,12 @@ class DatabaseService {
   }
 
   async initialize() {
+    // Packaged builds migrate the database before connecting (development
+    // uses prisma migrate)
+    if (app.isPackaged) {
+      await this.migrate();
+    }
+
     // Connect to database
     await this.prisma.$connect();
     logger.database("info", "Database connected successfully");
@@ -52,43 +113,16 @@ class DatabaseService {
       tableCount: Number(tableCount[0].count),
     });
 
-    // Simple migration check - only in production
-    if (app.isPackaged) {
-      await this.ensureLatestMigration();
-    }
-
     // Check if database needs seeding
     await this.seedIfEmpty();
   }
 
-  async ensureLatestMigration() {
-    // Check for isDefault column (previous migration)
-    try {
-      await this.prisma.$queryRaw`SELECT is_default FROM projects LIMIT 1`;
-      logger.database("info", "Previous migration (isDefault) already applied");
-    } catch (error) {
-      logger.database("info", "Adding isDefault column to projects table");
-      await this.prisma
-        .$executeRaw`ALTER TABLE "projects" ADD COLUMN "is_default" BOOLEAN NOT NULL DEFAULT false`;
-      logger.database("info", "isDefault migration applied successfully");
-    }
-
-    // Check for data column in invoices table (new migration)
-    try {
-      await this.prisma.$queryRaw`SELECT data FROM invoices LIMIT 1`;
-      logger.database(
-        "info",
-        "Latest migration (invoice data field) already applied",
-      );
-    } catch (error) {
-      logger.database("info", "Adding data column to invoices table");
-      await this.prisma
-        .$executeRaw`ALTER TABLE "invoices" ADD COLUMN "data" TEXT DEFAULT '{}'`;
-      logger.database(
-        "info",
-        "Invoice data field migration applied successfully",
-      );
-    }
+  // Apply pending schema migrations (packaged builds)
+  async migrate(dbPath = this.pathService.getDatabasePath(), options = {}) {
+    const migrationService = new MigrationService({
+      pathService: this.pathService,
+    });
+    return migrationService.migrate(dbPath, options);
   }
 
   async seedIfEmpty() {
@@ -129,6 +163,15 @@ class DatabaseService {
           logger.database("info", "Post-seed verification", {
             clientCount: newClientCount,
           });
+
+          if (newClientCount > 0) {
+            const { key } = await this.getDataFingerprint();
+            await this.prisma.setting.upsert({
+              where: { key: SAMPLE_DATA_SETTING },
+              update: { value: key },
+              create: { key: SAMPLE_DATA_SETTING, value: key },
+            });
+          }
         } else {
           logger.database("warn", "Seed script not found", { seedPath });
         }
@@ -183,6 +226,823 @@ class DatabaseService {
     await this.prisma.$disconnect();
   }
 
+  // Write a consistent copy of the live database (safe while connected)
+  async backupTo(filePath) {
+    try {
+      await this.prisma.$executeRaw`VACUUM INTO ${filePath}`;
+      logger.database("info", "Database backed up", { filePath });
+    } catch (error) {
+      logger.error("Error backing up database:", error);
+      throw error;
+    }
+  }
+
+  // Replace the live database with a backup without restarting the app. The
+  // backup is staged (and migrated) next to the live file first so a failure
+  // leaves the current data alone; the swap itself happens while disconnected.
+  async restoreFrom(filePath) {
+    const dbPath = this.pathService.getDatabasePath();
+    const stagedPath = `${dbPath}.restore`;
+    try {
+      await fs.promises.copyFile(filePath, stagedPath);
+
+      // Backups from older versions get the migrations added since. The
+      // backup itself is the copy to go back to, so no other is made.
+      if (app.isPackaged) {
+        await this.migrate(stagedPath, { backup: false });
+      }
+
+      await this.prisma.$disconnect();
+      try {
+        for (const suffix of ["-journal", "-wal", "-shm"]) {
+          await fs.promises.rm(`${dbPath}${suffix}`, { force: true });
+        }
+        await fs.promises.rename(stagedPath, dbPath);
+      } finally {
+        await this.prisma.$connect();
+      }
+      logger.database("info", "Database restored from backup", { filePath });
+    } catch (error) {
+      await fs.promises.rm(stagedPath, { force: true });
+      logger.error("Error restoring database:", error);
+      throw error;
+    }
+  }
+
+  // Every row of every table, oldest first, for a data archive
+  async getArchiveData() {
+    try {
+      const byId = { orderBy: { id: "asc" } };
+      const [
+        clients,
+        projects,
+        tasks,
+        rateHistory,
+        invoices,
+        payments,
+        timeEntries,
+        timeEntrySegments,
+        invoiceSequences,
+        settings,
+      ] = await this.prisma.$transaction([
+        this.prisma.client.findMany(byId),
+        this.prisma.project.findMany(byId),
+        this.prisma.task.findMany(byId),
+        this.prisma.rateHistory.findMany(byId),
+        this.prisma.invoice.findMany(byId),
+        this.prisma.payment.findMany(byId),
+        this.prisma.timeEntry.findMany(byId),
+        this.prisma.timeEntrySegment.findMany(byId),
+        this.prisma.invoiceSequence.findMany(byId),
+        this.prisma.setting.findMany(byId),
+      ]);
+
+      return {
+        clients,
+        projects,
+        tasks,
+        rateHistory,
+        invoices,
+        payments,
+        timeEntries,
+        timeEntrySegments,
+        invoiceSequences: invoiceSequences.map(({ scope, nextValue }) => ({
+          scope,
+          nextValue,
+        })),
+        settings: settings
+          .filter((setting) => !ARCHIVE_EXCLUDED_SETTINGS.includes(setting.key))
+          .map(({ key, value }) => ({ key, value })),
+      };
+    } catch (error) {
+      logger.error("Error reading archive data:", error);
+      throw error;
+    }
+  }
+
+  // Rows and highest id of clients, time entries and invoices (read through
+  // `client`, which may be a transaction)
+  async getDataFingerprint(client = this.prisma) {
+    let total = 0;
+    const parts = [];
+    for (const table of ["client", "timeEntry", "invoice"]) {
+      const rows = await client[table].count();
+      const last = await client[table].findFirst({ orderBy: { id: "desc" } });
+      total += rows;
+      parts.push(`${table}:${rows}:${last?.id ?? 0}`);
+    }
+    return { total, key: parts.join("|") };
+  }
+
+  // Whether the only data is the sample data seeded on first start, with no
+  // clients, time entries or invoices added or deleted since
+  async hasOnlySampleData(client = this.prisma) {
+    const { total, key } = await this.getDataFingerprint(client);
+    if (total === 0) return false;
+    const setting = await client.setting.findUnique({
+      where: { key: SAMPLE_DATA_SETTING },
+    });
+    return setting?.value === key;
+  }
+
+  // Whether there are clients, time entries or invoices other than the
+  // sample data (read through `client`, which may be a transaction)
+  async hasUserData(client = this.prisma) {
+    const { total } = await this.getDataFingerprint(client);
+    return total > 0 && !(await this.hasOnlySampleData(client));
+  }
+
+  // Delete the sample data (and the settings referring to its ids) so an
+  // archive can be restored in its place
+  async clearSampleData(tx) {
+    await tx.timeEntrySegment.deleteMany();
+    await tx.payment.deleteMany();
+    await tx.timeEntry.deleteMany();
+    await tx.invoice.deleteMany();
+    await tx.rateHistory.deleteMany();
+    await tx.task.deleteMany();
+    await tx.project.deleteMany();
+    await tx.client.deleteMany();
+    await tx.invoiceSequence.deleteMany();
+    await tx.setting.deleteMany({
+      where: {
+        key: {
+          in: [
+            SAMPLE_DATA_SETTING,
+            "lastUsedClientId",
+            "lastUsedProjectId",
+            "lastUsedTaskId",
+          ],
+        },
+      },
+    });
+  }
+
+  /**
+   * Import the tables of a data archive in one transaction. "restore" needs
+   * an empty database (or one with only the sample data, which it replaces)
+   * and keeps every id; "merge" gives rows new ids and
+   * skips the clients, projects, tasks, rates, invoices and time entries
+   * that are already here, matched by name, number or time instead of id.
+   * Merged invoices whose number a different invoice here already uses get
+   * the next number from the counter. Running timers are imported stopped at
+   * the time the archive was exported, as only one timer can run.
+   * @param {Object} data - Tables of the archive
+   * @param {Object} options
+   * @param {string} options.mode - "restore" or "merge"
+   * @param {Object} [options.templateIds] - Id here of archive templates
+   *   that were renamed on import
+   * @param {string} [options.exportedAt] - When the archive was exported
+   * @returns {Promise<{created: Object, skipped: Object, renumbered: Array<{from: string, to: string}>, stoppedTimers: number}>}
+   *   Rows by table, the invoice numbers that were changed and the number of
+   *   timers stopped
+   */
+  async importArchiveData(data, { mode, templateIds = {}, exportedAt } = {}) {
+    const keepIds = mode === "restore";
+    const created = {};
+    const skipped = {};
+    const renumbered = [];
+    const stoppedEntries = [];
+    const count = (counts, table) => {
+      counts[table] = (counts[table] || 0) + 1;
+    };
+    const byId = (a, b) => a.id - b.id;
+    const getArchiveInvoiceNumber = (json) => {
+      try {
+        return JSON.parse(json)?.archiveInvoiceNumber || null;
+      } catch (_) {
+        return null;
+      }
+    };
+    const fields = ({ id, ...rest }) => (keepIds ? { id, ...rest } : rest);
+    const templateId = (id) => templateIds[id] || id || null;
+
+    // Archive id -> id here, for every row rows of later tables refer to
+    const ids = {
+      client: new Map(),
+      project: new Map(),
+      task: new Map(),
+      invoice: new Map(),
+      timeEntry: new Map(),
+    };
+    const mapId = (table, id) => {
+      if (id === null || id === undefined) return null;
+      if (!ids[table].has(id)) {
+        throw new Error(`The archive refers to a missing ${table} (${id})`);
+      }
+      return ids[table].get(id);
+    };
+    const rateKey = (rate) =>
+      [
+        rate.clientId ?? "",
+        rate.projectId ?? "",
+        rate.taskId ?? "",
+        new Date(rate.effectiveFrom).getTime(),
+      ].join("|");
+    // Stored invoice data pointing at renamed templates and changed numbers;
+    // a changed number keeps the archive's, to recognize the invoice when
+    // the archive is merged again
+    const withInvoiceChanges = (json, invoiceNumber, archiveNumber) => {
+      try {
+        const invoiceData = JSON.parse(json);
+        const changes = {
+          ...(templateIds[invoiceData?.templateId] && {
+            templateId: templateIds[invoiceData.templateId],
+          }),
+          ...(invoiceNumber !== archiveNumber && {
+            invoiceNumber,
+            archiveInvoiceNumber: archiveNumber,
+          }),
+        };
+        if (Object.keys(changes).length > 0) {
+          return JSON.stringify({ ...invoiceData, ...changes });
+        }
+      } catch (_) {}
+      return json;
+    };
+
+    try {
+      const result = await this.prisma.$transaction(
+        async (tx) => {
+          if (keepIds && (await this.hasUserData(tx))) {
+            throw new Error(
+              "Restoring an archive needs an empty database. Merge it into the current data instead.",
+            );
+          }
+          if (keepIds && (await this.hasOnlySampleData(tx))) {
+            await this.clearSampleData(tx);
+          }
+
+          // What is already here, by matching key
+          const existing = {
+            clients: new Map(
+              (await tx.client.findMany()).map((c) => [
+                nameKey(null, c.name),
+                c.id,
+              ]),
+            ),
+            projects: new Map(
+              (await tx.project.findMany()).map((p) => [
+                nameKey(p.clientId, p.name),
+                p.id,
+              ]),
+            ),
+            tasks: new Map(
+              (await tx.task.findMany()).map((t) => [
+                nameKey(t.projectId, t.name),
+                t.id,
+              ]),
+            ),
+            rates: new Set((await tx.rateHistory.findMany()).map(rateKey)),
+            invoices: new Map(
+              (await tx.invoice.findMany()).flatMap((i) => {
+                const keys = [[invoiceKey(i), i.id]];
+                const archiveNumber = getArchiveInvoiceNumber(i.data);
+                if (archiveNumber) {
+                  const key = invoiceKey({
+                    ...i,
+                    invoiceNumber: archiveNumber,
+                  });
+                  keys.push([key, i.id]);
+                }
+                return keys;
+              }),
+            ),
+            timeEntries: new Map(
+              (await tx.timeEntry.findMany()).map((e) => [
+                timeEntryKey(e),
+                e.id,
+              ]),
+            ),
+          };
+
+          for (const client of [...data.clients].sort(byId)) {
+            const match = existing.clients.get(nameKey(null, client.name));
+            if (match !== undefined) {
+              ids.client.set(client.id, match);
+              count(skipped, "clients");
+              continue;
+            }
+            const row = await tx.client.create({
+              data: {
+                ...fields(client),
+                invoiceTemplate: templateId(client.invoiceTemplate),
+              },
+            });
+            ids.client.set(client.id, row.id);
+            count(created, "clients");
+          }
+
+          for (const project of [...data.projects].sort(byId)) {
+            const clientId = mapId("client", project.clientId);
+            const match = existing.projects.get(
+              nameKey(clientId, project.name),
+            );
+            if (match !== undefined) {
+              ids.project.set(project.id, match);
+              count(skipped, "projects");
+              continue;
+            }
+            const row = await tx.project.create({
+              data: { ...fields(project), clientId },
+            });
+            ids.project.set(project.id, row.id);
+            count(created, "projects");
+          }
+
+          for (const task of [...data.tasks].sort(byId)) {
+            const projectId = mapId("project", task.projectId);
+            const match = existing.tasks.get(nameKey(projectId, task.name));
+            if (match !== undefined) {
+              ids.task.set(task.id, match);
+              count(skipped, "tasks");
+              continue;
+            }
+            const row = await tx.task.create({
+              data: { ...fields(task), projectId },
+            });
+            ids.task.set(task.id, row.id);
+            count(created, "tasks");
+          }
+
+          for (const rate of [...data.rateHistory].sort(byId)) {
+            const values = {
+              ...fields(rate),
+              clientId: mapId("client", rate.clientId),
+              projectId: mapId("project", rate.projectId),
+              taskId: mapId("task", rate.taskId),
+            };
+            if (existing.rates.has(rateKey(values))) {
+              count(skipped, "rateHistory");
+              continue;
+            }
+            await tx.rateHistory.create({ data: values });
+            count(created, "rateHistory");
+          }
+
+          // Numbering never goes back, so numbers already issued here or
+          // in the archive are not handed out again
+          for (const { scope, nextValue } of data.invoiceSequences) {
+            const sequence = await tx.invoiceSequence.findUnique({
+              where: { scope },
+            });
+            if (sequence && sequence.nextValue >= nextValue) {
+              count(skipped, "invoiceSequences");
+              continue;
+            }
+            await tx.invoiceSequence.upsert({
+              where: { scope },
+              update: { nextValue },
+              create: { scope, nextValue },
+            });
+            count(created, "invoiceSequences");
+          }
+
+          // Invoice numbers must stay unique among live invoices: a number
+          // that a different invoice here already uses is replaced, for all
+          // revisions of the archive invoice, by the next one from the
+          // counter (which now also covers the archive's numbers)
+          const archiveNumbers = new Set(
+            data.invoices.map((invoice) => invoice.invoiceNumber),
+          );
+          const newNumbers = new Map();
+          const numberKey = (invoice) =>
+            `${invoice.clientId}|${invoice.invoiceNumber}`;
+          for (const invoice of [...data.invoices].sort(byId)) {
+            const clientId = mapId("client", invoice.clientId);
+            if (
+              CLOSED_INVOICE_STATUSES.includes(invoice.status) ||
+              newNumbers.has(numberKey(invoice)) ||
+              existing.invoices.has(invoiceKey({ ...invoice, clientId }))
+            ) {
+              continue;
+            }
+            try {
+              await this.assertInvoiceNumberAvailable(
+                invoice.invoiceNumber,
+                tx,
+              );
+            } catch (_) {
+              const client = await tx.client.findUnique({
+                where: { id: clientId },
+              });
+              let invoiceNumber;
+              do {
+                invoiceNumber = await this.allocateInvoiceNumber(tx, {
+                  client,
+                  date: new Date(invoice.createdAt || Date.now()),
+                  type: invoice.type,
+                });
+              } while (archiveNumbers.has(invoiceNumber));
+              newNumbers.set(numberKey(invoice), invoiceNumber);
+              renumbered.push({
+                from: invoice.invoiceNumber,
+                to: invoiceNumber,
+              });
+            }
+          }
+
+          // Credit notes come after the invoices they credit
+          const createdInvoices = new Set();
+          for (const invoice of [...data.invoices].sort(byId)) {
+            const invoiceNumber =
+              newNumbers.get(numberKey(invoice)) || invoice.invoiceNumber;
+            const values = {
+              ...fields(invoice),
+              invoiceNumber,
+              clientId: mapId("client", invoice.clientId),
+              creditedInvoiceId: mapId("invoice", invoice.creditedInvoiceId),
+              data: withInvoiceChanges(
+                invoice.data,
+                invoiceNumber,
+                invoice.invoiceNumber,
+              ),
+            };
+            const match = existing.invoices.get(invoiceKey(values));
+            if (match !== undefined) {
+              ids.invoice.set(invoice.id, match);
+              count(skipped, "invoices");
+              continue;
+            }
+            const row = await tx.invoice.create({ data: values });
+            ids.invoice.set(invoice.id, row.id);
+            createdInvoices.add(invoice.id);
+            count(created, "invoices");
+          }
+
+          // Payments of invoices that were already here are too
+          for (const payment of [...data.payments].sort(byId)) {
+            if (!createdInvoices.has(payment.invoiceId)) {
+              count(skipped, "payments");
+              continue;
+            }
+            await tx.payment.create({
+              data: {
+                ...fields(payment),
+                invoiceId: mapId("invoice", payment.invoiceId),
+              },
+            });
+            count(created, "payments");
+          }
+
+          // Timers running when the archive was made stop when it was
+          // exported (or at the latest time they recorded), with their open
+          // segments closed then
+          const segmentsByEntry = new Map();
+          for (const segment of data.timeEntrySegments) {
+            const segments = segmentsByEntry.get(segment.timeEntryId) || [];
+            segmentsByEntry.set(segment.timeEntryId, [...segments, segment]);
+          }
+          const stoppedAt = new Map();
+          const stopTimer = (entry) => {
+            const segments = segmentsByEntry.get(entry.id) || [];
+            const times = [
+              exportedAt,
+              entry.startTime,
+              ...segments.flatMap((segment) => [
+                segment.startTime,
+                segment.endTime,
+              ]),
+            ]
+              .filter(Boolean)
+              .map((time) => new Date(time).getTime())
+              .filter((time) => !isNaN(time));
+            const endTime = new Date(Math.max(...times));
+            const worked =
+              segments.length > 0 ? segments : [{ startTime: entry.startTime }];
+            const rawDuration = Math.floor(
+              getSegmentsMilliseconds(worked, endTime) / MS_PER_MINUTE,
+            );
+            stoppedAt.set(entry.id, endTime);
+            return {
+              isActive: false,
+              endTime,
+              rawDuration,
+              duration: rawDuration,
+            };
+          };
+
+          const createdEntries = new Set();
+          for (const entry of [...data.timeEntries].sort(byId)) {
+            const values = {
+              ...fields(entry),
+              clientId: mapId("client", entry.clientId),
+              projectId: mapId("project", entry.projectId),
+              taskId: mapId("task", entry.taskId),
+              invoiceId: mapId("invoice", entry.invoiceId),
+              ...(entry.isActive && stopTimer(entry)),
+            };
+            const match = existing.timeEntries.get(timeEntryKey(values));
+            if (match !== undefined) {
+              ids.timeEntry.set(entry.id, match);
+              count(skipped, "timeEntries");
+              continue;
+            }
+            const row = await tx.timeEntry.create({ data: values });
+            ids.timeEntry.set(entry.id, row.id);
+            createdEntries.add(entry.id);
+            if (stoppedAt.has(entry.id)) stoppedEntries.push(row.id);
+            count(created, "timeEntries");
+          }
+
+          for (const segment of [...data.timeEntrySegments].sort(byId)) {
+            if (!createdEntries.has(segment.timeEntryId)) {
+              count(skipped, "timeEntrySegments");
+              continue;
+            }
+            await tx.timeEntrySegment.create({
+              data: {
+                ...fields(segment),
+                timeEntryId: mapId("timeEntry", segment.timeEntryId),
+                endTime:
+                  segment.endTime ?? stoppedAt.get(segment.timeEntryId) ?? null,
+              },
+            });
+            count(created, "timeEntrySegments");
+          }
+
+          // Restoring takes the archive's settings; merging keeps the
+          // settings here and only adds the missing ones
+          for (const { key, value } of data.settings) {
+            if (ARCHIVE_EXCLUDED_SETTINGS.includes(key)) continue;
+            const settingValue =
+              key === "invoice_template" ? templateId(value) : value;
+            const setting = await tx.setting.findUnique({ where: { key } });
+            if (setting && !keepIds) {
+              count(skipped, "settings");
+              continue;
+            }
+            await tx.setting.upsert({
+              where: { key },
+              update: { value: settingValue },
+              create: { key, value: settingValue },
+            });
+            count(created, "settings");
+          }
+
+          return {
+            created,
+            skipped,
+            renumbered,
+            stoppedTimers: stoppedEntries.length,
+          };
+        },
+        { timeout: IMPORT_TIMEOUT_MS },
+      );
+
+      // Stopped timers are rounded like any other, by their entry's policy
+      for (const id of stoppedEntries) {
+        const entry = await this.prisma.timeEntry.findUnique({ where: { id } });
+        const { duration } = await this.roundEntryDuration(
+          entry,
+          entry.rawDuration,
+        );
+        await this.prisma.timeEntry.update({
+          where: { id },
+          data: { duration },
+        });
+      }
+
+      logger.database("info", "Archive imported", { mode, ...result });
+      return result;
+    } catch (error) {
+      logger.error("Error importing archive:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add imported time entries (from a CSV file) in one transaction. Clients,
+   * projects and tasks are matched by name and created when missing; entries
+   * that are already here are skipped. A dry run changes nothing and reports
+   * what an import would do.
+   * @param {Array<Object>} entries - With startTime, endTime, duration
+   *   (minutes), clientName, projectName, taskName, description and
+   *   isBillable (null follows the task and project)
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun]
+   * @returns {Promise<{imported: number, duplicates: number, clients: string[], projects: string[], tasks: string[]}>}
+   *   Entries added and skipped, and the names of the clients, projects and
+   *   tasks created
+   */
+  async importTimeEntries(entries, { dryRun = false } = {}) {
+    const result = {
+      imported: 0,
+      duplicates: 0,
+      clients: [],
+      projects: [],
+      tasks: [],
+    };
+    let placeholderId = 0;
+
+    try {
+      await this.prisma.$transaction(
+        async (tx) => {
+          const clients = new Map(
+            (await tx.client.findMany()).map((c) => [nameKey(null, c.name), c]),
+          );
+          const projects = new Map(
+            (await tx.project.findMany()).map((p) => [
+              nameKey(p.clientId, p.name),
+              p,
+            ]),
+          );
+          const tasks = new Map(
+            (await tx.task.findMany()).map((t) => [
+              nameKey(t.projectId, t.name),
+              t,
+            ]),
+          );
+          const existingEntries = new Set(
+            (await tx.timeEntry.findMany()).map(timeEntryKey),
+          );
+
+          // Find a client, project or task by name, or add it (a dry run
+          // stands in a placeholder)
+          const findOrCreate = async (
+            rows,
+            parentId,
+            name,
+            created,
+            create,
+          ) => {
+            if (!name) return null;
+            const key = nameKey(parentId, name);
+            if (!rows.has(key)) {
+              rows.set(
+                key,
+                dryRun
+                  ? { id: `new-${++placeholderId}`, name }
+                  : await create(),
+              );
+              created.push(name);
+            }
+            return rows.get(key);
+          };
+
+          for (const entry of entries) {
+            const client = await findOrCreate(
+              clients,
+              null,
+              entry.clientName,
+              result.clients,
+              () => tx.client.create({ data: { name: entry.clientName } }),
+            );
+            const project = await findOrCreate(
+              projects,
+              client?.id,
+              entry.projectName,
+              result.projects,
+              () =>
+                tx.project.create({
+                  data: { name: entry.projectName, clientId: client.id },
+                }),
+            );
+            const task = await findOrCreate(
+              tasks,
+              project?.id,
+              entry.taskName,
+              result.tasks,
+              () =>
+                tx.task.create({
+                  data: { name: entry.taskName, projectId: project.id },
+                }),
+            );
+
+            const values = {
+              clientId: client?.id ?? null,
+              projectId: project?.id ?? null,
+              taskId: task?.id ?? null,
+              description: entry.description || null,
+              startTime: new Date(entry.startTime),
+              endTime: entry.endTime ? new Date(entry.endTime) : null,
+              duration: entry.duration,
+              rawDuration: entry.duration,
+              isBillable:
+                typeof entry.isBillable === "boolean"
+                  ? entry.isBillable
+                  : resolveBillable({ task, project }),
+            };
+            const key = timeEntryKey(values);
+            if (existingEntries.has(key)) {
+              result.duplicates++;
+              continue;
+            }
+            existingEntries.add(key);
+
+            if (!dryRun) {
+              await tx.timeEntry.create({
+                data: {
+                  ...values,
+                  ...(values.endTime && {
+                    segments: {
+                      create: [
+                        {
+                          startTime: values.startTime,
+                          endTime: values.endTime,
+                        },
+                      ],
+                    },
+                  }),
+                },
+              });
+            }
+            result.imported++;
+          }
+        },
+        { timeout: IMPORT_TIMEOUT_MS },
+      );
+
+      logger.database(
+        "info",
+        dryRun ? "Time entry import checked" : "Time entries imported",
+        { imported: result.imported, duplicates: result.duplicates },
+      );
+      return result;
+    } catch (error) {
+      logger.error("Error importing time entries:", error);
+      throw error;
+    }
+  }
+
+  // Report methods
+
+  /**
+   * Hours and billable amounts of time entries, summed in SQL by currency
+   * and by any of the given dimensions (see helpers/reports.js)
+   * @param {Object} [filters] - startDate, endDate, clientId, projectId,
+   *   taskId, isBillable and isInvoiced
+   * @param {string[]} [dimensions] - "client", "project", "task", "day",
+   *   "week" or "month"
+   * @returns {Promise<Array<Object>>} Rows with the dimensions' ids and
+   *   names (or period), currency, entries, minutes, billableMinutes,
+   *   invoicedMinutes, amount and invoicedAmount
+   */
+  async getTimeTotals(filters = {}, dimensions = []) {
+    try {
+      const { sql, values } = buildTimeTotalsQuery(filters, dimensions);
+      const rows = await this.prisma.$queryRawUnsafe(sql, ...values);
+      return rows.map(normalizeReportRow);
+    } catch (error) {
+      logger.error("Error getting time totals:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Invoiced amounts, tax and credit notes by currency, summed in SQL
+   * @param {Object} [filters] - startDate, endDate (invoice creation) and
+   *   clientId
+   * @returns {Promise<Array<Object>>} Rows with currency, invoices,
+   *   invoiced, tax and credited
+   */
+  async getInvoiceTotals(filters = {}) {
+    try {
+      const { sql, values } = buildInvoiceTotalsQuery(filters);
+      const rows = await this.prisma.$queryRawUnsafe(sql, ...values);
+      return rows.map(normalizeReportRow);
+    } catch (error) {
+      logger.error("Error getting invoice totals:", error);
+      throw error;
+    }
+  }
+
+  // Invoices with a balance due, with their status and aging; only the
+  // fields receivables are worked out from are loaded
+  async getUnpaidInvoices(filters = {}) {
+    try {
+      const invoices = await this.prisma.invoice.findMany({
+        where: {
+          type: "invoice",
+          status: { notIn: CLOSED_INVOICE_STATUSES },
+          ...(filters.clientId && { clientId: parseInt(filters.clientId) }),
+        },
+        select: {
+          id: true,
+          invoiceNumber: true,
+          clientId: true,
+          totalAmount: true,
+          currency: true,
+          status: true,
+          type: true,
+          dueDate: true,
+          client: { select: { name: true, currency: true } },
+          payments: { select: { amount: true } },
+          creditNotes: { select: { totalAmount: true, status: true } },
+        },
+      });
+
+      return invoices
+        .map((invoice) => this.withPaymentStatus(invoice))
+        .filter(
+          (invoice) => invoice.status !== "draft" && invoice.balanceDue > 0,
+        );
+    } catch (error) {
+      logger.error("Error getting unpaid invoices:", error);
+      throw error;
+    }
+  }
+
   // Danger: remove demo data created by seed script
   async removeDemoData() {
     try {
@@ -192,6 +1052,7 @@ class DatabaseService {
       await this.prisma.$executeRaw`PRAGMA foreign_keys = OFF`;
 
       // Clear all data in the correct order (ignore FK constraints)
+      await this.prisma.timeEntrySegment.deleteMany();
       await this.prisma.timeEntry.deleteMany();
       await this.prisma.invoice.deleteMany();
       await this.prisma.task.deleteMany();
@@ -285,18 +1146,7 @@ class DatabaseService {
         const stopTimers = activeTimers.slice(1);
 
         for (const timer of stopTimers) {
-          const endTime = new Date();
-          const duration = Math.floor((endTime - timer.startTime) / 1000 / 60);
-
-          await this.prisma.timeEntry.update({
-            where: { id: timer.id },
-            data: {
-              isActive: false,
-              endTime: endTime,
-              duration: duration,
-            },
-          });
-
+          const { duration } = await this.stopTimer(timer.id);
           logger.debug(
             `[DATABASE] Auto-stopped duplicate active timer ${timer.id} with duration ${duration} minutes`,
           );
@@ -312,43 +1162,313 @@ class DatabaseService {
     }
   }
 
+  // Close the open segment of an entry and return its worked minutes (unrounded).
+  // Entries without segments (recorded before segments existed) get one
+  // backfilled from their own start/end so the earlier time is kept.
+  async closeSegments(timeEntry, endTime) {
+    await this.prisma.timeEntrySegment.updateMany({
+      where: { timeEntryId: timeEntry.id, endTime: null },
+      data: { endTime },
+    });
+
+    let segments = await this.prisma.timeEntrySegment.findMany({
+      where: { timeEntryId: timeEntry.id },
+    });
+
+    if (segments.length === 0) {
+      const segment = await this.prisma.timeEntrySegment.create({
+        data: {
+          timeEntryId: timeEntry.id,
+          startTime: timeEntry.startTime,
+          endTime: timeEntry.endTime || endTime,
+        },
+      });
+      segments = [segment];
+    }
+
+    return Math.floor(getSegmentsMilliseconds(segments, endTime) / MS_PER_MINUTE);
+  }
+
+  // Stop every active timer (optionally except one), rounded and recorded
+  // like a timer the user stopped
+  async stopActiveTimers(exceptId = null) {
+    const activeTimers = await this.prisma.timeEntry.findMany({
+      where: {
+        isActive: true,
+        ...(exceptId ? { id: { not: exceptId } } : {}),
+      },
+    });
+
+    for (const timer of activeTimers) {
+      const { duration } = await this.stopTimer(timer.id);
+      logger.debug(
+        `[DATABASE] Stopped active timer ${timer.id} with duration ${duration} minutes`,
+      );
+    }
+  }
+
+  // Convert segment input ({ startTime, endTime } as HH:MM on `date`, or full
+  // date values) into sorted segment rows. Throws on invalid or reversed ranges.
+  normalizeSegments(segments, date) {
+    const toDate = (value) => {
+      if (!value) return null;
+      if (date && /^\d{1,2}:\d{2}$/.test(String(value))) {
+        return this.parseTimeWithDate(value, date);
+      }
+      const parsed = new Date(value);
+      return isNaN(parsed.getTime()) ? null : parsed;
+    };
+
+    const normalized = segments
+      .map((segment) => ({
+        startTime: toDate(segment.startTime),
+        endTime: toDate(segment.endTime),
+      }))
+      .sort((a, b) => (a.startTime?.getTime() || 0) - (b.startTime?.getTime() || 0));
+
+    normalized.forEach((segment, index) => {
+      if (!segment.startTime) {
+        throw new Error(`Segment ${index + 1} has an invalid start time`);
+      }
+      if (!segment.endTime && index !== normalized.length - 1) {
+        throw new Error(`Segment ${index + 1} is missing an end time`);
+      }
+      if (segment.endTime && segment.endTime < segment.startTime) {
+        throw new Error(`Segment ${index + 1} ends before it starts`);
+      }
+    });
+
+    return normalized;
+  }
+
+  // Apply normalized segments to entry data: start/end/duration follow from them
+  applySegments(cleanData, segments) {
+    if (segments.length === 0) {
+      throw new Error("At least one time segment is required");
+    }
+
+    cleanData.startTime = segments[0].startTime;
+    cleanData.endTime = segments[segments.length - 1].endTime;
+    cleanData.duration = Math.floor(
+      getSegmentsMilliseconds(segments) / MS_PER_MINUTE,
+    );
+  }
+
   // Time Entry methods
-  async startTimer(data = {}) {
+  // Rounding policy for an entry, resolved project -> client -> global.
+  // `roundTo` overrides the global increment (callers that still pass the
+  // timer_rounding setting along).
+  async getRoundingPolicy(
+    { clientId = null, projectId = null } = {},
+    roundTo = null,
+  ) {
+    const project = projectId
+      ? await this.prisma.project.findUnique({
+          where: { id: parseInt(projectId) },
+        })
+      : null;
+    const ownerClientId = clientId || project?.clientId;
+    const client = ownerClientId
+      ? await this.prisma.client.findUnique({
+          where: { id: parseInt(ownerClientId) },
+        })
+      : null;
+
+    const settings = {
+      timer_rounding_mode: await this.getSetting("timer_rounding_mode"),
+      timer_rounding:
+        roundTo !== null && roundTo !== undefined
+          ? roundTo
+          : await this.getSetting("timer_rounding"),
+      timer_rounding_minimum: await this.getSetting("timer_rounding_minimum"),
+    };
+
+    return resolveRoundingPolicy({ project, client, settings });
+  }
+
+  // Client/project rounding fields from form data; an empty mode inherits
+  getRoundingPolicyData(data) {
+    if (!data || !("roundingMode" in data)) return {};
+
+    const toMinutes = (value) =>
+      value === "" || value === null || value === undefined
+        ? null
+        : parseInt(value);
+
+    if (!data.roundingMode) {
+      return {
+        roundingMode: null,
+        roundingIncrement: null,
+        roundingMinimum: null,
+      };
+    }
+
+    return {
+      roundingMode: data.roundingMode,
+      roundingIncrement: toMinutes(data.roundingIncrement),
+      roundingMinimum: toMinutes(data.roundingMinimum),
+    };
+  }
+
+  // Billing type and fees from form data; fees that don't apply to the type
+  // are cleared
+  getBillingData(data) {
+    if (!data || !("billingType" in data)) return {};
+
+    const billingType = BILLING_TYPES.includes(data.billingType)
+      ? data.billingType
+      : "hourly";
+    const toAmount = (value) => {
+      const amount = parseFloat(value);
+      return isNaN(amount) || amount < 0 ? null : amount;
+    };
+
+    return {
+      billingType,
+      fixedFee: billingType === "fixed" ? toAmount(data.fixedFee) : null,
+      retainerAmount:
+        billingType === "retainer" ? toAmount(data.retainerAmount) : null,
+      retainerHours:
+        billingType === "retainer" ? toAmount(data.retainerHours) : null,
+      overageRate:
+        billingType === "retainer" ? toAmount(data.overageRate) : null,
+    };
+  }
+
+  // Day of the month recurring invoice drafts are created for a client.
+  // Turning them off forgets the last billed month, so turning them back on
+  // doesn't create drafts for the months in between.
+  getRecurringData(data) {
+    if (!data || !("recurringDay" in data)) return {};
+
+    const day = parseInt(data.recurringDay);
+    if (!(day >= 1 && day <= 28)) {
+      return { recurringDay: null, lastBilledPeriod: null };
+    }
+    return { recurringDay: day };
+  }
+
+  // Client tax override from form data: null inherits the global taxes,
+  // an empty list makes the client tax exempt
+  getTaxRatesData(data) {
+    if (!data || !("taxRates" in data)) return {};
+    if (data.taxRates === null) return { taxRates: null };
+
+    return { taxRates: JSON.stringify(parseTaxRates(data.taxRates) || []) };
+  }
+
+  // Billable flag for a new entry: the one given, else the task's or
+  // project's default
+  async getEntryBillable({ isBillable, projectId = null, taskId = null } = {}) {
+    if (typeof isBillable === "boolean") return isBillable;
+
+    const task = taskId
+      ? await this.prisma.task.findUnique({ where: { id: parseInt(taskId) } })
+      : null;
+    const ownerProjectId = projectId || task?.projectId;
+    const project = ownerProjectId
+      ? await this.prisma.project.findUnique({
+          where: { id: parseInt(ownerProjectId) },
+        })
+      : null;
+
+    return resolveBillable({ task, project });
+  }
+
+  // Project billable flag from form data
+  getProjectBillableData(data) {
+    if (!data || !("isBillable" in data)) return {};
+    return { isBillable: data.isBillable !== false };
+  }
+
+  // Task billable flag from form data; null inherits the project's
+  getTaskBillableData(data) {
+    if (!data || !("isBillable" in data)) return {};
+    return {
+      isBillable: typeof data.isBillable === "boolean" ? data.isBillable : null,
+    };
+  }
+
+  // Rate history record for a changed hourly rate, as a nested create.
+  // `rateEffectiveFrom` (YYYY-MM-DD) dates the change, otherwise it is now.
+  async getRateChangeData(model, id, data) {
+    if (!data || !("hourlyRate" in data)) return {};
+
+    const rate = parseHourlyRate(data.hourlyRate);
+    const current = id
+      ? await this.prisma[model].findUnique({ where: { id: parseInt(id) } })
+      : null;
+    if (rate === parseHourlyRate(current?.hourlyRate)) return {};
+
+    const effectiveFrom = data.rateEffectiveFrom
+      ? this.parseTimeWithDate("00:00", data.rateEffectiveFrom)
+      : new Date();
+    return { rateHistory: { create: { rate, effectiveFrom } } };
+  }
+
+  // Rate changes of a client and its projects and tasks, newest first
+  async getRateHistory(clientId) {
     try {
-      // Stop any currently active timers first by properly calculating their durations
-      const activeTimers = await this.prisma.timeEntry.findMany({
-        where: { isActive: true },
+      const id = parseInt(clientId);
+      return await this.prisma.rateHistory.findMany({
+        where: {
+          OR: [
+            { clientId: id },
+            { project: { clientId: id } },
+            { task: { project: { clientId: id } } },
+          ],
+        },
+        include: {
+          project: true,
+          task: true,
+        },
+        orderBy: [{ effectiveFrom: "desc" }, { id: "desc" }],
       });
+    } catch (error) {
+      logger.error("Error getting rate history:", error);
+      throw error;
+    }
+  }
 
-      // Stop each active timer with proper duration calculation
-      for (const timer of activeTimers) {
-        const endTime = new Date();
-        const duration = Math.floor((endTime - timer.startTime) / 1000 / 60); // duration in minutes
+  // Entries with the rate they are billed at, for the renderer
+  withResolvedRates(entries) {
+    return entries.map((entry) => ({
+      ...entry,
+      resolvedRate: resolveHourlyRate(entry),
+    }));
+  }
 
-        await this.prisma.timeEntry.update({
-          where: { id: timer.id },
-          data: {
-            isActive: false,
-            endTime: endTime,
-            duration: duration,
-          },
-        });
+  // Round `rawDuration` minutes for an entry; returns the fields to store
+  async roundEntryDuration(entry, rawDuration, roundTo = null) {
+    const policy = await this.getRoundingPolicy(entry, roundTo);
+    const duration = roundDuration(rawDuration, policy);
+    logger.debug(
+      `[DATABASE] Duration: ${rawDuration}m, rounded ${policy.mode} to ${policy.increment}m (min ${policy.minimum}m, ${policy.source} policy): ${duration}m`,
+    );
+    return { duration, rawDuration };
+  }
 
-        logger.debug(
-          `[DATABASE] Stopped active timer ${timer.id} with duration ${duration} minutes`,
-        );
-      }
+  async startTimer(data = {}) {
+    try {
+      // Stop any currently active timers first by properly calculating their durations
+      await this.stopActiveTimers();
+
+      const startTime = new Date();
 
-      // Create new time entry
+      // Create new time entry with its first work segment
       const timeEntry = await this.prisma.timeEntry.create({
         data: {
           clientId: data.clientId || null,
           projectId: data.projectId || null,
           taskId: data.taskId || null,
           description: data.description || "",
-          startTime: new Date(),
+          isBillable: await this.getEntryBillable(data),
+          startTime,
           isActive: true,
           duration: 0,
+          segments: {
+            create: { startTime },
+          },
         },
         include: {
           client: true,
@@ -358,6 +1478,7 @@ class DatabaseService {
               project: true,
             },
           },
+          segments: { orderBy: { startTime: "asc" } },
         },
       });
 
@@ -368,7 +1489,7 @@ class DatabaseService {
     }
   }
 
-  async stopTimer(timeEntryId, roundTo = 15) {
+  async stopTimer(timeEntryId, roundTo = null, endTime = new Date()) {
     try {
       const timeEntry = await this.prisma.timeEntry.findUnique({
         where: { id: parseInt(timeEntryId) },
@@ -390,7 +1511,7 @@ class DatabaseService {
         logger.debug(
           `[DATABASE] Using active timer ${anyActiveTimer.id} instead of ${timeEntryId}`,
         );
-        return this.stopTimer(anyActiveTimer.id, roundTo);
+        return this.stopTimer(anyActiveTimer.id, roundTo, endTime);
       }
 
       if (!timeEntry.isActive) {
@@ -398,24 +1519,20 @@ class DatabaseService {
         return timeEntry; // Return the existing entry
       }
 
-      const endTime = new Date();
-      const duration = Math.floor((endTime - timeEntry.startTime) / 1000 / 60); // duration in minutes
-
-      // Apply rounding logic
-      let roundedDuration = duration;
-      if (roundTo > 0) {
-        // Round up to the nearest roundTo minutes
-        roundedDuration = Math.ceil(duration / roundTo) * roundTo;
-        logger.debug(
-          `[DATABASE] Duration: ${duration}m, rounded to ${roundTo}m intervals: ${roundedDuration}m`,
-        );
-      }
+      // Sum all work segments so paused time is excluded and resumed time kept
+      const rawDuration = await this.closeSegments(timeEntry, endTime);
+      const { duration } = await this.roundEntryDuration(
+        timeEntry,
+        rawDuration,
+        roundTo,
+      );
 
       const updatedTimeEntry = await this.prisma.timeEntry.update({
         where: { id: parseInt(timeEntryId) },
         data: {
           endTime,
-          duration: roundedDuration,
+          duration,
+          rawDuration,
           isActive: false,
         },
         include: {
@@ -425,6 +1542,7 @@ class DatabaseService {
               project: true,
             },
           },
+          segments: { orderBy: { startTime: "asc" } },
         },
       });
 
@@ -437,34 +1555,36 @@ class DatabaseService {
 
   async resumeTimer(timeEntryId) {
     try {
-      // Stop any currently active timers first
-      await this.prisma.timeEntry.updateMany({
-        where: { isActive: true },
-        data: {
-          isActive: false,
-          endTime: new Date(),
-        },
+      const id = parseInt(timeEntryId);
+      const timeEntry = await this.prisma.timeEntry.findUnique({
+        where: { id },
       });
 
-      // Calculate duration for currently active timers before stopping
-      const activeTimers = await this.prisma.timeEntry.findMany({
-        where: { isActive: true },
-      });
+      if (!timeEntry) {
+        throw new Error(`Time entry ${timeEntryId} not found`);
+      }
 
-      for (const timer of activeTimers) {
-        const duration = Math.floor((new Date() - timer.startTime) / 1000 / 60);
-        await this.prisma.timeEntry.update({
-          where: { id: timer.id },
-          data: { duration },
+      if (timeEntry.isInvoiced) {
+        throw new Error("Cannot resume an invoiced time entry");
+      }
+
+      // Stop any other active timers first
+      await this.stopActiveTimers(id);
+
+      if (!timeEntry.isActive) {
+        // Make sure the time already logged is kept as a closed segment,
+        // then open a new segment. startTime stays at the first segment.
+        const now = new Date();
+        await this.closeSegments(timeEntry, timeEntry.endTime || now);
+        await this.prisma.timeEntrySegment.create({
+          data: { timeEntryId: id, startTime: now },
         });
       }
 
-      // Resume the specified time entry
       const resumedTimeEntry = await this.prisma.timeEntry.update({
-        where: { id: parseInt(timeEntryId) },
+        where: { id },
         data: {
           isActive: true,
-          startTime: new Date(), // Reset start time to now
           endTime: null, // Clear end time
         },
         include: {
@@ -475,6 +1595,7 @@ class DatabaseService {
               project: true,
             },
           },
+          segments: { orderBy: { startTime: "asc" } },
         },
       });
 
@@ -485,6 +1606,69 @@ class DatabaseService {
     }
   }
 
+  // Move a period (e.g. idle time) out of a running entry into its own finished
+  // entry. The running entry's open segment ends at periodStart and a new one
+  // opens at periodEnd, so the timer keeps running without the moved time.
+  async splitTimeEntry(timeEntryId, periodStart, periodEnd, data = {}) {
+    try {
+      const id = parseInt(timeEntryId);
+      const timeEntry = await this.prisma.timeEntry.findUnique({
+        where: { id },
+      });
+
+      if (!timeEntry || !timeEntry.isActive) {
+        throw new Error(`Time entry ${timeEntryId} is not running`);
+      }
+
+      if (periodEnd < periodStart) {
+        throw new Error("Split period ends before it starts");
+      }
+
+      await this.closeSegments(timeEntry, periodStart);
+      await this.prisma.timeEntrySegment.create({
+        data: { timeEntryId: id, startTime: periodEnd },
+      });
+
+      const splitEntry = await this.prisma.timeEntry.create({
+        data: {
+          clientId: data.clientId ? parseInt(data.clientId) : null,
+          projectId: data.projectId ? parseInt(data.projectId) : null,
+          taskId: data.taskId ? parseInt(data.taskId) : null,
+          description: data.description || "",
+          isBillable: await this.getEntryBillable(data),
+          startTime: periodStart,
+          endTime: periodEnd,
+          duration: Math.floor(
+            (periodEnd.getTime() - periodStart.getTime()) / MS_PER_MINUTE,
+          ),
+          isActive: false,
+          segments: {
+            create: { startTime: periodStart, endTime: periodEnd },
+          },
+        },
+        include: {
+          client: true,
+          project: true,
+          task: {
+            include: {
+              project: true,
+            },
+          },
+          segments: { orderBy: { startTime: "asc" } },
+        },
+      });
+
+      logger.debug(
+        `[DATABASE] Split ${splitEntry.duration} minutes from timer ${id} into entry ${splitEntry.id}`,
+      );
+
+      return splitEntry;
+    } catch (error) {
+      logger.error("Error splitting time entry:", error);
+      throw error;
+    }
+  }
+
   async getActiveTimer() {
     try {
       // Ensure only one active timer exists before returning
@@ -502,6 +1686,7 @@ class DatabaseService {
                 project: true,
               },
             },
+            segments: { orderBy: { startTime: "asc" } },
           },
         });
       }
@@ -540,18 +1725,17 @@ class DatabaseService {
         where.isInvoiced = filters.isInvoiced;
       }
 
+      if (filters.isBillable !== undefined) {
+        where.isBillable = filters.isBillable;
+      }
+
       logger.database("debug", "Time entries query where clause", { where });
 
       const timeEntries = await this.prisma.timeEntry.findMany({
         where,
         include: {
-          client: true,
-          project: true,
-          task: {
-            include: {
-              project: true,
-            },
-          },
+          ...ENTRY_RATE_INCLUDE,
+          segments: { orderBy: { startTime: "asc" } },
         },
         orderBy: {
           id: "desc",
@@ -564,7 +1748,7 @@ class DatabaseService {
       //   hasData: timeEntries.length > 0,
       // });
 
-      return timeEntries;
+      return this.withResolvedRates(timeEntries);
     } catch (error) {
       logger.database("error", "Error getting time entries", {
         error: error.message,
@@ -583,13 +1767,8 @@ class DatabaseService {
           id: { in: entryIds.map((id) => parseInt(id)) },
         },
         include: {
-          client: true,
-          project: true,
-          task: {
-            include: {
-              project: true,
-            },
-          },
+          ...ENTRY_RATE_INCLUDE,
+          segments: { orderBy: { startTime: "asc" } },
         },
         orderBy: {
           startTime: "asc",
@@ -601,7 +1780,7 @@ class DatabaseService {
       //   requestedIds: entryIds.length,
       // });
 
-      return timeEntries;
+      return this.withResolvedRates(timeEntries);
     } catch (error) {
       logger.database("error", "Error getting time entries by IDs", {
         error: error.message,
@@ -640,6 +1819,19 @@ class DatabaseService {
       // Handle empty string to null conversion for projectId
       if (cleanData.projectId === "") cleanData.projectId = null;
 
+      // Only an explicit true/false changes the billable flag
+      if (
+        "isBillable" in cleanData &&
+        typeof cleanData.isBillable !== "boolean"
+      ) {
+        delete cleanData.isBillable;
+      }
+
+      // An empty rate override goes back to the task/project/client rate
+      if ("hourlyRate" in cleanData) {
+        cleanData.hourlyRate = parseHourlyRate(cleanData.hourlyRate);
+      }
+
       logger.debug(
         "[DATABASE] Processing projectId:",
         cleanData.projectId,
@@ -664,15 +1856,50 @@ class DatabaseService {
         if (endDateTime) cleanData.endTime = endDateTime;
       }
 
+      // Explicit segments define start/end/duration; otherwise a start/end
+      // pair becomes the entry's only segment
+      let segments = null;
+      if (Array.isArray(cleanData.segments)) {
+        segments = this.normalizeSegments(cleanData.segments, cleanData.date);
+        this.applySegments(cleanData, segments);
+      }
+      delete cleanData.segments;
+
       // Remove the separate date field as it's not in the schema
       delete cleanData.date;
 
       // Calculate duration if both start and end times are provided
-      if (cleanData.startTime && cleanData.endTime) {
+      if (!segments && cleanData.startTime && cleanData.endTime) {
         const start = new Date(cleanData.startTime);
         const end = new Date(cleanData.endTime);
         const diffMs = end.getTime() - start.getTime();
         cleanData.duration = Math.max(0, Math.floor(diffMs / (1000 * 60))); // Convert to minutes
+        segments = [{ startTime: start, endTime: end }];
+      }
+
+      // Re-round when the worked time or the client/project (and with it the
+      // rounding policy) changes. Running entries are rounded when stopped.
+      if (segments || "clientId" in cleanData || "projectId" in cleanData) {
+        const existing = await this.prisma.timeEntry.findUnique({
+          where: { id: parseInt(id) },
+        });
+        if (existing && !existing.isActive) {
+          const owner = {
+            clientId:
+              "clientId" in cleanData ? cleanData.clientId : existing.clientId,
+            projectId:
+              "projectId" in cleanData
+                ? cleanData.projectId
+                : existing.projectId,
+          };
+          const rawDuration = segments
+            ? cleanData.duration
+            : (existing.rawDuration ?? existing.duration);
+          Object.assign(
+            cleanData,
+            await this.roundEntryDuration(owner, rawDuration),
+          );
+        }
       }
 
       logger.debug("[DATABASE] Cleaned data:", cleanData);
@@ -680,6 +1907,10 @@ class DatabaseService {
       // Prepare the update data object with relationship operations
       const updateData = { ...cleanData };
 
+      if (segments) {
+        updateData.segments = { deleteMany: {}, create: segments };
+      }
+
       // Handle client relationship
       if ("clientId" in updateData) {
         const clientId = updateData.clientId;
@@ -729,6 +1960,7 @@ class DatabaseService {
               project: true,
             },
           },
+          segments: { orderBy: { startTime: "asc" } },
         },
       });
 
@@ -785,19 +2017,46 @@ class DatabaseService {
         if (endDateTime) cleanData.endTime = endDateTime;
       }
 
+      // Explicit segments define start/end/duration; otherwise a start/end
+      // pair becomes the entry's only segment
+      let segments = null;
+      if (Array.isArray(cleanData.segments)) {
+        segments = this.normalizeSegments(cleanData.segments, cleanData.date);
+        this.applySegments(cleanData, segments);
+      }
+      delete cleanData.segments;
+
       // Remove the separate date field as it's not in the schema
       delete cleanData.date;
 
       // Calculate duration if both start and end times are provided
-      if (cleanData.startTime && cleanData.endTime) {
+      if (!segments && cleanData.startTime && cleanData.endTime) {
         const start = new Date(cleanData.startTime);
         const end = new Date(cleanData.endTime);
         const diffMs = end.getTime() - start.getTime();
         cleanData.duration = Math.max(0, Math.floor(diffMs / (1000 * 60))); // Convert to minutes
+        segments = [{ startTime: start, endTime: end }];
+      }
+
+      cleanData.isBillable = await this.getEntryBillable(cleanData);
+      if ("hourlyRate" in cleanData) {
+        cleanData.hourlyRate = parseHourlyRate(cleanData.hourlyRate);
+      }
+
+      // Finished entries are billed by the client/project rounding policy
+      if (segments && !cleanData.isActive) {
+        Object.assign(
+          cleanData,
+          await this.roundEntryDuration(cleanData, cleanData.duration),
+        );
       }
 
       logger.debug("[DATABASE] Cleaned data for create:", cleanData);
 
+      if (segments) {
+        cleanData.segments = { create: segments };
+      }
+
       const newTimeEntry = await this.prisma.timeEntry.create({
         data: cleanData,
         include: {
@@ -808,6 +2067,7 @@ class DatabaseService {
               project: true,
             },
           },
+          segments: { orderBy: { startTime: "asc" } },
         },
       });
 
@@ -876,7 +2136,16 @@ class DatabaseService {
         data: {
           name: data.name,
           email: data.email || null,
+          address: data.address || null,
+          taxId: data.taxId || null,
           hourlyRate: data.hourlyRate || 0,
+          currency: data.currency || null,
+          invoicePrefix: data.invoicePrefix || null,
+          invoiceTemplate: data.invoiceTemplate || null,
+          ...this.getRoundingPolicyData(data),
+          ...this.getTaxRatesData(data),
+          ...this.getRecurringData(data),
+          ...(await this.getRateChangeData("client", null, data)),
         },
         include: {
           projects: true,
@@ -892,9 +2161,16 @@ class DatabaseService {
 
   async updateClient(id, data) {
     try {
+      const { rateEffectiveFrom, ...fields } = data;
       const client = await this.prisma.client.update({
         where: { id: parseInt(id) },
-        data,
+        data: {
+          ...fields,
+          ...this.getRoundingPolicyData(data),
+          ...this.getTaxRatesData(data),
+          ...this.getRecurringData(data),
+          ...(await this.getRateChangeData("client", id, data)),
+        },
         include: {
           projects: true,
         },
@@ -961,6 +2237,10 @@ class DatabaseService {
           clientId: clientId,
           hourlyRate: data.hourlyRate || null,
           isDefault: data.isDefault || false,
+          ...this.getRoundingPolicyData(data),
+          ...this.getBillingData(data),
+          ...this.getProjectBillableData(data),
+          ...(await this.getRateChangeData("project", null, data)),
         },
         include: {
           client: true,
@@ -1006,6 +2286,10 @@ class DatabaseService {
           name: data.name,
           hourlyRate: data.hourlyRate || null,
           isDefault: data.isDefault !== undefined ? data.isDefault : undefined,
+          ...this.getRoundingPolicyData(data),
+          ...this.getBillingData(data),
+          ...this.getProjectBillableData(data),
+          ...(await this.getRateChangeData("project", projectId, data)),
         },
         include: {
           client: true,
@@ -1089,6 +2373,9 @@ class DatabaseService {
           name: data.name,
           projectId: parseInt(data.projectId),
           description: data.description || null,
+          hourlyRate: parseHourlyRate(data.hourlyRate),
+          ...this.getTaskBillableData(data),
+          ...(await this.getRateChangeData("task", null, data)),
         },
         include: {
           project: {
@@ -1113,6 +2400,9 @@ class DatabaseService {
         data: {
           name: data.name,
           description: data.description || null,
+          hourlyRate: parseHourlyRate(data.hourlyRate),
+          ...this.getTaskBillableData(data),
+          ...(await this.getRateChangeData("task", id, data)),
         },
         include: {
           project: {
@@ -1173,48 +2463,427 @@ class DatabaseService {
   }
 
   // Invoice methods
+
+  // Current revision of each invoice, and credit notes. Earlier revisions
+  // (superseded) and voided invoices are only kept for history.
   async getInvoices() {
     try {
-      // GROUP BY invoiceNumber and get the latest version of each invoice
-      const latestInvoices = await this.prisma.$queryRaw`
-        SELECT i1.*
-        FROM invoices i1
-        INNER JOIN (
-          SELECT invoice_number, MAX(updated_at) as max_updated_at
-          FROM invoices
-          WHERE status != 'voided'
-          GROUP BY invoice_number
-        ) i2 ON i1.invoice_number = i2.invoice_number AND i1.updated_at = i2.max_updated_at
-        ORDER BY i1.updated_at DESC
-      `;
-
-      // Fetch related data for each invoice
-      const invoicesWithRelations = await Promise.all(
-        latestInvoices.map(async (invoice) => {
-          const fullInvoice = await this.prisma.invoice.findUnique({
-            where: { id: invoice.id },
+      const invoices = await this.prisma.invoice.findMany({
+        where: { status: { notIn: CLOSED_INVOICE_STATUSES } },
+        include: {
+          client: true,
+          payments: { orderBy: { date: "asc" } },
+          creditNotes: true,
+          creditedInvoice: { select: { id: true, invoiceNumber: true } },
+          timeEntries: {
             include: {
               client: true,
-              timeEntries: {
+              project: true,
+              task: {
                 include: {
-                  client: true,
                   project: true,
-                  task: {
-                    include: {
-                      project: true,
-                    },
-                  },
                 },
               },
             },
+          },
+        },
+        orderBy: { updatedAt: "desc" },
+      });
+
+      return invoices.map((invoice) => this.withPaymentStatus(invoice));
+    } catch (error) {
+      logger.error("Error getting invoices:", error);
+      throw error;
+    }
+  }
+
+  // Effective status (including overdue), amount paid, balance and aging
+  withPaymentStatus(invoice, now = new Date()) {
+    if (!invoice) return invoice;
+    const { status, paidAmount, balanceDue, daysOverdue } =
+      getInvoiceStatus(invoice, now);
+
+    return {
+      ...invoice,
+      status,
+      paidAmount,
+      creditedAmount: sumCredits(invoice.creditNotes),
+      balanceDue,
+      daysOverdue,
+      agingBucket: balanceDue > 0 ? getAgingBucket(daysOverdue) : null,
+    };
+  }
+
+  async updateInvoiceStatus(id, status) {
+    try {
+      if (!MANUAL_INVOICE_STATUSES.includes(status)) {
+        throw new Error(`Invalid invoice status: ${status}`);
+      }
+
+      const invoice = await this.prisma.invoice.findUnique({
+        where: { id: parseInt(id) },
+        include: { payments: true, creditNotes: true },
+      });
+      if (!invoice) {
+        throw new Error("Invoice not found");
+      }
+      if (invoice.status === "superseded") {
+        throw new Error("Earlier revisions of an invoice cannot be changed");
+      }
+
+      // Invoices with payments stay partial/paid unless voided
+      const nextStatus =
+        status === "voided"
+          ? status
+          : getPaymentStatus(
+              status,
+              invoice.totalAmount - sumCredits(invoice.creditNotes),
+              sumPayments(invoice.payments),
+            );
+
+      const result = await this.prisma.invoice.update({
+        where: { id: invoice.id },
+        data: { status: nextStatus },
+      });
+      logger.debug("[DATABASE] Invoice status updated:", id, nextStatus);
+      return result;
+    } catch (error) {
+      logger.error("Error updating invoice status:", error);
+      throw error;
+    }
+  }
+
+  // Record an emailed invoice; drafts become sent, paid/partial stay as they are
+  async markInvoiceSent(id, { to, sentAt = new Date() } = {}) {
+    try {
+      const invoice = await this.prisma.invoice.findUnique({
+        where: { id: parseInt(id) },
+      });
+      if (!invoice) {
+        throw new Error("Invoice not found");
+      }
+
+      const result = await this.prisma.invoice.update({
+        where: { id: invoice.id },
+        data: {
+          sentAt: new Date(sentAt),
+          sentTo: to,
+          ...(invoice.status === "draft" ? { status: "sent" } : {}),
+        },
+      });
+      logger.debug("[DATABASE] Invoice marked as sent:", id, to);
+      return result;
+    } catch (error) {
+      logger.error("Error marking invoice as sent:", error);
+      throw error;
+    }
+  }
+
+  // Store the payment-driven status after payments or credit notes change
+  // (through `client`, which may be a transaction)
+  async refreshPaymentStatus(invoiceId, client = this.prisma) {
+    const invoice = await client.invoice.findUnique({
+      where: { id: invoiceId },
+      include: { payments: true, creditNotes: true },
+    });
+
+    return client.invoice.update({
+      where: { id: invoiceId },
+      data: {
+        status: getPaymentStatus(
+          invoice.status === "draft" ? "sent" : invoice.status,
+          invoice.totalAmount - sumCredits(invoice.creditNotes),
+          sumPayments(invoice.payments),
+        ),
+      },
+    });
+  }
+
+  async recordPayment(invoiceId, data) {
+    try {
+      const amount = parseFloat(data.amount);
+      if (isNaN(amount) || amount <= 0) {
+        throw new Error("Payment amount must be greater than zero");
+      }
+
+      const invoice = await this.prisma.invoice.findUnique({
+        where: { id: parseInt(invoiceId) },
+      });
+      if (!invoice) {
+        throw new Error("Invoice not found");
+      }
+      if (CLOSED_INVOICE_STATUSES.includes(invoice.status)) {
+        throw new Error(`Cannot record a payment on a ${invoice.status} invoice`);
+      }
+      if (invoice.type === "credit_note") {
+        throw new Error("Cannot record a payment on a credit note");
+      }
+
+      const payment = await this.prisma.payment.create({
+        data: {
+          invoiceId: invoice.id,
+          amount: parseFloat(amount.toFixed(2)),
+          date: data.date ? new Date(data.date) : new Date(),
+          method: data.method || null,
+          note: data.note || null,
+        },
+      });
+
+      await this.refreshPaymentStatus(invoice.id);
+      logger.debug("[DATABASE] Payment recorded for invoice:", invoice.id);
+      return payment;
+    } catch (error) {
+      logger.error("Error recording payment:", error);
+      throw error;
+    }
+  }
+
+  async deletePayment(id) {
+    try {
+      const payment = await this.prisma.payment.delete({
+        where: { id: parseInt(id) },
+      });
+
+      await this.refreshPaymentStatus(payment.invoiceId);
+      logger.debug("[DATABASE] Payment deleted:", id);
+      return payment;
+    } catch (error) {
+      logger.error("Error deleting payment:", error);
+      throw error;
+    }
+  }
+
+  // Regenerated invoices replace the superseded revision, so its payments move over
+  async movePayments(fromInvoiceId, toInvoiceId, client = this.prisma) {
+    try {
+      const result = await client.payment.updateMany({
+        where: { invoiceId: parseInt(fromInvoiceId) },
+        data: { invoiceId: parseInt(toInvoiceId) },
+      });
+
+      if (result.count > 0) {
+        await this.refreshPaymentStatus(parseInt(toInvoiceId), client);
+      }
+      return result;
+    } catch (error) {
+      logger.error("Error moving payments:", error);
+      throw error;
+    }
+  }
+
+  // Credit notes follow the invoice to its new revision, like payments
+  async moveCreditNotes(fromInvoiceId, toInvoiceId, client = this.prisma) {
+    try {
+      const result = await client.invoice.updateMany({
+        where: { creditedInvoiceId: parseInt(fromInvoiceId) },
+        data: { creditedInvoiceId: parseInt(toInvoiceId) },
+      });
+
+      if (result.count > 0) {
+        await this.refreshPaymentStatus(parseInt(toInvoiceId), client);
+      }
+      return result;
+    } catch (error) {
+      logger.error("Error moving credit notes:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a credit note against an invoice. Amounts are negative; the
+   * number comes from the credit note numbering pattern.
+   * @param {Object} data - creditedInvoiceId, clientId, totals, currency,
+   *   reason, templateData and date
+   */
+  async createCreditNote(data) {
+    try {
+      const date = data.date ? new Date(data.date) : new Date();
+      const creditNote = await this.prisma.$transaction(async (tx) => {
+        const client = await tx.client.findUnique({
+          where: { id: parseInt(data.clientId) },
+        });
+        const invoiceNumber = await this.allocateInvoiceNumber(tx, {
+          client,
+          date,
+          type: "credit_note",
+        });
+
+        return tx.invoice.create({
+          data: {
+            invoiceNumber,
+            type: "credit_note",
+            clientId: client.id,
+            creditedInvoiceId: parseInt(data.creditedInvoiceId),
+            creditReason: data.reason || null,
+            totalAmount: data.totals.totalAmount,
+            subtotal: data.totals.subtotal,
+            discountAmount: data.totals.discountAmount,
+            taxAmount: data.totals.taxAmount,
+            currency: data.currency || null,
+            status: "sent",
+            periodStart: data.periodStart || null,
+            periodEnd: data.periodEnd || null,
+            data: JSON.stringify({ ...data.templateData, invoiceNumber }),
+          },
+        });
+      });
+
+      await this.refreshPaymentStatus(parseInt(data.creditedInvoiceId));
+      logger.debug(
+        "[DATABASE] Credit note issued:",
+        creditNote.invoiceNumber,
+        "for invoice",
+        data.creditedInvoiceId,
+      );
+      return creditNote;
+    } catch (error) {
+      logger.error("Error creating credit note:", error);
+      throw error;
+    }
+  }
+
+  // Every revision of an invoice number, oldest first
+  async getInvoiceRevisions(invoiceNumber) {
+    try {
+      return await this.prisma.invoice.findMany({
+        where: { invoiceNumber, type: "invoice" },
+        select: {
+          id: true,
+          revision: true,
+          status: true,
+          totalAmount: true,
+          currency: true,
+          createdAt: true,
+          revisionNote: true,
+          revisedBy: true,
+        },
+        orderBy: [{ revision: "asc" }, { id: "asc" }],
+      });
+    } catch (error) {
+      logger.error("Error getting invoice revisions:", error);
+      throw error;
+    }
+  }
+
+  // Fees and hours already billed on a client's live invoices, so a new
+  // invoice doesn't charge a fixed fee or retainer month twice. A revision
+  // being regenerated is left out with `excludeInvoiceId`.
+  async getProjectBillingHistory(clientId, { excludeInvoiceId = null } = {}) {
+    try {
+      const invoices = await this.prisma.invoice.findMany({
+        where: {
+          clientId: parseInt(clientId),
+          type: "invoice",
+          status: { notIn: CLOSED_INVOICE_STATUSES },
+          ...(excludeInvoiceId && { id: { not: parseInt(excludeInvoiceId) } }),
+        },
+        select: {
+          data: true,
+          timeEntries: {
+            select: { projectId: true, startTime: true, duration: true },
+          },
+        },
+      });
+
+      const charges = [];
+      const hours = {};
+      for (const invoice of invoices) {
+        let data = {};
+        try {
+          data = JSON.parse(invoice.data || "{}") || {};
+        } catch (_) {
+          // Invoices with unreadable data billed no fees
+        }
+        (data.adjustments?.charges || []).forEach((charge) =>
+          charges.push(charge.key),
+        );
+
+        for (const entry of invoice.timeEntries) {
+          if (!entry.projectId) continue;
+          const key = `${entry.projectId}:${getBillingPeriod(entry.startTime)}`;
+          hours[key] = (hours[key] || 0) + (entry.duration || 0) / 60;
+        }
+      }
+
+      return { charges, hours };
+    } catch (error) {
+      logger.error("Error getting project billing history:", error);
+      throw error;
+    }
+  }
+
+  // Hours used this month of each retainer project of a client
+  async getRetainerUsage(clientId, date = new Date()) {
+    try {
+      const period = getBillingPeriod(date);
+      const { startDate, endDate } = getPeriodRange(period);
+      const projects = await this.prisma.project.findMany({
+        where: { clientId: parseInt(clientId), billingType: "retainer" },
+        orderBy: { name: "asc" },
+      });
+
+      return await Promise.all(
+        projects.map(async (project) => {
+          const { _sum } = await this.prisma.timeEntry.aggregate({
+            where: {
+              projectId: project.id,
+              startTime: {
+                gte: new Date(`${startDate}T00:00:00`),
+                lte: new Date(`${endDate}T23:59:59.999`),
+              },
+            },
+            _sum: { duration: true },
           });
-          return fullInvoice;
+
+          return {
+            projectId: project.id,
+            projectName: project.name,
+            period,
+            ...calculateRetainerUsage(project, (_sum.duration || 0) / 60),
+          };
         }),
       );
+    } catch (error) {
+      logger.error("Error getting retainer usage:", error);
+      throw error;
+    }
+  }
 
-      return invoicesWithRelations;
+  // Clients with recurring invoice drafts turned on
+  async getRecurringClients() {
+    try {
+      return await this.prisma.client.findMany({
+        where: { recurringDay: { not: null } },
+      });
     } catch (error) {
-      logger.error("Error getting invoices:", error);
+      logger.error("Error getting recurring clients:", error);
+      throw error;
+    }
+  }
+
+  async setLastBilledPeriod(clientId, period) {
+    try {
+      return await this.prisma.client.update({
+        where: { id: parseInt(clientId) },
+        data: { lastBilledPeriod: period },
+      });
+    } catch (error) {
+      logger.error("Error setting last billed period:", error);
+      throw error;
+    }
+  }
+
+  // Keep a regenerated invoice's previous revision for its history
+  async supersedeInvoice(id, client = this.prisma) {
+    try {
+      const result = await client.invoice.update({
+        where: { id: parseInt(id) },
+        data: { status: "superseded" },
+      });
+      logger.debug("[DATABASE] Invoice superseded:", id);
+      return result;
+    } catch (error) {
+      logger.error("Error superseding invoice:", error);
       throw error;
     }
   }
@@ -1261,16 +2930,11 @@ class DatabaseService {
         where: { id: parseInt(id) },
         include: {
           client: true,
+          payments: { orderBy: { date: "asc" } },
+          creditNotes: true,
+          creditedInvoice: true,
           timeEntries: {
-            include: {
-              client: true,
-              project: true,
-              task: {
-                include: {
-                  project: true,
-                },
-              },
-            },
+            include: ENTRY_RATE_INCLUDE,
           },
         },
       });
@@ -1306,6 +2970,19 @@ class DatabaseService {
 
   async deleteInvoice(id) {
     try {
+      const existing = await this.prisma.invoice.findUnique({
+        where: { id: parseInt(id) },
+        include: { creditNotes: true },
+      });
+      if (!existing) {
+        throw new Error("Invoice not found");
+      }
+      if (sumCredits(existing.creditNotes) > 0) {
+        throw new Error(
+          "This invoice has credit notes. Void or delete them first.",
+        );
+      }
+
       // First, mark all time entries as not invoiced
       await this.prisma.timeEntry.updateMany({
         where: { invoiceId: parseInt(id) },
@@ -1315,10 +2992,18 @@ class DatabaseService {
         },
       });
 
-      // Then delete the invoice
+      // Then delete the invoice with its earlier revisions
       const invoice = await this.prisma.invoice.delete({
         where: { id: parseInt(id) },
       });
+      if (existing.type === "invoice") {
+        await this.prisma.invoice.deleteMany({
+          where: {
+            invoiceNumber: existing.invoiceNumber,
+            status: "superseded",
+          },
+        });
+      }
 
       logger.debug("[DATABASE] Invoice deleted and time entries unmarked:", id);
       return invoice;
@@ -1345,63 +3030,211 @@ class DatabaseService {
     }
   }
 
-  async markAsInvoiced(entryIds, invoiceNumber, templateData = null) {
+  // Numbering patterns and reset from settings (read through `client`,
+  // which may be a transaction)
+  async getNumbering(client = this.prisma) {
+    const rows = await client.setting.findMany({
+      where: {
+        key: {
+          in: [
+            "invoice_number_pattern",
+            "invoice_number_reset",
+            "credit_note_number_pattern",
+          ],
+        },
+      },
+    });
+    const settings = Object.fromEntries(
+      rows.map((row) => [row.key, row.value]),
+    );
+    return {
+      ...resolveNumbering(settings),
+      creditNotePattern: resolveCreditNotePattern(settings),
+    };
+  }
+
+  // Throws when a live (not voided or superseded) invoice already uses the
+  // number
+  async assertInvoiceNumberAvailable(invoiceNumber, client = this.prisma) {
+    const existing = await client.invoice.findFirst({
+      where: { invoiceNumber, status: { notIn: CLOSED_INVOICE_STATUSES } },
+    });
+    if (existing) {
+      throw new Error(`Invoice number ${invoiceNumber} is already in use`);
+    }
+  }
+
+  // Take the next number from the counter. Runs inside the transaction that
+  // creates the invoice so a failed invoice doesn't leave a gap; numbers
+  // already used by hand-numbered invoices are skipped.
+  async allocateInvoiceNumber(
+    tx,
+    { client, date = new Date(), type = "invoice" } = {},
+  ) {
+    const numbering = await this.getNumbering(tx);
+    const pattern =
+      type === "credit_note" ? numbering.creditNotePattern : numbering.pattern;
+    const scope = getSequenceScope(numbering.reset, date, type);
+
+    for (;;) {
+      const sequence = await tx.invoiceSequence.upsert({
+        where: { scope },
+        create: { scope, nextValue: 2 },
+        update: { nextValue: { increment: 1 } },
+      });
+      const invoiceNumber = formatInvoiceNumber(pattern, {
+        sequence: sequence.nextValue - 1,
+        date,
+        client,
+      });
+
+      const taken = await tx.invoice.findFirst({
+        where: { invoiceNumber, status: { notIn: CLOSED_INVOICE_STATUSES } },
+      });
+      if (!taken) return invoiceNumber;
+    }
+  }
+
+  // Number the next invoice (or credit note, with type "credit_note") would
+  // get, without taking it
+  async previewInvoiceNumber(options = {}) {
+    try {
+      const type = options.type === "credit_note" ? "credit_note" : "invoice";
+      const numbering = options.pattern
+        ? {
+            ...resolveNumbering({
+              invoice_number_pattern: options.pattern,
+              invoice_number_reset: options.reset,
+            }),
+            creditNotePattern: options.pattern,
+          }
+        : await this.getNumbering();
+      const pattern =
+        type === "credit_note" ? numbering.creditNotePattern : numbering.pattern;
+      const date = new Date();
+      const sequence = await this.prisma.invoiceSequence.findUnique({
+        where: { scope: getSequenceScope(numbering.reset, date, type) },
+      });
+
+      return formatInvoiceNumber(pattern, {
+        sequence: sequence?.nextValue || 1,
+        date,
+        client: options.client || { invoicePrefix: "ACME" },
+      });
+    } catch (error) {
+      logger.error("Error previewing invoice number:", error);
+      throw error;
+    }
+  }
+
+  async markAsInvoiced(
+    entryIds,
+    invoiceNumber,
+    templateData = null,
+    totals = null,
+    options = {},
+  ) {
     try {
       // Load the entries to determine client and amount
       const entries = await this.prisma.timeEntry.findMany({
         where: {
           id: { in: entryIds },
         },
-        include: {
-          client: true,
-          project: true,
-        },
+        include: ENTRY_RATE_INCLUDE,
       });
 
-      if (!entries || entries.length === 0) {
+      // Invoices without time (recurring retainer fees) name their client
+      const client = entries[0]?.client || options.client;
+      if (entries.length === 0 && !client) {
         throw new Error("No time entries provided to mark as invoiced");
       }
 
       // Ensure all entries are for the same client
-      const clientId = entries[0].clientId;
+      const clientId = entries[0]?.clientId ?? client.id;
       const multipleClients = entries.some((e) => e.clientId !== clientId);
       if (multipleClients) {
         throw new Error("Cannot create invoice for multiple clients at once");
       }
 
-      // Calculate total amount using project rate fallback to client rate
-      const totalAmount = entries.reduce((sum, e) => {
+      // Calculate total amount at each entry's resolved rate
+      const laborAmount = entries.reduce((sum, e) => {
         const hours = (e.duration || 0) / 60;
-        const rate = e.project?.hourlyRate || e.client?.hourlyRate || 0;
-        return sum + hours * rate;
+        return sum + hours * resolveHourlyRate(e);
       }, 0);
 
+      // Totals with discount, expenses and taxes come from the generator
+      const { subtotal, discountAmount, taxAmount, totalAmount } = totals || {
+        subtotal: laborAmount,
+        discountAmount: 0,
+        taxAmount: 0,
+        totalAmount: laborAmount,
+      };
+
       // Determine billing period from entries
       const dates = entries.map((e) => new Date(e.startTime));
       const minDate = new Date(Math.min.apply(null, dates));
       const maxDate = new Date(Math.max.apply(null, dates));
       const toYMD = (d) => d.toISOString().split("T")[0];
 
-      // Create invoice with template data
-      const invoice = await this.prisma.invoice.create({
-        data: {
-          invoiceNumber,
-          clientId,
-          totalAmount: parseFloat(totalAmount.toFixed(2)),
-          periodStart: toYMD(minDate),
-          periodEnd: toYMD(maxDate),
-          status: "generated",
-          data: templateData ? JSON.stringify(templateData) : "{}",
-        },
-      });
+      // Number and create the invoice in one transaction. A regenerated
+      // invoice also supersedes the revision it replaces (freeing its number
+      // and time) and takes over its payments and credit notes, so a failure
+      // leaves the previous revision as it was.
+      const replacedId = options.replacesInvoiceId
+        ? parseInt(options.replacesInvoiceId)
+        : null;
+      return await this.prisma.$transaction(async (tx) => {
+        if (replacedId) {
+          await this.supersedeInvoice(replacedId, tx);
+          await tx.timeEntry.updateMany({
+            where: { invoiceId: replacedId },
+            data: { isInvoiced: false, invoiceId: null },
+          });
+        }
+        if (invoiceNumber) {
+          await this.assertInvoiceNumberAvailable(invoiceNumber, tx);
+        }
+        const number =
+          invoiceNumber ||
+          (await this.allocateInvoiceNumber(tx, {
+            client,
+            date: options.invoiceDate,
+          }));
+
+        const invoice = await tx.invoice.create({
+          data: {
+            invoiceNumber: number,
+            clientId,
+            totalAmount: parseFloat(totalAmount.toFixed(2)),
+            subtotal: parseFloat(subtotal.toFixed(2)),
+            discountAmount: parseFloat(discountAmount.toFixed(2)),
+            taxAmount: parseFloat(taxAmount.toFixed(2)),
+            currency: templateData?.currency || null,
+            dueDate: options.dueDate ? new Date(options.dueDate) : null,
+            periodStart: options.period?.startDate || toYMD(minDate),
+            periodEnd: options.period?.endDate || toYMD(maxDate),
+            status: options.status || "draft",
+            revision: options.revision || 1,
+            revisionNote: options.revisionNote || null,
+            revisedBy: options.revisedBy || null,
+            data: templateData
+              ? JSON.stringify({ ...templateData, invoiceNumber: number })
+              : "{}",
+          },
+        });
 
-      // Mark entries as invoiced and associate invoiceId
-      await this.prisma.timeEntry.updateMany({
-        where: { id: { in: entryIds } },
-        data: { isInvoiced: true, invoiceId: invoice.id },
-      });
+        // Mark entries as invoiced and associate invoiceId
+        await tx.timeEntry.updateMany({
+          where: { id: { in: entryIds } },
+          data: { isInvoiced: true, invoiceId: invoice.id },
+        });
 
-      return invoice;
+        if (replacedId) {
+          await this.movePayments(replacedId, invoice.id, tx);
+          await this.moveCreditNotes(replacedId, invoice.id, tx);
+        }
+        return invoice;
+      });
     } catch (error) {
       logger.error("Error marking entries as invoiced:", error);
       throw error;
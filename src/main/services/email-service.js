@@ -0,0 +1,210 @@
+import handlebars from 'handlebars';
+import fs from 'fs';
+import nodemailer from 'nodemailer';
+import { formatCurrency } from '../helpers/currency.js';
+import { CLOSED_INVOICE_STATUSES } from '../helpers/invoice-status.js';
+import { getAddress, isValidEmail, parseAddressList } from '../helpers/email-message.js';
+
+export const DEFAULT_EMAIL_SUBJECT = 'Invoice {{invoiceNumber}} from {{companyName}}';
+
+export const DEFAULT_EMAIL_BODY = `Hello {{clientName}},
+
+Please find attached invoice {{invoiceNumber}} for {{totalAmount}}, covering {{periodStart}} to {{periodEnd}}.
+
+Payment is due by {{dueDate}}.
+
+Thank you,
+{{companyName}}`;
+
+/**
+ * Emails invoices to clients: composes the message from the subject/body
+ * templates in Settings, attaches the invoice PDF and sends it over SMTP with
+ * nodemailer
+ */
+class EmailService {
+  constructor(dependencies = {}) {
+    if (!dependencies.database) {
+      throw new Error('Database dependency is required');
+    }
+    if (!dependencies.invoiceGenerator) {
+      throw new Error('Invoice generator dependency is required');
+    }
+
+    this.database = dependencies.database;
+    this.invoiceGenerator = dependencies.invoiceGenerator;
+    this.fileSystem = dependencies.fileSystem || {
+      readFileSync: fs.readFileSync,
+      unlinkSync: fs.unlinkSync
+    };
+    this.templateCompiler = dependencies.templateCompiler || handlebars;
+    this.createTransport = dependencies.createTransport || (config => nodemailer.createTransport(config));
+    this.dateProvider = dependencies.dateProvider || (() => new Date());
+  }
+
+  // nodemailer SMTP options from Settings: TLS from the start when secure,
+  // otherwise STARTTLS when the server offers it. The password is only sent
+  // over an encrypted connection.
+  getSmtpConfig(settings) {
+    if (!settings.smtp_host) {
+      throw new Error('Email is not set up. Add the SMTP server in Settings.');
+    }
+
+    const secure = settings.smtp_secure === 'true' || settings.smtp_secure === true;
+    return {
+      host: settings.smtp_host,
+      port: parseInt(settings.smtp_port, 10) || (secure ? 465 : 587),
+      secure,
+      ...(settings.smtp_user && {
+        requireTLS: !secure,
+        auth: { user: settings.smtp_user, pass: settings.smtp_password || '' }
+      })
+    };
+  }
+
+  // Sender address: smtp_from, else the company email
+  getSender(settings) {
+    const from = settings.smtp_from || settings.company_email || '';
+    if (!isValidEmail(from)) {
+      throw new Error('Add a sender address (From) in the email settings');
+    }
+    if (from.includes('<')) return from;
+    return settings.company_name ? `${settings.company_name} <${from}>` : from;
+  }
+
+  async getInvoice(invoiceId) {
+    const invoice = await this.database.getInvoiceById(invoiceId);
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
+    return invoice;
+  }
+
+  // Values available to the subject and body templates
+  getEmailFields(invoice, settings) {
+    const stored = this.invoiceGenerator.getStoredData(invoice);
+    const dueDate = invoice.dueDate ? new Date(invoice.dueDate).toLocaleDateString() : stored.dueDate || '';
+
+    return {
+      invoiceNumber: invoice.invoiceNumber,
+      invoiceDate: stored.invoiceDate || new Date(invoice.createdAt).toLocaleDateString(),
+      dueDate,
+      periodStart: stored.periodStart || '',
+      periodEnd: stored.periodEnd || '',
+      totalAmount: formatCurrency(invoice.totalAmount, invoice.currency),
+      totalHours: stored.totalHours || '',
+      clientName: invoice.client?.name || stored.clientName || '',
+      companyName: settings.company_name || stored.companyName || '',
+      companyEmail: settings.company_email || stored.companyEmail || ''
+    };
+  }
+
+  // Emails are plain text, so nothing is HTML-escaped
+  renderTemplate(source, fields) {
+    try {
+      return this.templateCompiler.compile(source, { noEscape: true })(fields);
+    } catch (error) {
+      throw new Error(`Invalid email template: ${error.message}`);
+    }
+  }
+
+  /**
+   * Draft email for an invoice, for the user to review before sending
+   * @param {number} invoiceId
+   * @returns {Promise<{to: string, subject: string, body: string}>}
+   */
+  async composeInvoiceEmail(invoiceId) {
+    const [invoice, settings] = await Promise.all([
+      this.getInvoice(invoiceId),
+      this.database.getSettings()
+    ]);
+    const fields = this.getEmailFields(invoice, settings);
+
+    return {
+      to: invoice.sentTo || invoice.client?.email || '',
+      subject: this.renderTemplate(settings.email_subject_template || DEFAULT_EMAIL_SUBJECT, fields),
+      body: this.renderTemplate(settings.email_body_template || DEFAULT_EMAIL_BODY, fields)
+    };
+  }
+
+  /**
+   * Send an invoice with its PDF attached, then record it as sent
+   * @param {number} invoiceId
+   * @param {Object} email - Recipients (comma separated), subject and body
+   * @returns {Promise<Object>} The updated invoice
+   */
+  async sendInvoiceEmail(invoiceId, { to, subject, body } = {}) {
+    const recipients = parseAddressList(to);
+    if (recipients.length === 0) {
+      throw new Error('Add at least one recipient');
+    }
+    const invalid = recipients.find(recipient => !isValidEmail(recipient));
+    if (invalid) {
+      throw new Error(`Invalid email address: ${invalid}`);
+    }
+    if (!String(subject || '').trim()) {
+      throw new Error('Subject is required');
+    }
+
+    const [invoice, settings] = await Promise.all([
+      this.getInvoice(invoiceId),
+      this.database.getSettings()
+    ]);
+    if (CLOSED_INVOICE_STATUSES.includes(invoice.status)) {
+      throw new Error(`${invoice.status === 'voided' ? 'Voided' : 'Superseded'} invoices cannot be sent`);
+    }
+    const transport = this.createTransport(this.getSmtpConfig(settings));
+    const from = this.getSender(settings);
+
+    const pdfPath = await this.invoiceGenerator.generatePDFFromStoredData(invoice);
+    let content;
+    try {
+      content = this.fileSystem.readFileSync(pdfPath);
+    } finally {
+      try {
+        this.fileSystem.unlinkSync(pdfPath);
+      } catch (_) {
+        // The temp file is cleaned up by the OS eventually
+      }
+    }
+
+    const clientName = invoice.client?.name || this.invoiceGenerator.getStoredData(invoice).clientName;
+    await transport.sendMail({
+      from,
+      to: recipients,
+      subject,
+      text: body || '',
+      attachments: [{
+        filename: this.invoiceGenerator.createInvoiceFilename(clientName, invoice.invoiceNumber),
+        content,
+        contentType: 'application/pdf'
+      }]
+    });
+
+    return this.database.markInvoiceSent(invoice.id, {
+      to: recipients.map(getAddress).join(', '),
+      sentAt: this.dateProvider()
+    });
+  }
+
+  /**
+   * Check the SMTP settings by sending a short message
+   * @param {string} to
+   */
+  async sendTestEmail(to) {
+    if (!isValidEmail(to)) {
+      throw new Error('Enter a valid email address');
+    }
+
+    const settings = await this.database.getSettings();
+    const transport = this.createTransport(this.getSmtpConfig(settings));
+    await transport.sendMail({
+      from: this.getSender(settings),
+      to,
+      subject: 'myHours test email',
+      text: 'Your email settings work. Invoices can now be sent from myHours.'
+    });
+    return { success: true };
+  }
+}
+
+export default EmailService;
@@ -0,0 +1,200 @@
+import * as electronBuiltin from 'electron';
+
+import logger from './logger-service.js';
+
+const POLL_INTERVAL_MS = 15 * 1000;
+const DEFAULT_IDLE_THRESHOLD_MINUTES = 10;
+
+/**
+ * Watches system idle time while a timer is running. Once the user comes back
+ * after being idle longer than the `idle_threshold` setting, the renderer and
+ * tray are asked whether to keep, discard or split the idle period.
+ */
+class IdleService {
+  constructor(mainWindow, database, electronModule) {
+    this.mainWindow = mainWindow;
+    this.database = database;
+    this.electron = electronModule || electronBuiltin;
+    this.trayService = null;
+    this.interval = null;
+
+    // Idle period being tracked ({ entryId, idleStart }) and the one waiting
+    // for the user's decision ({ entryId, idleStart, idleEnd, idleMinutes, ... })
+    this.idle = null;
+    this.pending = null;
+
+    this.check = this.check.bind(this);
+    this.markAway = this.markAway.bind(this);
+  }
+
+  setTrayService(trayService) {
+    this.trayService = trayService;
+  }
+
+  setup() {
+    const { ipcMain, powerMonitor } = this.electron;
+
+    ipcMain.handle('idle:getPending', async () => this.pending);
+
+    ipcMain.handle('idle:resolve', async (_event, action, options = {}) => {
+      try {
+        return await this.resolve(action, options);
+      } catch (error) {
+        logger.error('[IDLE] Error resolving idle period:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Sleep and screen lock count as idle right away
+    powerMonitor.on('suspend', this.markAway);
+    powerMonitor.on('lock-screen', this.markAway);
+    powerMonitor.on('resume', this.check);
+    powerMonitor.on('unlock-screen', this.check);
+
+    this.interval = setInterval(this.check, POLL_INTERVAL_MS);
+    logger.debug('[IDLE] Idle detection started');
+  }
+
+  async getThresholdMinutes() {
+    const value = await this.database.getSetting('idle_threshold');
+    if (value === null || value === undefined || value === '') {
+      return DEFAULT_IDLE_THRESHOLD_MINUTES;
+    }
+    const minutes = parseInt(value, 10);
+    return isNaN(minutes) ? DEFAULT_IDLE_THRESHOLD_MINUTES : minutes;
+  }
+
+  async markAway() {
+    if (this.idle || this.pending) return;
+    try {
+      const activeTimer = await this.database.getActiveTimer();
+      if (activeTimer) {
+        this.idle = { entryId: activeTimer.id, idleStart: new Date() };
+        logger.debug('[IDLE] System went away with timer running:', activeTimer.id);
+      }
+    } catch (error) {
+      logger.error('[IDLE] Error marking system away:', error);
+    }
+  }
+
+  async check() {
+    // Wait for the user to answer before tracking another idle period
+    if (this.pending) return;
+
+    try {
+      const thresholdMinutes = await this.getThresholdMinutes();
+      if (thresholdMinutes <= 0) {
+        this.idle = null;
+        return;
+      }
+
+      const thresholdSeconds = thresholdMinutes * 60;
+      const idleSeconds = this.electron.powerMonitor.getSystemIdleTime();
+
+      if (!this.idle) {
+        if (idleSeconds >= thresholdSeconds) {
+          const activeTimer = await this.database.getActiveTimer();
+          if (activeTimer) {
+            this.idle = {
+              entryId: activeTimer.id,
+              idleStart: new Date(Date.now() - idleSeconds * 1000),
+            };
+            logger.debug('[IDLE] Idle period started at', this.idle.idleStart);
+          }
+        }
+        return;
+      }
+
+      // Still away - keep waiting for activity
+      if (idleSeconds >= thresholdSeconds) return;
+
+      const idleEnd = new Date(Date.now() - idleSeconds * 1000);
+      await this.prompt(idleEnd, thresholdMinutes);
+    } catch (error) {
+      logger.error('[IDLE] Error checking idle state:', error);
+    }
+  }
+
+  async prompt(idleEnd, thresholdMinutes) {
+    const { entryId, idleStart } = this.idle;
+    this.idle = null;
+
+    // Nothing to ask if the timer was stopped or switched meanwhile
+    const activeTimer = await this.database.getActiveTimer();
+    if (!activeTimer || activeTimer.id !== entryId) return;
+
+    const idleMinutes = Math.floor((idleEnd.getTime() - idleStart.getTime()) / 60000);
+    if (idleMinutes < thresholdMinutes) return;
+
+    this.pending = {
+      entryId,
+      idleStart: idleStart.toISOString(),
+      idleEnd: idleEnd.toISOString(),
+      idleMinutes,
+      clientName: activeTimer.client?.name || null,
+      description: activeTimer.description || ''
+    };
+
+    logger.info(`[IDLE] Idle for ${idleMinutes} minutes on timer ${entryId}, asking user`);
+    this.sendEvent('detected', this.pending);
+    this.trayService?.setIdlePrompt(this.pending);
+
+    try {
+      this.mainWindow?.show();
+    } catch (_) {}
+  }
+
+  /**
+   * Apply the user's decision for the pending idle period
+   * @param {string} action - 'keep' | 'discard' | 'split'
+   * @param {Object} options - For 'split': clientId, projectId, taskId, description
+   * @returns {Object} Result with success flag and the affected entry
+   */
+  async resolve(action, options = {}) {
+    if (!this.pending) {
+      return { success: false, error: 'No idle period to resolve' };
+    }
+
+    const { entryId } = this.pending;
+    const idleStart = new Date(this.pending.idleStart);
+    const idleEnd = new Date(this.pending.idleEnd);
+    let entry = null;
+
+    switch (action) {
+      case 'keep':
+        break;
+      case 'discard': {
+        // End the entry where the idle period began
+        entry = await this.database.stopTimer(entryId, null, idleStart);
+        break;
+      }
+      case 'split':
+        entry = await this.database.splitTimeEntry(entryId, idleStart, idleEnd, options);
+        break;
+      default:
+        return { success: false, error: `Unknown idle action: ${action}` };
+    }
+
+    logger.info(`[IDLE] Idle period on timer ${entryId} resolved with '${action}'`);
+    this.pending = null;
+    this.sendEvent('resolved', { action, entryId, entry });
+    this.trayService?.setIdlePrompt(null);
+
+    return { success: true, action, entry };
+  }
+
+  sendEvent(type, payload = {}) {
+    try {
+      this.mainWindow?.webContents?.send('idle:event', { type, payload });
+    } catch (_) {}
+  }
+
+  destroy() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+}
+
+export default IdleService;
@@ -4,10 +4,44 @@ import fs from 'fs';
 import os from 'os';
 import { dialog, BrowserWindow } from 'electron';
 import { fileURLToPath } from 'url';
+import {
+  calculateInvoiceTotals,
+  normalizeDiscount,
+  normalizeExpenses,
+  parseTaxRates,
+  resolveTaxRates
+} from '../helpers/invoice-totals.js';
+import { formatCurrency, normalizeCurrency, resolveCurrency } from '../helpers/currency.js';
+import { toLogoDataUrl } from '../helpers/company-logo.js';
+import {
+  BILLING_TYPE_LABELS,
+  calculateProjectCharges,
+  getBillingType,
+  getPeriodRange
+} from '../helpers/project-billing.js';
+import { CLOSED_INVOICE_STATUSES, sumCredits } from '../helpers/invoice-status.js';
+import { describeRevisionChanges, formatRevisionNote } from '../helpers/invoice-revisions.js';
+import { isBillableEntry } from '../helpers/billable.js';
+import { resolveHourlyRate } from '../helpers/rates.js';
+import { appendHtmlSection, buildTimesheet } from '../helpers/timesheet.js';
+import { CREDIT_NOTE_TEMPLATE_FILE, CREDIT_NOTE_TEMPLATE_ID } from './template-service.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Bundled next to invoice.hbs; used on its own and as an invoice appendix
+const TIMESHEET_TEMPLATE_FILE = 'timesheet.hbs';
+
+// Invoice line item layouts. `line` decides what one line item covers;
+// `group` adds a header with a subtotal around those lines.
+export const INVOICE_GROUPINGS = {
+  day: { line: 'day', itemLabel: 'Date' },
+  project: { line: 'project', itemLabel: 'Project' },
+  task: { group: 'project', line: 'task', itemLabel: 'Task' },
+  project_day: { group: 'project', line: 'day', itemLabel: 'Date' },
+  entry: { line: 'entry', itemLabel: 'Date' }
+};
+
 class InvoiceGenerator {
   constructor(dependencies = {}) {
     // Validate dependencies first
@@ -32,12 +66,34 @@ class InvoiceGenerator {
     this.pdfRenderer = dependencies.pdfRenderer || this.createDefaultPdfRenderer();
     this.templateCompiler = dependencies.templateCompiler || handlebars;
     this.dateProvider = dependencies.dateProvider || (() => new Date());
+    // Who revisions are recorded as made by
+    this.userProvider = dependencies.userProvider || (() => {
+      try {
+        return os.userInfo().username;
+      } catch (_) {
+        return null;
+      }
+    });
+    // User-editable templates; without it every invoice uses templatePath
+    this.templateService = dependencies.templateService || null;
+    // Where the uploaded company logo lives; no logo without it
+    this.brandingDir = dependencies.brandingDir || null;
     
     // Template path configuration
     this.templatePath = dependencies.templatePath || 
       this.pathUtil.join(__dirname, '..', 'templates', 'invoice.hbs');
     
     this.ensureTemplateDirectory();
+    this.registerTemplateHelpers();
+  }
+
+  // {{money amount}} formats an amount in the invoice's currency
+  registerTemplateHelpers() {
+    if (typeof this.templateCompiler.registerHelper !== 'function') return;
+
+    this.templateCompiler.registerHelper('money', (amount, options) =>
+      formatCurrency(amount, options?.data?.root?.currency)
+    );
   }
 
   createDefaultPdfRenderer() {
@@ -114,13 +170,19 @@ class InvoiceGenerator {
       throw new Error('No uninvoiced time entries found for the specified criteria');
     }
 
-    return timeEntries;
+    const billableEntries = timeEntries.filter(isBillableEntry);
+    if (billableEntries.length === 0) {
+      throw new Error('No billable time entries found for the specified criteria');
+    }
+
+    return billableEntries;
   }
 
   validateTimeEntriesForInvoicing(timeEntries) {
     const missingRates = [];
     
     for (const entry of timeEntries) {
+      if (!this.isHourlyEntry(entry)) continue;
       const hourlyRate = this.getHourlyRateForEntry(entry);
       
       if (!hourlyRate || hourlyRate <= 0) {
@@ -138,50 +200,98 @@ class InvoiceGenerator {
         `• ${mr.date} - ${mr.clientName}/${mr.projectName}`
       ).join('\n');
       
-      throw new Error(`Cannot generate invoice: The following time entries have no hourly rate set:\n\n${errorDetails}\n\nPlease set hourly rates for the client or project before generating an invoice.`);
+      throw new Error(`Cannot generate invoice: The following time entries have no hourly rate set:\n\n${errorDetails}\n\nPlease set an hourly rate on the entry, task, project or client before generating an invoice.`);
     }
   }
 
   getHourlyRateForEntry(entry) {
-    return entry.project?.hourlyRate || entry.client?.hourlyRate || 0;
+    return resolveHourlyRate(entry);
+  }
+
+  // Time on fixed-fee and retainer projects is paid for by the project fee
+  isHourlyEntry(entry) {
+    return getBillingType(entry.project) === 'hourly';
+  }
+
+  getBilledRateForEntry(entry) {
+    return this.isHourlyEntry(entry) ? this.getHourlyRateForEntry(entry) : 0;
+  }
+
+  // Fixed and retainer fees for an invoice, leaving out fees other live
+  // invoices of the client already charged. `periods` bills retainers for
+  // those months even without time in them; `excludeInvoiceId` is the
+  // revision being regenerated, whose fees are charged again.
+  async getProjectCharges(timeEntries, client, periods = [], excludeInvoiceId = null) {
+    const clientId = client?.id ?? timeEntries[0]?.clientId;
+    const hasFees = periods.length > 0 || timeEntries.some(entry => !this.isHourlyEntry(entry));
+    if (!clientId || !hasFees) return [];
+
+    const [history, projects] = await Promise.all([
+      this.database.getProjectBillingHistory(clientId, { excludeInvoiceId }),
+      periods.length > 0 ? this.database.getProjects(clientId) : []
+    ]);
+    return calculateProjectCharges({ entries: timeEntries, retainerProjects: projects, periods, history });
+  }
+
+  // Months an invoice charged retainer fees for
+  getRetainerPeriods(charges = []) {
+    return [...new Set(charges.filter(charge => charge.type === 'retainer').map(charge => charge.period))];
   }
 
   async createInvoiceData(timeEntries, settings, inputData) {
-    const lineItems = this.groupEntriesByDay(timeEntries);
     const totalHours = this.calculateTotalHours(timeEntries);
-    const totalAmount = this.calculateTotalAmount(timeEntries);
-    const clientInfo = timeEntries[0]?.client;
+    const totalRawHours = this.calculateTotalRawHours(timeEntries);
+    const clientInfo = timeEntries[0]?.client || inputData.client;
+    const adjustments = {
+      ...this.getInvoiceAdjustments(inputData, settings, clientInfo),
+      charges: await this.getProjectCharges(timeEntries, clientInfo, inputData.retainer_periods)
+    };
+    const totals = this.calculateInvoiceTotals(timeEntries, adjustments);
+    const currency = resolveCurrency({ client: clientInfo, settings });
     const displayRate = this.getDisplayRate(timeEntries);
     
-    const periodStartDisplay = this.getOldestEntryDate(timeEntries);
-    const periodEndDisplay = this.getNewestEntryDate(timeEntries);
+    // Recurring invoices cover their whole month
+    const { period } = inputData;
+    const periodStartDisplay = period ? this.formatYMDToLocale(period.startDate) : this.getOldestEntryDate(timeEntries);
+    const periodEndDisplay = period ? this.formatYMDToLocale(period.endDate) : this.getNewestEntryDate(timeEntries);
     
-    const invoiceNumber = inputData.invoice_number || this.generateInvoiceNumber();
+    // Empty means the next number from the numbering sequence, taken when the
+    // invoice is stored
+    const invoiceNumber = String(inputData.invoice_number || '').trim() || null;
     const currentDate = this.dateProvider();
+    const dueDate = this.getDueDate(settings, currentDate, inputData.due_date);
     
     const templateData = {
-      companyName: settings.company_name || settings.companyName || 'Your Company',
-      companyEmail: settings.company_email || settings.companyEmail || '',
-      companyPhone: settings.company_phone || settings.companyPhone || '',
-      companyWebsite: settings.company_website || settings.companyWebsite || '',
+      ...this.createCompanyData(settings),
       invoiceNumber: invoiceNumber,
       invoiceDate: currentDate.toLocaleDateString(),
       terms: settings.invoice_terms || settings.invoiceTerms || 'Net 30',
-      dueDate: this.calculateDueDate(settings, currentDate),
+      dueDate: dueDate.toLocaleDateString(),
       periodStart: periodStartDisplay,
       periodEnd: periodEndDisplay,
-      clientName: clientInfo?.name || 'Unknown Client',
-      clientEmail: clientInfo?.email || '',
-      lineItems: lineItems,
+      ...this.createClientData(clientInfo),
+      currency,
+      templateId: this.resolveTemplateId(clientInfo, settings),
+      ...this.createLineItemData(timeEntries, inputData.group_by),
       totalHours: totalHours.toFixed(2),
+      totalRawHours: totalRawHours.toFixed(2),
+      showRawHours: this.hasRoundedEntries(timeEntries),
       hourlyRate: displayRate ? displayRate.toFixed(2) : 'Varies',
-      totalAmount: totalAmount.toFixed(2)
+      ...this.createTotalsData(totals, adjustments),
+      ...(inputData.attach_timesheet && { timesheet: buildTimesheet(timeEntries) })
     };
 
     // Mark entries as invoiced and get invoice ID
     const entryIds = timeEntries.map(entry => entry.id);
-    const createdInvoice = await this.database.markAsInvoiced(entryIds, invoiceNumber, templateData);
+    const createdInvoice = await this.database.markAsInvoiced(
+      entryIds,
+      invoiceNumber,
+      templateData,
+      this.getInvoiceRowTotals(totals),
+      { dueDate, invoiceDate: currentDate, client: clientInfo, period }
+    );
     templateData.invoiceId = createdInvoice.id;
+    templateData.invoiceNumber = createdInvoice.invoiceNumber;
 
     return templateData;
   }
@@ -190,28 +300,53 @@ class InvoiceGenerator {
     return timeEntries.reduce((sum, entry) => sum + (entry.duration || 0), 0) / 60;
   }
 
+  // Worked minutes before rounding; `duration` holds the billed minutes
+  getRawMinutes(entry) {
+    return entry.rawDuration ?? entry.duration ?? 0;
+  }
+
+  calculateTotalRawHours(timeEntries) {
+    return timeEntries.reduce((sum, entry) => sum + this.getRawMinutes(entry), 0) / 60;
+  }
+
+  hasRoundedEntries(timeEntries) {
+    return timeEntries.some(entry =>
+      entry.rawDuration !== null && entry.rawDuration !== undefined && entry.rawDuration !== entry.duration
+    );
+  }
+
   calculateTotalAmount(timeEntries) {
     return timeEntries.reduce((sum, entry) => {
       const hours = (entry.duration || 0) / 60;
-      const hourlyRate = this.getHourlyRateForEntry(entry);
+      const hourlyRate = this.getBilledRateForEntry(entry);
       return sum + (hours * hourlyRate);
     }, 0);
   }
 
   getDisplayRate(timeEntries) {
     const rates = timeEntries
-      .map(entry => this.getHourlyRateForEntry(entry))
+      .map(entry => this.getBilledRateForEntry(entry))
       .filter(Boolean);
     const uniqueRates = [...new Set(rates)];
     return uniqueRates.length === 1 ? uniqueRates[0] : null;
   }
 
   calculateDueDate(settings, invoiceDate = null) {
+    return this.getDueDate(settings, invoiceDate).toLocaleDateString();
+  }
+
+  // Due date from a chosen YYYY-MM-DD date, or the payment terms
+  getDueDate(settings, invoiceDate = null, requestedDate = null) {
+    if (requestedDate) {
+      const [y, m, d] = String(requestedDate).split('-').map(n => parseInt(n, 10));
+      if (y && m && d) return new Date(y, m - 1, d);
+    }
+
     const baseDate = invoiceDate || this.dateProvider();
     const days = this.parseNetDays(settings.invoice_terms || settings.invoiceTerms || 'Net 30');
     const dueDate = new Date(baseDate);
     dueDate.setDate(dueDate.getDate() + days);
-    return dueDate.toLocaleDateString();
+    return dueDate;
   }
 
   async generateInvoiceFromSelectedEntries(data) {
@@ -243,7 +378,13 @@ class InvoiceGenerator {
       throw new Error('No time entries found for the selected IDs');
     }
 
-    return timeEntries;
+    // Non-billable entries are tracked only and never invoiced
+    const billableEntries = timeEntries.filter(isBillableEntry);
+    if (billableEntries.length === 0) {
+      throw new Error('None of the selected time entries are billable');
+    }
+
+    return billableEntries;
   }
 
   validateSelectedEntries(timeEntries) {
@@ -265,12 +406,11 @@ class InvoiceGenerator {
       // Get settings for company info
       const settings = await this.database.getSettings();
       
-      // Prepare line items from the invoice's time entries
-      const lineItems = this.groupEntriesByDay(invoice.timeEntries);
-      
       // Calculate totals
       let totalHours = 0;
-      let totalAmount = invoice.totalAmount || 0;
+      const totalRawHours = this.calculateTotalRawHours(invoice.timeEntries);
+      const adjustments = this.getStoredAdjustments(invoice);
+      const totals = this.calculateInvoiceTotals(invoice.timeEntries, adjustments);
       const ratesUsed = new Set();
       
       invoice.timeEntries.forEach(entry => {
@@ -286,10 +426,7 @@ class InvoiceGenerator {
       // Prepare template data (support snake_case and camelCase settings)
       const templateData = {
         // Company info from settings
-        companyName: settings.company_name || settings.companyName || 'Your Company',
-        companyEmail: settings.company_email || settings.companyEmail || '',
-        companyPhone: settings.company_phone || settings.companyPhone || '',
-        companyWebsite: settings.company_website || settings.companyWebsite || '',
+        ...this.createCompanyData(settings),
         terms: settings.invoice_terms || settings.invoiceTerms || 'Net 30',
         
         // Invoice info
@@ -304,19 +441,22 @@ class InvoiceGenerator {
         })(),
         
         // Client info
-        clientName: invoice.client?.name || 'Unknown Client',
-        clientAddress: invoice.client?.address || '',
-        clientEmail: invoice.client?.email || '',
+        ...this.createClientData(invoice.client),
+        currency: this.getInvoiceCurrency(invoice, settings),
+        templateId: this.getStoredData(invoice).templateId || this.resolveTemplateId(invoice.client, settings),
         
         // Period info (stored as YYYY-MM-DD; format as local date without timezone shift)
         periodStart: invoice.periodStart ? this.formatYMDToLocale(invoice.periodStart) : '',
         periodEnd: invoice.periodEnd ? this.formatYMDToLocale(invoice.periodEnd) : '',
         
-        // Line items and totals
-        lineItems: lineItems,
+        // Line items (in the invoice's stored layout) and totals
+        ...this.createLineItemData(invoice.timeEntries, this.getStoredGroupBy(invoice)),
         totalHours: totalHours.toFixed(2),
+        totalRawHours: totalRawHours.toFixed(2),
+        showRawHours: this.hasRoundedEntries(invoice.timeEntries),
         hourlyRate: displayRate ? displayRate.toFixed(2) : 'Varies',
-        totalAmount: totalAmount.toFixed(2)
+        ...this.createTotalsData(totals, adjustments),
+        ...(this.getStoredData(invoice).timesheet && { timesheet: buildTimesheet(invoice.timeEntries) })
       };
 
       // Generate PDF directly to temp file without showing save dialog
@@ -329,44 +469,47 @@ class InvoiceGenerator {
     }
   }
 
-  // Regenerate invoice: void old one and create new from current time entries
-  async regenerateInvoice(invoiceId) {
+  // Regenerate invoice: the current revision is superseded by a new one
+  // (same number) built from the current time entries and fees. Everything is
+  // checked before anything is stored, and the database swaps the revisions
+  // in one transaction, so a failure leaves the invoice as it was.
+  async regenerateInvoice(invoiceId, options = {}) {
     try {
       // Get the existing invoice
       const existingInvoice = await this.database.getInvoiceById(invoiceId);
       if (!existingInvoice) {
         throw new Error('Invoice not found');
       }
-      
-      // Void the old invoice
-      await this.database.voidInvoice(invoiceId);
-      
-      // Un-invoice the time entries so they can be re-invoiced
-      const entryIds = existingInvoice.timeEntries.map(entry => entry.id);
-      await this.database.unmarkAsInvoiced(entryIds);
+      if (existingInvoice.type === 'credit_note') {
+        throw new Error('Credit notes cannot be regenerated');
+      }
+      if (CLOSED_INVOICE_STATUSES.includes(existingInvoice.status)) {
+        throw new Error(`Cannot regenerate a ${existingInvoice.status} invoice`);
+      }
       
       // Get current settings for company info
       const settings = await this.database.getSettings();
       
-      // Get fresh time entries for the same period and client
-      const timeEntries = await this.database.getTimeEntries({
+      // Fresh time entries for the same period and client: those not invoiced
+      // yet and those on this invoice
+      const timeEntries = (await this.database.getTimeEntries({
         clientId: existingInvoice.clientId,
         startDate: existingInvoice.periodStart,
-        endDate: existingInvoice.periodEnd,
-        isInvoiced: false
-      });
-
-      if (timeEntries.length === 0) {
-        throw new Error('No uninvoiced time entries found for regeneration');
-      }
+        endDate: existingInvoice.periodEnd
+      })).filter(entry =>
+        (!entry.isInvoiced || entry.invoiceId === existingInvoice.id) &&
+        !entry.isActive &&
+        isBillableEntry(entry)
+      );
 
       this.validateTimeEntriesForInvoicing(timeEntries);
 
-      // Create regenerated invoice data
+      // Create regenerated invoice data; this stores the new revision
       const templateData = await this.createRegeneratedInvoiceData(
         timeEntries, 
         settings, 
-        existingInvoice
+        existingInvoice,
+        options.note
       );
 
       // Generate PDF with correct filename including new invoice ID
@@ -379,45 +522,202 @@ class InvoiceGenerator {
     }
   }
 
-  async createRegeneratedInvoiceData(timeEntries, settings, existingInvoice) {
-    const lineItems = this.groupEntriesByDay(timeEntries);
+  async createRegeneratedInvoiceData(timeEntries, settings, existingInvoice, note = '') {
     const totalHours = this.calculateTotalHours(timeEntries);
-    const totalAmount = this.calculateTotalAmount(timeEntries);
-    const clientInfo = timeEntries[0]?.client;
+    const totalRawHours = this.calculateTotalRawHours(timeEntries);
+    const storedAdjustments = this.getStoredAdjustments(existingInvoice);
+    const adjustments = {
+      ...storedAdjustments,
+      // Fees follow the regenerated time; the revision being replaced doesn't count
+      charges: await this.getProjectCharges(
+        timeEntries,
+        existingInvoice.client,
+        this.getRetainerPeriods(storedAdjustments.charges),
+        existingInvoice.id
+      )
+    };
+    // Invoices of only retainer fees are regenerated with their fees
+    if (timeEntries.length === 0 && adjustments.charges.length === 0) {
+      throw new Error('No uninvoiced time entries found for regeneration');
+    }
+
+    const totals = this.calculateInvoiceTotals(timeEntries, adjustments);
+    const currency = this.getInvoiceCurrency(existingInvoice, settings);
+    const clientInfo = timeEntries[0]?.client || existingInvoice.client;
     const displayRate = this.getDisplayRate(timeEntries);
     
-    const periodStartDisplay = this.getOldestEntryDate(timeEntries);
-    const periodEndDisplay = this.getNewestEntryDate(timeEntries);
+    // Fee-only invoices keep the period they were billed for
+    const period = timeEntries.length === 0
+      ? { startDate: existingInvoice.periodStart, endDate: existingInvoice.periodEnd }
+      : null;
+    const periodStartDisplay = period ? this.formatYMDToLocale(period.startDate) : this.getOldestEntryDate(timeEntries);
+    const periodEndDisplay = period ? this.formatYMDToLocale(period.endDate) : this.getNewestEntryDate(timeEntries);
     
     const currentDate = this.dateProvider();
+    // Keep the due date already given to the client
+    const dueDate = existingInvoice.dueDate
+      ? new Date(existingInvoice.dueDate)
+      : this.getDueDate(settings, currentDate);
     
     const templateData = {
-      companyName: settings.company_name || settings.companyName || 'Your Company',
-      companyEmail: settings.company_email || settings.companyEmail || '',
-      companyPhone: settings.company_phone || settings.companyPhone || '',
-      companyWebsite: settings.company_website || settings.companyWebsite || '',
+      ...this.createCompanyData(settings),
       invoiceNumber: existingInvoice.invoiceNumber, // Keep same invoice number
       invoiceDate: currentDate.toLocaleDateString(),
       terms: settings.invoice_terms || settings.invoiceTerms || 'Net 30',
-      dueDate: this.calculateDueDate(settings, currentDate),
+      dueDate: dueDate.toLocaleDateString(),
       periodStart: periodStartDisplay,
       periodEnd: periodEndDisplay,
-      clientName: clientInfo?.name || 'Unknown Client',
-      clientEmail: clientInfo?.email || '',
-      lineItems: lineItems,
+      ...this.createClientData(clientInfo),
+      currency,
+      templateId: this.resolveTemplateId(clientInfo, settings),
+      ...this.createLineItemData(timeEntries, this.getStoredGroupBy(existingInvoice)),
       totalHours: totalHours.toFixed(2),
+      totalRawHours: totalRawHours.toFixed(2),
+      showRawHours: this.hasRoundedEntries(timeEntries),
       hourlyRate: displayRate ? displayRate.toFixed(2) : 'Varies',
-      totalAmount: totalAmount.toFixed(2)
+      ...this.createTotalsData(totals, adjustments),
+      // An attached timesheet follows the regenerated time
+      ...(this.getStoredData(existingInvoice).timesheet && { timesheet: buildTimesheet(timeEntries) })
     };
 
-    // Mark entries as invoiced and get new invoice ID
+    const changes = describeRevisionChanges(existingInvoice, {
+      timeEntries,
+      totalAmount: totals.totalAmount
+    });
+
+    // Store the new revision in place of the existing one; payments received
+    // and credit notes issued carry over to it
     const newEntryIds = timeEntries.map(entry => entry.id);
-    const newInvoice = await this.database.markAsInvoiced(newEntryIds, templateData.invoiceNumber, templateData);
+    const newInvoice = await this.database.markAsInvoiced(
+      newEntryIds,
+      templateData.invoiceNumber,
+      templateData,
+      this.getInvoiceRowTotals(totals),
+      {
+        dueDate,
+        client: clientInfo,
+        ...(period && { period }),
+        status: existingInvoice.status === 'draft' ? 'draft' : 'sent',
+        revision: (existingInvoice.revision || 1) + 1,
+        revisionNote: formatRevisionNote(note, changes),
+        revisedBy: this.userProvider(),
+        replacesInvoiceId: existingInvoice.id
+      }
+    );
     templateData.invoiceId = newInvoice.id;
 
     return templateData;
   }
 
+  // Credit note against a sent invoice. It gets its own number, negative
+  // totals and the credit note template; `amount` defaults to everything
+  // not credited yet. Taxes are credited in proportion to the amount.
+  async createCreditNote(invoiceId, { amount, reason } = {}) {
+    const invoice = await this.database.getInvoiceById(invoiceId);
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
+    if (invoice.type === 'credit_note') {
+      throw new Error('Credit notes cannot be credited');
+    }
+    if (CLOSED_INVOICE_STATUSES.includes(invoice.status)) {
+      throw new Error(`Cannot credit a ${invoice.status} invoice`);
+    }
+    if (invoice.status === 'draft') {
+      throw new Error('Draft invoices can be edited or deleted instead of credited');
+    }
+
+    const creditReason = String(reason || '').trim();
+    if (!creditReason) {
+      throw new Error('A reason is required for a credit note');
+    }
+
+    const creditable = Math.round((invoice.totalAmount - sumCredits(invoice.creditNotes)) * 100) / 100;
+    const creditAmount = amount === undefined || amount === null || amount === ''
+      ? creditable
+      : Math.round(parseFloat(amount) * 100) / 100;
+    if (!(creditAmount > 0)) {
+      throw new Error('Credit amount must be greater than zero');
+    }
+    if (creditAmount > creditable) {
+      throw new Error(`Credit amount cannot be more than the ${creditable.toFixed(2)} not credited yet`);
+    }
+
+    const settings = await this.database.getSettings();
+    const currency = this.getInvoiceCurrency(invoice, settings);
+    const ratio = invoice.totalAmount > 0 ? creditAmount / invoice.totalAmount : 1;
+    // `|| 0` so nothing is credited as -0
+    const round = value => Math.round(value * 100) / 100 || 0;
+
+    const storedTaxes = this.getStoredData(invoice).taxes || [];
+    const taxes = storedTaxes.map(tax => ({
+      name: tax.name,
+      rate: tax.rate,
+      amount: round(-parseFloat(tax.amount || 0) * ratio)
+    }));
+    const taxAmount = round(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+    const totals = {
+      totalAmount: -creditAmount,
+      taxAmount,
+      discountAmount: round(-(invoice.discountAmount || 0) * ratio),
+      subtotal: round(-creditAmount - taxAmount)
+    };
+
+    const description = `Credit for invoice ${invoice.invoiceNumber}`;
+    const currentDate = this.dateProvider();
+    const templateData = {
+      ...this.createCompanyData(settings),
+      ...this.createClientData(invoice.client),
+      invoiceDate: currentDate.toLocaleDateString(),
+      creditedInvoiceNumber: invoice.invoiceNumber,
+      creditedInvoiceDate: new Date(invoice.createdAt).toLocaleDateString(),
+      reason: creditReason,
+      currency,
+      templateId: CREDIT_NOTE_TEMPLATE_ID,
+      lineItems: [{ description, amount: totals.subtotal.toFixed(2) }],
+      subtotal: totals.subtotal.toFixed(2),
+      taxes: taxes.map(tax => ({ ...tax, amount: tax.amount.toFixed(2) })),
+      taxAmount: totals.taxAmount.toFixed(2),
+      totalAmount: totals.totalAmount.toFixed(2)
+    };
+
+    return this.database.createCreditNote({
+      creditedInvoiceId: invoice.id,
+      clientId: invoice.clientId,
+      totals,
+      currency,
+      reason: creditReason,
+      templateData,
+      periodStart: invoice.periodStart,
+      periodEnd: invoice.periodEnd,
+      date: currentDate
+    });
+  }
+
+  // Draft invoice for a client's billing month: its uninvoiced time plus the
+  // retainer fees for the month. Returns null when there is nothing to bill.
+  async createRecurringInvoice(client, period) {
+    const settings = await this.database.getSettings();
+    const range = getPeriodRange(period);
+    const timeEntries = (await this.database.getTimeEntries({
+      clientId: client.id,
+      ...range,
+      isInvoiced: false
+    })).filter(entry => !entry.isActive && isBillableEntry(entry));
+
+    if (timeEntries.length === 0) {
+      const charges = await this.getProjectCharges([], client, [period]);
+      if (charges.length === 0) return null;
+    }
+    this.validateTimeEntriesForInvoicing(timeEntries);
+
+    return this.createInvoiceData(timeEntries, settings, {
+      client,
+      period: range,
+      retainer_periods: [period]
+    });
+  }
+
   // Generate PDF directly from stored template data - used for View button  
   async generatePDFFromStoredData(invoice) {
     try {
@@ -457,8 +757,7 @@ class InvoiceGenerator {
 
   // Generate PDF directly to temp file without user dialog - used for automated invoice operations
   async generatePDFToFile(templateData) {
-    const template = this.templateCompiler.compile(this.fileSystem.readFileSync(this.templatePath, 'utf8'));
-    const html = template(templateData);
+    const html = this.renderInvoiceHtml(templateData);
     const buffer = await this.pdfRenderer.renderHtmlToPdf(html);
     const filename = this.createInvoiceFilename(templateData.clientName, templateData.invoiceNumber, templateData.invoiceId, true);
     const tempPath = this.pathUtil.join(this.pathUtil.tmpdir(), filename);
@@ -466,20 +765,248 @@ class InvoiceGenerator {
     return tempPath;
   }
 
-  groupEntriesByDay(entries) {
-    const days = {};
+  // Template an invoice for the client is rendered with
+  resolveTemplateId(client, settings) {
+    if (!this.templateService) return 'default';
+    return this.templateService.resolveTemplateId({ client, settings });
+  }
+
+  // Handlebars source for a template id (the bundled template when there is
+  // no template service)
+  getTemplateSource(templateId) {
+    if (!this.templateService && templateId === CREDIT_NOTE_TEMPLATE_ID) {
+      const templatesDir = path.dirname(this.templatePath);
+      return this.fileSystem.readFileSync(this.pathUtil.join(templatesDir, CREDIT_NOTE_TEMPLATE_FILE), 'utf8');
+    }
+    if (!this.templateService) {
+      return this.fileSystem.readFileSync(this.templatePath, 'utf8');
+    }
+    return this.templateService.getTemplateSource(templateId);
+  }
+
+  // The logo is inlined here rather than stored with the invoice data. An
+  // attached timesheet follows the invoice on pages of its own.
+  renderInvoiceHtml(templateData, source = null) {
+    const template = this.templateCompiler.compile(source ?? this.getTemplateSource(templateData.templateId));
+    const html = template({
+      ...templateData,
+      companyLogoUrl: this.getCompanyLogoUrl(templateData.companyLogo)
+    });
+    if (!templateData.timesheet) return html;
+    return appendHtmlSection(html, this.renderTimesheetHtml(templateData, true));
+  }
+
+  // Timesheet document, or with `appendix` the section added to an invoice
+  renderTimesheetHtml(templateData, appendix = false) {
+    const templatesDir = path.dirname(this.templatePath);
+    const source = this.fileSystem.readFileSync(this.pathUtil.join(templatesDir, TIMESHEET_TEMPLATE_FILE), 'utf8');
+    const template = this.templateCompiler.compile(source);
+    return template({
+      ...templateData,
+      appendix,
+      companyLogoUrl: this.getCompanyLogoUrl(templateData.companyLogo)
+    });
+  }
+
+  // Template data of a timesheet for a client and date range. It lists all
+  // of the client's time, billable or not, invoiced or not.
+  async createTimesheetData(data) {
+    if (!data.client_id) {
+      throw new Error('Please select a client for the timesheet');
+    }
+
+    const timeEntries = await this.database.getTimeEntries({
+      clientId: parseInt(data.client_id),
+      startDate: data.start_date,
+      endDate: data.end_date
+    });
+    const timesheet = buildTimesheet(timeEntries);
+    if (timesheet.entryCount === 0) {
+      throw new Error('No time entries found for the specified criteria');
+    }
+
+    const settings = await this.database.getSettings();
+    return {
+      ...this.createCompanyData(settings),
+      ...this.createClientData(timeEntries[0].client),
+      periodStart: data.start_date ? this.formatYMDToLocale(data.start_date) : this.getOldestEntryDate(timeEntries),
+      periodEnd: data.end_date ? this.formatYMDToLocale(data.end_date) : this.getNewestEntryDate(timeEntries),
+      timesheet
+    };
+  }
+
+  // Timesheet PDF, saved where the user picks
+  async generateTimesheet(data) {
+    try {
+      const templateData = await this.createTimesheetData(data);
+      const html = this.renderTimesheetHtml(templateData);
+      const result = await this.dialogService.showSaveDialog({
+        defaultPath: this.createTimesheetFilename(templateData.clientName, data.start_date, data.end_date),
+        filters: [{ name: 'PDF Files', extensions: ['pdf'] }]
+      });
+      if (result.canceled || !result.filePath) {
+        throw new Error('PDF generation canceled by user');
+      }
+      const buffer = await this.pdfRenderer.renderHtmlToPdf(html);
+      this.fileSystem.writeFileSync(result.filePath, buffer);
+      return result.filePath;
+    } catch (error) {
+      console.error('Error generating timesheet:', error);
+      throw error;
+    }
+  }
+
+  // Company logo as a data URL ('' when none is uploaded or the file is gone)
+  getCompanyLogoUrl(fileName) {
+    if (!fileName || !this.brandingDir) return '';
+    const logoPath = this.pathUtil.join(this.brandingDir, fileName);
+    if (!this.fileSystem.existsSync(logoPath)) return '';
+    return toLogoDataUrl(fileName, this.fileSystem.readFileSync(logoPath)) || '';
+  }
+
+  // Company part of the template data (settings support snake_case and camelCase)
+  createCompanyData(settings) {
+    return {
+      companyName: settings.company_name || settings.companyName || 'Your Company',
+      companyEmail: settings.company_email || settings.companyEmail || '',
+      companyPhone: settings.company_phone || settings.companyPhone || '',
+      companyWebsite: settings.company_website || settings.companyWebsite || '',
+      companyAddress: settings.company_address || '',
+      companyTaxId: settings.company_tax_id || '',
+      companyLogo: settings.company_logo || '',
+      paymentInstructions: settings.invoice_payment_instructions || '',
+      footerNotes: settings.invoice_footer_notes || ''
+    };
+  }
+
+  createClientData(client) {
+    return {
+      clientName: client?.name || 'Unknown Client',
+      clientEmail: client?.email || '',
+      clientAddress: client?.address || '',
+      clientTaxId: client?.taxId || ''
+    };
+  }
+
+  // Template data for previewing templates, built from made-up entries so it
+  // has the same shape as a real invoice
+  async createSampleTemplateData() {
+    const settings = await this.database.getSettings();
+    const currentDate = this.dateProvider();
+    const client = {
+      name: 'Acme Corporation',
+      email: 'billing@acme.example',
+      address: '100 Market Street\nSuite 400\nSpringfield, 12345',
+      taxId: 'US-98-7654321',
+      hourlyRate: 95
+    };
+    const projects = [
+      { id: 1, name: 'Website Redesign', hourlyRate: 110 },
+      { id: 2, name: 'Maintenance', hourlyRate: null }
+    ];
+    const samples = [
+      [0, 0, 'Wireframes and layout review', 150, 140],
+      [0, 1, 'Homepage implementation', 240, 232],
+      [1, 1, 'Security updates', 60, 52],
+      [0, 2, 'Responsive fixes', 195, 195],
+      [1, 3, 'Backup verification', 45, 38]
+    ];
+    const timeEntries = samples.map(([project, dayOffset, description, duration, rawDuration], index) => {
+      const startTime = new Date(currentDate);
+      startTime.setDate(startTime.getDate() - 7 + dayOffset);
+      startTime.setHours(9, 0, 0, 0);
+      return {
+        id: index + 1,
+        startTime: startTime.toISOString(),
+        duration,
+        rawDuration,
+        description,
+        client,
+        project: projects[project],
+        taskId: index + 1,
+        task: { id: index + 1, name: description }
+      };
+    });
+    const adjustments = {
+      discount: normalizeDiscount({ type: 'percent', value: 5 }),
+      expenses: normalizeExpenses([{ description: 'Stock photos', quantity: 3, unitPrice: 12 }]),
+      taxes: resolveTaxRates({ client: null, settings })
+    };
+    const totals = this.calculateInvoiceTotals(timeEntries, adjustments);
+    const dueDate = this.getDueDate(settings, currentDate);
+    const displayRate = this.getDisplayRate(timeEntries);
+
+    return {
+      ...this.createCompanyData(settings),
+      invoiceNumber: 'INV-0000',
+      invoiceDate: currentDate.toLocaleDateString(),
+      terms: settings.invoice_terms || settings.invoiceTerms || 'Net 30',
+      dueDate: dueDate.toLocaleDateString(),
+      periodStart: this.getOldestEntryDate(timeEntries),
+      periodEnd: this.getNewestEntryDate(timeEntries),
+      ...this.createClientData(client),
+      currency: resolveCurrency({ client: null, settings }),
+      ...this.createLineItemData(timeEntries, 'project_day'),
+      totalHours: this.calculateTotalHours(timeEntries).toFixed(2),
+      totalRawHours: this.calculateTotalRawHours(timeEntries).toFixed(2),
+      showRawHours: this.hasRoundedEntries(timeEntries),
+      hourlyRate: displayRate ? displayRate.toFixed(2) : 'Varies',
+      ...this.createTotalsData(totals, adjustments)
+    };
+  }
+
+  /**
+   * Render template source with sample data, reporting compile and render
+   * errors instead of throwing
+   * @param {string} source - Handlebars source
+   * @returns {Promise<{html: string|null, error: string|null}>}
+   */
+  async previewTemplate(source) {
+    const templateData = await this.createSampleTemplateData();
+    try {
+      return { html: this.renderInvoiceHtml(templateData, String(source || '')), error: null };
+    } catch (error) {
+      return { html: null, error: error.message };
+    }
+  }
+
+  // Key, label and sort order of the line item (or group) an entry falls into
+  getLineItemKey(entry, lineBy) {
+    const entryDate = new Date(entry.startTime);
+
+    switch (lineBy) {
+      case 'project': {
+        const project = entry.project || entry.task?.project;
+        const label = project?.name || 'No Project';
+        return { key: String(project?.id || 0), label, sort: label };
+      }
+      case 'task': {
+        const label = entry.task?.name || 'General work';
+        return { key: String(entry.taskId || 0), label, sort: label };
+      }
+      case 'entry':
+        return { key: String(entry.id), label: entryDate.toLocaleDateString(), sort: entryDate.toISOString() };
+      default: {
+        const dayKey = entryDate.toISOString().split('T')[0]; // YYYY-MM-DD format
+        return { key: dayKey, label: entryDate.toLocaleDateString(), sort: dayKey };
+      }
+    }
+  }
+
+  buildLineItems(entries, lineBy = 'day') {
+    const lines = {};
     
     entries.forEach(entry => {
-      const entryDate = new Date(entry.startTime);
-      const dayKey = entryDate.toISOString().split('T')[0]; // YYYY-MM-DD format
+      const { key, label, sort } = this.getLineItemKey(entry, lineBy);
+      const hourlyRate = this.getBilledRateForEntry(entry);
       
-      const hourlyRate = this.getHourlyRateForEntry(entry);
-      
-      if (!days[dayKey]) {
-        days[dayKey] = {
-          date: entryDate.toLocaleDateString(),
+      if (!lines[key]) {
+        lines[key] = {
+          label,
+          sort,
           descriptions: [],
           totalHours: 0,
+          totalRawHours: 0,
           totalAmount: 0,
           rates: new Set() // Track different rates used
         };
@@ -491,40 +1018,177 @@ class InvoiceGenerator {
       // Add description if it exists and isn't already included
       if (entry.description && entry.description.trim()) {
         const desc = entry.description.trim();
-        if (!days[dayKey].descriptions.includes(desc)) {
-          days[dayKey].descriptions.push(desc);
+        if (!lines[key].descriptions.includes(desc)) {
+          lines[key].descriptions.push(desc);
         }
       }
       
-      days[dayKey].totalHours += hours;
-      days[dayKey].totalAmount += amount;
-      days[dayKey].rates.add(hourlyRate);
+      lines[key].totalHours += hours;
+      lines[key].totalRawHours += this.getRawMinutes(entry) / 60;
+      lines[key].totalAmount += amount;
+      // Fee-based time shows the billing type instead of a rate
+      lines[key].rates.add(this.isHourlyEntry(entry) ? hourlyRate : BILLING_TYPE_LABELS[getBillingType(entry.project)]);
     });
     
     // Convert to array and format descriptions as combined line items
-    return Object.keys(days)
-      .sort()
-      .map(dayKey => {
-        const day = days[dayKey];
-        const ratesArray = Array.from(day.rates);
+    return Object.values(lines)
+      .sort((a, b) => a.sort.localeCompare(b.sort))
+      .map(line => {
+        const ratesArray = Array.from(line.rates);
         const displayRate = ratesArray.length === 1 ? ratesArray[0] : 'Varies';
         
         return {
-          date: day.date,
-          description: day.descriptions.length > 0 
-            ? day.descriptions.join('; ') 
+          label: line.label,
+          description: line.descriptions.length > 0 
+            ? line.descriptions.join('; ') 
             : 'General work',
-          hours: day.totalHours.toFixed(2),
+          hours: line.totalHours.toFixed(2),
+          rawHours: line.totalRawHours.toFixed(2),
           rate: typeof displayRate === 'number' ? displayRate.toFixed(2) : displayRate,
-          amount: day.totalAmount.toFixed(2)
+          amount: line.totalAmount.toFixed(2)
         };
       });
   }
 
+  // Split entries into groups (with subtotals) of line items for a layout
+  groupLineItems(entries, groupBy = 'day') {
+    const layout = INVOICE_GROUPINGS[groupBy] || INVOICE_GROUPINGS.day;
+
+    if (!layout.group) {
+      return [{ label: null, lineItems: this.buildLineItems(entries, layout.line) }];
+    }
+
+    const groups = {};
+    entries.forEach(entry => {
+      const { key, label, sort } = this.getLineItemKey(entry, layout.group);
+      if (!groups[key]) {
+        groups[key] = { label, sort, entries: [] };
+      }
+      groups[key].entries.push(entry);
+    });
+
+    return Object.values(groups)
+      .sort((a, b) => a.sort.localeCompare(b.sort))
+      .map(group => ({
+        label: group.label,
+        lineItems: this.buildLineItems(group.entries, layout.line),
+        subtotalHours: this.calculateTotalHours(group.entries).toFixed(2),
+        subtotalRawHours: this.calculateTotalRawHours(group.entries).toFixed(2),
+        subtotalAmount: this.calculateTotalAmount(group.entries).toFixed(2)
+      }));
+  }
+
+  // Line item part of the template data; `groupBy` is stored with the invoice
+  // so regenerating reproduces the layout
+  createLineItemData(timeEntries, groupBy = 'day') {
+    const layout = INVOICE_GROUPINGS[groupBy] ? groupBy : 'day';
+    const groups = this.groupLineItems(timeEntries, layout);
+
+    return {
+      groupBy: layout,
+      itemLabel: INVOICE_GROUPINGS[layout].itemLabel,
+      groups,
+      lineItems: groups.flatMap(group => group.lineItems)
+    };
+  }
+
+  // Template data stored with an existing invoice ({} when missing or invalid)
+  getStoredData(invoice) {
+    try {
+      return JSON.parse(invoice?.data || '{}') || {};
+    } catch (_) {
+      return {};
+    }
+  }
+
+  // Grouping used by an existing invoice (invoices from before grouping use 'day')
+  getStoredGroupBy(invoice) {
+    return this.getStoredData(invoice).groupBy || 'day';
+  }
+
+  // Currency an existing invoice was billed in (older invoices have none
+  // stored and use the client's current currency)
+  getInvoiceCurrency(invoice, settings) {
+    const fallback = resolveCurrency({ client: invoice.client, settings });
+    return normalizeCurrency(invoice.currency || this.getStoredData(invoice).currency, fallback);
+  }
+
+  // Discount and expenses entered when creating the invoice, plus the taxes
+  // that apply to the client at that time
+  getInvoiceAdjustments(inputData, settings, client) {
+    return {
+      discount: normalizeDiscount(inputData.discount),
+      expenses: normalizeExpenses(inputData.expenses),
+      taxes: resolveTaxRates({ client, settings })
+    };
+  }
+
+  // Adjustments of an existing invoice, so downloads and regenerations keep
+  // the original discount, expenses and taxes
+  getStoredAdjustments(invoice) {
+    const { adjustments } = this.getStoredData(invoice);
+    return {
+      discount: normalizeDiscount(adjustments?.discount),
+      expenses: normalizeExpenses(adjustments?.expenses),
+      taxes: parseTaxRates(adjustments?.taxes) || [],
+      charges: Array.isArray(adjustments?.charges) ? adjustments.charges : []
+    };
+  }
+
+  calculateInvoiceTotals(timeEntries, adjustments) {
+    return calculateInvoiceTotals({
+      laborAmount: this.calculateTotalAmount(timeEntries),
+      ...adjustments
+    });
+  }
+
+  // Totals part of the template data
+  createTotalsData(totals, adjustments) {
+    const { discount } = adjustments;
+
+    return {
+      adjustments,
+      laborAmount: totals.laborAmount.toFixed(2),
+      charges: totals.charges.map(charge => ({
+        description: charge.description,
+        quantity: String(charge.quantity),
+        unitPrice: charge.unitPrice.toFixed(2),
+        amount: charge.amount.toFixed(2)
+      })),
+      chargeAmount: totals.chargeAmount.toFixed(2),
+      expenses: totals.expenses.map(expense => ({
+        description: expense.description,
+        quantity: String(expense.quantity),
+        unitPrice: expense.unitPrice.toFixed(2),
+        amount: expense.amount.toFixed(2)
+      })),
+      expenseAmount: totals.expenseAmount.toFixed(2),
+      subtotal: totals.subtotal.toFixed(2),
+      discountLabel: discount?.type === 'percent' ? `Discount (${discount.value}%)` : 'Discount',
+      discountAmount: totals.discountAmount.toFixed(2),
+      taxes: totals.taxes.map(tax => ({
+        name: tax.name,
+        rate: String(tax.rate),
+        amount: tax.amount.toFixed(2)
+      })),
+      taxAmount: totals.taxAmount.toFixed(2),
+      totalAmount: totals.totalAmount.toFixed(2)
+    };
+  }
+
+  // Numeric totals stored on the Invoice row
+  getInvoiceRowTotals(totals) {
+    return {
+      subtotal: totals.subtotal,
+      discountAmount: totals.discountAmount,
+      taxAmount: totals.taxAmount,
+      totalAmount: totals.totalAmount
+    };
+  }
+
   // Generate PDF with user save dialog - used for interactive invoice creation
   async generatePDF(templateData) {
-    const template = this.templateCompiler.compile(this.fileSystem.readFileSync(this.templatePath, 'utf8'));
-    const html = template(templateData);
+    const html = this.renderInvoiceHtml(templateData);
     const defaultFilename = this.createInvoiceFilename(templateData.clientName, templateData.invoiceNumber, templateData.invoiceId);
     const result = await this.dialogService.showSaveDialog({
       defaultPath: defaultFilename,
@@ -538,17 +1202,23 @@ class InvoiceGenerator {
     return result.filePath;
   }
 
-  generateInvoiceNumber() {
-    const date = this.dateProvider();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-    return `INV-${year}${month}${day}-${random}`;
-  }
-
   // Centralized invoice filename creation with sanitized client name
   createInvoiceFilename(clientName, invoiceNumber, invoiceId = null, includeTimestamp = false) {
+    const finalClientName = this.getFilenameClientName(clientName);
+    
+    // Include invoice number and database ID if available
+    const invoiceIdentifier = invoiceId ? `${invoiceNumber}-${invoiceId}` : invoiceNumber;
+    const timestamp = includeTimestamp ? `-${Date.now()}` : '';
+    return `Invoice-${finalClientName}-${invoiceIdentifier}${timestamp}.pdf`;
+  }
+
+  // e.g. Timesheet-Acme.Corp-2024-01-01-2024-01-31.pdf
+  createTimesheetFilename(clientName, startDate, endDate) {
+    const period = [startDate, endDate].filter(Boolean).join('-');
+    return `Timesheet-${this.getFilenameClientName(clientName)}${period ? `-${period}` : ''}.pdf`;
+  }
+
+  getFilenameClientName(clientName) {
     // Handle undefined/null/empty clientName safely
     const safeClientName = (clientName || 'Unknown Client').toString();
     
@@ -560,12 +1230,7 @@ class InvoiceGenerator {
       .replace(/[-]/g, '.') // Replace dashes with dots
       .substring(0, 30) // Truncate to 30 characters for better readability
     
-    const finalClientName = sanitizedClientName || 'Unknown.Client'; // Fallback if empty after sanitization
-    
-    // Include invoice number and database ID if available
-    const invoiceIdentifier = invoiceId ? `${invoiceNumber}-${invoiceId}` : invoiceNumber;
-    const timestamp = includeTimestamp ? `-${Date.now()}` : '';
-    return `Invoice-${finalClientName}-${invoiceIdentifier}${timestamp}.pdf`;
+    return sanitizedClientName || 'Unknown.Client'; // Fallback if empty after sanitization
   }
 
   getOldestEntryDate(entries) {
@@ -7,10 +7,25 @@ import { fileURLToPath } from 'url';
 
 import logger from './logger-service.js';
 import PathService from './path-service.js';
+import EmailService from './email-service.js';
+import ArchiveService from './archive-service.js';
+import CsvImportService from './csv-import-service.js';
+import ReportService from './report-service.js';
+import { formatCurrency, resolveCurrency } from '../helpers/currency.js';
+import { validateInvoiceNumberPattern } from '../helpers/invoice-numbering.js';
+import { LOGO_EXTENSIONS, MAX_LOGO_BYTES, getLogoMimeType, toLogoDataUrl } from '../helpers/company-logo.js';
+import { isBillableEntry, summarizeBillableHours } from '../helpers/billable.js';
+import { resolveHourlyRate } from '../helpers/rates.js';
+import { BACKUP_SCHEDULES } from '../helpers/backups.js';
+import { createArchiveFileName } from '../helpers/archive.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Secrets the renderer can set (through db:setSetting) but never read back;
+// db:getSettings only reports whether they are set, as has_<key>
+const WRITE_ONLY_SETTINGS = ['smtp_password'];
+
 class IpcService {
   constructor(mainWindow, database, invoiceGenerator, versionService) {
     this.mainWindow = mainWindow;
@@ -18,18 +33,55 @@ class IpcService {
     this.invoiceGenerator = invoiceGenerator;
     this.versionService = versionService;
     this.pathService = new PathService();
+    this.emailService = new EmailService({ database, invoiceGenerator });
+    this.archiveService = new ArchiveService({
+      database,
+      templateService: invoiceGenerator.templateService,
+      versionService
+    });
+    this.csvImportService = new CsvImportService({ database });
+    this.reportService = new ReportService({ database });
     this.trayService = null; // Will be set later
+    this.backupService = null; // Will be set later
   }
 
   setTrayService(trayService) {
     this.trayService = trayService;
   }
 
+  setBackupService(backupService) {
+    this.backupService = backupService;
+  }
+
+  // Uploaded company logo as a data URL, or null when there is none
+  async getLogoDataUrl() {
+    const fileName = await this.database.getSetting('company_logo');
+    if (!fileName) return null;
+    try {
+      const contents = await fsPromises.readFile(path.join(this.pathService.getBrandingPath(), fileName));
+      return toLogoDataUrl(fileName, contents);
+    } catch (error) {
+      logger.warn('[IPC] Company logo not readable', { error: error.message });
+      return null;
+    }
+  }
+
+  async removeLogoFile() {
+    const fileName = await this.database.getSetting('company_logo');
+    if (!fileName) return;
+    await fsPromises.rm(path.join(this.pathService.getBrandingPath(), fileName), { force: true });
+  }
+
   setupHandlers() {
     this.setupAppHandlers();
     this.setupDatabaseHandlers();
+    this.setupReportHandlers();
     this.setupInvoiceHandlers();
+    this.setupTemplateHandlers();
     this.setupExportHandlers();
+    this.setupArchiveHandlers();
+    this.setupCsvImportHandlers();
+    this.setupBackupHandlers();
     this.setupTrayHandlers();
     this.setupConsoleHandlers();
     this.setupDevHandlers();
@@ -169,6 +221,24 @@ class IpcService {
       }
     });
 
+    ipcMain.handle('db:getRetainerUsage', async (event, clientId) => {
+      try {
+        return await this.database.getRetainerUsage(clientId);
+      } catch (error) {
+        logger.error('[IPC] Error getting retainer usage:', error);
+        throw error;
+      }
+    });
+
+    ipcMain.handle('db:getRateHistory', async (event, clientId) => {
+      try {
+        return await this.database.getRateHistory(clientId);
+      } catch (error) {
+        logger.error('[IPC] Error getting rate history:', error);
+        throw error;
+      }
+    });
+
     // Task operations
     ipcMain.handle('db:getTasks', async (event, projectId) => {
       try {
@@ -364,6 +434,7 @@ class IpcService {
     // Settings operations
     ipcMain.handle('db:getSetting', async (event, key) => {
       try {
+        if (WRITE_ONLY_SETTINGS.includes(key)) return null;
         return await this.database.getSetting(key);
       } catch (error) {
         logger.error('[IPC] Error getting setting:', error);
@@ -387,9 +458,31 @@ class IpcService {
           'company_email', 
           'company_phone',
           'company_website',
+          'company_address',
+          'company_tax_id',
           'timer_rounding',
+          'timer_rounding_mode',
+          'timer_rounding_minimum',
+          'idle_threshold',
           'invoice_template',
-          'invoice_terms'
+          'invoice_terms',
+          'invoice_taxes',
+          'default_currency',
+          'invoice_number_pattern',
+          'invoice_number_reset',
+          'credit_note_number_pattern',
+          'invoice_payment_instructions',
+          'invoice_footer_notes',
+          'smtp_host',
+          'smtp_port',
+          'smtp_secure',
+          'smtp_user',
+          'smtp_from',
+          'email_subject_template',
+          'email_body_template',
+          'backup_schedule',
+          'backup_retention',
+          'backup_folder'
         ];
         
         const settingsObj = {};
@@ -399,6 +492,9 @@ class IpcService {
             settingsObj[key] = value;
           }
         }
+        for (const key of WRITE_ONLY_SETTINGS) {
+          settingsObj[`has_${key}`] = Boolean(await this.database.getSetting(key));
+        }
         
         return settingsObj;
       } catch (error) {
@@ -409,7 +505,28 @@ class IpcService {
 
     ipcMain.handle('db:updateSettings', async (event, settings) => {
       try {
+        if (settings.invoice_number_pattern !== undefined) {
+          const patternError = validateInvoiceNumberPattern(settings.invoice_number_pattern);
+          if (patternError) {
+            throw new Error(`Invalid invoice number pattern: ${patternError}`);
+          }
+        }
+        if (settings.credit_note_number_pattern !== undefined) {
+          const patternError = validateInvoiceNumberPattern(settings.credit_note_number_pattern);
+          if (patternError) {
+            throw new Error(`Invalid credit note number pattern: ${patternError}`);
+          }
+        }
+        if (settings.backup_schedule !== undefined && !BACKUP_SCHEDULES.includes(settings.backup_schedule)) {
+          throw new Error(`Invalid backup schedule: ${settings.backup_schedule}`);
+        }
+        if (settings.backup_retention !== undefined && !(parseInt(settings.backup_retention, 10) > 0)) {
+          throw new Error('Backups to keep must be at least 1');
+        }
+
         for (const [key, value] of Object.entries(settings)) {
+          // Write-only settings are saved on their own, their has_ flags never
+          if (WRITE_ONLY_SETTINGS.some(secret => key === secret || key === `has_${secret}`)) continue;
           await this.database.setSetting(key, value);
         }
         
@@ -421,6 +538,63 @@ class IpcService {
     });
 
     // Danger operations
+    // Company logo, kept outside the settings form so saving Settings never
+    // overwrites a logo uploaded in the meantime
+    ipcMain.handle('settings:getLogo', async () => {
+      try {
+        return await this.getLogoDataUrl();
+      } catch (error) {
+        logger.error('[IPC] Error getting company logo:', error);
+        throw error;
+      }
+    });
+
+    ipcMain.handle('settings:uploadLogo', async () => {
+      try {
+        const result = await dialog.showOpenDialog(this.mainWindow, {
+          title: 'Choose Company Logo',
+          properties: ['openFile'],
+          filters: [{ name: 'Images', extensions: LOGO_EXTENSIONS }]
+        });
+        if (result.canceled || !result.filePaths?.length) {
+          return { success: false, error: 'Upload cancelled' };
+        }
+
+        const sourcePath = result.filePaths[0];
+        if (!getLogoMimeType(sourcePath)) {
+          throw new Error('Unsupported image type');
+        }
+        const { size } = await fsPromises.stat(sourcePath);
+        if (size > MAX_LOGO_BYTES) {
+          throw new Error('Logo must be smaller than 2 MB');
+        }
+
+        const brandingDir = this.pathService.getBrandingPath();
+        const fileName = `logo${path.extname(sourcePath).toLowerCase()}`;
+        await fsPromises.mkdir(brandingDir, { recursive: true });
+        await this.removeLogoFile();
+        await fsPromises.copyFile(sourcePath, path.join(brandingDir, fileName));
+        await this.database.setSetting('company_logo', fileName);
+
+        logger.debug('[IPC] Company logo uploaded:', fileName);
+        return { success: true, logo: await this.getLogoDataUrl() };
+      } catch (error) {
+        logger.error('[IPC] Error uploading company logo:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('settings:removeLogo', async () => {
+      try {
+        await this.removeLogoFile();
+        await this.database.setSetting('company_logo', '');
+        return { success: true };
+      } catch (error) {
+        logger.error('[IPC] Error removing company logo:', error);
+        throw error;
+      }
+    });
+
     ipcMain.handle('db:removeDemoData', async (event, confirmationText) => {
       try {
         logger.debug('[IPC] db:removeDemoData: Checking confirmation text');
@@ -481,6 +655,78 @@ class IpcService {
         throw error;
       }
     });
+
+    // Next invoice number for the saved (or given, unsaved) numbering pattern
+    ipcMain.handle('db:previewInvoiceNumber', async (event, options = {}) => {
+      try {
+        const error = options.pattern !== undefined ? validateInvoiceNumberPattern(options.pattern) : null;
+        if (error) {
+          return { invoiceNumber: null, error };
+        }
+        const invoiceNumber = await this.database.previewInvoiceNumber(options);
+        return { invoiceNumber, error: null };
+      } catch (error) {
+        logger.error('[IPC] Error previewing invoice number:', error);
+        throw error;
+      }
+    });
+
+    // Every revision of an invoice number, oldest first
+    ipcMain.handle('db:getInvoiceRevisions', async (event, invoiceNumber) => {
+      try {
+        return await this.database.getInvoiceRevisions(invoiceNumber);
+      } catch (error) {
+        logger.error('[IPC] Error getting invoice revisions:', error);
+        throw error;
+      }
+    });
+
+    ipcMain.handle('db:updateInvoiceStatus', async (event, id, status) => {
+      try {
+        const result = await this.database.updateInvoiceStatus(id, status);
+        logger.debug('[IPC] Invoice status updated:', id, result.status);
+        return result;
+      } catch (error) {
+        logger.error('[IPC] Error updating invoice status:', error);
+        throw error;
+      }
+    });
+
+    // Invoice payments
+    ipcMain.handle('db:recordPayment', async (event, invoiceId, payment) => {
+      try {
+        const result = await this.database.recordPayment(invoiceId, payment);
+        logger.debug('[IPC] Payment recorded for invoice:', invoiceId);
+        return result;
+      } catch (error) {
+        logger.error('[IPC] Error recording payment:', error);
+        throw error;
+      }
+    });
+
+    ipcMain.handle('db:deletePayment', async (event, id) => {
+      try {
+        const result = await this.database.deletePayment(id);
+        logger.debug('[IPC] Payment deleted:', id);
+        return result;
+      } catch (error) {
+        logger.error('[IPC] Error deleting payment:', error);
+        throw error;
+      }
+    });
+  }
+
+  setupReportHandlers() {
+    // Totals, breakdowns and chart series summed by the database; see
+    // ReportService for the report types and their params
+    ipcMain.handle('db:getReports', async (event, type, params) => {
+      try {
+        return await this.reportService.get(type, params);
+      } catch (error) {
+        logger.error('[IPC] Error getting report:', error);
+        throw error;
+      }
+    });
   }
 
   setupInvoiceHandlers() {
@@ -606,11 +852,11 @@ class IpcService {
       }
     });
 
-    ipcMain.handle('invoice:regenerate', async (event, invoiceId) => {
+    ipcMain.handle('invoice:regenerate', async (event, invoiceId, options = {}) => {
       try {
         logger.debug('[IPC] invoice:regenerate called with invoiceId:', invoiceId);
         
-        const filePath = await this.invoiceGenerator.regenerateInvoice(invoiceId);
+        const filePath = await this.invoiceGenerator.regenerateInvoice(invoiceId, options);
         
         logger.debug('[IPC] invoice:regenerate completed successfully');
         return { success: true, filePath };
@@ -619,6 +865,124 @@ class IpcService {
         return { success: false, error: error.message };
       }
     });
+
+    // Timesheet PDF of a client's time in a date range ({ client_id,
+    // start_date, end_date })
+    ipcMain.handle('invoice:generateTimesheet', async (event, data) => {
+      try {
+        logger.debug('[IPC] invoice:generateTimesheet called with data:', data);
+        const filePath = await this.invoiceGenerator.generateTimesheet(data);
+        return { success: true, filePath };
+      } catch (error) {
+        logger.debug('[IPC] invoice:generateTimesheet error:', error.message);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('invoice:createCreditNote', async (event, invoiceId, creditNote) => {
+      try {
+        const result = await this.invoiceGenerator.createCreditNote(invoiceId, creditNote);
+        logger.debug('[IPC] Credit note issued:', result.invoiceNumber, 'for invoice', invoiceId);
+        return { success: true, creditNote: result };
+      } catch (error) {
+        logger.error('[IPC] Error creating credit note:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Draft email (recipient, subject, body) for the send dialog
+    ipcMain.handle('invoice:composeEmail', async (event, invoiceId) => {
+      try {
+        return await this.emailService.composeInvoiceEmail(invoiceId);
+      } catch (error) {
+        logger.error('[IPC] Error composing invoice email:', error);
+        throw error;
+      }
+    });
+
+    ipcMain.handle('invoice:sendEmail', async (event, invoiceId, email) => {
+      try {
+        logger.debug('[IPC] invoice:sendEmail called with invoiceId:', invoiceId);
+        const invoice = await this.emailService.sendInvoiceEmail(invoiceId, email);
+        logger.info('[IPC] Invoice emailed', { invoiceId, to: invoice.sentTo });
+        return { success: true, invoice };
+      } catch (error) {
+        logger.error('[IPC] Error emailing invoice:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('email:sendTest', async (event, to) => {
+      try {
+        return await this.emailService.sendTestEmail(to);
+      } catch (error) {
+        logger.error('[IPC] Error sending test email:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  setupTemplateHandlers() {
+    const templates = () => {
+      if (!this.invoiceGenerator.templateService) {
+        throw new Error('Invoice templates are not available');
+      }
+      return this.invoiceGenerator.templateService;
+    };
+
+    ipcMain.handle('template:list', async () => {
+      try {
+        return templates().listTemplates();
+      } catch (error) {
+        logger.error('[IPC] Error listing invoice templates:', error);
+        throw error;
+      }
+    });
+
+    ipcMain.handle('template:get', async (event, id) => {
+      try {
+        return templates().getTemplate(id);
+      } catch (error) {
+        logger.error('[IPC] Error getting invoice template:', error);
+        throw error;
+      }
+    });
+
+    // Render template source with sample data; errors are returned, not thrown
+    ipcMain.handle('template:preview', async (event, content) => {
+      try {
+        return await this.invoiceGenerator.previewTemplate(content);
+      } catch (error) {
+        logger.error('[IPC] Error previewing invoice template:', error);
+        throw error;
+      }
+    });
+
+    ipcMain.handle('template:save', async (event, template) => {
+      try {
+        const { error } = await this.invoiceGenerator.previewTemplate(template?.content);
+        if (error) {
+          throw new Error(`Template does not compile: ${error}`);
+        }
+        const saved = templates().saveTemplate(template);
+        logger.debug('[IPC] Invoice template saved:', saved.id);
+        return saved;
+      } catch (error) {
+        logger.error('[IPC] Error saving invoice template:', error);
+        throw error;
+      }
+    });
+
+    ipcMain.handle('template:delete', async (event, id) => {
+      try {
+        templates().deleteTemplate(id);
+        logger.debug('[IPC] Invoice template deleted:', id);
+        return { success: true };
+      } catch (error) {
+        logger.error('[IPC] Error deleting invoice template:', error);
+        throw error;
+      }
+    });
   }
 
   setupExportHandlers() {
@@ -630,8 +994,9 @@ class IpcService {
         } else {
           timeEntries = await this.database.getTimeEntries(filters || {});
         }
+        const settings = await this.database.getSettings();
         
-        const csvHeader = 'Date,Client,Project,Task,Description,Duration (hours),Start Time,End Time,Hourly Rate,Amount\n';
+        const csvHeader = 'Date,Client,Project,Task,Description,Duration (hours),Start Time,End Time,Billable,Currency,Hourly Rate,Amount\n';
         const csvRows = timeEntries.map(entry => {
           const date = new Date(entry.startTime).toLocaleDateString();
           const client = entry.client?.name || '';
@@ -641,13 +1006,19 @@ class IpcService {
           const hours = ((entry.duration || 0) / 60).toFixed(2);
           const startTime = new Date(entry.startTime).toLocaleString();
           const endTime = entry.endTime ? new Date(entry.endTime).toLocaleString() : '';
-          const hourlyRate = entry.project?.hourlyRate || entry.client?.hourlyRate || 0;
-          const amount = (hours * hourlyRate).toFixed(2);
+          const billable = isBillableEntry(entry);
+          const hourlyRate = resolveHourlyRate(entry);
+          const currency = resolveCurrency({ client: entry.client, settings });
+          // Plain numbers so spreadsheets can sum them; the currency has its own column
+          const rate = hourlyRate.toFixed(2);
+          const amount = (billable ? ((entry.duration || 0) / 60) * hourlyRate : 0).toFixed(2);
           
-          return `"${date}","${client}","${project}","${task}","${description}","${hours}","${startTime}","${endTime}","${hourlyRate}","${amount}"`;
+          return `"${date}","${client}","${project}","${task}","${description}","${hours}","${startTime}","${endTime}","${billable ? 'Yes' : 'No'}","${currency}","${rate}","${amount}"`;
         }).join('\n');
         
-        const csvContent = csvHeader + csvRows;
+        // Only the entries, so the file stays one table that spreadsheets and
+        // the CSV import can read; totals are in the JSON export's summary
+        const csvContent = csvHeader + csvRows + '\n';
         
         const result = await dialog.showSaveDialog(this.mainWindow, {
           title: 'Export Time Entries to CSV',
@@ -678,28 +1049,42 @@ class IpcService {
         } else {
           timeEntries = await this.database.getTimeEntries(filters || {});
         }
+        const settings = await this.database.getSettings();
         
         const exportData = {
           exportDate: new Date().toISOString(),
           filters: filters || {},
           entriesCount: timeEntries.length,
-          timeEntries: timeEntries.map(entry => ({
-            id: entry.id,
-            date: new Date(entry.startTime).toLocaleDateString(),
-            client: entry.client?.name || null,
-            project: entry.project?.name || null,
-            task: entry.task?.name || null,
-            description: entry.description || null,
-            startTime: entry.startTime,
-            endTime: entry.endTime,
-            duration: entry.duration,
-            durationHours: ((entry.duration || 0) / 60).toFixed(2),
-            hourlyRate: entry.project?.hourlyRate || entry.client?.hourlyRate || 0,
-            amount: (((entry.duration || 0) / 60) * (entry.project?.hourlyRate || entry.client?.hourlyRate || 0)).toFixed(2),
-            isInvoiced: entry.isInvoiced,
-            createdAt: entry.createdAt,
-            updatedAt: entry.updatedAt
-          }))
+          // billableHours, nonBillableHours, totalHours and utilization (percent)
+          summary: summarizeBillableHours(timeEntries),
+          timeEntries: timeEntries.map(entry => {
+            const isBillable = isBillableEntry(entry);
+            const hourlyRate = resolveHourlyRate(entry);
+            const amount = isBillable ? ((entry.duration || 0) / 60) * hourlyRate : 0;
+            const currency = resolveCurrency({ client: entry.client, settings });
+
+            return {
+              id: entry.id,
+              date: new Date(entry.startTime).toLocaleDateString(),
+              client: entry.client?.name || null,
+              project: entry.project?.name || null,
+              task: entry.task?.name || null,
+              description: entry.description || null,
+              startTime: entry.startTime,
+              endTime: entry.endTime,
+              duration: entry.duration,
+              durationHours: ((entry.duration || 0) / 60).toFixed(2),
+              currency,
+              hourlyRate,
+              hourlyRateFormatted: formatCurrency(hourlyRate, currency),
+              amount: amount.toFixed(2),
+              amountFormatted: formatCurrency(amount, currency),
+              isBillable,
+              isInvoiced: entry.isInvoiced,
+              createdAt: entry.createdAt,
+              updatedAt: entry.updatedAt
+            };
+          })
         };
         
         const jsonContent = JSON.stringify(exportData, null, 2);
@@ -726,6 +1111,205 @@ class IpcService {
     });
   }
 
+  setupArchiveHandlers() {
+    ipcMain.handle('archive:export', async () => {
+      try {
+        const result = await dialog.showSaveDialog(this.mainWindow, {
+          title: 'Export All Data',
+          defaultPath: createArchiveFileName(new Date()),
+          filters: [
+            { name: 'myHours Archives', extensions: ['json'] },
+            { name: 'All Files', extensions: ['*'] }
+          ]
+        });
+        if (result.canceled || !result.filePath) {
+          return { success: false, error: 'Export cancelled' };
+        }
+
+        const summary = await this.archiveService.exportTo(result.filePath);
+        return { success: true, filePath: result.filePath, summary };
+      } catch (error) {
+        logger.error('[IPC] Error exporting archive:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('archive:chooseFile', async () => {
+      try {
+        const result = await dialog.showOpenDialog(this.mainWindow, {
+          title: 'Choose Archive to Import',
+          properties: ['openFile'],
+          filters: [
+            { name: 'myHours Archives', extensions: ['json'] },
+            { name: 'All Files', extensions: ['*'] }
+          ]
+        });
+        if (result.canceled || !result.filePaths?.length) {
+          return { success: false, error: 'Selection cancelled' };
+        }
+        return { success: true, filePath: result.filePaths[0] };
+      } catch (error) {
+        logger.error('[IPC] Error choosing archive file:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Summary of an archive shown before it is imported
+    ipcMain.handle('archive:inspect', async (event, filePath) => {
+      try {
+        const summary = await this.archiveService.inspect(filePath);
+        return { success: true, summary };
+      } catch (error) {
+        logger.error('[IPC] Error inspecting archive:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('archive:import', async (event, filePath, mode) => {
+      try {
+        const result = await this.archiveService.importFrom(filePath, mode);
+        return { success: true, ...result };
+      } catch (error) {
+        logger.error('[IPC] Error importing archive:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  setupCsvImportHandlers() {
+    // Pick a CSV file; returns its columns with a suggested mapping
+    ipcMain.handle('csvImport:chooseFile', async () => {
+      try {
+        const result = await dialog.showOpenDialog(this.mainWindow, {
+          title: 'Import Time Entries from CSV',
+          properties: ['openFile'],
+          filters: [
+            { name: 'CSV Files', extensions: ['csv', 'txt'] },
+            { name: 'All Files', extensions: ['*'] }
+          ]
+        });
+        if (result.canceled || !result.filePaths?.length) {
+          return { success: false, error: 'Selection cancelled' };
+        }
+        const file = await this.csvImportService.open(result.filePaths[0]);
+        return { success: true, ...file };
+      } catch (error) {
+        logger.error('[IPC] Error opening CSV file:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Dry run: parsed rows, errors and what an import would add
+    ipcMain.handle('csvImport:preview', async (event, filePath, options) => {
+      try {
+        const result = await this.csvImportService.run(filePath, { ...options, dryRun: true });
+        return { success: true, ...result };
+      } catch (error) {
+        logger.error('[IPC] Error previewing CSV import:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('csvImport:import', async (event, filePath, options) => {
+      try {
+        const result = await this.csvImportService.run(filePath, { ...options, dryRun: false });
+        return { success: true, ...result };
+      } catch (error) {
+        logger.error('[IPC] Error importing CSV file:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  setupBackupHandlers() {
+    ipcMain.handle('backup:list', async () => {
+      try {
+        return await this.backupService.listBackups();
+      } catch (error) {
+        logger.error('[IPC] Error listing backups:', error);
+        throw error;
+      }
+    });
+
+    ipcMain.handle('backup:getFolder', async () => {
+      try {
+        return await this.backupService.getBackupFolder();
+      } catch (error) {
+        logger.error('[IPC] Error getting backup folder:', error);
+        throw error;
+      }
+    });
+
+    ipcMain.handle('backup:create', async () => {
+      try {
+        const backup = await this.backupService.backupNow();
+        return { success: true, backup };
+      } catch (error) {
+        logger.error('[IPC] Error creating backup:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('backup:chooseFolder', async () => {
+      try {
+        const result = await dialog.showOpenDialog(this.mainWindow, {
+          title: 'Choose Backup Folder',
+          defaultPath: await this.backupService.getBackupFolder(),
+          properties: ['openDirectory', 'createDirectory']
+        });
+        if (result.canceled || !result.filePaths?.length) {
+          return { success: false, error: 'Selection cancelled' };
+        }
+        return { success: true, folder: result.filePaths[0] };
+      } catch (error) {
+        logger.error('[IPC] Error choosing backup folder:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('backup:chooseFile', async () => {
+      try {
+        const result = await dialog.showOpenDialog(this.mainWindow, {
+          title: 'Choose Backup to Restore',
+          defaultPath: await this.backupService.getBackupFolder(),
+          properties: ['openFile'],
+          filters: [
+            { name: 'myHours Backups', extensions: ['db', 'sqlite'] },
+            { name: 'All Files', extensions: ['*'] }
+          ]
+        });
+        if (result.canceled || !result.filePaths?.length) {
+          return { success: false, error: 'Selection cancelled' };
+        }
+        return { success: true, filePath: result.filePaths[0] };
+      } catch (error) {
+        logger.error('[IPC] Error choosing backup file:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Summary of a backup shown before it replaces the current data
+    ipcMain.handle('backup:inspect', async (event, filePath) => {
+      try {
+        const summary = await this.backupService.inspectBackup(filePath);
+        return { success: true, summary };
+      } catch (error) {
+        logger.error('[IPC] Error inspecting backup:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('backup:restore', async (event, filePath) => {
+      try {
+        const result = await this.backupService.restoreBackup(filePath);
+        return { success: true, ...result };
+      } catch (error) {
+        logger.error('[IPC] Error restoring backup:', error);
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
   setupTrayHandlers() {
     ipcMain.on('tray:timer-status-changed', (event, timerData) => {
       logger.debug('[IPC] Timer status changed:', timerData);
@@ -0,0 +1,54 @@
+// Schema upgrades from before the migration runner. Packaged builds used to
+// probe for each schema change at startup and apply it by hand; a database
+// without the schema_migrations table gets these once, after which it matches
+// every migration up to LEGACY_BASELINE_VERSION. Don't add to this: new schema
+// changes go in prisma/migrations.
+
+import logger from "./logger-service.js";
+
+// Last migration of the released builds, which the probes below cover;
+// later migrations are applied by the runner
+export const LEGACY_BASELINE_VERSION = 20250903020900;
+
+/**
+ * Bring a database from before the migration runner up to the baseline
+ * @param {Object} prisma - Prisma client connected to the database
+ */
+export async function applyLegacyMigrations(prisma) {
+  // Early templates could miss the invoice period fields and still had the
+  // unique invoice number index
+  try {
+    await prisma.$queryRaw`SELECT period_start FROM invoices LIMIT 1`;
+  } catch (error) {
+    logger.database("info", "Adding invoice period columns");
+    await prisma.$executeRaw`ALTER TABLE "invoices" ADD COLUMN "period_end" TEXT`;
+    await prisma.$executeRaw`ALTER TABLE "invoices" ADD COLUMN "period_start" TEXT`;
+  }
+  await prisma.$executeRaw`DROP INDEX IF EXISTS "invoices_invoice_number_key"`;
+
+  // Check for isDefault column (previous migration)
+  try {
+    await prisma.$queryRaw`SELECT is_default FROM projects LIMIT 1`;
+    logger.database("info", "Previous migration (isDefault) already applied");
+  } catch (error) {
+    logger.database("info", "Adding isDefault column to projects table");
+    await prisma.$executeRaw`ALTER TABLE "projects" ADD COLUMN "is_default" BOOLEAN NOT NULL DEFAULT false`;
+    logger.database("info", "isDefault migration applied successfully");
+  }
+
+  // Check for data column in invoices table (new migration)
+  try {
+    await prisma.$queryRaw`SELECT data FROM invoices LIMIT 1`;
+    logger.database(
+      "info",
+      "Latest migration (invoice data field) already applied",
+    );
+  } catch (error) {
+    logger.database("info", "Adding data column to invoices table");
+    await prisma.$executeRaw`ALTER TABLE "invoices" ADD COLUMN "data" TEXT DEFAULT '{}'`;
+    logger.database(
+      "info",
+      "Invoice data field migration applied successfully",
+    );
+  }
+}
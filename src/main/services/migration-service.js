@@ -0,0 +1,199 @@
+import fsPromises from 'fs/promises';
+import path from 'path';
+import pkg from '@prisma/client';
+import logger from './logger-service.js';
+import PathService from './path-service.js';
+import { LEGACY_BASELINE_VERSION, applyLegacyMigrations } from './legacy-migrations.js';
+import { getPendingMigrations, parseMigrationDirName, splitSqlStatements } from '../helpers/migrations.js';
+import { PRE_MIGRATION_BACKUP, createBackupFileName } from '../helpers/backups.js';
+
+const { PrismaClient } = pkg;
+
+// Migrations that redefine a large table can take a while
+const MIGRATION_TIMEOUT_MS = 5 * 60 * 1000;
+
+const CREATE_MIGRATIONS_TABLE = `CREATE TABLE IF NOT EXISTS "schema_migrations" (
+  "version" INTEGER NOT NULL PRIMARY KEY,
+  "name" TEXT NOT NULL,
+  "applied_at" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+)`;
+
+// A single connection, so switching foreign keys off for a migration applies
+// to the transaction that runs it
+const openMigrationDatabase = (filePath) =>
+  new PrismaClient({ datasources: { db: { url: `file:${filePath}?connection_limit=1` } } });
+
+/**
+ * Brings the database of a packaged build up to date with the migrations in
+ * prisma/migrations (development uses `prisma migrate`). Applied versions are
+ * recorded in schema_migrations, each migration runs in its own transaction,
+ * and the database is backed up before anything changes.
+ */
+class MigrationService {
+  constructor(options = {}) {
+    this.pathService = options.pathService || new PathService();
+    this.dateProvider = options.dateProvider || (() => new Date());
+    this.openDatabase = options.openDatabase || openMigrationDatabase;
+  }
+
+  /**
+   * Migrations bundled with the app, oldest first
+   * @returns {Promise<Array<{version: number, name: string, sql: string}>>}
+   */
+  async loadMigrations() {
+    const migrationsDir = this.pathService.getMigrationsPath();
+    const entries = await fsPromises.readdir(migrationsDir, { withFileTypes: true });
+
+    const migrations = [];
+    for (const entry of entries) {
+      const migration = entry.isDirectory() ? parseMigrationDirName(entry.name) : null;
+      if (!migration) continue;
+      const sql = await fsPromises.readFile(path.join(migrationsDir, entry.name, 'migration.sql'), 'utf8');
+      migrations.push({ ...migration, sql });
+    }
+    return migrations.sort((a, b) => a.version - b.version);
+  }
+
+  async tableExists(db, name) {
+    const rows = await db.$queryRawUnsafe(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+      name
+    );
+    return rows.length > 0;
+  }
+
+  async getAppliedVersions(db) {
+    const rows = await db.$queryRawUnsafe('SELECT version FROM schema_migrations');
+    return new Set(rows.map(row => Number(row.version)));
+  }
+
+  // Migrations `prisma migrate deploy` applied when the template database
+  // was built
+  async getPrismaMigrationVersions(db) {
+    if (!(await this.tableExists(db, '_prisma_migrations'))) return [];
+    const rows = await db.$queryRawUnsafe(
+      'SELECT migration_name FROM _prisma_migrations WHERE finished_at IS NOT NULL AND rolled_back_at IS NULL'
+    );
+    return rows
+      .map(row => parseMigrationDirName(row.migration_name))
+      .filter(Boolean)
+      .map(migration => migration.version);
+  }
+
+  async createMigrationsTable(db, appliedMigrations) {
+    await db.$transaction(async (tx) => {
+      await tx.$executeRawUnsafe(CREATE_MIGRATIONS_TABLE);
+      for (const migration of appliedMigrations) {
+        await tx.$executeRawUnsafe(
+          'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+          migration.version,
+          migration.name
+        );
+      }
+    });
+  }
+
+  // A database from before schema_migrations existed: bring it to the
+  // baseline the old startup checks covered, then record what it has
+  async baselineLegacyDatabase(db, migrations) {
+    logger.database('info', 'Recording applied migrations of an existing database');
+    await applyLegacyMigrations(db);
+
+    const applied = new Set(await this.getPrismaMigrationVersions(db));
+    for (const migration of migrations) {
+      if (migration.version <= LEGACY_BASELINE_VERSION) {
+        applied.add(migration.version);
+      }
+    }
+    await this.createMigrationsTable(db, migrations.filter(migration => applied.has(migration.version)));
+    return applied;
+  }
+
+  async backup(db) {
+    const folder = this.pathService.getBackupsPath();
+    await fsPromises.mkdir(folder, { recursive: true });
+    const filePath = path.join(folder, createBackupFileName(this.dateProvider(), PRE_MIGRATION_BACKUP));
+    await db.$executeRawUnsafe('VACUUM INTO ?', filePath);
+    logger.database('info', 'Database backed up before migrating', { filePath });
+    return filePath;
+  }
+
+  async applyMigration(db, migration, backupPath) {
+    logger.database('info', 'Applying migration', { migration: migration.name });
+
+    // Prisma's scripts switch foreign keys off while they redefine a table,
+    // which SQLite ignores inside a transaction; without this, dropping the
+    // old table would cascade-delete its child rows
+    await db.$executeRawUnsafe('PRAGMA foreign_keys = OFF');
+    try {
+      await db.$transaction(async (tx) => {
+        for (const statement of splitSqlStatements(migration.sql)) {
+          await tx.$executeRawUnsafe(statement);
+        }
+        const violations = await tx.$queryRawUnsafe('PRAGMA foreign_key_check');
+        if (violations.length > 0) {
+          throw new Error(`Foreign key check failed on table ${violations[0].table}`);
+        }
+        await tx.$executeRawUnsafe(
+          'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+          migration.version,
+          migration.name
+        );
+      }, { timeout: MIGRATION_TIMEOUT_MS });
+    } catch (error) {
+      logger.error(`[MIGRATION] Error applying ${migration.name}:`, error);
+      const failure = new Error(`Database update ${migration.name} failed: ${error.message}`, { cause: error });
+      failure.migration = { version: migration.version, name: migration.name };
+      failure.backupPath = backupPath;
+      throw failure;
+    } finally {
+      await db.$executeRawUnsafe('PRAGMA foreign_keys = ON');
+    }
+  }
+
+  /**
+   * Apply the migrations a database doesn't have yet
+   * @param {string} [dbPath] - Defaults to the app database
+   * @param {Object} [options]
+   * @param {boolean} [options.backup] - Back up an existing database first (default true)
+   * @returns {Promise<Array>} Applied migrations
+   * @throws {Error} With migration ({version, name}) and backupPath when a migration fails
+   */
+  async migrate(dbPath = this.pathService.getDatabasePath(), { backup = true } = {}) {
+    const migrations = await this.loadMigrations();
+    const db = this.openDatabase(dbPath);
+    try {
+      let applied;
+      let backupPath = null;
+      if (await this.tableExists(db, 'schema_migrations')) {
+        applied = await this.getAppliedVersions(db);
+      } else if (await this.tableExists(db, 'clients')) {
+        backupPath = backup ? await this.backup(db) : null;
+        applied = await this.baselineLegacyDatabase(db, migrations);
+      } else {
+        // New database
+        applied = new Set();
+        await this.createMigrationsTable(db, []);
+      }
+
+      const pending = getPendingMigrations(migrations, applied);
+      if (pending.length === 0) {
+        logger.database('info', 'Database schema is up to date');
+        return [];
+      }
+
+      if (backup && !backupPath && applied.size > 0) {
+        backupPath = await this.backup(db);
+      }
+      for (const migration of pending) {
+        await this.applyMigration(db, migration, backupPath);
+      }
+      logger.database('info', 'Database migrated', { migrations: pending.map(migration => migration.name) });
+      return pending;
+    } finally {
+      await db.$disconnect();
+    }
+  }
+}
+
+export default MigrationService;
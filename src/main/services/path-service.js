@@ -148,6 +148,31 @@ class PathService {
     return `file:${dbPath}`;
   }
 
+  /**
+   * Get the directory holding user-edited invoice templates
+   * @returns {string} Absolute path to the invoice templates directory
+   */
+  getInvoiceTemplatesPath() {
+    // Same location in development and production so templates survive updates
+    return path.join(this.userDataDir, 'invoice-templates');
+  }
+
+  /**
+   * Get the directory holding the uploaded company logo
+   * @returns {string} Absolute path to the branding directory
+   */
+  getBrandingPath() {
+    return path.join(this.userDataDir, 'branding');
+  }
+
+  /**
+   * Get the default directory for database backups
+   * @returns {string} Absolute path to the backups directory
+   */
+  getBackupsPath() {
+    return path.join(this.userDataDir, 'backups');
+  }
+
   /**
    * Ensure a directory exists, creating it if necessary
    * @param {string} dirPath - Directory path to ensure exists
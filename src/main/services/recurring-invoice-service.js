@@ -0,0 +1,102 @@
+import logger from './logger-service.js';
+import { addBillingPeriods, getBillingPeriod } from '../helpers/project-billing.js';
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Creates recurring invoice drafts. A client with a recurring day gets a
+ * draft for the previous month on that day of each month, with its uninvoiced
+ * time and retainer fees. Months missed while the app was closed are caught up
+ * on the next check.
+ */
+class RecurringInvoiceService {
+  constructor(database, invoiceGenerator, options = {}) {
+    this.database = database;
+    this.invoiceGenerator = invoiceGenerator;
+    this.dateProvider = options.dateProvider || (() => new Date());
+    this.interval = null;
+    this.running = false;
+
+    this.runDue = this.runDue.bind(this);
+  }
+
+  setup() {
+    this.runDue();
+    this.interval = setInterval(this.runDue, CHECK_INTERVAL_MS);
+    logger.debug('[RECURRING] Recurring invoices scheduled');
+  }
+
+  /**
+   * Months a client's drafts are due for, oldest first
+   * @param {Object} client - Client with recurringDay and lastBilledPeriod
+   * @param {Date} now
+   * @returns {string[]} "YYYY-MM" periods
+   */
+  getDuePeriods(client, now) {
+    if (!client.recurringDay) return [];
+
+    // Last month is due once this month's recurring day has come
+    const monthsBack = now.getDate() >= client.recurringDay ? 1 : 2;
+    const duePeriod = addBillingPeriods(getBillingPeriod(now), -monthsBack);
+
+    const periods = [];
+    let period = client.lastBilledPeriod
+      ? addBillingPeriods(client.lastBilledPeriod, 1)
+      : duePeriod;
+    while (period <= duePeriod) {
+      periods.push(period);
+      period = addBillingPeriods(period, 1);
+    }
+    return periods;
+  }
+
+  /**
+   * Create the drafts that are due
+   * @returns {Promise<Array>} Created invoices
+   */
+  async runDue() {
+    if (this.running) return [];
+    this.running = true;
+
+    const created = [];
+    try {
+      const now = this.dateProvider();
+      const clients = await this.database.getRecurringClients();
+
+      for (const client of clients) {
+        for (const period of this.getDuePeriods(client, now)) {
+          try {
+            const invoice = await this.invoiceGenerator.createRecurringInvoice(client, period);
+            if (invoice) {
+              created.push(invoice);
+              logger.info('[RECURRING] Created recurring invoice draft', {
+                clientId: client.id,
+                period,
+                invoiceNumber: invoice.invoiceNumber
+              });
+            }
+            await this.database.setLastBilledPeriod(client.id, period);
+          } catch (error) {
+            // Try this client again on the next check
+            logger.error(`[RECURRING] Error creating recurring invoice for client ${client.id}:`, error);
+            break;
+          }
+        }
+      }
+    } catch (error) {
+      logger.error('[RECURRING] Error checking recurring invoices:', error);
+    } finally {
+      this.running = false;
+    }
+    return created;
+  }
+
+  destroy() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+}
+
+export default RecurringInvoiceService;
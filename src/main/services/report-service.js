@@ -0,0 +1,216 @@
+import { resolveCurrency } from '../helpers/currency.js';
+import { AGING_BUCKETS } from '../helpers/invoice-status.js';
+import {
+  REPORT_GROUPS,
+  REPORT_INTERVALS,
+  REPORT_TYPES,
+  addAmount,
+  getGroupLabel,
+  getReportRange,
+  listPeriods,
+  parseReportDate,
+  summarizeTimeRows
+} from '../helpers/reports.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// First day of a period key ("YYYY-MM-DD" or "YYYY-MM")
+const getPeriodStart = (period) => parseReportDate(period.length === 7 ? `${period}-01` : period);
+
+/**
+ * Reports for the Reports page: totals, breakdowns by client, project or
+ * task, and chart series over time, summed by the database rather than in
+ * the renderer
+ */
+class ReportService {
+  constructor(dependencies = {}) {
+    if (!dependencies.database) {
+      throw new Error('Database dependency is required');
+    }
+
+    this.database = dependencies.database;
+  }
+
+  /**
+   * A report by type
+   * @param {string} type - "summary", "breakdown", "timeline" or "receivables"
+   * @param {Object} [params] - Filters (startDate, endDate, clientId,
+   *   projectId, taskId, isBillable, isInvoiced) and the report's options
+   * @returns {Promise<Object>}
+   */
+  async get(type, params = {}) {
+    if (!REPORT_TYPES.includes(type)) {
+      throw new Error(`Unknown report type: ${type}`);
+    }
+    return this[type](params || {});
+  }
+
+  // Time totals rows with each row's currency resolved like invoices do
+  async getTimeRows(params, dimensions = []) {
+    const settings = { default_currency: await this.database.getSetting('default_currency') };
+    const rows = await this.database.getTimeTotals(params, dimensions);
+    return rows.map(row => ({
+      ...row,
+      currency: resolveCurrency({ client: { currency: row.currency }, settings })
+    }));
+  }
+
+  /**
+   * Hours, utilization and amounts (billable, invoiced and uninvoiced, per
+   * currency) of the filtered entries
+   * @param {Object} params
+   * @returns {Promise<Object>}
+   */
+  async summary(params) {
+    return summarizeTimeRows(await this.getTimeRows(params));
+  }
+
+  /**
+   * Totals by client, project or task, largest first
+   * @param {Object} params
+   * @param {string} [params.groupBy] - "client" (default), "project" or "task"
+   * @returns {Promise<{groupBy: string, rows: Array<Object>, totals: Object}>}
+   *   Rows with key, name, the ids and names of the group and its parents,
+   *   and the summary fields
+   */
+  async breakdown(params) {
+    const groupBy = params.groupBy || 'client';
+    if (!REPORT_GROUPS.includes(groupBy)) {
+      throw new Error(`Unknown report grouping: ${groupBy}`);
+    }
+
+    const levels = REPORT_GROUPS.slice(0, REPORT_GROUPS.indexOf(groupBy) + 1);
+    const timeRows = await this.getTimeRows(params, levels);
+
+    const groups = new Map();
+    for (const row of timeRows) {
+      const { key, name } = getGroupLabel(row, groupBy);
+      if (!groups.has(key)) {
+        const ids = Object.fromEntries(levels.flatMap(level => [
+          [`${level}Id`, row[`${level}Id`] ?? null],
+          [`${level}Name`, row[`${level}Name`] ?? null]
+        ]));
+        groups.set(key, { key, name, ...ids, rows: [] });
+      }
+      groups.get(key).rows.push(row);
+    }
+
+    const rows = [...groups.values()]
+      .map(({ rows: groupRows, ...group }) => ({ ...group, ...summarizeTimeRows(groupRows) }))
+      .sort((a, b) => b.hours - a.hours || String(a.name).localeCompare(String(b.name)));
+
+    return { groupBy, rows, totals: summarizeTimeRows(timeRows) };
+  }
+
+  /**
+   * Hours and amounts per day, week or month, as chart series with a value
+   * for every period in the range (empty periods are 0)
+   * @param {Object} params
+   * @param {string} [params.interval] - "day" (default), "week" or "month"
+   * @param {string} [params.stackBy] - "client", "project" or "task" for a
+   *   series each; one "total" series otherwise
+   * @returns {Promise<{interval: string, periods: string[], series: Array<Object>, totals: Object}>}
+   *   Series with key, name, and hours, billableHours and per-currency
+   *   amount arrays lined up with periods
+   */
+  async timeline(params) {
+    const interval = params.interval || 'day';
+    if (!REPORT_INTERVALS.includes(interval)) {
+      throw new Error(`Unknown report interval: ${interval}`);
+    }
+    if (params.stackBy && !REPORT_GROUPS.includes(params.stackBy)) {
+      throw new Error(`Unknown report grouping: ${params.stackBy}`);
+    }
+
+    const levels = params.stackBy
+      ? REPORT_GROUPS.slice(0, REPORT_GROUPS.indexOf(params.stackBy) + 1)
+      : [];
+    const timeRows = await this.getTimeRows(params, [...levels, interval]);
+
+    // The range asked for, else the periods that have entries
+    const range = getReportRange(params);
+    const found = timeRows.map(row => row.period).sort();
+    const start = range.start || (found.length > 0 ? getPeriodStart(found[0]) : null);
+    const end = range.end || (found.length > 0 ? getPeriodStart(found[found.length - 1]) : null);
+    const periods = start && end ? listPeriods(start, end, interval) : [];
+    const index = new Map(periods.map((period, i) => [period, i]));
+
+    const series = new Map();
+    for (const row of timeRows) {
+      const { key, name } = params.stackBy
+        ? getGroupLabel(row, params.stackBy)
+        : { key: 'total', name: 'Total' };
+      if (!series.has(key)) {
+        series.set(key, {
+          key,
+          name,
+          hours: periods.map(() => 0),
+          billableHours: periods.map(() => 0),
+          amount: {}
+        });
+      }
+      const item = series.get(key);
+      const i = index.get(row.period);
+      if (i === undefined) continue;
+
+      item.hours[i] = round(item.hours[i] + row.minutes / 60);
+      item.billableHours[i] = round(item.billableHours[i] + row.billableMinutes / 60);
+      if (row.amount) {
+        item.amount[row.currency] = item.amount[row.currency] || periods.map(() => 0);
+        item.amount[row.currency][i] = round(item.amount[row.currency][i] + row.amount);
+      }
+    }
+
+    return {
+      interval,
+      periods,
+      series: [...series.values()],
+      totals: summarizeTimeRows(timeRows)
+    };
+  }
+
+  /**
+   * Invoiced totals in the range, and what is owed now
+   * @param {Object} params - startDate and endDate filter the invoiced
+   *   totals (by creation date); balances are always current
+   * @returns {Promise<Object>} Per-currency invoiced, tax, credited,
+   *   outstanding and overdue amounts, overdueCount, and aging (per-currency
+   *   balances by bucket)
+   */
+  async receivables(params) {
+    const settings = { default_currency: await this.database.getSetting('default_currency') };
+    const currencyOf = (currency, client) =>
+      currency ? resolveCurrency({ client: { currency }, settings }) : resolveCurrency({ client, settings });
+
+    const result = {
+      invoiced: {},
+      tax: {},
+      credited: {},
+      outstanding: {},
+      overdue: {},
+      overdueCount: 0,
+      aging: Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket, {}]))
+    };
+
+    for (const row of await this.database.getInvoiceTotals(params)) {
+      const currency = currencyOf(row.currency);
+      addAmount(result.invoiced, currency, row.invoiced);
+      addAmount(result.tax, currency, row.tax);
+      addAmount(result.credited, currency, row.credited);
+    }
+
+    for (const invoice of await this.database.getUnpaidInvoices({ clientId: params.clientId })) {
+      const currency = currencyOf(invoice.currency, invoice.client);
+      addAmount(result.outstanding, currency, invoice.balanceDue);
+      addAmount(result.aging[invoice.agingBucket], currency, invoice.balanceDue);
+      if (invoice.status === 'overdue') {
+        addAmount(result.overdue, currency, invoice.balanceDue);
+        result.overdueCount++;
+      }
+    }
+
+    return result;
+  }
+}
+
+export default ReportService;
@@ -0,0 +1,245 @@
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Templates bundled with the app. They can't be edited, only duplicated.
+export const BUILT_IN_TEMPLATES = [
+  { id: 'default', name: 'Default', file: 'invoice.hbs', description: 'Cards with a summary band and grouped line items' },
+  { id: 'minimal', name: 'Minimal', file: 'invoice-minimal.hbs', description: 'Plain black and white layout' },
+  { id: 'detailed', name: 'Detailed', file: 'invoice-detailed.hbs', description: 'Rates, group subtotals and a full totals breakdown' },
+  { id: 'timesheet', name: 'Timesheet', file: 'invoice-timesheet.hbs', description: 'Hours first, with a sign-off line for the client' }
+];
+
+export const DEFAULT_TEMPLATE_ID = 'default';
+
+// Credit notes have a layout of their own, kept out of the gallery
+export const CREDIT_NOTE_TEMPLATE_ID = 'credit-note';
+export const CREDIT_NOTE_TEMPLATE_FILE = 'credit-note.hbs';
+
+const MANIFEST_FILE = 'templates.json';
+
+/**
+ * Invoice templates: the built-in ones plus templates the user created,
+ * stored as <id>.hbs in the templates directory with their names in
+ * templates.json
+ */
+class TemplateService {
+  constructor(dependencies = {}) {
+    if (!dependencies.templatesDir) {
+      throw new Error('Templates directory is required');
+    }
+
+    this.templatesDir = dependencies.templatesDir;
+    this.builtInDir = dependencies.builtInDir || path.join(__dirname, '..', 'templates');
+    this.fileSystem = dependencies.fileSystem || {
+      readFileSync: fs.readFileSync,
+      writeFileSync: fs.writeFileSync,
+      existsSync: fs.existsSync,
+      mkdirSync: fs.mkdirSync,
+      unlinkSync: fs.unlinkSync
+    };
+  }
+
+  isBuiltIn(id) {
+    return BUILT_IN_TEMPLATES.some(template => template.id === id);
+  }
+
+  // Names of the user's templates ([] when none were saved yet)
+  readManifest() {
+    const manifestPath = path.join(this.templatesDir, MANIFEST_FILE);
+    if (!this.fileSystem.existsSync(manifestPath)) return [];
+
+    try {
+      const manifest = JSON.parse(this.fileSystem.readFileSync(manifestPath, 'utf8'));
+      return Array.isArray(manifest) ? manifest : [];
+    } catch (error) {
+      console.error('[TEMPLATES] Invalid template manifest:', error);
+      return [];
+    }
+  }
+
+  writeManifest(manifest) {
+    this.fileSystem.mkdirSync(this.templatesDir, { recursive: true });
+    this.fileSystem.writeFileSync(
+      path.join(this.templatesDir, MANIFEST_FILE),
+      JSON.stringify(manifest, null, 2)
+    );
+  }
+
+  getTemplateFile(id) {
+    const builtIn = BUILT_IN_TEMPLATES.find(template => template.id === id);
+    return builtIn
+      ? path.join(this.builtInDir, builtIn.file)
+      : path.join(this.templatesDir, `${id}.hbs`);
+  }
+
+  /**
+   * All templates, built-in first
+   * @returns {Array<{id: string, name: string, builtIn: boolean, description?: string}>}
+   */
+  listTemplates() {
+    const builtIn = BUILT_IN_TEMPLATES.map(({ id, name, description }) => ({
+      id,
+      name,
+      description,
+      builtIn: true
+    }));
+    const custom = this.readManifest()
+      .filter(template => this.fileSystem.existsSync(this.getTemplateFile(template.id)))
+      .map(({ id, name }) => ({ id, name, builtIn: false }));
+
+    return [...builtIn, ...custom];
+  }
+
+  /**
+   * A template with its Handlebars source
+   * @param {string} id
+   * @returns {Object|null} Null when no such template exists
+   */
+  getTemplate(id) {
+    const template = this.listTemplates().find(t => t.id === id);
+    if (!template) return null;
+
+    return {
+      ...template,
+      content: this.fileSystem.readFileSync(this.getTemplateFile(id), 'utf8')
+    };
+  }
+
+  /**
+   * Handlebars source to render an invoice with; a deleted or unknown
+   * template falls back to the default one
+   * @param {string} [id]
+   * @returns {string}
+   */
+  getTemplateSource(id) {
+    if (id === CREDIT_NOTE_TEMPLATE_ID) {
+      return this.fileSystem.readFileSync(path.join(this.builtInDir, CREDIT_NOTE_TEMPLATE_FILE), 'utf8');
+    }
+    const template = (id && this.getTemplate(id)) || this.getTemplate(DEFAULT_TEMPLATE_ID);
+    return template.content;
+  }
+
+  // Unique id for a new template, derived from its name
+  createTemplateId(name) {
+    const base = String(name)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'template';
+    const taken = new Set([CREDIT_NOTE_TEMPLATE_ID, ...this.listTemplates().map(template => template.id)]);
+
+    let id = base;
+    for (let n = 2; taken.has(id); n++) {
+      id = `${base}-${n}`;
+    }
+    return id;
+  }
+
+  /**
+   * Create a template, or update one when an id is given
+   * @param {Object} template
+   * @param {string} [template.id] - Existing template to update
+   * @param {string} template.name
+   * @param {string} template.content - Handlebars source
+   * @returns {Object} The saved template
+   */
+  saveTemplate({ id, name, content }) {
+    const trimmedName = String(name || '').trim();
+    if (!trimmedName) throw new Error('Template name is required');
+    if (!content || !String(content).trim()) throw new Error('Template content is required');
+    if (id && this.isBuiltIn(id)) {
+      throw new Error('Built-in templates cannot be changed. Duplicate the template to edit it.');
+    }
+
+    const manifest = this.readManifest();
+    if (id && !manifest.some(template => template.id === id)) {
+      throw new Error('Template not found');
+    }
+
+    const templateId = id || this.createTemplateId(trimmedName);
+    this.fileSystem.mkdirSync(this.templatesDir, { recursive: true });
+    this.fileSystem.writeFileSync(this.getTemplateFile(templateId), String(content));
+    this.writeManifest([
+      ...manifest.filter(template => template.id !== templateId),
+      { id: templateId, name: trimmedName }
+    ]);
+
+    return this.getTemplate(templateId);
+  }
+
+  /**
+   * Add a template from another installation (data archive). It keeps its
+   * id unless a different template already uses it.
+   * @param {Object} template
+   * @param {string} template.id
+   * @param {string} template.name
+   * @param {string} template.content - Handlebars source
+   * @returns {{id: string, created: boolean}} Id of the template here, and
+   *   whether it had to be added
+   */
+  importTemplate({ id, name, content }) {
+    const existing = id ? this.getTemplate(id) : null;
+    if (existing && existing.content === content) {
+      return { id, created: false };
+    }
+
+    const canKeepId = !existing && /^[a-z0-9-]+$/.test(id || '') && id !== CREDIT_NOTE_TEMPLATE_ID;
+    if (!canKeepId) {
+      return { id: this.saveTemplate({ name, content }).id, created: true };
+    }
+
+    const trimmedName = String(name || '').trim();
+    if (!trimmedName) throw new Error('Template name is required');
+    if (!content || !String(content).trim()) throw new Error('Template content is required');
+
+    this.fileSystem.mkdirSync(this.templatesDir, { recursive: true });
+    this.fileSystem.writeFileSync(this.getTemplateFile(id), String(content));
+    this.writeManifest([
+      ...this.readManifest().filter(template => template.id !== id),
+      { id, name: trimmedName }
+    ]);
+    return { id, created: true };
+  }
+
+  /**
+   * Delete a user template; invoices and clients using it fall back to the
+   * default template
+   * @param {string} id
+   */
+  deleteTemplate(id) {
+    if (this.isBuiltIn(id)) {
+      throw new Error('Built-in templates cannot be deleted');
+    }
+
+    const manifest = this.readManifest();
+    if (!manifest.some(template => template.id === id)) {
+      throw new Error('Template not found');
+    }
+
+    const file = this.getTemplateFile(id);
+    if (this.fileSystem.existsSync(file)) {
+      this.fileSystem.unlinkSync(file);
+    }
+    this.writeManifest(manifest.filter(template => template.id !== id));
+  }
+
+  /**
+   * Template an invoice for a client uses: the client's own choice, then the
+   * default from settings
+   * @param {Object} options
+   * @param {Object} [options.client] - Client with invoiceTemplate
+   * @param {Object} [options.settings] - Settings with invoice_template
+   * @returns {string} Template id
+   */
+  resolveTemplateId({ client, settings } = {}) {
+    const ids = new Set(this.listTemplates().map(template => template.id));
+    const candidates = [client?.invoiceTemplate, settings?.invoice_template];
+
+    return candidates.find(id => id && ids.has(id)) || DEFAULT_TEMPLATE_ID;
+  }
+}
+
+export default TemplateService;
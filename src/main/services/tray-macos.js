@@ -5,6 +5,7 @@ import { fileURLToPath } from 'url';
 
 import TrayService from './tray-service.js';
 import logger from './logger-service.js';
+import { getEffectiveStartTime } from '../helpers/time-segments.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -118,7 +119,7 @@ class MacOSTrayService extends TrayService {
           id: activeTimer.id,
           clientName: activeTimer.client?.name || 'Unknown Client',
           description: activeTimer.description || 'No description',
-          startTime: activeTimer.startTime
+          startTime: getEffectiveStartTime(activeTimer)
         };
         
         // Update tray and dock status
@@ -190,6 +191,7 @@ class MacOSTrayService extends TrayService {
         accelerator: 'Cmd+Shift+M'
       },
       { type: 'separator' },
+      ...this.getIdleMenuItems(),
       {
         label: this.currentTimer ? 'Stop Timer' : 'Start Timer',
         id: 'timer-toggle',
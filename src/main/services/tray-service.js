@@ -12,6 +12,8 @@ class TrayService {
     this.contextMenu = null;
     this.isQuitting = false;
     this.currentTimer = null;
+    this.idleService = null;
+    this.idlePrompt = null;
     
     // Bind methods to maintain context
     this.updateTimerStatus = this.updateTimerStatus.bind(this);
@@ -124,6 +126,68 @@ class TrayService {
     this.createContextMenu();
   }
 
+  /**
+   * Connect the idle service so the tray can answer idle prompts
+   * @param {Object} idleService - IdleService instance
+   */
+  setIdleService(idleService) {
+    this.idleService = idleService;
+  }
+
+  /**
+   * Show or clear the idle prompt in the tray menu
+   * @param {Object|null} idleInfo - Pending idle period or null to clear
+   */
+  setIdlePrompt(idleInfo = null) {
+    console.log('[TRAY-SERVICE] Updating idle prompt:', idleInfo ? `${idleInfo.idleMinutes} min idle` : 'none');
+    this.idlePrompt = idleInfo;
+    this.createContextMenu();
+  }
+
+  /**
+   * Menu items for answering a pending idle prompt
+   * @returns {Array} Menu template items, empty when nothing is pending
+   */
+  getIdleMenuItems() {
+    if (!this.idlePrompt) return [];
+
+    return [
+      {
+        label: `Idle for ${this.idlePrompt.idleMinutes} min`,
+        enabled: false
+      },
+      {
+        label: 'Keep Idle Time',
+        click: () => this.resolveIdle('keep')
+      },
+      {
+        label: 'Discard Idle Time',
+        click: () => this.resolveIdle('discard')
+      },
+      {
+        // Splitting needs a client/project, which is picked in the window
+        label: 'Split Idle Time...',
+        click: () => this.showWindow()
+      },
+      { type: 'separator' }
+    ];
+  }
+
+  /**
+   * Resolve the pending idle period from the tray
+   * @param {string} action - 'keep' or 'discard'
+   */
+  async resolveIdle(action) {
+    console.log('[TRAY-SERVICE] Resolving idle period from tray:', action);
+    try {
+      if (this.idleService) {
+        await this.idleService.resolve(action);
+      }
+    } catch (error) {
+      console.error('[TRAY-SERVICE] Error resolving idle period:', error);
+    }
+  }
+
   /**
    * Quit the application
    */
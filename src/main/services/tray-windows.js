@@ -5,6 +5,7 @@ import { fileURLToPath } from 'url';
 
 import TrayService from './tray-service.js';
 import logger from './logger-service.js';
+import { getEffectiveStartTime } from '../helpers/time-segments.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -123,6 +124,7 @@ class WindowsTrayService extends TrayService {
         accelerator: 'Ctrl+Shift+M'
       },
       { type: 'separator' },
+      ...this.getIdleMenuItems(),
       {
         label: this.currentTimer ? 'Stop Timer' : 'Start Timer',
         id: 'timer-toggle',
@@ -254,7 +256,7 @@ class WindowsTrayService extends TrayService {
           id: activeTimer.id,
           clientName: activeTimer.client?.name || 'Unknown Client',
           description: activeTimer.description || '',
-          startTime: activeTimer.startTime
+          startTime: getEffectiveStartTime(activeTimer)
         });
       }
     } catch (error) {
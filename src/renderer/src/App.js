@@ -13,6 +13,7 @@ import Settings from './components/Settings';
 import About from './components/About';
 import Invoice from './components/Invoice';
 import BackgroundClockOrbits from './components/BackgroundClockOrbits';
+import IdlePrompt from './components/IdlePrompt';
 import { Button } from './components/ui';
 import logger from './utils/logger';
 
@@ -244,6 +245,7 @@ function App() {
             <TrayNavigationHandler />
             <GlobalStyle />
             <AppLogic />
+            <IdlePrompt />
             <AppContainer>
               <BackgroundContainer>
                 <BackgroundClockOrbits />
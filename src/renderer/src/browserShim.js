@@ -56,14 +56,16 @@ class BrowserElectronAPI {
     getAllWithRelationships: () => this.invoke('db:getClientsWithRelationships'),
     create: (client) => this.invoke('db:createClient', client),
     update: (id, client) => this.invoke('db:updateClient', id, client),
-    delete: (id) => this.invoke('db:deleteClient', id)
+    delete: (id) => this.invoke('db:deleteClient', id),
+    getRateHistory: (clientId) => this.invoke('db:getRateHistory', clientId)
   };
 
   projects = {
     getAll: (clientId) => this.invoke('db:getProjects', clientId),
     create: (project) => this.invoke('db:createProject', project),
     update: (id, project) => this.invoke('db:updateProject', id, project),
-    delete: (id) => this.invoke('db:deleteProject', id)
+    delete: (id) => this.invoke('db:deleteProject', id),
+    getRetainerUsage: (clientId) => this.invoke('db:getRetainerUsage', clientId)
   };
 
   tasks = {
@@ -94,15 +96,36 @@ class BrowserElectronAPI {
     update: (settings) => this.invoke('db:updateSettings', settings),
     getLastUsedClient: () => this.invoke('db:getLastUsedClient'),
     getLastUsedProject: () => this.invoke('db:getLastUsedProject'),
-    getLastUsedTask: () => this.invoke('db:getLastUsedTask')
+    getLastUsedTask: () => this.invoke('db:getLastUsedTask'),
+    getLogo: () => this.invoke('settings:getLogo'),
+    uploadLogo: () => this.invoke('settings:uploadLogo'),
+    removeLogo: () => this.invoke('settings:removeLogo'),
+    sendTestEmail: (to) => this.invoke('email:sendTest', to)
   };
 
   invoices = {
     getAll: () => this.invoke('db:getInvoices'),
     generate: (data) => this.invoke('invoice:generate', data),
-    regenerate: (id) => this.invoke('invoice:regenerate', id),
+    regenerate: (id, options) => this.invoke('invoice:regenerate', id, options),
     download: (id) => this.invoke('invoice:download', id),
-    delete: (id) => this.invoke('db:deleteInvoice', id)
+    delete: (id) => this.invoke('db:deleteInvoice', id),
+    updateStatus: (id, status) => this.invoke('db:updateInvoiceStatus', id, status),
+    recordPayment: (invoiceId, payment) => this.invoke('db:recordPayment', invoiceId, payment),
+    deletePayment: (id) => this.invoke('db:deletePayment', id),
+    createCreditNote: (invoiceId, creditNote) => this.invoke('invoice:createCreditNote', invoiceId, creditNote),
+    getRevisions: (invoiceNumber) => this.invoke('db:getInvoiceRevisions', invoiceNumber),
+    previewNumber: (options) => this.invoke('db:previewInvoiceNumber', options),
+    generateTimesheet: (data) => this.invoke('invoice:generateTimesheet', data),
+    composeEmail: (id) => this.invoke('invoice:composeEmail', id),
+    sendEmail: (id, email) => this.invoke('invoice:sendEmail', id, email)
+  };
+
+  templates = {
+    list: () => this.invoke('template:list'),
+    get: (id) => this.invoke('template:get', id),
+    preview: (content) => this.invoke('template:preview', content),
+    save: (template) => this.invoke('template:save', template),
+    delete: (id) => this.invoke('template:delete', id)
   };
 
   export = {
@@ -110,6 +133,29 @@ class BrowserElectronAPI {
     json: (data) => this.invoke('export:json', data)
   };
 
+  archive = {
+    export: () => this.invoke('archive:export'),
+    chooseFile: () => this.invoke('archive:chooseFile'),
+    inspect: (filePath) => this.invoke('archive:inspect', filePath),
+    import: (filePath, mode) => this.invoke('archive:import', filePath, mode)
+  };
+
+  csvImport = {
+    chooseFile: () => this.invoke('csvImport:chooseFile'),
+    preview: (filePath, options) => this.invoke('csvImport:preview', filePath, options),
+    import: (filePath, options) => this.invoke('csvImport:import', filePath, options)
+  };
+
+  backups = {
+    list: () => this.invoke('backup:list'),
+    getFolder: () => this.invoke('backup:getFolder'),
+    create: () => this.invoke('backup:create'),
+    chooseFolder: () => this.invoke('backup:chooseFolder'),
+    chooseFile: () => this.invoke('backup:chooseFile'),
+    inspect: (filePath) => this.invoke('backup:inspect', filePath),
+    restore: (filePath) => this.invoke('backup:restore', filePath)
+  };
+
   // Updater (mirrors preload API); in browser dev it proxies to WebSocket IPC
   updater = {
     check: () => this.invoke('update:check'),
@@ -3,6 +3,9 @@ import { Plus, Building, Edit3, Trash2 } from 'lucide-react';
 import styled from 'styled-components';
 import { useModalKeyboard } from '../hooks/useModalKeyboard';
 import { colors } from '../styles/theme';
+import TaxRatesFields, { parseTaxList } from './TaxRatesFields';
+import { useDefaultCurrency } from '../hooks/useDefaultCurrency';
+import { CURRENCY_OPTIONS, formatCurrency, getCurrencySymbol, getClientCurrency } from '../utils/currency';
 import {
   Container,
   Grid,
@@ -13,6 +16,8 @@ import {
   Text,
   Button,
   Input,
+  TextArea,
+  Select,
   Label,
   Modal,
   ModalContent,
@@ -56,6 +61,292 @@ const ResponsiveGrid = styled(Grid)`
   }
 `;
 
+// Rounding policy fields shared by the client and project forms. An empty
+// mode inherits (project -> client -> global Settings).
+const emptyRoundingForm = { rounding_mode: '', rounding_increment: '', rounding_minimum: '' };
+
+const toRoundingForm = (owner) => ({
+  rounding_mode: owner?.roundingMode || '',
+  rounding_increment: owner?.roundingIncrement ?? '',
+  rounding_minimum: owner?.roundingMinimum ?? ''
+});
+
+const toRoundingData = (form) => ({
+  roundingMode: form.rounding_mode || null,
+  roundingIncrement: form.rounding_increment,
+  roundingMinimum: form.rounding_minimum
+});
+
+const RoundingPolicyFields = ({ form, setForm, inheritLabel }) => (
+  <FlexBox direction="column" gap="5px">
+    <Label>Time Rounding</Label>
+    <Select
+      value={form.rounding_mode}
+      onChange={(e) => setForm(prev => ({ ...prev, rounding_mode: e.target.value }))}
+    >
+      <option value="">{inheritLabel}</option>
+      <option value="up">Round up</option>
+      <option value="nearest">Round to nearest</option>
+      <option value="down">Round down</option>
+    </Select>
+    {form.rounding_mode && (
+      <FlexBox gap="10px">
+        <FlexBox direction="column" gap="5px" style={{ flex: 1 }}>
+          <Label>Increment (minutes)</Label>
+          <Input
+            type="number"
+            min="0"
+            value={form.rounding_increment}
+            onChange={(e) => setForm(prev => ({ ...prev, rounding_increment: e.target.value }))}
+            placeholder="6"
+          />
+        </FlexBox>
+        <FlexBox direction="column" gap="5px" style={{ flex: 1 }}>
+          <Label>Minimum (minutes)</Label>
+          <Input
+            type="number"
+            min="0"
+            value={form.rounding_minimum}
+            onChange={(e) => setForm(prev => ({ ...prev, rounding_minimum: e.target.value }))}
+            placeholder="0"
+          />
+        </FlexBox>
+      </FlexBox>
+    )}
+  </FlexBox>
+);
+
+// Client tax override. Without it the default taxes from Settings apply;
+// an override with no taxes makes the client tax exempt.
+const emptyTaxForm = { tax_override: false, tax_rates: [] };
+
+const toTaxForm = (client) => ({
+  tax_override: client?.taxRates !== null && client?.taxRates !== undefined,
+  tax_rates: parseTaxList(client?.taxRates)
+});
+
+const toTaxData = (form) => ({
+  taxRates: form.tax_override ? form.tax_rates : null
+});
+
+const ClientTaxFields = ({ form, setForm }) => (
+  <FlexBox direction="column" gap="5px">
+    <FlexBox align="center" gap="10px">
+      <input
+        type="checkbox"
+        id="clientTaxOverride"
+        checked={form.tax_override}
+        onChange={(e) => setForm(prev => ({ ...prev, tax_override: e.target.checked }))}
+      />
+      <Label htmlFor="clientTaxOverride" style={{ margin: 0 }}>Override default taxes</Label>
+    </FlexBox>
+    {form.tax_override && (
+      <>
+        <TaxRatesFields
+          value={form.tax_rates}
+          onChange={(taxes) => setForm(prev => ({ ...prev, tax_rates: taxes }))}
+        />
+        {form.tax_rates.length === 0 && (
+          <Text variant="secondary" size="small">No taxes are charged to this client.</Text>
+        )}
+      </>
+    )}
+  </FlexBox>
+);
+
+// How a project is billed (see helpers/project-billing.js). Fixed fees are
+// charged once; retainers monthly, with overage beyond the included hours.
+const emptyBillingForm = {
+  billing_type: 'hourly',
+  fixed_fee: '',
+  retainer_amount: '',
+  retainer_hours: '',
+  overage_rate: '',
+  is_billable: true
+};
+
+const toBillingForm = (project) => ({
+  billing_type: project?.billingType || 'hourly',
+  fixed_fee: project?.fixedFee ?? '',
+  retainer_amount: project?.retainerAmount ?? '',
+  retainer_hours: project?.retainerHours ?? '',
+  overage_rate: project?.overageRate ?? '',
+  is_billable: project?.isBillable !== false
+});
+
+const toBillingData = (form) => ({
+  billingType: form.billing_type,
+  fixedFee: form.fixed_fee,
+  retainerAmount: form.retainer_amount,
+  retainerHours: form.retainer_hours,
+  overageRate: form.overage_rate,
+  isBillable: form.is_billable
+});
+
+// Task billable select: '' inherits the project's setting
+const toTaskBillableForm = (task) =>
+  typeof task?.isBillable === 'boolean' ? String(task.isBillable) : '';
+
+const toTaskBillableData = (form) => ({
+  isBillable: form.billable === '' ? null : form.billable === 'true'
+});
+
+const ProjectBillingFields = ({ form, setForm, currencySymbol }) => {
+  const amountField = (field, label, placeholder) => (
+    <FlexBox direction="column" gap="5px" style={{ flex: 1 }}>
+      <Label>{label}</Label>
+      <Input
+        type="number"
+        min="0"
+        step="0.01"
+        value={form[field]}
+        onChange={(e) => setForm(prev => ({ ...prev, [field]: e.target.value }))}
+        placeholder={placeholder}
+      />
+    </FlexBox>
+  );
+
+  return (
+    <FlexBox direction="column" gap="5px">
+      <Label>Billing</Label>
+      <Select
+        value={form.billing_type}
+        onChange={(e) => setForm(prev => ({ ...prev, billing_type: e.target.value }))}
+      >
+        <option value="hourly">Hourly</option>
+        <option value="fixed">Fixed fee</option>
+        <option value="retainer">Monthly retainer</option>
+      </Select>
+      {form.billing_type === 'fixed' && (
+        <>
+          {amountField('fixed_fee', `Fixed Fee (${currencySymbol})`, '5000')}
+          <Text variant="secondary" size="small">
+            Billed once, on the first invoice with time on this project. Its hours are listed without a charge.
+          </Text>
+        </>
+      )}
+      {form.billing_type === 'retainer' && (
+        <>
+          <FlexBox gap="10px">
+            {amountField('retainer_amount', `Monthly Fee (${currencySymbol})`, '2000')}
+            {amountField('retainer_hours', 'Included Hours', '20')}
+          </FlexBox>
+          {amountField('overage_rate', `Overage Rate (${currencySymbol}/hr)`, 'Hourly rate')}
+          <Text variant="secondary" size="small">
+            Billed each month; hours beyond the included hours are billed at the overage rate.
+          </Text>
+        </>
+      )}
+    </FlexBox>
+  );
+};
+
+// Monthly recurring invoice drafts for a client
+const RecurringInvoiceField = ({ form, setForm }) => (
+  <FlexBox direction="column" gap="5px">
+    <Label>Recurring Invoice</Label>
+    <Select
+      value={form.recurring_day}
+      onChange={(e) => setForm(prev => ({ ...prev, recurring_day: e.target.value }))}
+    >
+      <option value="">Off</option>
+      {Array.from({ length: 28 }, (_, index) => index + 1).map(day => (
+        <option key={day} value={day}>Day {day} of each month</option>
+      ))}
+    </Select>
+    <Text variant="secondary" size="small">
+      Creates a draft invoice for the previous month, with its uninvoiced time and retainer fees.
+    </Text>
+  </FlexBox>
+);
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Whether a rate field differs from the saved rate
+const isRateChanged = (formRate, savedRate) => (parseFloat(formRate) || 0) !== (savedRate || 0);
+
+// Date a changed rate starts to apply; earlier time keeps the previous rate
+const RateEffectiveField = ({ form, setForm }) => (
+  <FlexBox direction="column" gap="5px">
+    <Label>New Rate Effective From</Label>
+    <Input
+      type="date"
+      value={form.rate_effective_from || today()}
+      onChange={(e) => setForm(prev => ({ ...prev, rate_effective_from: e.target.value }))}
+    />
+    <Text variant="secondary" size="small">
+      Time before this date stays at the previous rate.
+    </Text>
+  </FlexBox>
+);
+
+// Rate changes of a client and its projects and tasks, newest first
+const RateTimeline = ({ client, currency }) => {
+  const [history, setHistory] = useState([]);
+
+  useEffect(() => {
+    const loadHistory = async () => {
+      if (!window.electronAPI) return;
+      try {
+        setHistory(await window.electronAPI.clients.getRateHistory(client.id));
+      } catch (error) {
+        console.error('Error loading rate history:', error);
+      }
+    };
+    loadHistory();
+  }, [client.id, client.updatedAt]);
+
+  if (history.length === 0) return null;
+
+  return (
+    <FlexBox direction="column" gap="5px">
+      <Label>Rate History</Label>
+      {history.map(record => (
+        <FlexBox key={record.id} justify="space-between" gap="10px">
+          <Text size="small">
+            {record.task ? `Task: ${record.task.name}` : record.project ? `Project: ${record.project.name}` : 'Client rate'}
+          </Text>
+          <Text size="small">
+            {record.rate ? `${formatCurrency(record.rate, currency)}/hr` : 'Inherited'}
+            <Text as="span" variant="secondary" size="small">
+              {' '}from {new Date(record.effectiveFrom).toLocaleDateString()}
+            </Text>
+          </Text>
+        </FlexBox>
+      ))}
+    </FlexBox>
+  );
+};
+
+const UsageTrack = styled.div`
+  height: 6px;
+  margin-top: 6px;
+  border-radius: 3px;
+  background: ${colors.borderDefault};
+  overflow: hidden;
+`;
+
+const UsageFill = styled.div`
+  height: 100%;
+  width: ${props => Math.min(props.percent, 100)}%;
+  background: ${props => props.percent > 100 ? colors.danger : props.percent >= 80 ? colors.warning : colors.success};
+`;
+
+// Retainer burn-down: hours used this month against the included hours
+const RetainerUsage = ({ usage }) => (
+  <div style={{ marginTop: '8px' }}>
+    <Text size="small">
+      {usage.usedHours} of {usage.includedHours} h used this month
+      {usage.overageHours > 0 ? ` (${usage.overageHours} h over)` : ` (${usage.remainingHours} h left)`}
+    </Text>
+    {usage.percentUsed !== null && (
+      <UsageTrack>
+        <UsageFill percent={usage.percentUsed} />
+      </UsageTrack>
+    )}
+  </div>
+);
+
 const Clients = () => {
   const [clients, setClients] = useState([]);
   const [projects, setProjects] = useState([]);
@@ -69,6 +360,9 @@ const Clients = () => {
   const [editingClient, setEditingClient] = useState(null);
   const [editingProject, setEditingProject] = useState(null);
   const [editingTask, setEditingTask] = useState(null);
+  const defaultCurrency = useDefaultCurrency();
+  const [invoiceTemplates, setInvoiceTemplates] = useState([]);
+  const [retainerUsage, setRetainerUsage] = useState([]);
 
   // Loading states
   const [isLoadingProjects, setIsLoadingProjects] = useState(false);
@@ -77,7 +371,15 @@ const Clients = () => {
   const [clientForm, setClientForm] = useState({
     name: '',
     email: '',
-    hourly_rate: ''
+    address: '',
+    tax_id: '',
+    hourly_rate: '',
+    currency: '',
+    invoice_prefix: '',
+    invoice_template: '',
+    recurring_day: '',
+    ...emptyRoundingForm,
+    ...emptyTaxForm
   });
 
   const [projectForm, setProjectForm] = useState({
@@ -85,7 +387,9 @@ const Clients = () => {
     name: '',
     description: '',
     hourly_rate: '',
-    isDefault: false
+    isDefault: false,
+    ...emptyRoundingForm,
+    ...emptyBillingForm
   });
 
   const [taskForm, setTaskForm] = useState({
@@ -93,7 +397,8 @@ const Clients = () => {
     name: '',
     description: '',
     is_recurring: false,
-    hourly_rate: ''
+    hourly_rate: '',
+    billable: ''
   });
 
   useEffect(() => {
@@ -115,6 +420,18 @@ const Clients = () => {
     loadData();
   }, [selectedClient]);
 
+  useEffect(() => {
+    const loadTemplates = async () => {
+      if (!window.electronAPI?.templates) return;
+      try {
+        setInvoiceTemplates(await window.electronAPI.templates.list());
+      } catch (error) {
+        console.error('Error loading invoice templates:', error);
+      }
+    };
+    loadTemplates();
+  }, []);
+
   // Load projects when client changes
   useEffect(() => {
     const loadProjects = async () => {
@@ -144,6 +461,22 @@ const Clients = () => {
     loadProjects();
   }, [selectedClient]); // selectedClient changes trigger project reload
 
+  // Retainer burn-down for the selected client; reloaded with its projects
+  useEffect(() => {
+    const loadRetainerUsage = async () => {
+      if (!window.electronAPI || !selectedClient || !projects.some(project => project.billingType === 'retainer')) {
+        setRetainerUsage([]);
+        return;
+      }
+      try {
+        setRetainerUsage(await window.electronAPI.projects.getRetainerUsage(selectedClient.id));
+      } catch (error) {
+        console.error('Error loading retainer usage:', error);
+      }
+    };
+    loadRetainerUsage();
+  }, [selectedClient, projects]);
+
   // Load tasks when project changes
   useEffect(() => {
     const loadTasks = async () => {
@@ -173,12 +506,20 @@ const Clients = () => {
         const clientData = {
           name: clientForm.name,
           email: clientForm.email || null,
-          hourlyRate: clientForm.hourly_rate ? parseFloat(clientForm.hourly_rate) : 0
+          address: clientForm.address.trim() || null,
+          taxId: clientForm.tax_id.trim() || null,
+          hourlyRate: clientForm.hourly_rate ? parseFloat(clientForm.hourly_rate) : 0,
+          currency: clientForm.currency || null,
+          invoicePrefix: clientForm.invoice_prefix.trim() || null,
+          invoiceTemplate: clientForm.invoice_template || null,
+          recurringDay: clientForm.recurring_day || null,
+          ...toRoundingData(clientForm),
+          ...toTaxData(clientForm)
         };
         console.log('Creating client with data:', clientData);
         const result = await window.electronAPI.clients.create(clientData);
         console.log('Client created successfully:', result);
-        setClientForm({ name: '', email: '', hourly_rate: '' });
+        setClientForm({ name: '', email: '', address: '', tax_id: '', hourly_rate: '', currency: '', invoice_prefix: '', invoice_template: '', recurring_day: '', ...emptyRoundingForm, ...emptyTaxForm });
         setShowClientModal(false);
         // Reload clients with debugging
         console.log('Reloading clients after creation...');
@@ -208,11 +549,20 @@ const Clients = () => {
         const clientData = {
           name: clientForm.name,
           email: clientForm.email || null,
-          hourlyRate: clientForm.hourly_rate ? parseFloat(clientForm.hourly_rate) : 0
+          address: clientForm.address.trim() || null,
+          taxId: clientForm.tax_id.trim() || null,
+          hourlyRate: clientForm.hourly_rate ? parseFloat(clientForm.hourly_rate) : 0,
+          currency: clientForm.currency || null,
+          invoicePrefix: clientForm.invoice_prefix.trim() || null,
+          invoiceTemplate: clientForm.invoice_template || null,
+          recurringDay: clientForm.recurring_day || null,
+          rateEffectiveFrom: clientForm.rate_effective_from || undefined,
+          ...toRoundingData(clientForm),
+          ...toTaxData(clientForm)
         };
         const result = await window.electronAPI.clients.update(editingClient.id, clientData);
         console.log('Client updated successfully:', result);
-        setClientForm({ name: '', email: '', hourly_rate: '' });
+        setClientForm({ name: '', email: '', address: '', tax_id: '', hourly_rate: '', currency: '', invoice_prefix: '', invoice_template: '', recurring_day: '', ...emptyRoundingForm, ...emptyTaxForm });
         setEditingClient(null);
         setShowClientInfoModal(false); // Close info modal instead of client modal
         // Reload clients
@@ -241,12 +591,14 @@ const Clients = () => {
       try {
         const projectData = {
           ...projectForm,
+          ...toRoundingData(projectForm),
+          ...toBillingData(projectForm),
           clientId: selectedClient.id
         };
         console.log('Creating project with data:', projectData);
         const result = await window.electronAPI.projects.create(projectData);
         console.log('Project created successfully:', result);
-        setProjectForm({ client_id: '', name: '', description: '', hourly_rate: '', isDefault: false });
+        setProjectForm({ client_id: '', name: '', description: '', hourly_rate: '', isDefault: false, ...emptyRoundingForm, ...emptyBillingForm });
         setShowProjectModal(false);
         // Reload projects
         const projectList = await window.electronAPI.projects.getAll(selectedClient.id);
@@ -262,12 +614,14 @@ const Clients = () => {
       try {
         const taskData = {
           ...taskForm,
+          ...toTaskBillableData(taskForm),
+          hourlyRate: taskForm.hourly_rate ? parseFloat(taskForm.hourly_rate) : null,
           projectId: selectedProject.id
         };
         console.log('Creating task with data:', taskData);
         const result = await window.electronAPI.tasks.create(taskData);
         console.log('Task created successfully:', result);
-        setTaskForm({ project_id: '', name: '', description: '', is_recurring: false });
+        setTaskForm({ project_id: '', name: '', description: '', is_recurring: false, billable: '' });
         setShowTaskModal(false);
         // Reload tasks
         const taskList = await window.electronAPI.tasks.getAll(selectedProject.id);
@@ -284,10 +638,15 @@ const Clients = () => {
         const projectData = {
           name: projectForm.name,
           hourlyRate: projectForm.hourly_rate ? parseFloat(projectForm.hourly_rate) : null,
-          isDefault: projectForm.isDefault
+          isDefault: projectForm.isDefault,
+          ...toRoundingData(projectForm),
+          ...toBillingData(projectForm)
         };
         console.log('Updating project with data:', projectData);
-        await window.electronAPI.projects.update(editingProject.id, projectData);
+        await window.electronAPI.projects.update(editingProject.id, {
+          ...projectData,
+          rateEffectiveFrom: projectForm.rate_effective_from || undefined
+        });
         console.log('Project updated successfully');
         setShowProjectModal(false);
         setEditingProject(null);
@@ -306,10 +665,15 @@ const Clients = () => {
       try {
         const taskData = {
           name: taskForm.name,
-          description: taskForm.description || null
+          description: taskForm.description || null,
+          hourlyRate: taskForm.hourly_rate ? parseFloat(taskForm.hourly_rate) : null,
+          ...toTaskBillableData(taskForm)
         };
         console.log('Updating task with data:', taskData);
-        await window.electronAPI.tasks.update(editingTask.id, taskData);
+        await window.electronAPI.tasks.update(editingTask.id, {
+          ...taskData,
+          rateEffectiveFrom: taskForm.rate_effective_from || undefined
+        });
         console.log('Task updated successfully');
         setShowTaskModal(false);
         setEditingTask(null);
@@ -408,7 +772,15 @@ const Clients = () => {
     setClientForm({
       name: client.name,
       email: client.email || '',
-      hourly_rate: client.hourlyRate || ''
+      address: client.address || '',
+      tax_id: client.taxId || '',
+      hourly_rate: client.hourlyRate || '',
+      currency: client.currency || '',
+      invoice_prefix: client.invoicePrefix || '',
+      invoice_template: client.invoiceTemplate || '',
+      recurring_day: client.recurringDay || '',
+      ...toRoundingForm(client),
+      ...toTaxForm(client)
     });
     setShowClientInfoModal(true); // Use the info modal for editing
   };
@@ -420,7 +792,7 @@ const Clients = () => {
     onClose: () => {
       setShowClientModal(false);
       setEditingClient(null);
-      setClientForm({ name: '', email: '', hourly_rate: '' });
+      setClientForm({ name: '', email: '', address: '', tax_id: '', hourly_rate: '', currency: '', invoice_prefix: '', invoice_template: '', recurring_day: '', ...emptyRoundingForm, ...emptyTaxForm });
     },
     formData: clientForm
   });
@@ -431,7 +803,7 @@ const Clients = () => {
     onClose: () => {
       setShowProjectModal(false);
       setEditingProject(null);
-      setProjectForm({ client_id: '', name: '', description: '', hourly_rate: '', isDefault: false });
+      setProjectForm({ client_id: '', name: '', description: '', hourly_rate: '', isDefault: false, ...emptyRoundingForm, ...emptyBillingForm });
     },
     formData: projectForm
   });
@@ -442,7 +814,7 @@ const Clients = () => {
     onClose: () => {
       setShowTaskModal(false);
       setEditingTask(null);
-      setTaskForm({ project_id: '', name: '', description: '', is_recurring: false, hourly_rate: '' });
+      setTaskForm({ project_id: '', name: '', description: '', is_recurring: false, hourly_rate: '', billable: '' });
     },
     formData: taskForm
   });
@@ -453,7 +825,7 @@ const Clients = () => {
     onClose: () => {
       setShowClientInfoModal(false);
       setEditingClient(null);
-      setClientForm({ name: '', email: '', hourly_rate: '' });
+      setClientForm({ name: '', email: '', address: '', tax_id: '', hourly_rate: '', currency: '', invoice_prefix: '', invoice_template: '', recurring_day: '', ...emptyRoundingForm, ...emptyTaxForm });
     },
     formData: clientForm
   });
@@ -465,7 +837,7 @@ const Clients = () => {
         <ResponsiveFlexBox gap="10px" wrap>
           <Button variant="primary" onClick={() => {
             setEditingClient(null);
-            setClientForm({ name: '', email: '', hourly_rate: '' });
+            setClientForm({ name: '', email: '', address: '', tax_id: '', hourly_rate: '', currency: '', invoice_prefix: '', invoice_template: '', recurring_day: '', ...emptyRoundingForm, ...emptyTaxForm });
             setShowClientModal(true);
           }}>
             <Plus size={16} />
@@ -477,7 +849,7 @@ const Clients = () => {
             disabled={clients.length === 0 || isLoadingProjects}
             onClick={() => {
               setEditingProject(null);
-              setProjectForm({ client_id: '', name: '', description: '', hourly_rate: '', isDefault: false });
+              setProjectForm({ client_id: '', name: '', description: '', hourly_rate: '', isDefault: false, ...emptyRoundingForm, ...emptyBillingForm });
               setShowProjectModal(true);
             }}
             style={{ 
@@ -494,7 +866,7 @@ const Clients = () => {
             disabled={isLoadingProjects || projects.length === 0}
             onClick={() => {
               setEditingTask(null);
-              setTaskForm({ project_id: '', name: '', description: '', is_recurring: false });
+              setTaskForm({ project_id: '', name: '', description: '', is_recurring: false, billable: '' });
               setShowTaskModal(true);
             }}
             style={{ 
@@ -538,8 +910,10 @@ const Clients = () => {
                     <div>
                       <Heading size="small" margin="0 0 4px 0">{client.name}</Heading>
                       <Text variant="secondary" size="small">{client.email}</Text>
-                      {client.hourly_rate && (
-                        <Text size="small">${client.hourly_rate}/hr</Text>
+                      {client.hourlyRate > 0 && (
+                        <Text size="small">
+                          {formatCurrency(client.hourlyRate, getClientCurrency(client, defaultCurrency))}/hr
+                        </Text>
                       )}
                     </div>
                     <Button 
@@ -589,12 +963,32 @@ const Clients = () => {
                           {project.isDefault && (
                             <Text size="small" style={{ color: colors.primary, fontWeight: 'bold' }}>Default</Text>
                           )}
+                          {project.isBillable === false && (
+                            <Text variant="secondary" size="small">Non-billable</Text>
+                          )}
                         </FlexBox>
                         {project.description && (
                           <Text variant="secondary" size="small" style={{ marginTop: '4px' }}>{project.description}</Text>
                         )}
-                        {project.hourly_rate && (
-                          <Text size="small">${project.hourly_rate}/hr</Text>
+                        {project.hourlyRate > 0 && (
+                          <Text size="small">
+                            {formatCurrency(project.hourlyRate, getClientCurrency(selectedClient, defaultCurrency))}/hr
+                          </Text>
+                        )}
+                        {project.billingType === 'fixed' && project.fixedFee > 0 && (
+                          <Text size="small">
+                            Fixed fee {formatCurrency(project.fixedFee, getClientCurrency(selectedClient, defaultCurrency))}
+                          </Text>
+                        )}
+                        {project.billingType === 'retainer' && (
+                          <>
+                            <Text size="small">
+                              Retainer {formatCurrency(project.retainerAmount || 0, getClientCurrency(selectedClient, defaultCurrency))}/month
+                            </Text>
+                            {retainerUsage.filter(usage => usage.projectId === project.id).map(usage => (
+                              <RetainerUsage key={usage.projectId} usage={usage} />
+                            ))}
+                          </>
                         )}
                       </div>
                       <Button 
@@ -607,8 +1001,10 @@ const Clients = () => {
                             client_id: project.client_id,
                             name: project.name,
                             description: project.description || '',
-                            hourly_rate: project.hourly_rate || '',
-                            isDefault: project.isDefault || false
+                            hourly_rate: project.hourlyRate || '',
+                            isDefault: project.isDefault || false,
+                            ...toRoundingForm(project),
+                            ...toBillingForm(project)
                           });
                           setShowProjectModal(true);
                         }}
@@ -651,12 +1047,17 @@ const Clients = () => {
                         {task.description && (
                           <Text variant="secondary" size="small">{task.description}</Text>
                         )}
-                        {task.hourly_rate && (
-                          <Text size="small">${task.hourly_rate}/hr</Text>
+                        {task.hourlyRate && (
+                          <Text size="small">
+                            {formatCurrency(task.hourlyRate, getClientCurrency(selectedClient, defaultCurrency))}/hr
+                          </Text>
                         )}
                         {task.is_recurring && (
                           <Text size="small" style={{ color: colors.recurringText }}>Recurring</Text>
                         )}
+                        {typeof task.isBillable === 'boolean' && (
+                          <Text variant="secondary" size="small">{task.isBillable ? 'Billable' : 'Non-billable'}</Text>
+                        )}
                       </div>
                       <FlexBox gap="8px">
                         <Button 
@@ -670,7 +1071,8 @@ const Clients = () => {
                               name: task.name,
                               description: task.description || '',
                               is_recurring: task.is_recurring || false,
-                              hourly_rate: task.hourly_rate || ''
+                              hourly_rate: task.hourlyRate || '',
+                              billable: toTaskBillableForm(task)
                             });
                             setShowTaskModal(true);
                           }}
@@ -727,9 +1129,64 @@ const Clients = () => {
                   placeholder="client@example.com"
                 />
               </FlexBox>
+
+              <FlexBox direction="column" gap="5px">
+                <Label>Address</Label>
+                <TextArea
+                  value={clientForm.address}
+                  onChange={(e) => setClientForm(prev => ({ ...prev, address: e.target.value }))}
+                  placeholder="Billing address"
+                  rows={3}
+                />
+              </FlexBox>
+
+              <FlexBox direction="column" gap="5px">
+                <Label>Tax ID</Label>
+                <Input
+                  value={clientForm.tax_id}
+                  onChange={(e) => setClientForm(prev => ({ ...prev, tax_id: e.target.value }))}
+                  placeholder="VAT / EIN / ABN"
+                />
+              </FlexBox>
               
               <FlexBox direction="column" gap="5px">
-                <Label>Hourly Rate ($)</Label>
+                <Label>Currency</Label>
+                <Select
+                  value={clientForm.currency}
+                  onChange={(e) => setClientForm(prev => ({ ...prev, currency: e.target.value }))}
+                >
+                  <option value="">Use default ({defaultCurrency})</option>
+                  {CURRENCY_OPTIONS.map(option => (
+                    <option key={option.code} value={option.code}>{option.label}</option>
+                  ))}
+                </Select>
+              </FlexBox>
+
+              <FlexBox direction="column" gap="5px">
+                <Label>Invoice Prefix</Label>
+                <Input
+                  value={clientForm.invoice_prefix}
+                  onChange={(e) => setClientForm(prev => ({ ...prev, invoice_prefix: e.target.value }))}
+                  placeholder="e.g. ACME"
+                />
+                <Text variant="secondary" size="small">Used for {'{CLIENT}'} in the invoice numbering pattern.</Text>
+              </FlexBox>
+
+              <FlexBox direction="column" gap="5px">
+                <Label>Invoice Template</Label>
+                <Select
+                  value={clientForm.invoice_template}
+                  onChange={(e) => setClientForm(prev => ({ ...prev, invoice_template: e.target.value }))}
+                >
+                  <option value="">Use default (Settings)</option>
+                  {invoiceTemplates.map(template => (
+                    <option key={template.id} value={template.id}>{template.name}</option>
+                  ))}
+                </Select>
+              </FlexBox>
+
+              <FlexBox direction="column" gap="5px">
+                <Label>Hourly Rate ({getCurrencySymbol(clientForm.currency || defaultCurrency)})</Label>
                 <Input
                   type="text"
                   value={clientForm.hourly_rate}
@@ -743,6 +1200,16 @@ const Clients = () => {
                   placeholder="30.00"
                 />
               </FlexBox>
+
+              <RoundingPolicyFields
+                form={clientForm}
+                setForm={setClientForm}
+                inheritLabel="Use default (Settings)"
+              />
+
+              <ClientTaxFields form={clientForm} setForm={setClientForm} />
+
+              <RecurringInvoiceField form={clientForm} setForm={setClientForm} />
               
               <FlexBox gap="10px" justify="flex-end" style={{ marginTop: '20px' }}>
                 <Button variant="secondary" onClick={() => setShowClientModal(false)}>
@@ -804,6 +1271,22 @@ const Clients = () => {
                   placeholder="100"
                 />
               </FlexBox>
+
+              {editingProject && isRateChanged(projectForm.hourly_rate, editingProject.hourlyRate) && (
+                <RateEffectiveField form={projectForm} setForm={setProjectForm} />
+              )}
+
+              <RoundingPolicyFields
+                form={projectForm}
+                setForm={setProjectForm}
+                inheritLabel="Use client rounding"
+              />
+
+              <ProjectBillingFields
+                form={projectForm}
+                setForm={setProjectForm}
+                currencySymbol={getCurrencySymbol(getClientCurrency(selectedClient, defaultCurrency))}
+              />
               
               <FlexBox align="center" gap="10px">
                 <input
@@ -814,6 +1297,17 @@ const Clients = () => {
                 />
                 <Label htmlFor="defaultProject">Set as Default Project</Label>
               </FlexBox>
+
+              <FlexBox align="center" gap="10px">
+                <input
+                  type="checkbox"
+                  id="billableProject"
+                  checked={projectForm.is_billable}
+                  onChange={(e) => setProjectForm(prev => ({ ...prev, is_billable: e.target.checked }))}
+                />
+                <Label htmlFor="billableProject">Billable</Label>
+                <Text variant="secondary" size="small">New time on this project is billable unless its task says otherwise</Text>
+              </FlexBox>
               
               <FlexBox gap="10px" justify="space-between" style={{ marginTop: '20px' }}>
                 <div>
@@ -887,6 +1381,10 @@ const Clients = () => {
                   placeholder="Override project/client rate"
                 />
               </FlexBox>
+
+              {editingTask && isRateChanged(taskForm.hourly_rate, editingTask.hourlyRate) && (
+                <RateEffectiveField form={taskForm} setForm={setTaskForm} />
+              )}
               
               <FlexBox align="center" gap="10px">
                 <input
@@ -897,6 +1395,18 @@ const Clients = () => {
                 />
                 <Label htmlFor="recurring">Recurring Task</Label>
               </FlexBox>
+
+              <FlexBox direction="column" gap="5px">
+                <Label>Billable</Label>
+                <Select
+                  value={taskForm.billable}
+                  onChange={(e) => setTaskForm(prev => ({ ...prev, billable: e.target.value }))}
+                >
+                  <option value="">Same as project ({selectedProject?.isBillable === false ? 'non-billable' : 'billable'})</option>
+                  <option value="true">Billable</option>
+                  <option value="false">Non-billable</option>
+                </Select>
+              </FlexBox>
               
               <FlexBox gap="10px" justify="flex-end" style={{ marginTop: '20px' }}>
                 <Button variant="secondary" onClick={() => setShowTaskModal(false)}>
@@ -943,9 +1453,64 @@ const Clients = () => {
                   placeholder="client@example.com"
                 />
               </FlexBox>
+
+              <FlexBox direction="column" gap="5px">
+                <Label>Address</Label>
+                <TextArea
+                  value={clientForm.address}
+                  onChange={(e) => setClientForm(prev => ({ ...prev, address: e.target.value }))}
+                  placeholder="Billing address"
+                  rows={3}
+                />
+              </FlexBox>
+
+              <FlexBox direction="column" gap="5px">
+                <Label>Tax ID</Label>
+                <Input
+                  value={clientForm.tax_id}
+                  onChange={(e) => setClientForm(prev => ({ ...prev, tax_id: e.target.value }))}
+                  placeholder="VAT / EIN / ABN"
+                />
+              </FlexBox>
               
               <FlexBox direction="column" gap="5px">
-                <Label>Hourly Rate ($)</Label>
+                <Label>Currency</Label>
+                <Select
+                  value={clientForm.currency}
+                  onChange={(e) => setClientForm(prev => ({ ...prev, currency: e.target.value }))}
+                >
+                  <option value="">Use default ({defaultCurrency})</option>
+                  {CURRENCY_OPTIONS.map(option => (
+                    <option key={option.code} value={option.code}>{option.label}</option>
+                  ))}
+                </Select>
+              </FlexBox>
+
+              <FlexBox direction="column" gap="5px">
+                <Label>Invoice Prefix</Label>
+                <Input
+                  value={clientForm.invoice_prefix}
+                  onChange={(e) => setClientForm(prev => ({ ...prev, invoice_prefix: e.target.value }))}
+                  placeholder="e.g. ACME"
+                />
+                <Text variant="secondary" size="small">Used for {'{CLIENT}'} in the invoice numbering pattern.</Text>
+              </FlexBox>
+
+              <FlexBox direction="column" gap="5px">
+                <Label>Invoice Template</Label>
+                <Select
+                  value={clientForm.invoice_template}
+                  onChange={(e) => setClientForm(prev => ({ ...prev, invoice_template: e.target.value }))}
+                >
+                  <option value="">Use default (Settings)</option>
+                  {invoiceTemplates.map(template => (
+                    <option key={template.id} value={template.id}>{template.name}</option>
+                  ))}
+                </Select>
+              </FlexBox>
+
+              <FlexBox direction="column" gap="5px">
+                <Label>Hourly Rate ({getCurrencySymbol(clientForm.currency || defaultCurrency)})</Label>
                 <Input
                   type="text"
                   value={clientForm.hourly_rate}
@@ -959,6 +1524,22 @@ const Clients = () => {
                   placeholder="30.00"
                 />
               </FlexBox>
+
+              {isRateChanged(clientForm.hourly_rate, editingClient.hourlyRate) && (
+                <RateEffectiveField form={clientForm} setForm={setClientForm} />
+              )}
+
+              <RoundingPolicyFields
+                form={clientForm}
+                setForm={setClientForm}
+                inheritLabel="Use default (Settings)"
+              />
+
+              <ClientTaxFields form={clientForm} setForm={setClientForm} />
+
+              <RecurringInvoiceField form={clientForm} setForm={setClientForm} />
+
+              <RateTimeline client={editingClient} currency={getClientCurrency(editingClient, defaultCurrency)} />
               
               <div style={{ marginTop: '10px', paddingTop: '10px', borderTop: `1px solid ${colors.borderDark}` }}>
                 <Text variant="secondary" size="small" style={{ display: 'block', marginBottom: '5px' }}>
@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Moon } from 'lucide-react';
+import { useElectronAPI } from '../hooks/useElectronAPI';
+import { useModalKeyboard } from '../hooks/useModalKeyboard';
+import { formatTime, formatDurationHumanFriendly } from '../utils/dateHelpers';
+import logger from '../utils/logger';
+import {
+  Modal,
+  ModalContent,
+  ModalHeader,
+  ModalTitle,
+  FlexBox,
+  Text,
+  Button,
+  Input,
+  Label,
+  ClientSelect,
+  ProjectSelect,
+  TaskSelect,
+  useToast
+} from './ui';
+
+const emptySplitForm = { clientId: '', projectId: '', taskId: '', description: '' };
+
+// Asks what to do with idle time detected by the main process while a timer
+// was running: keep it, discard it (stop the timer where the idle period
+// began) or split it off into its own entry.
+const IdlePrompt = () => {
+  const { waitForReady } = useElectronAPI();
+  const { addToast } = useToast();
+  const [pending, setPending] = useState(null);
+  const [isSplitting, setIsSplitting] = useState(false);
+  const [isResolving, setIsResolving] = useState(false);
+  const [splitForm, setSplitForm] = useState(emptySplitForm);
+  const [clients, setClients] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [tasks, setTasks] = useState([]);
+
+  const showPrompt = useCallback((idleInfo) => {
+    setPending(idleInfo);
+    setIsSplitting(false);
+    setSplitForm(emptySplitForm);
+  }, []);
+
+  // Pick up a prompt raised before the window loaded, then listen for new ones
+  useEffect(() => {
+    let unsub = null;
+
+    const setup = async () => {
+      const api = await waitForReady();
+      if (!api?.idle) return;
+
+      const handleIdleEvent = (evt) => {
+        if (!evt || !evt.type) return;
+        if (evt.type === 'detected') {
+          logger.log('[IdlePrompt] Idle period detected:', evt.payload);
+          showPrompt(evt.payload);
+        } else if (evt.type === 'resolved') {
+          // Answered from the tray
+          setPending(null);
+        }
+      };
+      api.idle.onEvent(handleIdleEvent);
+      unsub = () => api.idle.removeEventListener(handleIdleEvent);
+
+      try {
+        const current = await api.idle.getPending();
+        if (current) showPrompt(current);
+      } catch (error) {
+        logger.error('[IdlePrompt] Error loading pending idle period:', error);
+      }
+    };
+
+    setup();
+    return () => { if (unsub) unsub(); };
+  }, [waitForReady, showPrompt]);
+
+  // Load the selector options only when splitting
+  useEffect(() => {
+    if (!isSplitting) return;
+    const load = async () => {
+      const api = await waitForReady();
+      setClients(await api.invoke('db:getClients') || []);
+    };
+    load().catch(error => logger.error('[IdlePrompt] Error loading clients:', error));
+  }, [isSplitting, waitForReady]);
+
+  useEffect(() => {
+    if (!splitForm.clientId) {
+      setProjects([]);
+      return;
+    }
+    const load = async () => {
+      const api = await waitForReady();
+      setProjects(await api.invoke('db:getProjects', parseInt(splitForm.clientId)) || []);
+    };
+    load().catch(error => logger.error('[IdlePrompt] Error loading projects:', error));
+  }, [splitForm.clientId, waitForReady]);
+
+  useEffect(() => {
+    if (!splitForm.projectId) {
+      setTasks([]);
+      return;
+    }
+    const load = async () => {
+      const api = await waitForReady();
+      setTasks(await api.invoke('db:getTasks', parseInt(splitForm.projectId)) || []);
+    };
+    load().catch(error => logger.error('[IdlePrompt] Error loading tasks:', error));
+  }, [splitForm.projectId, waitForReady]);
+
+  const resolve = async (action, options = {}) => {
+    if (isResolving) return;
+    setIsResolving(true);
+    try {
+      const api = await waitForReady();
+      const result = await api.idle.resolve(action, options);
+      if (!result?.success) {
+        throw new Error(result?.error || 'Failed to resolve idle time');
+      }
+      setPending(null);
+    } catch (error) {
+      logger.error('[IdlePrompt] Error resolving idle period:', error);
+      addToast({
+        variant: 'error',
+        title: 'Idle Time',
+        message: error.message
+      });
+    } finally {
+      setIsResolving(false);
+    }
+  };
+
+  const handleSplit = () => {
+    resolve('split', {
+      clientId: splitForm.clientId ? parseInt(splitForm.clientId) : null,
+      projectId: splitForm.projectId ? parseInt(splitForm.projectId) : null,
+      taskId: splitForm.taskId ? parseInt(splitForm.taskId) : null,
+      description: splitForm.description
+    });
+  };
+
+  // Escape keeps the idle time, the same as ignoring the prompt
+  useModalKeyboard({
+    isOpen: !!pending,
+    onClose: () => (isSplitting ? setIsSplitting(false) : resolve('keep'))
+  });
+
+  if (!pending) return null;
+
+  return (
+    <Modal show={!!pending}>
+      <ModalContent onClick={(e) => e.stopPropagation()}>
+        <ModalHeader>
+          <FlexBox align="center" gap="10px">
+            <Moon size={20} />
+            <ModalTitle>You were idle</ModalTitle>
+          </FlexBox>
+        </ModalHeader>
+
+        <FlexBox direction="column" gap="15px">
+          <Text>
+            No activity for {formatDurationHumanFriendly(pending.idleMinutes)} ({formatTime(pending.idleStart)} - {formatTime(pending.idleEnd)})
+            while tracking {pending.clientName ? `${pending.clientName}` : 'time'}
+            {pending.description ? `: ${pending.description}` : ''}.
+          </Text>
+
+          {isSplitting ? (
+            <>
+              <ClientSelect
+                clients={clients}
+                value={splitForm.clientId}
+                onChange={(value) => setSplitForm(prev => ({ ...prev, clientId: value, projectId: '', taskId: '' }))}
+                required
+              />
+              <ProjectSelect
+                projects={projects}
+                value={splitForm.projectId}
+                onChange={(value) => setSplitForm(prev => ({ ...prev, projectId: value, taskId: '' }))}
+                disabled={!splitForm.clientId}
+              />
+              <TaskSelect
+                tasks={tasks}
+                value={splitForm.taskId}
+                onChange={(value) => setSplitForm(prev => ({ ...prev, taskId: value }))}
+                disabled={!splitForm.projectId}
+              />
+              <FlexBox direction="column" gap="5px">
+                <Label>Description</Label>
+                <Input
+                  value={splitForm.description}
+                  onChange={(e) => setSplitForm(prev => ({ ...prev, description: e.target.value }))}
+                  placeholder="What were you doing while away?"
+                />
+              </FlexBox>
+
+              <FlexBox gap="10px" justify="flex-end" style={{ marginTop: '10px' }}>
+                <Button variant="secondary" onClick={() => setIsSplitting(false)} disabled={isResolving}>
+                  Back
+                </Button>
+                <Button variant="primary" onClick={handleSplit} disabled={!splitForm.clientId || isResolving}>
+                  Create Entry
+                </Button>
+              </FlexBox>
+            </>
+          ) : (
+            <>
+              <Text variant="secondary" size="small">
+                Keep it on the running timer, discard it and stop the timer when you left,
+                or split it off into a separate time entry.
+              </Text>
+              <FlexBox gap="10px" justify="flex-end" style={{ marginTop: '10px' }}>
+                <Button variant="secondary" onClick={() => resolve('discard')} disabled={isResolving}>
+                  Discard
+                </Button>
+                <Button variant="secondary" onClick={() => setIsSplitting(true)} disabled={isResolving}>
+                  Split...
+                </Button>
+                <Button variant="primary" onClick={() => resolve('keep')} disabled={isResolving}>
+                  Keep
+                </Button>
+              </FlexBox>
+            </>
+          )}
+        </FlexBox>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+export default IdlePrompt;
@@ -0,0 +1,109 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { FlexBox, Text, Button, Input, Select, Label } from './ui';
+
+export const emptyAdjustmentsForm = {
+  discount_type: 'percent',
+  discount_value: '',
+  expenses: []
+};
+
+// Discount and expense lines in the shape the invoice generator expects
+export const toInvoiceAdjustments = (form) => ({
+  discount: { type: form.discount_type, value: form.discount_value },
+  expenses: form.expenses
+});
+
+// Discount and expense/materials lines added when creating an invoice. Taxes
+// come from the client or Settings and are applied by the generator.
+const InvoiceAdjustments = ({ invoiceForm, setInvoiceForm }) => {
+  const updateExpense = (index, field, value) => {
+    setInvoiceForm(prev => ({
+      ...prev,
+      expenses: prev.expenses.map((expense, i) => (i === index ? { ...expense, [field]: value } : expense))
+    }));
+  };
+
+  const addExpense = () => {
+    setInvoiceForm(prev => ({
+      ...prev,
+      expenses: [...prev.expenses, { description: '', quantity: '1', unitPrice: '' }]
+    }));
+  };
+
+  const removeExpense = (index) => {
+    setInvoiceForm(prev => ({
+      ...prev,
+      expenses: prev.expenses.filter((_, i) => i !== index)
+    }));
+  };
+
+  return (
+    <FlexBox direction="column" gap="15px">
+      <FlexBox direction="column" gap="5px">
+        <Label>Discount</Label>
+        <FlexBox gap="10px">
+          <Select
+            value={invoiceForm.discount_type}
+            onChange={(e) => setInvoiceForm(prev => ({ ...prev, discount_type: e.target.value }))}
+            style={{ maxWidth: '140px' }}
+          >
+            <option value="percent">Percent (%)</option>
+            <option value="fixed">Fixed amount</option>
+          </Select>
+          <Input
+            type="number"
+            step="0.01"
+            min="0"
+            value={invoiceForm.discount_value}
+            onChange={(e) => setInvoiceForm(prev => ({ ...prev, discount_value: e.target.value }))}
+            placeholder="No discount"
+          />
+        </FlexBox>
+      </FlexBox>
+
+      <FlexBox direction="column" gap="8px">
+        <Label>Expenses & Materials</Label>
+        {invoiceForm.expenses.map((expense, index) => (
+          <FlexBox key={index} gap="10px" align="center">
+            <Input
+              value={expense.description}
+              onChange={(e) => updateExpense(index, 'description', e.target.value)}
+              placeholder="Description"
+            />
+            <Input
+              type="number"
+              step="0.01"
+              value={expense.quantity}
+              onChange={(e) => updateExpense(index, 'quantity', e.target.value)}
+              placeholder="Qty"
+              style={{ maxWidth: '80px' }}
+            />
+            <Input
+              type="number"
+              step="0.01"
+              value={expense.unitPrice}
+              onChange={(e) => updateExpense(index, 'unitPrice', e.target.value)}
+              placeholder="Unit price"
+              style={{ maxWidth: '120px' }}
+            />
+            <Button type="button" variant="secondary" onClick={() => removeExpense(index)} title="Remove expense">
+              <Trash2 size={14} />
+            </Button>
+          </FlexBox>
+        ))}
+        <div>
+          <Button type="button" variant="secondary" onClick={addExpense}>
+            <Plus size={14} />
+            Add Expense
+          </Button>
+        </div>
+        <Text variant="secondary" size="small">
+          Taxes from the client or Settings are added to the invoice after the discount.
+        </Text>
+      </FlexBox>
+    </FlexBox>
+  );
+};
+
+export default InvoiceAdjustments;
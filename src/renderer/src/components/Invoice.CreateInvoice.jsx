@@ -3,6 +3,8 @@ import { Filter, DollarSign, RotateCcw, Download, FileText } from 'lucide-react'
 import styled from 'styled-components';
 import { useDebounce } from '../hooks/useDebounce';
 import { useAnimations } from '../context/AnimationContext';
+import InvoiceAdjustments from './Invoice.Adjustments';
+import { getClientCurrency, sumByCurrency } from '../utils/currency';
 import {
   Card,
   FlexBox,
@@ -10,6 +12,7 @@ import {
   Text,
   Button,
   Input,
+  Select,
   Label,
   Chip,
   ChipGroup,
@@ -20,6 +23,15 @@ import {
   LoadingOverlay
 } from './ui';
 
+// Line item layouts understood by the invoice generator (`group_by`)
+export const INVOICE_GROUPING_OPTIONS = [
+  { value: 'day', label: 'By day' },
+  { value: 'project', label: 'By project' },
+  { value: 'task', label: 'By task' },
+  { value: 'project_day', label: 'By project and day' },
+  { value: 'entry', label: 'One line per entry' }
+];
+
 // Styled component for sticky summary bar
 const StickyBar = styled.div`
   position: sticky;
@@ -107,6 +119,7 @@ const CreateInvoice = ({
   isGenerating,
   errorMessage,
   formatCurrency,
+  defaultCurrency,
   refreshTimeEntriesForFilters,
   isFiltering
 }) => {
@@ -351,8 +364,7 @@ const CreateInvoice = ({
       accessor: 'amount',
       render: (entry) => {
         const hours = (entry.duration || 0) / 60;
-        const rate = entry.project?.hourlyRate || entry.client?.hourlyRate || 0;
-        return formatCurrency(hours * rate);
+        return formatCurrency(hours * (entry.resolvedRate || 0), getClientCurrency(entry.client, defaultCurrency));
       }
     }
   ];
@@ -366,15 +378,18 @@ const CreateInvoice = ({
     });
   };
 
+  // Selected entries can span clients (and currencies) until a client is picked
   const totalSelectedAmount = useMemo(() => {
-    return filteredTimeEntries
+    const totals = sumByCurrency(filteredTimeEntries
       .filter(entry => selectedEntries.includes(entry.id))
-      .reduce((total, entry) => {
+      .map(entry => {
         const hours = (entry.duration || 0) / 60;
-        const rate = entry.project?.hourlyRate || entry.client?.hourlyRate || 0;
-        return total + (hours * rate);
-      }, 0);
-  }, [filteredTimeEntries, selectedEntries]);
+        return { currency: getClientCurrency(entry.client, defaultCurrency), amount: hours * (entry.resolvedRate || 0) };
+      }));
+
+    const formatted = Object.entries(totals).map(([currency, amount]) => formatCurrency(amount, currency));
+    return formatted.length > 0 ? formatted.join(' + ') : formatCurrency(0, defaultCurrency);
+  }, [filteredTimeEntries, selectedEntries, defaultCurrency, formatCurrency]);
 
   const totalSelectedHours = useMemo(() => {
     return filteredTimeEntries
@@ -429,7 +444,7 @@ const CreateInvoice = ({
               </div>
               <div>
                 <Text size="small" style={{ color: 'rgba(255, 255, 255, 0.8)' }}>Total Amount:</Text>
-                <Text weight="bold" style={{ color: '#10b981' }}>{formatCurrency(totalSelectedAmount)}</Text>
+                <Text weight="bold" style={{ color: '#10b981' }}>{totalSelectedAmount}</Text>
               </div>
             </FlexBox>
           </FlexBox>
@@ -570,7 +585,7 @@ const CreateInvoice = ({
                 </div>
                 <div>
                   <Text size="small" data-variant="secondary">Total Amount:</Text>
-                  <Text weight="bold" data-variant="success">{formatCurrency(totalSelectedAmount)}</Text>
+                  <Text weight="bold" data-variant="success">{totalSelectedAmount}</Text>
                 </div>
               </FlexBox>
             </div>
@@ -581,10 +596,32 @@ const CreateInvoice = ({
                 <Input
                   value={invoiceForm.invoice_number}
                   onChange={(e) => setInvoiceForm(prev => ({ ...prev, invoice_number: e.target.value }))}
-                  placeholder="Auto-generated"
+                  placeholder="Next in sequence"
                   size="small"
                 />
               </FlexBox>
+
+              <FlexBox direction="column" gap="5px" style={{ minWidth: '170px' }}>
+                <Label style={{ color: 'rgba(255, 255, 255, 0.9)' }}>Line Items</Label>
+                <Select
+                  value={invoiceForm.group_by}
+                  onChange={(e) => setInvoiceForm(prev => ({ ...prev, group_by: e.target.value }))}
+                >
+                  {INVOICE_GROUPING_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </Select>
+              </FlexBox>
+
+              <FlexBox align="center" gap="8px" style={{ alignSelf: 'flex-end', marginBottom: '10px' }}>
+                <input
+                  type="checkbox"
+                  id="attachTimesheetSelected"
+                  checked={invoiceForm.attach_timesheet}
+                  onChange={(e) => setInvoiceForm(prev => ({ ...prev, attach_timesheet: e.target.checked }))}
+                />
+                <Label htmlFor="attachTimesheetSelected" style={{ color: 'rgba(255, 255, 255, 0.9)' }}>Attach Timesheet</Label>
+              </FlexBox>
               
               <Button 
                 variant="primary" 
@@ -600,6 +637,14 @@ const CreateInvoice = ({
         </SummaryCard>
       )}
 
+      {/* Discount & Expenses */}
+      {filteredTimeEntries.length > 0 && !filters.showInvoicedOnly && (
+        <Card padding="20px">
+          <Heading size="small" margin="0 0 15px 0">Discount & Expenses</Heading>
+          <InvoiceAdjustments invoiceForm={invoiceForm} setInvoiceForm={setInvoiceForm} />
+        </Card>
+      )}
+
       {/* Error Message */}
       {errorMessage && (
         <Card 
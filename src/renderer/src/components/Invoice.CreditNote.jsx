@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { useElectronAPI } from '../hooks/useElectronAPI';
+import { useModalKeyboard } from '../hooks/useModalKeyboard';
+import {
+  Modal,
+  ModalContent,
+  ModalHeader,
+  ModalTitle,
+  ModalCloseButton,
+  FlexBox,
+  Text,
+  Button,
+  Input,
+  TextArea,
+  Label,
+  useToast
+} from './ui';
+
+// What is left to credit on an invoice (its total less earlier credit notes)
+export const getCreditableAmount = (invoice) =>
+  Math.max(Math.round(((invoice.totalAmount || 0) - (invoice.creditedAmount || 0)) * 100) / 100, 0);
+
+// Issues a credit note against a sent invoice. The credit note gets its own
+// number and reduces what the client owes on the invoice.
+const CreditNote = ({ invoice, currency, formatCurrency, onClose, onCreated }) => {
+  const { waitForReady } = useElectronAPI();
+  const { addToast } = useToast();
+  const creditable = getCreditableAmount(invoice);
+  const [form, setForm] = useState({ amount: creditable.toFixed(2), reason: '' });
+  const [isSaving, setIsSaving] = useState(false);
+
+  const amount = parseFloat(form.amount);
+  const canSave = amount > 0 && amount <= creditable && form.reason.trim() && !isSaving;
+
+  const handleSave = async () => {
+    if (!canSave) return;
+    try {
+      setIsSaving(true);
+      const api = await waitForReady();
+      const result = await api.invoices.createCreditNote(invoice.id, {
+        amount,
+        reason: form.reason
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      addToast({
+        variant: 'success',
+        title: 'Credit Note Issued',
+        message: `Credit note #${result.creditNote.invoiceNumber} for ${formatCurrency(amount, currency)} issued against invoice #${invoice.invoiceNumber}.`,
+        duration: 4000
+      });
+      await onCreated();
+      onClose();
+    } catch (error) {
+      console.error('Error creating credit note:', error);
+      addToast({
+        variant: 'error',
+        title: 'Credit Note Failed',
+        message: 'Failed to issue credit note: ' + error.message,
+        duration: 5000
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  useModalKeyboard({
+    isOpen: true,
+    onClose,
+    onSubmit: handleSave
+  });
+
+  return (
+    <Modal show onClick={onClose}>
+      <ModalContent onClick={(e) => e.stopPropagation()}>
+        <ModalHeader>
+          <ModalTitle>Issue Credit Note</ModalTitle>
+          <ModalCloseButton onClick={onClose}>×</ModalCloseButton>
+        </ModalHeader>
+
+        <FlexBox direction="column" gap="15px">
+          <FlexBox justify="space-between">
+            <Text>Invoice #{invoice.invoiceNumber}</Text>
+            <Text>
+              Can be credited: <strong>{formatCurrency(creditable, currency)}</strong>
+            </Text>
+          </FlexBox>
+
+          <FlexBox direction="column" gap="5px">
+            <Label>Amount *</Label>
+            <Input
+              type="number"
+              step="0.01"
+              min="0"
+              max={creditable}
+              value={form.amount}
+              onChange={(e) => setForm(prev => ({ ...prev, amount: e.target.value }))}
+              autoFocus
+            />
+            {amount > creditable && (
+              <Text variant="danger" size="small">
+                The amount can&apos;t be more than what is left to credit.
+              </Text>
+            )}
+            <Text variant="secondary" size="small">
+              Taxes are credited in proportion to the amount.
+            </Text>
+          </FlexBox>
+
+          <FlexBox direction="column" gap="5px">
+            <Label>Reason *</Label>
+            <TextArea
+              value={form.reason}
+              onChange={(e) => setForm(prev => ({ ...prev, reason: e.target.value }))}
+              placeholder="Discount agreed after delivery, hours billed twice…"
+              rows={3}
+            />
+          </FlexBox>
+
+          <FlexBox gap="10px" justify="flex-end" style={{ marginTop: '20px' }}>
+            <Button variant="secondary" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button variant="primary" onClick={handleSave} disabled={!canSave}>
+              {isSaving ? 'Issuing...' : 'Issue Credit Note'}
+            </Button>
+          </FlexBox>
+        </FlexBox>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+export default CreditNote;
@@ -1,5 +1,5 @@
-import React from 'react';
-import { FileText, Download, Trash2 } from 'lucide-react';
+import React, { useState } from 'react';
+import { FileText, Download, Trash2, CreditCard, Send, Mail, FileMinus, History } from 'lucide-react';
 import {
   Grid,
   Card,
@@ -7,8 +7,26 @@ import {
   Heading,
   Text,
   Button,
-  EmptyState
+  EmptyState,
+  StatusBadge
 } from './ui';
+import { getClientCurrency } from '../utils/currency';
+import RecordPayment from './Invoice.RecordPayment';
+import SendEmail from './Invoice.SendEmail';
+import CreditNote, { getCreditableAmount } from './Invoice.CreditNote';
+import Revisions from './Invoice.Revisions';
+
+// Label and badge color of each invoice status (see helpers/invoice-status.js)
+export const INVOICE_STATUS_DISPLAY = {
+  draft: { label: 'Draft', badge: 'inactive' },
+  sent: { label: 'Sent', badge: 'warning' },
+  partial: { label: 'Partially Paid', badge: 'warning' },
+  paid: { label: 'Paid', badge: 'active' },
+  overdue: { label: 'Overdue', badge: 'error' },
+  credited: { label: 'Credited', badge: 'inactive' },
+  voided: { label: 'Voided', badge: 'inactive' },
+  superseded: { label: 'Superseded', badge: 'inactive' }
+};
 
 const GeneratedInvoices = ({
   invoices,
@@ -22,8 +40,22 @@ const GeneratedInvoices = ({
   downloadingIds,
   viewingIds,
   regeneratingIds,
-  formatCurrency
+  handleUpdateInvoiceStatus,
+  onPaymentsChanged,
+  onInvoiceSent,
+  formatCurrency,
+  defaultCurrency
 }) => {
+  const [payingInvoiceId, setPayingInvoiceId] = useState(null);
+  const [emailingInvoiceId, setEmailingInvoiceId] = useState(null);
+  const [creditingInvoiceId, setCreditingInvoiceId] = useState(null);
+  const [historyInvoiceId, setHistoryInvoiceId] = useState(null);
+  const payingInvoice = invoices.find(invoice => invoice.id === payingInvoiceId);
+  const emailingInvoice = invoices.find(invoice => invoice.id === emailingInvoiceId);
+  const creditingInvoice = invoices.find(invoice => invoice.id === creditingInvoiceId);
+  const historyInvoice = invoices.find(invoice => invoice.id === historyInvoiceId);
+  const invoiceCurrency = (invoice) => invoice.currency || getClientCurrency(invoice.client, defaultCurrency);
+
   // const handleQuickGenerate = () => {
   //   const today = new Date();
   //   const firstOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
@@ -58,20 +90,45 @@ const GeneratedInvoices = ({
         </EmptyState>
       ) : (
         <Grid columns="repeat(auto-fill, minmax(350px, 1fr))" gap="20px">
-          {invoices.map(invoice => (
+          {invoices.map(invoice => {
+            const isCreditNote = invoice.type === 'credit_note';
+            const canCredit = !isCreditNote && invoice.status !== 'draft' && getCreditableAmount(invoice) > 0;
+            return (
             <Card key={invoice.id} padding="20px">
               <FlexBox justify="space-between" align="flex-start" margin="0 0 15px 0">
                 <div>
                   <Heading size="small" margin="0 0 5px 0">
-                    Invoice #{invoice.invoiceNumber}
+                    {isCreditNote ? 'Credit Note' : 'Invoice'} #{invoice.invoiceNumber}
+                    {invoice.revision > 1 && (
+                      <Text as="span" size="small" variant="secondary"> · Revision {invoice.revision}</Text>
+                    )}
                   </Heading>
                   <Text variant="secondary">{invoice.client?.name || 'Unknown Client'}</Text>
                 </div>
-                <Text variant={invoice.status === 'generated' ? 'success' : 'warning'} size="small">
-                  {invoice.status || 'pending'}
-                </Text>
+                <StatusBadge status={INVOICE_STATUS_DISPLAY[invoice.status]?.badge}>
+                  {INVOICE_STATUS_DISPLAY[invoice.status]?.label || invoice.status}
+                </StatusBadge>
               </FlexBox>
               
+              {isCreditNote ? (
+              <FlexBox direction="column" gap="8px" margin="0 0 15px 0">
+                <FlexBox justify="space-between">
+                  <Text size="small">Credits Invoice:</Text>
+                  <Text size="small">#{invoice.creditedInvoice?.invoiceNumber || 'Deleted'}</Text>
+                </FlexBox>
+                <FlexBox justify="space-between">
+                  <Text size="small">Amount:</Text>
+                  <Text size="small" variant="danger">{formatCurrency(invoice.totalAmount, invoiceCurrency(invoice))}</Text>
+                </FlexBox>
+                <FlexBox justify="space-between">
+                  <Text size="small">Issued:</Text>
+                  <Text size="small">{new Date(invoice.createdAt).toLocaleDateString()}</Text>
+                </FlexBox>
+                {invoice.creditReason && (
+                  <Text size="small" variant="secondary">{invoice.creditReason}</Text>
+                )}
+              </FlexBox>
+              ) : (
               <FlexBox direction="column" gap="8px" margin="0 0 15px 0">
                 <FlexBox justify="space-between">
                   <Text size="small">Period:</Text>
@@ -79,12 +136,103 @@ const GeneratedInvoices = ({
                 </FlexBox>
                 <FlexBox justify="space-between">
                   <Text size="small">Amount:</Text>
-                  <Text size="small" variant="success">{formatCurrency(invoice.totalAmount)}</Text>
+                  <Text size="small" variant="success">{formatCurrency(invoice.totalAmount, invoiceCurrency(invoice))}</Text>
                 </FlexBox>
+                {invoice.creditedAmount > 0 && (
+                  <FlexBox justify="space-between">
+                    <Text size="small">Credited:</Text>
+                    <Text size="small">{formatCurrency(-invoice.creditedAmount, invoiceCurrency(invoice))}</Text>
+                  </FlexBox>
+                )}
+                {invoice.paidAmount > 0 && (
+                  <FlexBox justify="space-between">
+                    <Text size="small">Paid:</Text>
+                    <Text size="small">{formatCurrency(invoice.paidAmount, invoiceCurrency(invoice))}</Text>
+                  </FlexBox>
+                )}
+                {!['draft', 'paid', 'credited'].includes(invoice.status) && (
+                  <FlexBox justify="space-between">
+                    <Text size="small">Balance Due:</Text>
+                    <Text size="small" variant={invoice.status === 'overdue' ? 'danger' : undefined}>
+                      {formatCurrency(invoice.balanceDue, invoiceCurrency(invoice))}
+                    </Text>
+                  </FlexBox>
+                )}
                 <FlexBox justify="space-between">
                   <Text size="small">Due Date:</Text>
-                  <Text size="small">{invoice.dueDate ? new Date(invoice.dueDate).toLocaleDateString() : 'N/A'}</Text>
+                  <Text size="small" variant={invoice.status === 'overdue' ? 'danger' : undefined}>
+                    {invoice.dueDate ? new Date(invoice.dueDate).toLocaleDateString() : 'N/A'}
+                    {invoice.daysOverdue > 0 ? ` (${invoice.daysOverdue} days overdue)` : ''}
+                  </Text>
                 </FlexBox>
+                {invoice.sentAt && (
+                  <FlexBox justify="space-between">
+                    <Text size="small">Emailed:</Text>
+                    <Text size="small" title={invoice.sentTo}>
+                      {new Date(invoice.sentAt).toLocaleDateString()} to {invoice.sentTo}
+                    </Text>
+                  </FlexBox>
+                )}
+              </FlexBox>
+              )}
+              
+              <FlexBox gap="10px" margin="0 0 10px 0" wrap>
+                {isCreditNote ? null : invoice.status === 'draft' ? (
+                  <Button
+                    variant="secondary"
+                    size="small"
+                    onClick={() => handleUpdateInvoiceStatus(invoice.id, 'sent')}
+                  >
+                    <Send size={14} />
+                    Mark as Sent
+                  </Button>
+                ) : invoice.status === 'sent' && (
+                  <Button
+                    variant="secondary"
+                    size="small"
+                    onClick={() => handleUpdateInvoiceStatus(invoice.id, 'draft')}
+                  >
+                    Back to Draft
+                  </Button>
+                )}
+                {!isCreditNote && (
+                  <Button
+                    variant="secondary"
+                    size="small"
+                    onClick={() => setPayingInvoiceId(invoice.id)}
+                  >
+                    <CreditCard size={14} />
+                    {invoice.status === 'paid' ? 'Payments' : 'Record Payment'}
+                  </Button>
+                )}
+                <Button
+                  variant="secondary"
+                  size="small"
+                  onClick={() => setEmailingInvoiceId(invoice.id)}
+                >
+                  <Mail size={14} />
+                  {invoice.sentAt ? 'Resend' : 'Email'}
+                </Button>
+                {canCredit && (
+                  <Button
+                    variant="secondary"
+                    size="small"
+                    onClick={() => setCreditingInvoiceId(invoice.id)}
+                  >
+                    <FileMinus size={14} />
+                    Credit Note
+                  </Button>
+                )}
+                {invoice.revision > 1 && (
+                  <Button
+                    variant="secondary"
+                    size="small"
+                    onClick={() => setHistoryInvoiceId(invoice.id)}
+                  >
+                    <History size={14} />
+                    History
+                  </Button>
+                )}
               </FlexBox>
               
               <FlexBox gap="10px">
@@ -96,15 +244,17 @@ const GeneratedInvoices = ({
                   <Trash2 size={14} />
                   Delete
                 </Button>
-                <Button 
-                  variant="secondary" 
-                  size="small" 
-                  disabled={regeneratingIds.has(invoice.id)}
-                  onClick={() => handleRegenerateInvoice(invoice.id)}
-                >
-                  <Download size={14} />
-                  {regeneratingIds.has(invoice.id) ? 'Regenerating...' : 'Regenerate'}
-                </Button>
+                {!isCreditNote && (
+                  <Button 
+                    variant="secondary" 
+                    size="small" 
+                    disabled={regeneratingIds.has(invoice.id)}
+                    onClick={() => handleRegenerateInvoice(invoice.id)}
+                  >
+                    <Download size={14} />
+                    {regeneratingIds.has(invoice.id) ? 'Regenerating...' : 'Regenerate'}
+                  </Button>
+                )}
                 <Button 
                   variant="primary" 
                   size="small" 
@@ -117,9 +267,47 @@ const GeneratedInvoices = ({
                 </Button>
               </FlexBox>
             </Card>
-          ))}
+            );
+          })}
         </Grid>
       )}
+
+      {payingInvoice && (
+        <RecordPayment
+          invoice={payingInvoice}
+          currency={invoiceCurrency(payingInvoice)}
+          formatCurrency={formatCurrency}
+          onClose={() => setPayingInvoiceId(null)}
+          onChanged={onPaymentsChanged}
+        />
+      )}
+
+      {emailingInvoice && (
+        <SendEmail
+          invoice={emailingInvoice}
+          onClose={() => setEmailingInvoiceId(null)}
+          onSent={onInvoiceSent}
+        />
+      )}
+
+      {creditingInvoice && (
+        <CreditNote
+          invoice={creditingInvoice}
+          currency={invoiceCurrency(creditingInvoice)}
+          formatCurrency={formatCurrency}
+          onClose={() => setCreditingInvoiceId(null)}
+          onCreated={onPaymentsChanged}
+        />
+      )}
+
+      {historyInvoice && (
+        <Revisions
+          invoice={historyInvoice}
+          formatCurrency={formatCurrency}
+          handleViewInvoice={handleViewInvoice}
+          onClose={() => setHistoryInvoiceId(null)}
+        />
+      )}
     </>
   );
 };
@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+import { Trash2 } from 'lucide-react';
+import { useElectronAPI } from '../hooks/useElectronAPI';
+import { useModalKeyboard } from '../hooks/useModalKeyboard';
+import {
+  Modal,
+  ModalContent,
+  ModalHeader,
+  ModalTitle,
+  ModalCloseButton,
+  FlexBox,
+  Text,
+  Button,
+  Input,
+  Select,
+  Label,
+  useToast
+} from './ui';
+
+export const PAYMENT_METHODS = ['Bank transfer', 'Card', 'Cash', 'Check', 'PayPal', 'Other'];
+
+const toYMD = (date) => {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+const emptyPaymentForm = (invoice) => ({
+  amount: invoice.balanceDue > 0 ? invoice.balanceDue.toFixed(2) : '',
+  date: toYMD(new Date()),
+  method: PAYMENT_METHODS[0],
+  note: ''
+});
+
+// Records a payment against an invoice and lists the payments already made.
+// The invoice moves to partially paid or paid in the main process.
+const RecordPayment = ({ invoice, currency, formatCurrency, onClose, onChanged }) => {
+  const { waitForReady } = useElectronAPI();
+  const { addToast } = useToast();
+  const [paymentForm, setPaymentForm] = useState(() => emptyPaymentForm(invoice));
+  const [isSaving, setIsSaving] = useState(false);
+
+  const canSave = parseFloat(paymentForm.amount) > 0 && paymentForm.date && !isSaving;
+
+  const handleSave = async () => {
+    if (!canSave) return;
+    try {
+      setIsSaving(true);
+      const api = await waitForReady();
+      await api.invoices.recordPayment(invoice.id, {
+        ...paymentForm,
+        amount: parseFloat(paymentForm.amount),
+        // Noon local time so the date doesn't shift across time zones
+        date: new Date(`${paymentForm.date}T12:00:00`).toISOString()
+      });
+      addToast({
+        variant: 'success',
+        title: 'Payment Recorded',
+        message: `${formatCurrency(parseFloat(paymentForm.amount), currency)} recorded for invoice #${invoice.invoiceNumber}.`,
+        duration: 4000
+      });
+      await onChanged();
+      onClose();
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      addToast({
+        variant: 'error',
+        title: 'Payment Failed',
+        message: 'Failed to record payment: ' + error.message,
+        duration: 5000
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (paymentId) => {
+    if (!window.confirm('Delete this payment?')) return;
+    try {
+      const api = await waitForReady();
+      await api.invoices.deletePayment(paymentId);
+      await onChanged();
+      onClose();
+    } catch (error) {
+      console.error('Error deleting payment:', error);
+      addToast({
+        variant: 'error',
+        title: 'Delete Failed',
+        message: 'Failed to delete payment: ' + error.message,
+        duration: 5000
+      });
+    }
+  };
+
+  useModalKeyboard({
+    isOpen: true,
+    onClose,
+    onSubmit: handleSave
+  });
+
+  const payments = invoice.payments || [];
+
+  return (
+    <Modal show onClick={onClose}>
+      <ModalContent onClick={(e) => e.stopPropagation()}>
+        <ModalHeader>
+          <ModalTitle>Record Payment</ModalTitle>
+          <ModalCloseButton onClick={onClose}>×</ModalCloseButton>
+        </ModalHeader>
+
+        <FlexBox direction="column" gap="15px">
+          <FlexBox justify="space-between">
+            <Text>Invoice #{invoice.invoiceNumber}</Text>
+            <Text>
+              Balance due: <strong>{formatCurrency(invoice.balanceDue, currency)}</strong>
+            </Text>
+          </FlexBox>
+
+          {payments.length > 0 && (
+            <FlexBox direction="column" gap="6px">
+              <Label>Payments</Label>
+              {payments.map(payment => (
+                <FlexBox key={payment.id} justify="space-between" align="center" gap="10px">
+                  <Text size="small">
+                    {new Date(payment.date).toLocaleDateString()}
+                    {payment.method ? ` · ${payment.method}` : ''}
+                    {payment.note ? ` · ${payment.note}` : ''}
+                  </Text>
+                  <FlexBox align="center" gap="10px">
+                    <Text size="small" variant="success">{formatCurrency(payment.amount, currency)}</Text>
+                    <Button
+                      type="button"
+                      variant="secondary"
+                      size="small"
+                      onClick={() => handleDelete(payment.id)}
+                      title="Delete payment"
+                    >
+                      <Trash2 size={14} />
+                    </Button>
+                  </FlexBox>
+                </FlexBox>
+              ))}
+            </FlexBox>
+          )}
+
+          <FlexBox gap="10px">
+            <FlexBox direction="column" gap="5px" style={{ flex: 1 }}>
+              <Label>Amount *</Label>
+              <Input
+                type="number"
+                step="0.01"
+                min="0"
+                value={paymentForm.amount}
+                onChange={(e) => setPaymentForm(prev => ({ ...prev, amount: e.target.value }))}
+                autoFocus
+              />
+            </FlexBox>
+            <FlexBox direction="column" gap="5px" style={{ flex: 1 }}>
+              <Label>Date *</Label>
+              <Input
+                type="date"
+                value={paymentForm.date}
+                onChange={(e) => setPaymentForm(prev => ({ ...prev, date: e.target.value }))}
+              />
+            </FlexBox>
+          </FlexBox>
+
+          <FlexBox direction="column" gap="5px">
+            <Label>Method</Label>
+            <Select
+              value={paymentForm.method}
+              onChange={(e) => setPaymentForm(prev => ({ ...prev, method: e.target.value }))}
+            >
+              {PAYMENT_METHODS.map(method => (
+                <option key={method} value={method}>{method}</option>
+              ))}
+            </Select>
+          </FlexBox>
+
+          <FlexBox direction="column" gap="5px">
+            <Label>Note</Label>
+            <Input
+              value={paymentForm.note}
+              onChange={(e) => setPaymentForm(prev => ({ ...prev, note: e.target.value }))}
+              placeholder="Reference, check number…"
+            />
+          </FlexBox>
+
+          <FlexBox gap="10px" justify="flex-end" style={{ marginTop: '20px' }}>
+            <Button variant="secondary" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button variant="primary" onClick={handleSave} disabled={!canSave}>
+              {isSaving ? 'Saving...' : 'Record Payment'}
+            </Button>
+          </FlexBox>
+        </FlexBox>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+export default RecordPayment;
@@ -0,0 +1,91 @@
+import React, { useEffect, useState } from 'react';
+import { FileText } from 'lucide-react';
+import { useElectronAPI } from '../hooks/useElectronAPI';
+import { useModalKeyboard } from '../hooks/useModalKeyboard';
+import {
+  Modal,
+  ModalContent,
+  ModalHeader,
+  ModalTitle,
+  ModalCloseButton,
+  FlexBox,
+  Text,
+  Button,
+  useToast
+} from './ui';
+
+// Every revision of an invoice number: when it was made, by whom and what
+// changed. Earlier revisions can still be viewed.
+const Revisions = ({ invoice, formatCurrency, handleViewInvoice, onClose }) => {
+  const { waitForReady } = useElectronAPI();
+  const { addToast } = useToast();
+  const [revisions, setRevisions] = useState(null);
+
+  useEffect(() => {
+    const loadRevisions = async () => {
+      try {
+        const api = await waitForReady();
+        setRevisions(await api.invoices.getRevisions(invoice.invoiceNumber));
+      } catch (error) {
+        console.error('Error loading invoice revisions:', error);
+        setRevisions([]);
+        addToast({
+          variant: 'error',
+          title: 'History Unavailable',
+          message: 'Failed to load invoice history: ' + error.message,
+          duration: 5000
+        });
+      }
+    };
+    loadRevisions();
+  }, [invoice.invoiceNumber, waitForReady]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useModalKeyboard({
+    isOpen: true,
+    onClose
+  });
+
+  return (
+    <Modal show onClick={onClose}>
+      <ModalContent onClick={(e) => e.stopPropagation()}>
+        <ModalHeader>
+          <ModalTitle>Invoice #{invoice.invoiceNumber} History</ModalTitle>
+          <ModalCloseButton onClick={onClose}>×</ModalCloseButton>
+        </ModalHeader>
+
+        <FlexBox direction="column" gap="12px">
+          {revisions === null ? (
+            <Text variant="secondary">Loading…</Text>
+          ) : revisions.map(revision => (
+            <FlexBox key={revision.id} justify="space-between" align="center" gap="10px">
+              <FlexBox direction="column" gap="2px">
+                <Text>
+                  <strong>Revision {revision.revision}</strong>
+                  {revision.id === invoice.id ? ' (current)' : ''}
+                  {' · '}{formatCurrency(revision.totalAmount, revision.currency || undefined)}
+                </Text>
+                <Text variant="secondary" size="small">
+                  {new Date(revision.createdAt).toLocaleString()}
+                  {revision.revisedBy ? ` by ${revision.revisedBy}` : ''}
+                </Text>
+                {revision.revisionNote && (
+                  <Text variant="secondary" size="small">{revision.revisionNote}</Text>
+                )}
+              </FlexBox>
+              <Button
+                variant="secondary"
+                size="small"
+                onClick={() => handleViewInvoice(revision.id)}
+              >
+                <FileText size={14} />
+                View
+              </Button>
+            </FlexBox>
+          ))}
+        </FlexBox>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+export default Revisions;
@@ -0,0 +1,152 @@
+import React, { useEffect, useState } from 'react';
+import { Send } from 'lucide-react';
+import { useElectronAPI } from '../hooks/useElectronAPI';
+import { useModalKeyboard } from '../hooks/useModalKeyboard';
+import {
+  Modal,
+  ModalContent,
+  ModalHeader,
+  ModalTitle,
+  ModalCloseButton,
+  FlexBox,
+  Text,
+  Button,
+  Input,
+  TextArea,
+  Label,
+  useToast
+} from './ui';
+
+// Emails an invoice with its PDF attached. The draft comes from the email
+// templates in Settings and can be edited before sending.
+const SendEmail = ({ invoice, onClose, onSent }) => {
+  const { waitForReady } = useElectronAPI();
+  const { addToast } = useToast();
+  const [emailForm, setEmailForm] = useState({ to: '', subject: '', body: '' });
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSending, setIsSending] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    const loadDraft = async () => {
+      try {
+        const api = await waitForReady();
+        const draft = await api.invoices.composeEmail(invoice.id);
+        if (!cancelled) setEmailForm(draft);
+      } catch (error) {
+        console.error('Error composing invoice email:', error);
+        addToast({
+          variant: 'error',
+          title: 'Email Draft Failed',
+          message: 'Failed to prepare the email: ' + error.message,
+          duration: 5000
+        });
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+    loadDraft();
+    return () => {
+      cancelled = true;
+    };
+  }, [invoice.id, waitForReady]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const canSend = emailForm.to.trim() && emailForm.subject.trim() && !isLoading && !isSending;
+
+  const handleSend = async () => {
+    if (!canSend) return;
+    try {
+      setIsSending(true);
+      const api = await waitForReady();
+      const result = await api.invoices.sendEmail(invoice.id, emailForm);
+      if (!result?.success) {
+        throw new Error(result?.error || 'Unknown error');
+      }
+      addToast({
+        variant: 'success',
+        title: 'Invoice Sent',
+        message: `Invoice #${invoice.invoiceNumber} was emailed to ${result.invoice.sentTo}.`,
+        duration: 4000
+      });
+      await onSent();
+      onClose();
+    } catch (error) {
+      console.error('Error sending invoice email:', error);
+      addToast({
+        variant: 'error',
+        title: 'Send Failed',
+        message: 'Failed to send invoice: ' + error.message,
+        duration: 6000
+      });
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  useModalKeyboard({
+    isOpen: true,
+    onClose,
+    onSubmit: handleSend
+  });
+
+  return (
+    <Modal show onClick={onClose}>
+      <ModalContent onClick={(e) => e.stopPropagation()}>
+        <ModalHeader>
+          <ModalTitle>Send Invoice #{invoice.invoiceNumber}</ModalTitle>
+          <ModalCloseButton onClick={onClose}>×</ModalCloseButton>
+        </ModalHeader>
+
+        <FlexBox direction="column" gap="15px">
+          <FlexBox direction="column" gap="5px">
+            <Label>To *</Label>
+            <Input
+              value={emailForm.to}
+              onChange={(e) => setEmailForm(prev => ({ ...prev, to: e.target.value }))}
+              placeholder="client@example.com"
+              disabled={isLoading}
+              autoFocus
+            />
+            <Text size="small" variant="secondary">
+              Separate multiple recipients with commas
+            </Text>
+          </FlexBox>
+
+          <FlexBox direction="column" gap="5px">
+            <Label>Subject *</Label>
+            <Input
+              value={emailForm.subject}
+              onChange={(e) => setEmailForm(prev => ({ ...prev, subject: e.target.value }))}
+              disabled={isLoading}
+            />
+          </FlexBox>
+
+          <FlexBox direction="column" gap="5px">
+            <Label>Message</Label>
+            <TextArea
+              rows={10}
+              value={emailForm.body}
+              onChange={(e) => setEmailForm(prev => ({ ...prev, body: e.target.value }))}
+              disabled={isLoading}
+            />
+            <Text size="small" variant="secondary">
+              The invoice PDF is attached.
+            </Text>
+          </FlexBox>
+
+          <FlexBox gap="10px" justify="flex-end" style={{ marginTop: '20px' }}>
+            <Button variant="secondary" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button variant="primary" onClick={handleSend} disabled={!canSend}>
+              <Send size={14} />
+              {isSending ? 'Sending...' : 'Send Invoice'}
+            </Button>
+          </FlexBox>
+        </FlexBox>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+export default SendEmail;
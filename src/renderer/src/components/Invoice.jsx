@@ -2,6 +2,8 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { DollarSign } from 'lucide-react';
 import { useElectronAPI } from '../hooks/useElectronAPI';
 import { useModalKeyboard } from '../hooks/useModalKeyboard';
+import { useDefaultCurrency } from '../hooks/useDefaultCurrency';
+import { formatCurrency as formatMoney } from '../utils/currency';
 import {
   Container,
   FlexBox,
@@ -23,7 +25,8 @@ import {
   LoadingOverlay
 } from './ui';
 import { useToast } from './ui/Toast';
-import CreateInvoice from './Invoice.CreateInvoice';
+import CreateInvoice, { INVOICE_GROUPING_OPTIONS } from './Invoice.CreateInvoice';
+import InvoiceAdjustments, { emptyAdjustmentsForm, toInvoiceAdjustments } from './Invoice.Adjustments';
 import GeneratedInvoices from './Invoice.GeneratedInvoices';
 
 const Invoice = () => {
@@ -51,6 +54,7 @@ const Invoice = () => {
   });
   
   const { waitForReady } = useElectronAPI();
+  const defaultCurrency = useDefaultCurrency();
   const { addToast } = useToast();
 
   // Check if all data has been loaded
@@ -62,7 +66,10 @@ const Invoice = () => {
     start_date: '',
     end_date: '',
     invoice_number: '',
-    due_date: ''
+    due_date: '',
+    group_by: 'day',
+    attach_timesheet: false,
+    ...emptyAdjustmentsForm
   });
 
   // Filtering state for the create tab
@@ -165,14 +172,20 @@ const Invoice = () => {
         setErrorMessage('');
         const api = await waitForReady();
         if (api && api.invoices) {
-          const result = await api.invoices.generate(invoiceForm);
+          const result = await api.invoices.generate({
+            ...invoiceForm,
+            ...toInvoiceAdjustments(invoiceForm)
+          });
           if (result.success) {
             setInvoiceForm({
               client_id: '',
               start_date: '',
               end_date: '',
               invoice_number: '',
-              due_date: ''
+              due_date: '',
+              group_by: 'day',
+              attach_timesheet: false,
+              ...emptyAdjustmentsForm
             });
             setShowModal(false);
             await loadInvoices();
@@ -224,12 +237,16 @@ const Invoice = () => {
       if (api && api.invoices) {
         const result = await api.invoices.generateFromSelected({
           selectedEntryIds: selectedEntries,
-          invoice_number: invoiceForm.invoice_number || undefined
+          invoice_number: invoiceForm.invoice_number || undefined,
+          group_by: invoiceForm.group_by,
+          attach_timesheet: invoiceForm.attach_timesheet,
+          ...toInvoiceAdjustments(invoiceForm)
         });
         
         if (result.success) {
-          // Clear selections and reset filters
+          // Clear selections, discount/expenses and reset filters
           setSelectedEntries([]);
+          setInvoiceForm(prev => ({ ...prev, ...emptyAdjustmentsForm }));
           setFilters({
             dateFrom: '',
             dateTo: '',
@@ -418,7 +435,7 @@ const Invoice = () => {
       return;
     }
 
-    if (window.confirm('Are you sure you want to regenerate this invoice? This will void the current invoice and create a new one with current data.')) {
+    if (window.confirm('Are you sure you want to regenerate this invoice? The current version is kept in the invoice history and a new revision is created with current data.')) {
       try {
         setRegeneratingIds(prev => new Set([...prev, invoiceId]));
         console.log('[FRONTEND] Starting regenerate for invoice:', invoiceId);
@@ -468,13 +485,26 @@ const Invoice = () => {
     }
   };
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD'
-    }).format(amount);
+  const handleUpdateInvoiceStatus = async (invoiceId, status) => {
+    try {
+      const api = await waitForReady();
+      if (api && api.invoices) {
+        await api.invoices.updateStatus(invoiceId, status);
+        await loadInvoices();
+      }
+    } catch (error) {
+      console.error('Error updating invoice status:', error);
+      addToast({
+        variant: 'error',
+        title: 'Update Failed',
+        message: 'Failed to update invoice status: ' + error.message,
+        duration: 5000
+      });
+    }
   };
 
+  const formatCurrency = (amount, currency = defaultCurrency) => formatMoney(amount, currency);
+
   const getClientTimeEntries = (clientId) => {
     return timeEntries.filter(entry => entry.clientId === parseInt(clientId));
   };
@@ -512,10 +542,14 @@ const Invoice = () => {
             handleViewInvoice={handleViewInvoice}
             handleRegenerateInvoice={handleRegenerateInvoice}
             handleDeleteInvoice={handleDeleteInvoice}
+            handleUpdateInvoiceStatus={handleUpdateInvoiceStatus}
+            onPaymentsChanged={loadInvoices}
+            onInvoiceSent={loadInvoices}
             downloadingIds={downloadingIds}
             viewingIds={viewingIds}
             regeneratingIds={regeneratingIds}
             formatCurrency={formatCurrency}
+            defaultCurrency={defaultCurrency}
           />
         </TabPanel>
 
@@ -538,6 +572,7 @@ const Invoice = () => {
             isGenerating={isGenerating}
             errorMessage={errorMessage}
             formatCurrency={formatCurrency}
+            defaultCurrency={defaultCurrency}
             refreshTimeEntriesForFilters={refreshTimeEntriesForFilters}
             isFiltering={loadingStates.filtering}
           />
@@ -611,10 +646,35 @@ const Invoice = () => {
                 <Input
                   value={invoiceForm.invoice_number}
                   onChange={(e) => setInvoiceForm(prev => ({ ...prev, invoice_number: e.target.value }))}
-                  placeholder="Auto-generated if empty"
+                  placeholder="Next in sequence if empty"
                 />
               </FlexBox>
               
+              <FlexBox direction="column" gap="5px">
+                <Label>Line Items</Label>
+                <Select
+                  value={invoiceForm.group_by}
+                  onChange={(e) => setInvoiceForm(prev => ({ ...prev, group_by: e.target.value }))}
+                >
+                  {INVOICE_GROUPING_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </Select>
+              </FlexBox>
+              
+              <FlexBox align="center" gap="10px">
+                <input
+                  type="checkbox"
+                  id="attachTimesheet"
+                  checked={invoiceForm.attach_timesheet}
+                  onChange={(e) => setInvoiceForm(prev => ({ ...prev, attach_timesheet: e.target.checked }))}
+                />
+                <Label htmlFor="attachTimesheet">Attach Timesheet</Label>
+                <Text variant="secondary" size="small">Every entry, with daily and project subtotals, after the invoice</Text>
+              </FlexBox>
+              
+              <InvoiceAdjustments invoiceForm={invoiceForm} setInvoiceForm={setInvoiceForm} />
+              
               <FlexBox direction="column" gap="5px">
                 <Label>Due Date</Label>
                 <Input
@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styled from 'styled-components';
+import { ChevronRight, ChevronDown, List, FileText } from 'lucide-react';
+import { useElectronAPI } from '../hooks/useElectronAPI';
+import { useDefaultCurrency } from '../hooks/useDefaultCurrency';
+import { formatCurrency, formatTotals, getClientCurrency } from '../utils/currency';
+import { formatDate, formatDateForForm, formatDurationHumanFriendly } from '../utils/dateHelpers';
+import {
+  Table,
+  TableHeader,
+  TableHeaderCell,
+  TableRow,
+  TableCell,
+  IconButton,
+  FlexBox,
+  Text
+} from './ui';
+
+// Levels of the table; a task row opens its time entries
+const LEVELS = ['client', 'project', 'task'];
+
+const Cell = styled(TableCell)`
+  padding: 10px 16px;
+`;
+
+const HeaderCell = styled(TableHeaderCell)`
+  padding: 10px 16px;
+`;
+
+const NameButton = styled.button`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  background: none;
+  border: none;
+  padding: 0 0 0 ${props => props.$depth * 20}px;
+  color: ${props => (props.$muted ? '#999' : 'white')};
+  font-size: 14px;
+  cursor: pointer;
+  text-align: left;
+`;
+
+// Time entries filter of a row: its ids and those of its parents, "none"
+// for a missing client, project or task
+const getRowFilter = (row, level) => Object.fromEntries(
+  LEVELS.slice(0, LEVELS.indexOf(level) + 1).map(name => [`${name}Id`, row[`${name}Id`] ?? 'none'])
+);
+
+const matchesId = (value, id) => (value === 'none' ? id == null : id === value);
+
+/**
+ * Hours and earnings by client, opening into projects, tasks and their time
+ * entries
+ * @param {Object} props
+ * @param {{startDate: string, endDate: string}} props.range
+ * @param {Function} props.onViewEntries - Called with a row's filter
+ *   ({ clientId, projectId, taskId }) to list its entries
+ * @param {Function} props.onExportTimesheet - Called with a client row to
+ *   save its timesheet PDF
+ */
+const Breakdown = ({ range, onViewEntries, onExportTimesheet }) => {
+  const { waitForReady } = useElectronAPI();
+  const defaultCurrency = useDefaultCurrency();
+  const [rows, setRows] = useState([]);
+  const [children, setChildren] = useState({});
+  const [expanded, setExpanded] = useState(new Set());
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const api = await waitForReady();
+        const report = await api.reports.get('breakdown', { ...range, groupBy: 'client' });
+        setRows(report.rows);
+        setChildren({});
+        setExpanded(new Set());
+      } catch (error) {
+        console.error('Error loading report breakdown:', error);
+      }
+    };
+    load();
+  }, [range, waitForReady]);
+
+  const loadChildren = useCallback(async (row, level) => {
+    const api = await waitForReady();
+    const filter = getRowFilter(row, level);
+    const next = LEVELS[LEVELS.indexOf(level) + 1];
+    if (next) {
+      const report = await api.reports.get('breakdown', { ...range, ...filter, groupBy: next });
+      return report.rows;
+    }
+
+    // Days are matched here in local time, as the report counts them
+    const entries = await api.timeEntries.getAll(
+      filter.clientId !== 'none' ? { clientId: filter.clientId } : {}
+    );
+    return entries
+      .filter(entry => {
+        const day = formatDateForForm(entry.startTime);
+        return day >= range.startDate && day <= range.endDate &&
+          matchesId(filter.clientId, entry.clientId) &&
+          matchesId(filter.projectId, entry.projectId) &&
+          matchesId(filter.taskId, entry.taskId);
+      })
+      .sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+  }, [range, waitForReady]);
+
+  const toggle = async (row, level) => {
+    const isOpen = expanded.has(row.key);
+    setExpanded(prev => {
+      const next = new Set(prev);
+      if (isOpen) next.delete(row.key);
+      else next.add(row.key);
+      return next;
+    });
+    if (isOpen || children[row.key]) return;
+
+    try {
+      const loaded = await loadChildren(row, level);
+      setChildren(prev => ({ ...prev, [row.key]: loaded }));
+    } catch (error) {
+      console.error('Error loading report rows:', error);
+    }
+  };
+
+  const entryAmount = (entry) => {
+    if (entry.isBillable === false) return '—';
+    return formatCurrency(
+      (entry.resolvedRate || 0) * (entry.duration || 0) / 60,
+      getClientCurrency(entry.client, defaultCurrency)
+    );
+  };
+
+  const renderEntries = (entries, depth) => entries.map(entry => (
+    <TableRow key={`entry-${entry.id}`}>
+      <Cell>
+        <Text size="small" margin="0" style={{ paddingLeft: `${depth * 20 + 22}px` }}>
+          {formatDate(entry.startTime)} · {entry.description || <em>No description</em>}
+        </Text>
+      </Cell>
+      <Cell>{formatDurationHumanFriendly(entry.duration)}</Cell>
+      <Cell>{entry.isBillable === false ? 'No' : 'Yes'}</Cell>
+      <Cell>{entryAmount(entry)}</Cell>
+      <Cell>{entry.isInvoiced ? 'Invoiced' : ''}</Cell>
+      <Cell />
+    </TableRow>
+  ));
+
+  const renderRows = (list, depth) => list.map(row => {
+    const level = LEVELS[depth];
+    const isOpen = expanded.has(row.key);
+    const loaded = children[row.key];
+    const Chevron = isOpen ? ChevronDown : ChevronRight;
+
+    return (
+      <React.Fragment key={row.key}>
+        <TableRow>
+          <Cell>
+            <NameButton
+              type="button"
+              $depth={depth}
+              $muted={row[`${level}Id`] == null}
+              onClick={() => toggle(row, level)}
+            >
+              <Chevron size={16} />
+              {row.name}
+            </NameButton>
+          </Cell>
+          <Cell>{row.hours.toFixed(2)}h</Cell>
+          <Cell>{row.utilization}%</Cell>
+          <Cell>{formatTotals(row.amount) || '—'}</Cell>
+          <Cell>{formatTotals(row.uninvoicedAmount) || '—'}</Cell>
+          <Cell>
+            <FlexBox gap="6px" justify="flex-end">
+              {level === 'client' && row.clientId != null && (
+                <IconButton
+                  variant="secondary"
+                  size="small"
+                  title="Timesheet PDF"
+                  onClick={() => onExportTimesheet(row)}
+                >
+                  <FileText size={14} />
+                </IconButton>
+              )}
+              <IconButton
+                variant="secondary"
+                size="small"
+                title="Show in Time Entries"
+                onClick={() => onViewEntries(getRowFilter(row, level))}
+              >
+                <List size={14} />
+              </IconButton>
+            </FlexBox>
+          </Cell>
+        </TableRow>
+        {isOpen && loaded && (depth < LEVELS.length - 1
+          ? renderRows(loaded, depth + 1)
+          : renderEntries(loaded, depth + 1))}
+      </React.Fragment>
+    );
+  });
+
+  if (rows.length === 0) {
+    return <Text variant="secondary">No time entries in this range.</Text>;
+  }
+
+  return (
+    <Table>
+      <TableHeader>
+        <tr>
+          <HeaderCell>Client / Project / Task</HeaderCell>
+          <HeaderCell>Hours</HeaderCell>
+          <HeaderCell>Billable</HeaderCell>
+          <HeaderCell>Earnings</HeaderCell>
+          <HeaderCell>Un-Invoiced</HeaderCell>
+          <HeaderCell />
+        </tr>
+      </TableHeader>
+      <tbody>{renderRows(rows, 0)}</tbody>
+    </Table>
+  );
+};
+
+export default Breakdown;
@@ -0,0 +1,235 @@
+import React from 'react';
+import styled from 'styled-components';
+import { colors } from '../styles/theme';
+import { FlexBox, Text } from './ui';
+
+// Colours of chart series in order; with more series they repeat
+export const SERIES_COLORS = [
+  '#B91C1C',
+  '#2563EB',
+  '#16A34A',
+  '#F59E0B',
+  '#8B5CF6',
+  '#0E7490',
+  '#DB2777',
+  '#65A30D',
+  '#EA580C',
+  '#64748B'
+];
+
+export const getSeriesColor = (index) => SERIES_COLORS[index % SERIES_COLORS.length];
+
+const ChartSvg = styled.svg`
+  width: 100%;
+  height: auto;
+  display: block;
+
+  text {
+    fill: ${colors.textSecondary};
+    font-size: 11px;
+  }
+`;
+
+const Swatch = styled.span`
+  display: inline-block;
+  width: 10px;
+  height: 10px;
+  border-radius: 2px;
+  background: ${props => props.color};
+  flex-shrink: 0;
+`;
+
+const LegendItem = styled.button`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  background: none;
+  border: none;
+  padding: 0;
+  color: ${colors.textPrimary};
+  font-size: 12px;
+  cursor: ${props => (props.onClick ? 'pointer' : 'default')};
+`;
+
+export const Legend = ({ items, onSelect }) => (
+  <FlexBox gap="12px" wrap margin="12px 0 0 0">
+    {items.map((item, index) => (
+      <LegendItem
+        key={item.key}
+        type="button"
+        onClick={onSelect ? () => onSelect(item) : undefined}
+      >
+        <Swatch color={getSeriesColor(index)} />
+        {item.name}
+      </LegendItem>
+    ))}
+  </FlexBox>
+);
+
+// Round a chart maximum up to 1, 2 or 5 times a power of ten
+const niceMax = (value) => {
+  if (value <= 0) return 1;
+  const power = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find(multiple => multiple * power >= value);
+  return step * power;
+};
+
+const WIDTH = 800;
+const HEIGHT = 260;
+const PADDING = { top: 10, right: 10, bottom: 28, left: 44 };
+const MAX_LABELS = 12;
+
+/**
+ * Stacked bars, one per period, with a segment per series
+ * @param {Object} props
+ * @param {string[]} props.periods
+ * @param {Array<{key: string, name: string, values: number[]}>} props.series
+ * @param {Function} props.formatPeriod - Axis label of a period
+ * @param {Function} props.formatValue - Axis and tooltip value
+ * @param {Function} [props.onSelect] - Called with a series when its bar
+ *   segment is clicked
+ */
+export const StackedBarChart = ({ periods, series, formatPeriod, formatValue, onSelect }) => {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const totals = periods.map((_, i) => series.reduce((sum, item) => sum + (item.values[i] || 0), 0));
+  const max = niceMax(Math.max(0, ...totals));
+  const band = plotWidth / Math.max(periods.length, 1);
+  const barWidth = Math.max(Math.min(band * 0.7, 48), 2);
+  const labelStep = Math.ceil(periods.length / MAX_LABELS);
+  const y = (value) => PADDING.top + plotHeight - (value / max) * plotHeight;
+
+  return (
+    <ChartSvg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img">
+      {[0, 0.25, 0.5, 0.75, 1].map(share => (
+        <g key={share}>
+          <line
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={y(max * share)}
+            y2={y(max * share)}
+            stroke={colors.borderDark}
+          />
+          <text x={PADDING.left - 6} y={y(max * share) + 4} textAnchor="end">
+            {formatValue(max * share)}
+          </text>
+        </g>
+      ))}
+
+      {periods.map((period, i) => {
+        const x = PADDING.left + band * i + (band - barWidth) / 2;
+        let stacked = 0;
+        return (
+          <g key={period}>
+            {series.map((item, index) => {
+              const value = item.values[i] || 0;
+              if (value <= 0) return null;
+              const top = y(stacked + value);
+              const height = y(stacked) - top;
+              stacked += value;
+              return (
+                <rect
+                  key={item.key}
+                  x={x}
+                  y={top}
+                  width={barWidth}
+                  height={height}
+                  fill={getSeriesColor(index)}
+                  style={{ cursor: onSelect ? 'pointer' : 'default' }}
+                  onClick={onSelect ? () => onSelect(item) : undefined}
+                >
+                  <title>{`${formatPeriod(period)} · ${item.name}: ${formatValue(value)}`}</title>
+                </rect>
+              );
+            })}
+            {i % labelStep === 0 && (
+              <text x={PADDING.left + band * i + band / 2} y={HEIGHT - 8} textAnchor="middle">
+                {formatPeriod(period)}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </ChartSvg>
+  );
+};
+
+const DONUT_SIZE = 180;
+const DONUT_RADIUS = 70;
+const DONUT_WIDTH = 26;
+
+/**
+ * Donut of each slice's share of the total, with a legend of values
+ * @param {Object} props
+ * @param {Array<{key: string, name: string, value: number}>} props.slices
+ * @param {Function} props.formatValue
+ * @param {Function} [props.onSelect] - Called with a slice when it is clicked
+ */
+export const DonutChart = ({ slices, formatValue, onSelect }) => {
+  const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+  const circumference = 2 * Math.PI * DONUT_RADIUS;
+  let offset = 0;
+
+  return (
+    <FlexBox gap="20px" align="center" wrap>
+      <svg width={DONUT_SIZE} height={DONUT_SIZE} viewBox={`0 0 ${DONUT_SIZE} ${DONUT_SIZE}`} role="img">
+        <g transform={`rotate(-90 ${DONUT_SIZE / 2} ${DONUT_SIZE / 2})`}>
+          <circle
+            cx={DONUT_SIZE / 2}
+            cy={DONUT_SIZE / 2}
+            r={DONUT_RADIUS}
+            fill="none"
+            stroke={colors.borderDark}
+            strokeWidth={DONUT_WIDTH}
+          />
+          {total > 0 && slices.map((slice, index) => {
+            const length = (slice.value / total) * circumference;
+            const dash = (
+              <circle
+                key={slice.key}
+                cx={DONUT_SIZE / 2}
+                cy={DONUT_SIZE / 2}
+                r={DONUT_RADIUS}
+                fill="none"
+                stroke={getSeriesColor(index)}
+                strokeWidth={DONUT_WIDTH}
+                strokeDasharray={`${length} ${circumference - length}`}
+                strokeDashoffset={-offset}
+                style={{ cursor: onSelect ? 'pointer' : 'default' }}
+                onClick={onSelect ? () => onSelect(slice) : undefined}
+              >
+                <title>{`${slice.name}: ${formatValue(slice.value)}`}</title>
+              </circle>
+            );
+            offset += length;
+            return dash;
+          })}
+        </g>
+        <text
+          x={DONUT_SIZE / 2}
+          y={DONUT_SIZE / 2 + 5}
+          textAnchor="middle"
+          fill={colors.textPrimary}
+          fontSize="14"
+          fontWeight="600"
+        >
+          {formatValue(total)}
+        </text>
+      </svg>
+
+      <FlexBox direction="column" gap="6px" style={{ flex: 1, minWidth: '160px' }}>
+        {slices.map((slice, index) => (
+          <FlexBox key={slice.key} justify="space-between" align="center" gap="12px">
+            <LegendItem type="button" onClick={onSelect ? () => onSelect(slice) : undefined}>
+              <Swatch color={getSeriesColor(index)} />
+              {slice.name}
+            </LegendItem>
+            <Text size="small" variant="secondary" margin="0">
+              {formatValue(slice.value)} · {total > 0 ? Math.round((slice.value / total) * 100) : 0}%
+            </Text>
+          </FlexBox>
+        ))}
+      </FlexBox>
+    </FlexBox>
+  );
+};
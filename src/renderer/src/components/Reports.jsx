@@ -1,7 +1,15 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { Clock, DollarSign } from 'lucide-react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Clock, DollarSign, AlertTriangle, Percent, FileText } from 'lucide-react';
 import { colors } from '../styles/theme';
 import AnimatedNumber from './AnimatedNumber';
+import { useDefaultCurrency } from '../hooks/useDefaultCurrency';
+import { useElectronAPI } from '../hooks/useElectronAPI';
+import { useToast } from './ui/Toast';
+import { formatCurrency, formatTotals } from '../utils/currency';
+import { formatDate, getDateRange } from '../utils/dateHelpers';
+import { StackedBarChart, DonutChart, Legend } from './Reports.Charts';
+import Breakdown from './Reports.Breakdown';
 import {
   Container,
   Grid,
@@ -11,322 +19,478 @@ import {
   Heading,
   Text,
   BigNumber,
-  IconContainer
+  IconContainer,
+  Chip,
+  ChipGroup,
+  Input,
+  Label,
+  Select
 } from './ui';
 
+const RANGE_PRESETS = [
+  { key: 'thisWeek', label: 'This Week' },
+  { key: 'lastWeek', label: 'Last Week' },
+  { key: 'thisMonth', label: 'This Month' },
+  { key: 'lastMonth', label: 'Last Month' },
+  { key: 'thisQuarter', label: 'This Quarter' },
+  { key: 'lastQuarter', label: 'Last Quarter' },
+  { key: 'yearToDate', label: 'Year to Date' },
+  { key: 'lastYear', label: 'Last Year' },
+  { key: 'custom', label: 'Custom' }
+];
+
+const INTERVALS = [
+  { key: 'day', label: 'Day' },
+  { key: 'week', label: 'Week' },
+  { key: 'month', label: 'Month' }
+];
+
+// Aging buckets of unpaid invoices, by days past the due date
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Not yet due' },
+  { key: '1-30', label: '1–30 days' },
+  { key: '31-60', label: '31–60 days' },
+  { key: '61-90', label: '61–90 days' },
+  { key: '90+', label: 'Over 90 days' }
+];
+
+// Slices of the revenue donut; smaller ones are summed as "Other"
+const MAX_SLICES = 8;
+
+const EMPTY_SUMMARY = {
+  hours: 0,
+  billableHours: 0,
+  nonBillableHours: 0,
+  invoicedHours: 0,
+  utilization: 0,
+  amount: {},
+  invoicedAmount: {},
+  uninvoicedAmount: {}
+};
+
+const EMPTY_RECEIVABLES = {
+  invoiced: {},
+  tax: {},
+  credited: {},
+  outstanding: {},
+  overdue: {},
+  overdueCount: 0,
+  aging: {}
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days as dates in local time ("YYYY-MM-DD" alone would be read as UTC)
+const toLocalDate = (day) => new Date(`${day}T00:00:00`);
+
+// Bars per day for up to a month, per week up to half a year, else per month
+const getDefaultInterval = ({ startDate, endDate }) => {
+  const days = (toLocalDate(endDate) - toLocalDate(startDate)) / DAY_MS;
+  if (days <= 31) return 'day';
+  if (days <= 183) return 'week';
+  return 'month';
+};
+
+const formatPeriod = (period, interval) => interval === 'month'
+  ? toLocalDate(`${period}-01`).toLocaleDateString('en-US', { month: 'short', year: 'numeric' })
+  : toLocalDate(period).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+const formatHours = (hours) => `${Math.round(hours * 10) / 10}h`;
+
+// Report keys are ids joined by "/" from client down ("3/12"), "none" for a
+// missing one
+const getKeyFilter = (key) => {
+  const [clientId, projectId, taskId] = String(key).split('/');
+  return {
+    clientId,
+    ...(projectId && { projectId }),
+    ...(taskId && { taskId })
+  };
+};
+
+// Money stats are kept per currency ({ USD: 120, EUR: 80 }) and shown one
+// line per currency rather than summed into one number
+const CurrencyAmounts = ({ totals, defaultCurrency, isAnimating }) => {
+  const amounts = Object.entries(totals);
+  const rows = amounts.length > 0 ? amounts : [[defaultCurrency, 0]];
+
+  return rows.map(([currency, amount]) => (
+    <BigNumber key={currency} size={rows.length > 1 ? '24px' : '32px'} margin="0 0 8px 0">
+      <AnimatedNumber
+        value={amount}
+        formatFunction={(value) => formatCurrency(value, currency)}
+        isAnimating={isAnimating}
+        duration={1000}
+      />
+    </BigNumber>
+  ));
+};
+
+const StatCard = ({ icon: Icon, background, title, children }) => (
+  <Card>
+    <FlexBox align="center" gap="12px" margin="0 0 16px 0">
+      <IconContainer background={background} rounded>
+        <Icon size={20} />
+      </IconContainer>
+      <div>
+        <Heading margin="0" size="small">{title}</Heading>
+      </div>
+    </FlexBox>
+    {children}
+  </Card>
+);
+
 const Reports = () => {
-  const [stats, setStats] = useState({
-    totalHours: 0,
-    totalHoursLast30Days: 0,
-    totalEarningsThisMonth: 0,
-    totalEarningsLast30Days: 0,
-    totalInvoiced: 0,
-    totalHoursInvoiced: 0,
-    unInvoicedEarnings: 0,
-    invoicedEarningsThisMonth: 0,
-    invoicedEarningsLast30Days: 0,
-    currentMonthName: ''
-  });
-  
+  const navigate = useNavigate();
+  const { waitForReady } = useElectronAPI();
+  const defaultCurrency = useDefaultCurrency();
+  const { addToast } = useToast();
+  const [preset, setPreset] = useState('thisMonth');
+  const [customRange, setCustomRange] = useState(() => getDateRange('thisMonth'));
+  const [chartInterval, setChartInterval] = useState(null);
+  const [revenueBy, setRevenueBy] = useState('client');
+  const [revenueCurrency, setRevenueCurrency] = useState(null);
+  const [summary, setSummary] = useState(EMPTY_SUMMARY);
+  const [receivables, setReceivables] = useState(EMPTY_RECEIVABLES);
+  const [timeline, setTimeline] = useState({ periods: [], series: [] });
+  const [revenueRows, setRevenueRows] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
-  
-  const getCurrentMonthName = () => {
-    const now = new Date();
-    return now.toLocaleString('default', { month: 'long' });
-  };
 
-  const loadData = useCallback(async () => {
-    if (window.electronAPI) {
+  const range = useMemo(
+    () => (preset === 'custom' ? customRange : getDateRange(preset)),
+    [preset, customRange]
+  );
+  const isValidRange = Boolean(range.startDate && range.endDate && range.startDate <= range.endDate);
+  const interval = chartInterval || (isValidRange ? getDefaultInterval(range) : 'day');
+
+  // Totals and what is owed
+  useEffect(() => {
+    if (!isValidRange) return;
+    const load = async () => {
       try {
-        const timeEntries = await window.electronAPI.timeEntries.getAll();
-        const invoices = await window.electronAPI.invoices.getAll();
-        
-        // Calculate date ranges
-        const now = new Date();
-        const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-        const thirtyDaysAgo = new Date(now);
-        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-        
-        // Filter entries for this month
-        const thisMonthEntries = timeEntries.filter(entry => {
-          const entryDate = new Date(entry.startTime);
-          return entryDate >= startOfMonth;
-        });
-        
-        // Filter entries for last 30 days
-        const last30DaysEntries = timeEntries.filter(entry => {
-          const entryDate = new Date(entry.startTime);
-          return entryDate >= thirtyDaysAgo;
-        });
-        
-        // Calculate this month stats
-        const totalHoursThisMonth = thisMonthEntries.reduce((sum, entry) => sum + (entry.duration || 0), 0) / 60;
-        const totalEarningsThisMonth = thisMonthEntries.reduce((sum, entry) => {
-          const rate = entry.project?.hourlyRate || entry.client?.hourlyRate || 0;
-          return sum + (rate * (entry.duration || 0) / 60);
-        }, 0);
-        
-        // Calculate last 30 days stats
-        const totalHoursLast30Days = last30DaysEntries.reduce((sum, entry) => sum + (entry.duration || 0), 0) / 60;
-        const totalEarningsLast30Days = last30DaysEntries.reduce((sum, entry) => {
-          const rate = entry.project?.hourlyRate || entry.client?.hourlyRate || 0;
-          return sum + (rate * (entry.duration || 0) / 60);
-        }, 0);
-        
-        // Calculate invoice stats for all time
-        const totalInvoiced = invoices.reduce((sum, invoice) => sum + (invoice.totalAmount || 0), 0);
-        
-        // Calculate invoiced hours from time entries marked as invoiced (all time)
-        const allInvoicedEntries = timeEntries.filter(entry => entry.isInvoiced);
-        const totalHoursInvoiced = allInvoicedEntries.reduce((sum, entry) => sum + (entry.duration || 0), 0) / 60;
-        
-        // Calculate un-invoiced earnings (all time)
-        const unInvoicedEntries = timeEntries.filter(entry => !entry.isInvoiced);
-        const unInvoicedEarnings = unInvoicedEntries.reduce((sum, entry) => {
-          const rate = entry.project?.hourlyRate || entry.client?.hourlyRate || 0;
-          return sum + (rate * (entry.duration || 0) / 60);
-        }, 0);
-        
-        // Calculate invoiced earnings for this month
-        const thisMonthInvoicedEntries = timeEntries.filter(entry => {
-          if (!entry.isInvoiced) return false;
-          const entryDate = new Date(entry.startTime);
-          return entryDate >= startOfMonth;
-        });
-        const invoicedEarningsThisMonth = thisMonthInvoicedEntries.reduce((sum, entry) => {
-          const rate = entry.project?.hourlyRate || entry.client?.hourlyRate || 0;
-          return sum + (rate * (entry.duration || 0) / 60);
-        }, 0);
-        
-        // Calculate invoiced earnings for last 30 days
-        const last30DaysInvoicedEntries = timeEntries.filter(entry => {
-          if (!entry.isInvoiced) return false;
-          const entryDate = new Date(entry.startTime);
-          return entryDate >= thirtyDaysAgo;
-        });
-        const invoicedEarningsLast30Days = last30DaysInvoicedEntries.reduce((sum, entry) => {
-          const rate = entry.project?.hourlyRate || entry.client?.hourlyRate || 0;
-          return sum + (rate * (entry.duration || 0) / 60);
-        }, 0);
-        
-        setStats({
-          totalHours: totalHoursThisMonth.toFixed(1),
-          totalHoursLast30Days: totalHoursLast30Days.toFixed(1),
-          totalEarningsThisMonth: parseFloat(totalEarningsThisMonth.toFixed(2)),
-          totalEarningsLast30Days: parseFloat(totalEarningsLast30Days.toFixed(2)),
-          totalInvoiced: parseFloat(totalInvoiced.toFixed(2)),
-          totalHoursInvoiced: totalHoursInvoiced.toFixed(1),
-          unInvoicedEarnings: parseFloat(unInvoicedEarnings.toFixed(2)),
-          invoicedEarningsThisMonth: parseFloat(invoicedEarningsThisMonth.toFixed(2)),
-          invoicedEarningsLast30Days: parseFloat(invoicedEarningsLast30Days.toFixed(2)),
-          currentMonthName: getCurrentMonthName()
-        });
-        
+        const api = await waitForReady();
+        const [summaryReport, receivablesReport] = await Promise.all([
+          api.reports.get('summary', range),
+          api.reports.get('receivables', range)
+        ]);
+        setSummary(summaryReport);
+        setReceivables(receivablesReport);
+
         // Start animation after data is loaded
         setTimeout(() => setIsLoading(false), 100);
       } catch (error) {
         console.error('Error loading stats:', error);
       }
-    }
-  }, []);
-  
+    };
+    load();
+  }, [range, isValidRange, waitForReady]);
+
+  // Hours per period, stacked by client
+  useEffect(() => {
+    if (!isValidRange) return;
+    const load = async () => {
+      try {
+        const api = await waitForReady();
+        setTimeline(await api.reports.get('timeline', { ...range, interval, stackBy: 'client' }));
+      } catch (error) {
+        console.error('Error loading hours chart:', error);
+      }
+    };
+    load();
+  }, [range, isValidRange, interval, waitForReady]);
+
+  // Revenue by client or project
   useEffect(() => {
-    loadData();
-  }, [loadData]);
+    if (!isValidRange) return;
+    const load = async () => {
+      try {
+        const api = await waitForReady();
+        const report = await api.reports.get('breakdown', { ...range, groupBy: revenueBy });
+        setRevenueRows(report.rows);
+      } catch (error) {
+        console.error('Error loading revenue chart:', error);
+      }
+    };
+    load();
+  }, [range, isValidRange, revenueBy, waitForReady]);
+
+  // The donut shows one currency at a time, the largest unless chosen
+  const revenueCurrencies = useMemo(() => {
+    const totals = {};
+    revenueRows.forEach(row => Object.entries(row.amount).forEach(([currency, amount]) => {
+      totals[currency] = (totals[currency] || 0) + amount;
+    }));
+    return Object.keys(totals).sort((a, b) => totals[b] - totals[a]);
+  }, [revenueRows]);
+  const currency = revenueCurrencies.includes(revenueCurrency) ? revenueCurrency : revenueCurrencies[0];
+
+  const revenueSlices = useMemo(() => {
+    const slices = revenueRows
+      .map(row => ({
+        key: row.key,
+        name: revenueBy === 'project' && row.projectId != null ? `${row.clientName} / ${row.name}` : row.name,
+        value: row.amount[currency] || 0
+      }))
+      .filter(slice => slice.value > 0)
+      .sort((a, b) => b.value - a.value);
+    if (slices.length <= MAX_SLICES) return slices;
 
-  const formatCurrency = (amount) => new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount || 0);
+    const other = slices.slice(MAX_SLICES - 1).reduce((sum, slice) => sum + slice.value, 0);
+    return [...slices.slice(0, MAX_SLICES - 1), { key: 'other', name: 'Other', value: other }];
+  }, [revenueRows, revenueBy, currency]);
+
+  // Open Time Entries filtered to a client, project or task in the range
+  const viewEntries = (filter) => {
+    const params = new URLSearchParams({ ...filter, ...range });
+    navigate(`/?${params.toString()}`);
+  };
+
+  // Client-facing timesheet of the client's time in the range
+  const exportTimesheet = async (row) => {
+    try {
+      const api = await waitForReady();
+      const result = await api.invoices.generateTimesheet({
+        client_id: row.clientId,
+        start_date: range.startDate,
+        end_date: range.endDate
+      });
+      if (result.success) {
+        addToast({
+          variant: 'success',
+          title: 'Timesheet Saved',
+          message: `Timesheet for ${row.name} has been saved.`,
+          duration: 3000
+        });
+      } else if (result.error !== 'PDF generation canceled by user') {
+        addToast({
+          variant: 'error',
+          title: 'Timesheet Failed',
+          message: result.error || 'Unknown error occurred while creating the timesheet.',
+          duration: 5000
+        });
+      }
+    } catch (error) {
+      console.error('Error exporting timesheet:', error);
+    }
+  };
+
+  const rangeLabel = isValidRange
+    ? `${formatDate(toLocalDate(range.startDate))} – ${formatDate(toLocalDate(range.endDate))}`
+    : 'Choose a start date before the end date';
+  const taxInvoiced = formatTotals(receivables.tax);
+  const credited = formatTotals(receivables.credited);
+  const overdueAmount = formatTotals(receivables.overdue);
+  const chartSeries = timeline.series.map(item => ({ key: item.key, name: item.name, values: item.hours }));
 
   return (
     <Container padding="40px" style={{ height: '100vh', overflowY: 'auto' }}>
       <Title margin="0 0 30px 0">Reports</Title>
-      
-      <Grid gap="20px" margin="0 0 40px 0">
-        {/* Total Hours This Month */}
-        <Card>
-          <FlexBox align="center" gap="12px" margin="0 0 16px 0">
-            <IconContainer background={colors.success} rounded>
-              <Clock size={20} />
-            </IconContainer>
-            <div>
-              <Heading margin="0" size="small">September Hours</Heading>
-            </div>
-          </FlexBox>
-          <BigNumber size="32px" margin="0 0 8px 0">
-            <AnimatedNumber 
-              value={stats.totalHours} 
-              isAnimating={!isLoading}
-              duration={1000}
-            />
-          </BigNumber>
-          <Text variant="secondary" size="small">This month</Text>
-        </Card>
 
-        {/* Total Earnings This Month */}
-        <Card>
-          <FlexBox align="center" gap="12px" margin="0 0 16px 0">
-            <IconContainer background={colors.primary} rounded>
-              <DollarSign size={20} />
-            </IconContainer>
-            <div>
-              <Heading margin="0" size="small">{stats.currentMonthName} Earnings</Heading>
-            </div>
+      <Card style={{ marginBottom: '20px' }}>
+        <FlexBox gap="20px" align="flex-end" wrap>
+          <FlexBox direction="column" gap="5px">
+            <Label>Range</Label>
+            <ChipGroup>
+              {RANGE_PRESETS.map(({ key, label }) => (
+                <Chip
+                  key={key}
+                  variant={preset === key ? 'active' : 'default'}
+                  onClick={() => {
+                    if (key === 'custom' && preset !== 'custom') setCustomRange(range);
+                    setPreset(key);
+                  }}
+                >
+                  {label}
+                </Chip>
+              ))}
+            </ChipGroup>
           </FlexBox>
-          <BigNumber size="32px" margin="0 0 8px 0">
-            <AnimatedNumber 
-              value={stats.totalEarningsThisMonth} 
-              formatFunction={formatCurrency}
-              isAnimating={!isLoading}
-              duration={1000}
-            />
-          </BigNumber>
-          <Text variant="secondary" size="small">This month</Text>
-        </Card>
 
-        {/* Invoiced Earnings This Month */}
-        <Card>
-          <FlexBox align="center" gap="12px" margin="0 0 16px 0">
-            <IconContainer background="#16a34a" rounded>
-              <DollarSign size={20} />
-            </IconContainer>
-            <div>
-              <Heading margin="0" size="small">{stats.currentMonthName} Invoiced</Heading>
-            </div>
-          </FlexBox>
-          <BigNumber size="32px" margin="0 0 8px 0">
-            <AnimatedNumber 
-              value={stats.invoicedEarningsThisMonth} 
-              formatFunction={formatCurrency}
-              isAnimating={!isLoading}
-              duration={1000}
-            />
-          </BigNumber>
-          <Text variant="secondary" size="small">This month</Text>
-        </Card>
+          {preset === 'custom' && (
+            <FlexBox gap="12px">
+              <FlexBox direction="column" gap="5px">
+                <Label>From</Label>
+                <Input
+                  type="date"
+                  value={customRange.startDate}
+                  onChange={(e) => setCustomRange(prev => ({ ...prev, startDate: e.target.value }))}
+                />
+              </FlexBox>
+              <FlexBox direction="column" gap="5px">
+                <Label>To</Label>
+                <Input
+                  type="date"
+                  value={customRange.endDate}
+                  onChange={(e) => setCustomRange(prev => ({ ...prev, endDate: e.target.value }))}
+                />
+              </FlexBox>
+            </FlexBox>
+          )}
+        </FlexBox>
+        <Text variant={isValidRange ? 'secondary' : 'danger'} size="small" margin="12px 0 0 0">
+          {rangeLabel}
+        </Text>
+      </Card>
 
-        {/* Total Hours Last 30 Days */}
-        <Card>
-          <FlexBox align="center" gap="12px" margin="0 0 16px 0">
-            <IconContainer background="#065f46" rounded>
-              <Clock size={20} />
-            </IconContainer>
-            <div>
-              <Heading margin="0" size="small">Total Hours</Heading>
-            </div>
-          </FlexBox>
+      <Grid gap="20px" margin="0 0 20px 0">
+        <StatCard icon={Clock} background={colors.success} title="Hours">
           <BigNumber size="32px" margin="0 0 8px 0">
-            <AnimatedNumber 
-              value={stats.totalHoursLast30Days} 
+            <AnimatedNumber
+              value={summary.hours.toFixed(1)}
               isAnimating={!isLoading}
               duration={1000}
             />
           </BigNumber>
-          <Text variant="secondary" size="small">Last 30 days</Text>
-        </Card>
+          <Text variant="secondary" size="small">
+            {summary.billableHours.toFixed(1)}h billable, {summary.nonBillableHours.toFixed(1)}h non-billable
+          </Text>
+        </StatCard>
 
-        {/* Last 30 Days Earnings */}
-        <Card>
-          <FlexBox align="center" gap="12px" margin="0 0 16px 0">
-            <IconContainer background={colors.warning} rounded>
-              <DollarSign size={20} />
-            </IconContainer>
-            <div>
-              <Heading margin="0" size="small">Earnings</Heading>
-            </div>
-          </FlexBox>
-          <BigNumber size="32px" margin="0 0 8px 0">
-            <AnimatedNumber 
-              value={stats.totalEarningsLast30Days} 
-              formatFunction={formatCurrency}
-              isAnimating={!isLoading}
-              duration={1000}
-            />
-          </BigNumber>
-          <Text variant="secondary" size="small">Last 30 days</Text>
-        </Card>
+        <StatCard icon={DollarSign} background={colors.primary} title="Earnings">
+          <CurrencyAmounts
+            totals={summary.amount}
+            defaultCurrency={defaultCurrency}
+            isAnimating={!isLoading}
+          />
+          <Text variant="secondary" size="small">Billable time at its rates</Text>
+        </StatCard>
 
-        {/* Invoiced Earnings Last 30 Days */}
-        <Card>
-          <FlexBox align="center" gap="12px" margin="0 0 16px 0">
-            <IconContainer background="#15803d" rounded>
-              <DollarSign size={20} />
-            </IconContainer>
-            <div>
-              <Heading margin="0" size="small">Invoiced Earnings</Heading>
-            </div>
-          </FlexBox>
+        <StatCard icon={DollarSign} background="#16a34a" title="Invoiced Earnings">
+          <CurrencyAmounts
+            totals={summary.invoicedAmount}
+            defaultCurrency={defaultCurrency}
+            isAnimating={!isLoading}
+          />
+          <Text variant="secondary" size="small">{summary.invoicedHours.toFixed(1)}h invoiced</Text>
+        </StatCard>
+
+        <StatCard icon={DollarSign} background="#ef4444" title="Un-Invoiced Earnings">
+          <CurrencyAmounts
+            totals={summary.uninvoicedAmount}
+            defaultCurrency={defaultCurrency}
+            isAnimating={!isLoading}
+          />
+          <Text variant="secondary" size="small">Not on an invoice yet</Text>
+        </StatCard>
+
+        <StatCard icon={Percent} background="#0e7490" title="Utilization">
           <BigNumber size="32px" margin="0 0 8px 0">
-            <AnimatedNumber 
-              value={stats.invoicedEarningsLast30Days} 
-              formatFunction={formatCurrency}
+            <AnimatedNumber
+              value={summary.utilization}
+              formatFunction={(value) => `${Math.round(value)}%`}
               isAnimating={!isLoading}
               duration={1000}
             />
           </BigNumber>
-          <Text variant="secondary" size="small">Last 30 days</Text>
-        </Card>
+          <Text variant="secondary" size="small">Billable share of all hours</Text>
+        </StatCard>
 
-        {/* Total Hours Invoiced */}
-        <Card>
-          <FlexBox align="center" gap="12px" margin="0 0 16px 0">
-            <IconContainer background="#8b5cf6" rounded>
-              <Clock size={20} />
-            </IconContainer>
-            <div>
-              <Heading margin="0" size="small">Hours Invoiced</Heading>
-            </div>
+        <StatCard icon={FileText} background="#22c55e" title="Invoices Issued">
+          <CurrencyAmounts
+            totals={receivables.invoiced}
+            defaultCurrency={defaultCurrency}
+            isAnimating={!isLoading}
+          />
+          <Text variant="secondary" size="small">
+            Created in this range{taxInvoiced ? `, incl. ${taxInvoiced} tax` : ''}
+            {credited ? `, after ${credited} credited` : ''}
+          </Text>
+        </StatCard>
+
+        <StatCard icon={DollarSign} background="#f97316" title="Outstanding">
+          <CurrencyAmounts
+            totals={receivables.outstanding}
+            defaultCurrency={defaultCurrency}
+            isAnimating={!isLoading}
+          />
+          <Text variant={receivables.overdueCount > 0 ? 'danger' : 'secondary'} size="small">
+            {receivables.overdueCount > 0
+              ? `${overdueAmount} overdue on ${receivables.overdueCount} invoice${receivables.overdueCount === 1 ? '' : 's'}`
+              : 'Nothing overdue'}
+          </Text>
+        </StatCard>
+
+        <StatCard icon={AlertTriangle} background={colors.danger} title="Aging">
+          <FlexBox direction="column" gap="6px">
+            {AGING_BUCKETS.map(({ key, label }) => (
+              <FlexBox key={key} justify="space-between">
+                <Text size="small" variant="secondary">{label}</Text>
+                <Text size="small">{formatTotals(receivables.aging[key]) || '—'}</Text>
+              </FlexBox>
+            ))}
           </FlexBox>
-          <BigNumber size="32px" margin="0 0 8px 0">
-            <AnimatedNumber 
-              value={stats.totalHoursInvoiced} 
-              isAnimating={!isLoading}
-              duration={1000}
-            />
-          </BigNumber>
-          <Text variant="secondary" size="small">All time</Text>
-        </Card>
-        {/* Invoiced Earnings All Time */}
+        </StatCard>
+      </Grid>
+
+      <Grid columns="repeat(auto-fit, minmax(420px, 1fr))" gap="20px" margin="0 0 20px 0">
         <Card>
-          <FlexBox align="center" gap="12px" margin="0 0 16px 0">
-            <IconContainer background="#22c55e" rounded>
-              <DollarSign size={20} />
-            </IconContainer>
-            <div>
-              <Heading margin="0" size="small">Invoiced Earnings</Heading>
-            </div>
+          <FlexBox justify="space-between" align="center" margin="0 0 16px 0" gap="12px" wrap>
+            <Heading margin="0" size="small">Hours by Client</Heading>
+            <ChipGroup>
+              {INTERVALS.map(({ key, label }) => (
+                <Chip
+                  key={key}
+                  variant={interval === key ? 'active' : 'default'}
+                  onClick={() => setChartInterval(key)}
+                >
+                  {label}
+                </Chip>
+              ))}
+            </ChipGroup>
           </FlexBox>
-          <BigNumber size="32px" margin="0 0 8px 0">
-            <AnimatedNumber 
-              value={stats.totalInvoiced} 
-              formatFunction={formatCurrency}
-              isAnimating={!isLoading}
-              duration={1000}
-            />
-          </BigNumber>
-          <Text variant="secondary" size="small">All time</Text>
+          {chartSeries.length > 0 ? (
+            <>
+              <StackedBarChart
+                periods={timeline.periods}
+                series={chartSeries}
+                formatPeriod={(period) => formatPeriod(period, interval)}
+                formatValue={formatHours}
+                onSelect={(item) => viewEntries(getKeyFilter(item.key))}
+              />
+              <Legend items={chartSeries} onSelect={(item) => viewEntries(getKeyFilter(item.key))} />
+            </>
+          ) : (
+            <Text variant="secondary">No time entries in this range.</Text>
+          )}
         </Card>
 
-
-        {/* Un-Invoiced Earnings */}
         <Card>
-          <FlexBox align="center" gap="12px" margin="0 0 16px 0">
-            <IconContainer background="#ef4444" rounded>
-              <DollarSign size={20} />
-            </IconContainer>
-            <div>
-              <Heading margin="0" size="small">Un-Invoiced Earnings</Heading>
-            </div>
+          <FlexBox justify="space-between" align="center" margin="0 0 16px 0" gap="12px" wrap>
+            <Heading margin="0" size="small">Revenue</Heading>
+            <FlexBox gap="8px" align="center">
+              <ChipGroup>
+                <Chip variant={revenueBy === 'client' ? 'active' : 'default'} onClick={() => setRevenueBy('client')}>
+                  By Client
+                </Chip>
+                <Chip variant={revenueBy === 'project' ? 'active' : 'default'} onClick={() => setRevenueBy('project')}>
+                  By Project
+                </Chip>
+              </ChipGroup>
+              {revenueCurrencies.length > 1 && (
+                <Select value={currency} onChange={(e) => setRevenueCurrency(e.target.value)} style={{ width: 'auto' }}>
+                  {revenueCurrencies.map(code => (
+                    <option key={code} value={code}>{code}</option>
+                  ))}
+                </Select>
+              )}
+            </FlexBox>
           </FlexBox>
-          <BigNumber size="32px" margin="0 0 8px 0">
-            <AnimatedNumber 
-              value={stats.unInvoicedEarnings} 
-              formatFunction={formatCurrency}
-              isAnimating={!isLoading}
-              duration={1000}
+          {revenueSlices.length > 0 ? (
+            <DonutChart
+              slices={revenueSlices}
+              formatValue={(value) => formatCurrency(value, currency)}
+              onSelect={(slice) => slice.key !== 'other' && viewEntries(getKeyFilter(slice.key))}
             />
-          </BigNumber>
-          <Text variant="secondary" size="small">All time</Text>
+          ) : (
+            <Text variant="secondary">No billable time in this range.</Text>
+          )}
         </Card>
       </Grid>
+
+      <Card>
+        <Heading margin="0 0 16px 0" size="small">Breakdown</Heading>
+        {isValidRange && <Breakdown range={range} onViewEntries={viewEntries} onExportTimesheet={exportTimesheet} />}
+      </Card>
     </Container>
   );
 };
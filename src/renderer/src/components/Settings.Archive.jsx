@@ -0,0 +1,215 @@
+import React, { useState } from 'react';
+import { Archive, Upload } from 'lucide-react';
+import { useElectronAPI } from '../hooks/useElectronAPI';
+import { useModalKeyboard } from '../hooks/useModalKeyboard';
+import {
+  Modal,
+  ModalContent,
+  ModalHeader,
+  ModalTitle,
+  ModalCloseButton,
+  FlexBox,
+  Text,
+  Button,
+  Select,
+  Label,
+  useToast
+} from './ui';
+
+const SUMMARY_ROWS = [
+  ['clients', 'Clients'],
+  ['projects', 'Projects'],
+  ['tasks', 'Tasks'],
+  ['timeEntries', 'Time entries'],
+  ['invoices', 'Invoices'],
+  ['payments', 'Payments'],
+  ['settings', 'Settings'],
+  ['templates', 'Invoice templates']
+];
+
+// Contents of an archive and how to import it, confirmed before importing
+const ImportConfirmation = ({ summary, isImporting, onConfirm, onClose }) => {
+  const [mode, setMode] = useState(summary.canRestore ? 'restore' : 'merge');
+
+  useModalKeyboard({
+    isOpen: true,
+    onClose,
+    onSubmit: () => onConfirm(mode)
+  });
+
+  return (
+    <Modal show onClick={onClose}>
+      <ModalContent onClick={(e) => e.stopPropagation()}>
+        <ModalHeader>
+          <ModalTitle>Import Archive</ModalTitle>
+          <ModalCloseButton onClick={onClose}>×</ModalCloseButton>
+        </ModalHeader>
+
+        <FlexBox direction="column" gap="12px">
+          <FlexBox direction="column" gap="2px">
+            <Text><strong>{summary.name}</strong></Text>
+            <Text variant="secondary" size="small">
+              Exported {summary.exportedAt ? new Date(summary.exportedAt).toLocaleString() : '—'}
+              {summary.appVersion && ` · myHours ${summary.appVersion}`}
+            </Text>
+          </FlexBox>
+
+          <FlexBox direction="column" gap="4px">
+            {SUMMARY_ROWS.map(([key, label]) => (
+              <FlexBox key={key} justify="space-between">
+                <Text>{label}</Text>
+                <Text>{summary[key]}</Text>
+              </FlexBox>
+            ))}
+          </FlexBox>
+
+          <FlexBox direction="column" gap="5px">
+            <Label>Import As</Label>
+            <Select value={mode} onChange={(e) => setMode(e.target.value)}>
+              <option value="restore" disabled={!summary.canRestore}>
+                {summary.replacesSampleData ? 'Restore (replaces the demo data)' : 'Restore (empty database only)'}
+              </option>
+              <option value="merge">Merge into current data</option>
+            </Select>
+            <Text variant="secondary" size="small">
+              {mode === 'restore'
+                ? 'Everything is imported exactly as exported, including settings. Running timers are imported stopped.'
+                : 'Clients, projects, tasks, time entries and invoices that already exist are skipped. Your current settings are kept. Running timers are imported stopped.'}
+            </Text>
+          </FlexBox>
+
+          <FlexBox gap="10px" justify="flex-end" style={{ marginTop: '20px' }}>
+            <Button variant="secondary" onClick={onClose} disabled={isImporting}>
+              Cancel
+            </Button>
+            <Button variant="primary" onClick={() => onConfirm(mode)} disabled={isImporting}>
+              {isImporting ? 'Importing...' : 'Import'}
+            </Button>
+          </FlexBox>
+        </FlexBox>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+// Export everything to an archive file, and import one from this or
+// another machine
+const DataArchive = () => {
+  const { waitForReady } = useElectronAPI();
+  const { addToast } = useToast();
+  const [isExporting, setIsExporting] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+
+  const handleExport = async () => {
+    try {
+      setIsExporting(true);
+      const api = await waitForReady();
+      const result = await api.archive.export();
+      if (!result.success) {
+        if (result.error === 'Export cancelled') return;
+        throw new Error(result.error);
+      }
+      addToast({
+        variant: 'success',
+        title: 'Export Complete',
+        message: `Exported ${result.summary.clients} clients, ${result.summary.timeEntries} time entries and ${result.summary.invoices} invoices to ${result.filePath}`,
+        duration: 5000
+      });
+    } catch (error) {
+      console.error('Error exporting archive:', error);
+      addToast({
+        variant: 'error',
+        title: 'Export Failed',
+        message: 'Failed to export data: ' + error.message,
+        duration: 5000
+      });
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleChooseFile = async () => {
+    try {
+      const api = await waitForReady();
+      const file = await api.archive.chooseFile();
+      if (!file.success) return;
+
+      const result = await api.archive.inspect(file.filePath);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      setPendingImport(result.summary);
+    } catch (error) {
+      console.error('Error reading archive:', error);
+      addToast({
+        variant: 'error',
+        title: 'Archive Not Usable',
+        message: error.message,
+        duration: 5000
+      });
+    }
+  };
+
+  const handleImport = async (mode) => {
+    if (!pendingImport || isImporting) return;
+    try {
+      setIsImporting(true);
+      const api = await waitForReady();
+      const result = await api.archive.import(pendingImport.path, mode);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      const { created, skipped, renumbered = [], stoppedTimers = 0 } = result;
+      const skippedCount = (skipped.clients || 0) + (skipped.timeEntries || 0) + (skipped.invoices || 0);
+      addToast({
+        variant: 'success',
+        title: 'Import Complete',
+        message: `Imported ${created.clients || 0} clients, ${created.timeEntries || 0} time entries and ${created.invoices || 0} invoices` +
+          (skippedCount > 0 ? `; skipped ${skippedCount} that were already here.` : '.') +
+          (renumbered.length > 0
+            ? ` Invoice numbers already in use were changed: ${renumbered.map(({ from, to }) => `${from} → ${to}`).join(', ')}.`
+            : '') +
+          (stoppedTimers > 0 ? ` ${stoppedTimers} running timer${stoppedTimers === 1 ? ' was' : 's were'} stopped.` : ''),
+        duration: renumbered.length > 0 ? 10000 : 5000
+      });
+      // Every screen reloads its data
+      setTimeout(() => window.location.reload(), 1500);
+    } catch (error) {
+      console.error('Error importing archive:', error);
+      setIsImporting(false);
+      addToast({
+        variant: 'error',
+        title: 'Import Failed',
+        message: 'Failed to import the archive: ' + error.message,
+        duration: 5000
+      });
+    }
+  };
+
+  return (
+    <>
+      <FlexBox gap="12px" justify="flex-start">
+        <Button variant="secondary" onClick={handleExport} disabled={isExporting}>
+          <Archive size={16} />
+          {isExporting ? 'Exporting...' : 'Export Everything'}
+        </Button>
+        <Button variant="secondary" onClick={handleChooseFile}>
+          <Upload size={16} />
+          Import Archive…
+        </Button>
+      </FlexBox>
+
+      {pendingImport && (
+        <ImportConfirmation
+          summary={pendingImport}
+          isImporting={isImporting}
+          onConfirm={handleImport}
+          onClose={() => !isImporting && setPendingImport(null)}
+        />
+      )}
+    </>
+  );
+};
+
+export default DataArchive;
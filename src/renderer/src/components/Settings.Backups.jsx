@@ -0,0 +1,289 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Database, FolderOpen, RotateCcw, Upload } from 'lucide-react';
+import { useElectronAPI } from '../hooks/useElectronAPI';
+import { useModalKeyboard } from '../hooks/useModalKeyboard';
+import {
+  Modal,
+  ModalContent,
+  ModalHeader,
+  ModalTitle,
+  ModalCloseButton,
+  FlexBox,
+  Text,
+  Button,
+  Input,
+  Select,
+  Label,
+  useToast
+} from './ui';
+
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.max(Math.round(bytes / 1024), 1)} KB`;
+};
+
+const SUMMARY_ROWS = [
+  ['clients', 'Clients'],
+  ['projects', 'Projects'],
+  ['tasks', 'Tasks'],
+  ['timeEntries', 'Time entries'],
+  ['invoices', 'Invoices']
+];
+
+// Contents of a backup, confirmed before it replaces the current data
+const RestoreConfirmation = ({ summary, isRestoring, onConfirm, onClose }) => {
+  useModalKeyboard({
+    isOpen: true,
+    onClose,
+    onSubmit: onConfirm
+  });
+
+  return (
+    <Modal show onClick={onClose}>
+      <ModalContent onClick={(e) => e.stopPropagation()}>
+        <ModalHeader>
+          <ModalTitle>Restore Backup</ModalTitle>
+          <ModalCloseButton onClick={onClose}>×</ModalCloseButton>
+        </ModalHeader>
+
+        <FlexBox direction="column" gap="12px">
+          <FlexBox direction="column" gap="2px">
+            <Text><strong>{summary.name}</strong></Text>
+            <Text variant="secondary" size="small">
+              Made {new Date(summary.createdAt).toLocaleString()} · {formatSize(summary.size)}
+            </Text>
+          </FlexBox>
+
+          <FlexBox direction="column" gap="4px">
+            {SUMMARY_ROWS.map(([key, label]) => (
+              <FlexBox key={key} justify="space-between">
+                <Text>{label}</Text>
+                <Text>{summary[key]}</Text>
+              </FlexBox>
+            ))}
+            <FlexBox justify="space-between">
+              <Text>Latest time entry</Text>
+              <Text>{summary.lastEntryAt ? new Date(summary.lastEntryAt).toLocaleDateString() : '—'}</Text>
+            </FlexBox>
+          </FlexBox>
+
+          <Text variant="danger" size="small">
+            All current clients, projects, time entries, invoices and settings will be replaced
+            by the contents of this backup. Your current data is backed up first.
+          </Text>
+
+          <FlexBox gap="10px" justify="flex-end" style={{ marginTop: '20px' }}>
+            <Button variant="secondary" onClick={onClose} disabled={isRestoring}>
+              Cancel
+            </Button>
+            <Button variant="danger" onClick={onConfirm} disabled={isRestoring}>
+              {isRestoring ? 'Restoring...' : 'Replace Current Data'}
+            </Button>
+          </FlexBox>
+        </FlexBox>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+// Automatic backup settings (saved with the other settings), a manual backup
+// and restoring from one of the backups or any other backup file
+const Backups = ({ settings, onChange }) => {
+  const { waitForReady } = useElectronAPI();
+  const { addToast } = useToast();
+  const [backups, setBackups] = useState([]);
+  const [defaultFolder, setDefaultFolder] = useState('');
+  const [isBackingUp, setIsBackingUp] = useState(false);
+  const [pendingRestore, setPendingRestore] = useState(null);
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  const loadBackups = useCallback(async () => {
+    try {
+      const api = await waitForReady();
+      setBackups(await api.backups.list());
+      setDefaultFolder(await api.backups.getFolder());
+    } catch (error) {
+      console.error('Error loading backups:', error);
+    }
+  }, [waitForReady]);
+
+  useEffect(() => {
+    loadBackups();
+  }, [loadBackups]);
+
+  const handleBackupNow = async () => {
+    try {
+      setIsBackingUp(true);
+      const api = await waitForReady();
+      const result = await api.backups.create();
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      addToast({
+        variant: 'success',
+        title: 'Backup Created',
+        message: `Saved ${result.backup.name}`,
+        duration: 4000
+      });
+      await loadBackups();
+    } catch (error) {
+      console.error('Error creating backup:', error);
+      addToast({
+        variant: 'error',
+        title: 'Backup Failed',
+        message: 'Failed to back up the database: ' + error.message,
+        duration: 5000
+      });
+    } finally {
+      setIsBackingUp(false);
+    }
+  };
+
+  const handleChooseFolder = async () => {
+    const api = await waitForReady();
+    const result = await api.backups.chooseFolder();
+    if (result.success) {
+      onChange('backup_folder', result.folder);
+    }
+  };
+
+  const handleInspect = async (filePath) => {
+    try {
+      const api = await waitForReady();
+      const result = await api.backups.inspect(filePath);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      setPendingRestore(result.summary);
+    } catch (error) {
+      console.error('Error reading backup:', error);
+      addToast({
+        variant: 'error',
+        title: 'Backup Not Usable',
+        message: error.message,
+        duration: 5000
+      });
+    }
+  };
+
+  const handleChooseFile = async () => {
+    const api = await waitForReady();
+    const result = await api.backups.chooseFile();
+    if (result.success) {
+      await handleInspect(result.filePath);
+    }
+  };
+
+  const handleRestore = async () => {
+    if (!pendingRestore || isRestoring) return;
+    try {
+      setIsRestoring(true);
+      const api = await waitForReady();
+      const result = await api.backups.restore(pendingRestore.path);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      addToast({
+        variant: 'success',
+        title: 'Backup Restored',
+        message: `Restored ${pendingRestore.name}. Your previous data was saved as ${result.backup.name}.`,
+        duration: 4000
+      });
+      // Every screen reloads its data from the restored database
+      setTimeout(() => window.location.reload(), 1500);
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      setIsRestoring(false);
+      addToast({
+        variant: 'error',
+        title: 'Restore Failed',
+        message: 'Failed to restore the backup: ' + error.message,
+        duration: 5000
+      });
+    }
+  };
+
+  return (
+    <FlexBox direction="column" gap="15px">
+      <FlexBox gap="15px">
+        <FlexBox direction="column" gap="5px" style={{ flex: 1 }}>
+          <Label>Automatic Backups</Label>
+          <Select
+            value={settings.backup_schedule}
+            onChange={(e) => onChange('backup_schedule', e.target.value)}
+          >
+            <option value="off">Off</option>
+            <option value="daily">Daily</option>
+            <option value="weekly">Weekly</option>
+          </Select>
+        </FlexBox>
+        <FlexBox direction="column" gap="5px" style={{ flex: 1 }}>
+          <Label>Backups to Keep</Label>
+          <Input
+            type="number"
+            min="1"
+            step="1"
+            value={settings.backup_retention}
+            onChange={(e) => onChange('backup_retention', e.target.value)}
+          />
+        </FlexBox>
+      </FlexBox>
+
+      <FlexBox direction="column" gap="5px">
+        <Label>Backup Folder</Label>
+        <FlexBox gap="10px" align="center">
+          <Input value={settings.backup_folder || defaultFolder} readOnly style={{ flex: 1 }} />
+          <Button variant="secondary" onClick={handleChooseFolder}>
+            <FolderOpen size={16} />
+            Choose…
+          </Button>
+        </FlexBox>
+        <Text variant="secondary" size="small">
+          Schedule and folder changes apply once settings are saved.
+        </Text>
+      </FlexBox>
+
+      <FlexBox gap="12px" justify="flex-start">
+        <Button variant="secondary" onClick={handleBackupNow} disabled={isBackingUp}>
+          <Database size={16} />
+          {isBackingUp ? 'Backing Up...' : 'Back Up Now'}
+        </Button>
+        <Button variant="secondary" onClick={handleChooseFile}>
+          <Upload size={16} />
+          Restore from File…
+        </Button>
+      </FlexBox>
+
+      <FlexBox direction="column" gap="8px">
+        {backups.length === 0 ? (
+          <Text variant="secondary" size="small">No backups in this folder yet.</Text>
+        ) : backups.map(backup => (
+          <FlexBox key={backup.path} justify="space-between" align="center" gap="10px">
+            <FlexBox direction="column" gap="2px">
+              <Text>
+                {new Date(backup.createdAt).toLocaleString()}
+                {backup.kind === 'pre-migration' && ' · before an update'}
+              </Text>
+              <Text variant="secondary" size="small">{backup.name} · {formatSize(backup.size)}</Text>
+            </FlexBox>
+            <Button variant="secondary" size="small" onClick={() => handleInspect(backup.path)}>
+              <RotateCcw size={14} />
+              Restore
+            </Button>
+          </FlexBox>
+        ))}
+      </FlexBox>
+
+      {pendingRestore && (
+        <RestoreConfirmation
+          summary={pendingRestore}
+          isRestoring={isRestoring}
+          onConfirm={handleRestore}
+          onClose={() => !isRestoring && setPendingRestore(null)}
+        />
+      )}
+    </FlexBox>
+  );
+};
+
+export default Backups;
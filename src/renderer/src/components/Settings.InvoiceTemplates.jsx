@@ -0,0 +1,261 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import styled from 'styled-components';
+import { Copy, Edit3, Trash2 } from 'lucide-react';
+import { useElectronAPI } from '../hooks/useElectronAPI';
+import { useModalKeyboard } from '../hooks/useModalKeyboard';
+import {
+  Modal,
+  ModalContent,
+  ModalHeader,
+  ModalTitle,
+  ModalCloseButton,
+  FlexBox,
+  Text,
+  Button,
+  Input,
+  Select,
+  Label,
+  TextArea,
+  useToast
+} from './ui';
+
+const SourceEditor = styled(TextArea)`
+  font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+  font-size: 12px;
+  line-height: 1.5;
+  min-height: 480px;
+  resize: none;
+  white-space: pre;
+`;
+
+const PreviewFrame = styled.iframe`
+  width: 100%;
+  height: 480px;
+  border: 1px solid #505050;
+  border-radius: 8px;
+  background: #fff;
+`;
+
+const TemplateRow = styled(FlexBox)`
+  padding: 10px 12px;
+  border: 1px solid #404040;
+  border-radius: 8px;
+`;
+
+// Edits a template's Handlebars source next to a live preview rendered with
+// sample invoice data. Saving is blocked while the template fails to render.
+const TemplateEditor = ({ template, onClose, onSaved }) => {
+  const { waitForReady } = useElectronAPI();
+  const { addToast } = useToast();
+  const [name, setName] = useState(template.name);
+  const [content, setContent] = useState(template.content);
+  const [preview, setPreview] = useState({ html: '', error: null });
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const api = await waitForReady();
+        const result = await api.templates.preview(content);
+        if (!cancelled) setPreview(prev => ({ html: result.html ?? prev.html, error: result.error }));
+      } catch (error) {
+        console.error('Error previewing template:', error);
+      }
+    }, 400);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [content, waitForReady]);
+
+  const canSave = name.trim() && !preview.error && !isSaving;
+
+  const handleSave = async () => {
+    if (!canSave) return;
+    try {
+      setIsSaving(true);
+      const api = await waitForReady();
+      const saved = await api.templates.save({ id: template.id, name, content });
+      addToast({
+        variant: 'success',
+        title: 'Template Saved',
+        message: `"${saved.name}" is ready to use.`,
+        duration: 4000
+      });
+      await onSaved(saved);
+      onClose();
+    } catch (error) {
+      console.error('Error saving template:', error);
+      addToast({
+        variant: 'error',
+        title: 'Save Failed',
+        message: 'Failed to save template: ' + error.message,
+        duration: 5000
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  useModalKeyboard({
+    isOpen: true,
+    onClose,
+    onSubmit: handleSave
+  });
+
+  return (
+    <Modal show onClick={onClose}>
+      <ModalContent maxWidth="1200px" onClick={(e) => e.stopPropagation()}>
+        <ModalHeader>
+          <ModalTitle>{template.id ? 'Edit Template' : 'New Template'}</ModalTitle>
+          <ModalCloseButton onClick={onClose}>×</ModalCloseButton>
+        </ModalHeader>
+
+        <FlexBox direction="column" gap="15px">
+          <FlexBox direction="column" gap="5px">
+            <Label>Name *</Label>
+            <Input value={name} onChange={(e) => setName(e.target.value)} autoFocus />
+          </FlexBox>
+
+          <FlexBox gap="15px" align="stretch">
+            <FlexBox direction="column" gap="5px" style={{ flex: 1, minWidth: 0 }}>
+              <Label>Handlebars Template</Label>
+              <SourceEditor
+                value={content}
+                onChange={(e) => setContent(e.target.value)}
+                spellCheck={false}
+              />
+            </FlexBox>
+            <FlexBox direction="column" gap="5px" style={{ flex: 1, minWidth: 0 }}>
+              <Label>Preview (sample data)</Label>
+              <PreviewFrame title="Template preview" sandbox="" srcDoc={preview.html} />
+            </FlexBox>
+          </FlexBox>
+
+          {preview.error ? (
+            <Text variant="danger" size="small">{preview.error}</Text>
+          ) : (
+            <Text variant="secondary" size="small">
+              Uses the same fields as the built-in templates, e.g. {'{{invoiceNumber}}'}, {'{{#each groups}}'} and {'{{money totalAmount}}'}.
+            </Text>
+          )}
+
+          <FlexBox gap="10px" justify="flex-end" style={{ marginTop: '20px' }}>
+            <Button variant="secondary" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button variant="primary" onClick={handleSave} disabled={!canSave}>
+              {isSaving ? 'Saving...' : 'Save Template'}
+            </Button>
+          </FlexBox>
+        </FlexBox>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+// Default invoice template picker plus the template gallery: built-in
+// templates can be duplicated, the user's own edited and deleted.
+const InvoiceTemplates = ({ value, onChange }) => {
+  const { waitForReady } = useElectronAPI();
+  const { addToast } = useToast();
+  const [templates, setTemplates] = useState([]);
+  const [editing, setEditing] = useState(null);
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      const api = await waitForReady();
+      setTemplates(await api.templates.list());
+    } catch (error) {
+      console.error('Error loading invoice templates:', error);
+    }
+  }, [waitForReady]);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  const openEditor = async (template, duplicate) => {
+    try {
+      const api = await waitForReady();
+      const { content } = await api.templates.get(template.id);
+      setEditing(duplicate
+        ? { name: `${template.name} Copy`, content }
+        : { id: template.id, name: template.name, content });
+    } catch (error) {
+      console.error('Error loading template:', error);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the "${template.name}" template? Clients using it switch to the default template.`)) return;
+    try {
+      const api = await waitForReady();
+      await api.templates.delete(template.id);
+      if (value === template.id) onChange('default');
+      await loadTemplates();
+    } catch (error) {
+      console.error('Error deleting template:', error);
+      addToast({
+        variant: 'error',
+        title: 'Delete Failed',
+        message: 'Failed to delete template: ' + error.message,
+        duration: 5000
+      });
+    }
+  };
+
+  return (
+    <FlexBox direction="column" gap="10px">
+      <FlexBox direction="column" gap="5px">
+        <Label>Invoice Template</Label>
+        <Select value={value} onChange={(e) => onChange(e.target.value)}>
+          {templates.length === 0 && <option value="default">Default</option>}
+          {templates.map(template => (
+            <option key={template.id} value={template.id}>{template.name}</option>
+          ))}
+        </Select>
+        <Text variant="secondary" size="small">
+          Used for new invoices unless the client has its own template.
+        </Text>
+      </FlexBox>
+
+      {templates.map(template => (
+        <TemplateRow key={template.id} justify="space-between" align="center" gap="10px">
+          <FlexBox direction="column" gap="2px">
+            <Text>{template.name}</Text>
+            <Text variant="secondary" size="small">
+              {template.builtIn ? template.description : 'Custom template'}
+            </Text>
+          </FlexBox>
+          <FlexBox gap="8px">
+            <Button type="button" variant="secondary" size="small" onClick={() => openEditor(template, true)} title="Duplicate">
+              <Copy size={14} />
+            </Button>
+            {!template.builtIn && (
+              <>
+                <Button type="button" variant="secondary" size="small" onClick={() => openEditor(template, false)} title="Edit">
+                  <Edit3 size={14} />
+                </Button>
+                <Button type="button" variant="secondary" size="small" onClick={() => handleDelete(template)} title="Delete">
+                  <Trash2 size={14} />
+                </Button>
+              </>
+            )}
+          </FlexBox>
+        </TemplateRow>
+      ))}
+
+      {editing && (
+        <TemplateEditor
+          template={editing}
+          onClose={() => setEditing(null)}
+          onSaved={loadTemplates}
+        />
+      )}
+    </FlexBox>
+  );
+};
+
+export default InvoiceTemplates;
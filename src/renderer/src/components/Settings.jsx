@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Save, Building, Trash2, Download, FileText } from 'lucide-react';
+import { Save, Building, Trash2, Download, FileText, Upload, Mail } from 'lucide-react';
 import {
   Container,
   Card,
@@ -12,6 +12,7 @@ import {
   Input,
   Label,
   Select,
+  TextArea,
   Modal,
   ModalContent,
   ModalHeader,
@@ -19,6 +20,11 @@ import {
   ModalCloseButton
 } from './ui';
 import { useModalKeyboard } from '../hooks/useModalKeyboard';
+import TaxRatesFields, { parseTaxList } from './TaxRatesFields';
+import InvoiceTemplates from './Settings.InvoiceTemplates';
+import Backups from './Settings.Backups';
+import DataArchive from './Settings.Archive';
+import { CURRENCY_OPTIONS } from '../utils/currency';
 import { colors } from '../styles/theme';
 
 const Settings = () => {
@@ -28,9 +34,34 @@ const Settings = () => {
     company_email: '',
     company_phone: '',
     company_website: '',
+    company_address: '',
+    company_tax_id: '',
     timer_rounding: '15',
+    timer_rounding_mode: 'up',
+    timer_rounding_minimum: '0',
+    idle_threshold: '10',
     invoice_template: 'default',
-    invoice_terms: 'Net 30'
+    invoice_terms: 'Net 30',
+    invoice_taxes: '[]',
+    default_currency: 'USD',
+    invoice_number_pattern: 'INV-{YYYY}-{SEQ:4}',
+    invoice_number_reset: 'yearly',
+    credit_note_number_pattern: 'CN-{YYYY}-{SEQ:4}',
+    invoice_payment_instructions: '',
+    invoice_footer_notes: '',
+    smtp_host: '',
+    smtp_port: '587',
+    smtp_secure: 'false',
+    smtp_user: '',
+    // A new password to save; the saved one is never sent back
+    smtp_password: '',
+    has_smtp_password: false,
+    smtp_from: '',
+    email_subject_template: '',
+    email_body_template: '',
+    backup_schedule: 'off',
+    backup_retention: '7',
+    backup_folder: ''
   });
 
   const [originalSettings, setOriginalSettings] = useState({});
@@ -39,6 +70,12 @@ const Settings = () => {
   const [isRemoving, setIsRemoving] = useState(false);
   const [showClearDataModal, setShowClearDataModal] = useState(false);
   const [confirmationText, setConfirmationText] = useState('');
+  const [numberPreview, setNumberPreview] = useState({ invoiceNumber: null, error: null });
+  const [creditNotePreview, setCreditNotePreview] = useState({ invoiceNumber: null, error: null });
+  const [companyLogo, setCompanyLogo] = useState(null);
+  const [logoError, setLogoError] = useState(null);
+  const [testEmailTo, setTestEmailTo] = useState('');
+  const [testEmailStatus, setTestEmailStatus] = useState(null); // { sending } | { success, error }
   const isDev = process.env.NODE_ENV !== 'production';
 
   // Updater state (macOS only, but harmless elsewhere)
@@ -96,6 +133,12 @@ const Settings = () => {
           console.error('Error loading settings:', error);
         }
 
+        try {
+          setCompanyLogo(await window.electronAPI.settings.getLogo());
+        } catch (error) {
+          console.error('Error loading company logo:', error);
+        }
+
         // Get app version (display)
         try {
           const v = await window.electronAPI.invoke('app:getVersion');
@@ -122,6 +165,48 @@ const Settings = () => {
     loadData();
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
+  // Preview the next invoice number as the numbering pattern is edited
+  useEffect(() => {
+    if (!window.electronAPI?.invoices?.previewNumber) return;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const preview = await window.electronAPI.invoices.previewNumber({
+          pattern: settings.invoice_number_pattern,
+          reset: settings.invoice_number_reset
+        });
+        if (!cancelled) setNumberPreview(preview);
+      } catch (error) {
+        console.error('Error previewing invoice number:', error);
+      }
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [settings.invoice_number_pattern, settings.invoice_number_reset]);
+
+  useEffect(() => {
+    if (!window.electronAPI?.invoices?.previewNumber) return;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const preview = await window.electronAPI.invoices.previewNumber({
+          type: 'credit_note',
+          pattern: settings.credit_note_number_pattern,
+          reset: settings.invoice_number_reset
+        });
+        if (!cancelled) setCreditNotePreview(preview);
+      } catch (error) {
+        console.error('Error previewing credit note number:', error);
+      }
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [settings.credit_note_number_pattern, settings.invoice_number_reset]);
+
   // Subscribe to updater events
   useEffect(() => {
     if (!window.electronAPI?.updater?.onEvent) return;
@@ -216,11 +301,17 @@ const Settings = () => {
     if (window.electronAPI) {
       try {
         setIsLoading(true);
-        await window.electronAPI.settings.update(settings);
+        const { smtp_password: smtpPassword, has_smtp_password: hasSmtpPassword, ...rest } = settings;
+        await window.electronAPI.settings.update(rest);
+        if (smtpPassword) {
+          await window.electronAPI.invoke('db:setSetting', 'smtp_password', smtpPassword);
+        }
+        const savedSettings = { ...settings, smtp_password: '', has_smtp_password: hasSmtpPassword || Boolean(smtpPassword) };
         
         // Show saved animation
         setIsSaved(true);
-        setOriginalSettings({ ...settings }); // Update original to current
+        setSettings(savedSettings);
+        setOriginalSettings(savedSettings); // Update original to current
         
         // Reset saved state after 2 seconds
         setTimeout(() => {
@@ -239,6 +330,56 @@ const Settings = () => {
     setSettings(prev => ({ ...prev, [field]: value }));
   };
 
+  const handleRemoveSmtpPassword = async () => {
+    try {
+      await window.electronAPI.invoke('db:setSetting', 'smtp_password', '');
+      const removed = { smtp_password: '', has_smtp_password: false };
+      setSettings(prev => ({ ...prev, ...removed }));
+      setOriginalSettings(prev => ({ ...prev, ...removed }));
+    } catch (error) {
+      console.error('Error removing SMTP password:', error);
+    }
+  };
+
+  // The logo is saved as soon as it is chosen, separately from Save Settings
+  const handleUploadLogo = async () => {
+    try {
+      setLogoError(null);
+      const result = await window.electronAPI.settings.uploadLogo();
+      if (result.success) {
+        setCompanyLogo(result.logo);
+      } else if (result.error !== 'Upload cancelled') {
+        setLogoError(result.error);
+      }
+    } catch (error) {
+      console.error('Error uploading logo:', error);
+      setLogoError(error.message);
+    }
+  };
+
+  const handleRemoveLogo = async () => {
+    try {
+      setLogoError(null);
+      await window.electronAPI.settings.removeLogo();
+      setCompanyLogo(null);
+    } catch (error) {
+      console.error('Error removing logo:', error);
+      setLogoError(error.message);
+    }
+  };
+
+  // Uses the saved SMTP settings, not unsaved edits
+  const handleSendTestEmail = async () => {
+    try {
+      setTestEmailStatus({ sending: true });
+      const result = await window.electronAPI.settings.sendTestEmail(testEmailTo.trim());
+      setTestEmailStatus(result);
+    } catch (error) {
+      console.error('Error sending test email:', error);
+      setTestEmailStatus({ success: false, error: error.message });
+    }
+  };
+
   // Updater action handlers
   const handleCheckUpdate = async () => {
     try {
@@ -311,7 +452,7 @@ const Settings = () => {
         <Button 
           variant="primary" 
           onClick={handleSave} 
-          disabled={isLoading || !hasUnsavedChanges() || isSaved}
+          disabled={isLoading || !hasUnsavedChanges() || isSaved || !!numberPreview.error || !!creditNotePreview.error}
         >
           <Save size={16} />
           {isLoading ? 'Saving...' : isSaved ? 'Saved!' : 'Save Settings'}
@@ -437,6 +578,53 @@ const Settings = () => {
                 placeholder="www.yourcompany.com"
               />
             </FlexBox>
+
+            <FlexBox direction="column" gap="5px">
+              <Label>Address</Label>
+              <TextArea
+                value={settings.company_address}
+                onChange={(e) => handleInputChange('company_address', e.target.value)}
+                placeholder={'123 Main Street\nSpringfield, 12345\nUnited States'}
+                rows={3}
+              />
+            </FlexBox>
+
+            <FlexBox direction="column" gap="5px">
+              <Label>Tax ID</Label>
+              <Input
+                value={settings.company_tax_id}
+                onChange={(e) => handleInputChange('company_tax_id', e.target.value)}
+                placeholder="VAT / EIN / ABN"
+              />
+            </FlexBox>
+
+            <FlexBox direction="column" gap="5px">
+              <Label>Logo</Label>
+              <FlexBox align="center" gap="15px">
+                {companyLogo && (
+                  <img
+                    src={companyLogo}
+                    alt="Company logo"
+                    style={{ maxHeight: '60px', maxWidth: '200px', background: '#fff', borderRadius: '6px', padding: '6px' }}
+                  />
+                )}
+                <Button variant="secondary" onClick={handleUploadLogo}>
+                  <Upload size={16} />
+                  {companyLogo ? 'Replace Logo' : 'Upload Logo'}
+                </Button>
+                {companyLogo && (
+                  <Button variant="secondary" onClick={handleRemoveLogo}>
+                    <Trash2 size={16} />
+                    Remove
+                  </Button>
+                )}
+              </FlexBox>
+              {logoError ? (
+                <Text variant="danger" size="small">{logoError}</Text>
+              ) : (
+                <Text variant="secondary" size="small">PNG, JPG, SVG, GIF or WebP up to 2 MB. Shown in the invoice header.</Text>
+              )}
+            </FlexBox>
           </FlexBox>
         </Card>
 
@@ -461,6 +649,50 @@ const Settings = () => {
                 Round time entries to the nearest interval
               </Text>
             </FlexBox>
+
+            <FlexBox direction="column" gap="5px">
+              <Label>Rounding Mode</Label>
+              <Select
+                value={settings.timer_rounding_mode}
+                onChange={(e) => handleInputChange('timer_rounding_mode', e.target.value)}
+              >
+                <option value="up">Round up</option>
+                <option value="nearest">Round to nearest</option>
+                <option value="down">Round down</option>
+              </Select>
+            </FlexBox>
+
+            <FlexBox direction="column" gap="5px">
+              <Label>Minimum Billable (minutes)</Label>
+              <Input
+                type="number"
+                min="0"
+                value={settings.timer_rounding_minimum}
+                onChange={(e) => handleInputChange('timer_rounding_minimum', e.target.value)}
+                placeholder="0"
+              />
+              <Text variant="secondary" size="small">
+                Default policy; clients and projects can override it
+              </Text>
+            </FlexBox>
+
+            <FlexBox direction="column" gap="5px">
+              <Label>Idle Detection</Label>
+              <Select
+                value={settings.idle_threshold}
+                onChange={(e) => handleInputChange('idle_threshold', e.target.value)}
+              >
+                <option value="0">Off</option>
+                <option value="5">After 5 minutes</option>
+                <option value="10">After 10 minutes</option>
+                <option value="15">After 15 minutes</option>
+                <option value="30">After 30 minutes</option>
+                <option value="60">After 1 hour</option>
+              </Select>
+              <Text variant="secondary" size="small">
+                Ask whether to keep, discard or split idle time while a timer is running
+              </Text>
+            </FlexBox>
           </FlexBox>
         </Card>
 
@@ -469,16 +701,10 @@ const Settings = () => {
           <Heading margin="0 0 20px 0">Invoice Settings</Heading>
           
           <FlexBox direction="column" gap="15px">
-            <FlexBox direction="column" gap="5px">
-              <Label>Invoice Template</Label>
-              <Select
-                value={settings.invoice_template}
-                onChange={(e) => handleInputChange('invoice_template', e.target.value)}
-              >
-                <option value="default">Default Template</option>
-              </Select>
-              <Text variant="secondary" size="small">Additional templates coming soon.</Text>
-            </FlexBox>
+            <InvoiceTemplates
+              value={settings.invoice_template}
+              onChange={(templateId) => handleInputChange('invoice_template', templateId)}
+            />
 
             <FlexBox direction="column" gap="5px">
               <Label>Payment Terms</Label>
@@ -496,9 +722,242 @@ const Settings = () => {
               </Select>
               <Text variant="secondary" size="small">Controls the invoice due date shown on PDFs.</Text>
             </FlexBox>
+
+            <FlexBox direction="column" gap="5px">
+              <Label>Payment Instructions</Label>
+              <TextArea
+                value={settings.invoice_payment_instructions}
+                onChange={(e) => handleInputChange('invoice_payment_instructions', e.target.value)}
+                placeholder={'Bank: Example Bank\nIBAN: DE00 0000 0000 0000 0000 00\nBIC: EXAMPLEXXX'}
+                rows={4}
+              />
+              <Text variant="secondary" size="small">Bank details or other ways to pay, printed on every invoice.</Text>
+            </FlexBox>
+
+            <FlexBox direction="column" gap="5px">
+              <Label>Footer Notes</Label>
+              <TextArea
+                value={settings.invoice_footer_notes}
+                onChange={(e) => handleInputChange('invoice_footer_notes', e.target.value)}
+                placeholder="Thank you for your business."
+                rows={2}
+              />
+            </FlexBox>
+
+            <FlexBox direction="column" gap="5px">
+              <Label>Invoice Numbering</Label>
+              <FlexBox gap="10px">
+                <Input
+                  value={settings.invoice_number_pattern}
+                  onChange={(e) => handleInputChange('invoice_number_pattern', e.target.value)}
+                  placeholder="INV-{YYYY}-{SEQ:4}"
+                />
+                <Select
+                  value={settings.invoice_number_reset}
+                  onChange={(e) => handleInputChange('invoice_number_reset', e.target.value)}
+                  style={{ maxWidth: '200px' }}
+                >
+                  <option value="yearly">Restart every year</option>
+                  <option value="never">Never restart</option>
+                </Select>
+              </FlexBox>
+              {numberPreview.error ? (
+                <Text variant="danger" size="small">{numberPreview.error}</Text>
+              ) : (
+                <Text variant="secondary" size="small">
+                  Next invoice: <strong>{numberPreview.invoiceNumber || '…'}</strong>
+                </Text>
+              )}
+              <Text variant="secondary" size="small">
+                {'{YYYY}'}, {'{YY}'} and {'{MM}'} insert the invoice date, {'{CLIENT}'} the client&apos;s invoice prefix
+                and {'{SEQ:4}'} the counter padded to 4 digits. Numbers are sequential without gaps.
+              </Text>
+            </FlexBox>
+
+            <FlexBox direction="column" gap="5px">
+              <Label>Credit Note Numbering</Label>
+              <Input
+                value={settings.credit_note_number_pattern}
+                onChange={(e) => handleInputChange('credit_note_number_pattern', e.target.value)}
+                placeholder="CN-{YYYY}-{SEQ:4}"
+              />
+              {creditNotePreview.error ? (
+                <Text variant="danger" size="small">{creditNotePreview.error}</Text>
+              ) : (
+                <Text variant="secondary" size="small">
+                  Next credit note: <strong>{creditNotePreview.invoiceNumber || '…'}</strong>
+                </Text>
+              )}
+              <Text variant="secondary" size="small">
+                Credit notes have a counter of their own and restart with invoice numbers.
+              </Text>
+            </FlexBox>
+
+            <FlexBox direction="column" gap="5px">
+              <Label>Default Currency</Label>
+              <Select
+                value={settings.default_currency}
+                onChange={(e) => handleInputChange('default_currency', e.target.value)}
+              >
+                {CURRENCY_OPTIONS.map(option => (
+                  <option key={option.code} value={option.code}>{option.label}</option>
+                ))}
+              </Select>
+              <Text variant="secondary" size="small">Used for clients without their own currency.</Text>
+            </FlexBox>
+
+            <FlexBox direction="column" gap="5px">
+              <Label>Default Taxes</Label>
+              <TaxRatesFields
+                value={parseTaxList(settings.invoice_taxes)}
+                onChange={(taxes) => handleInputChange('invoice_taxes', JSON.stringify(taxes))}
+              />
+              <Text variant="secondary" size="small">
+                Charged on new invoices after discounts. Clients can override these.
+              </Text>
+            </FlexBox>
           </FlexBox>
         </Card>
 
+        {/* Email Settings */}
+        <Card>
+          <Heading margin="0 0 20px 0">Email</Heading>
+          <Text variant="secondary" size="small" style={{ marginBottom: '16px' }}>
+            Invoices are emailed to clients through your mail provider&apos;s SMTP server.
+          </Text>
+
+          <FlexBox direction="column" gap="15px">
+            <FlexBox gap="10px">
+              <FlexBox direction="column" gap="5px" style={{ flex: 2 }}>
+                <Label>SMTP Server</Label>
+                <Input
+                  value={settings.smtp_host}
+                  onChange={(e) => handleInputChange('smtp_host', e.target.value)}
+                  placeholder="smtp.example.com"
+                />
+              </FlexBox>
+              <FlexBox direction="column" gap="5px" style={{ flex: 1 }}>
+                <Label>Port</Label>
+                <Input
+                  type="number"
+                  value={settings.smtp_port}
+                  onChange={(e) => handleInputChange('smtp_port', e.target.value)}
+                  placeholder="587"
+                />
+              </FlexBox>
+              <FlexBox direction="column" gap="5px" style={{ flex: 1 }}>
+                <Label>Security</Label>
+                <Select
+                  value={settings.smtp_secure}
+                  onChange={(e) => handleInputChange('smtp_secure', e.target.value)}
+                >
+                  <option value="false">STARTTLS</option>
+                  <option value="true">SSL/TLS</option>
+                </Select>
+              </FlexBox>
+            </FlexBox>
+
+            <FlexBox gap="10px">
+              <FlexBox direction="column" gap="5px" style={{ flex: 1 }}>
+                <Label>Username</Label>
+                <Input
+                  value={settings.smtp_user}
+                  onChange={(e) => handleInputChange('smtp_user', e.target.value)}
+                  autoComplete="off"
+                />
+              </FlexBox>
+              <FlexBox direction="column" gap="5px" style={{ flex: 1 }}>
+                <Label>Password</Label>
+                <Input
+                  type="password"
+                  value={settings.smtp_password}
+                  onChange={(e) => handleInputChange('smtp_password', e.target.value)}
+                  placeholder={settings.has_smtp_password ? '••••••••' : ''}
+                  autoComplete="new-password"
+                />
+                {settings.has_smtp_password && (
+                  <FlexBox align="center" gap="8px">
+                    <Text variant="secondary" size="small">Saved. Type a new password to replace it.</Text>
+                    <Button variant="secondary" size="small" onClick={handleRemoveSmtpPassword}>
+                      Remove
+                    </Button>
+                  </FlexBox>
+                )}
+              </FlexBox>
+            </FlexBox>
+
+            <FlexBox direction="column" gap="5px">
+              <Label>From</Label>
+              <Input
+                value={settings.smtp_from}
+                onChange={(e) => handleInputChange('smtp_from', e.target.value)}
+                placeholder={settings.company_email || 'billing@example.com'}
+              />
+              <Text variant="secondary" size="small">Defaults to the company email.</Text>
+            </FlexBox>
+
+            <FlexBox direction="column" gap="5px">
+              <Label>Subject</Label>
+              <Input
+                value={settings.email_subject_template}
+                onChange={(e) => handleInputChange('email_subject_template', e.target.value)}
+                placeholder="Invoice {{invoiceNumber}} from {{companyName}}"
+              />
+            </FlexBox>
+
+            <FlexBox direction="column" gap="5px">
+              <Label>Message</Label>
+              <TextArea
+                value={settings.email_body_template}
+                onChange={(e) => handleInputChange('email_body_template', e.target.value)}
+                placeholder={'Hello {{clientName}},\n\nPlease find attached invoice {{invoiceNumber}} for {{totalAmount}}.'}
+                rows={6}
+              />
+              <Text variant="secondary" size="small">
+                {'{{invoiceNumber}}'}, {'{{clientName}}'}, {'{{companyName}}'}, {'{{totalAmount}}'}, {'{{dueDate}}'},
+                {' {{invoiceDate}}'}, {'{{periodStart}}'} and {'{{periodEnd}}'} are filled in from the invoice.
+                Leave empty to use the default text.
+              </Text>
+            </FlexBox>
+
+            <FlexBox direction="column" gap="5px">
+              <Label>Send a Test Email</Label>
+              <FlexBox gap="10px">
+                <Input
+                  type="email"
+                  value={testEmailTo}
+                  onChange={(e) => setTestEmailTo(e.target.value)}
+                  placeholder={settings.company_email || 'you@example.com'}
+                />
+                <Button
+                  variant="secondary"
+                  onClick={handleSendTestEmail}
+                  disabled={!testEmailTo.trim() || testEmailStatus?.sending}
+                >
+                  <Mail size={16} />
+                  {testEmailStatus?.sending ? 'Sending...' : 'Send Test'}
+                </Button>
+              </FlexBox>
+              {testEmailStatus?.success && (
+                <Text variant="success" size="small">Test email sent.</Text>
+              )}
+              {testEmailStatus?.error && (
+                <Text variant="danger" size="small">{testEmailStatus.error}</Text>
+              )}
+              <Text variant="secondary" size="small">Uses the saved settings; save your changes first.</Text>
+            </FlexBox>
+          </FlexBox>
+        </Card>
+
+        {/* Backups */}
+        <Card>
+          <Heading margin="0 0 12px 0">Backups</Heading>
+          <Text variant="secondary" size="small" style={{ marginBottom: '16px' }}>
+            Back up the whole database automatically or on demand, and restore it from a backup.
+          </Text>
+          <Backups settings={settings} onChange={handleInputChange} />
+        </Card>
+
         {/* Export Data */}
         <Card>
           <Heading margin="0 0 12px 0">Export Data</Heading>
@@ -515,6 +974,11 @@ const Settings = () => {
               Export JSON
             </Button>
           </FlexBox>
+          <Text variant="secondary" size="small" style={{ margin: '20px 0 16px' }}>
+            To move to another machine, export everything (clients, projects, tasks, time entries,
+            invoices, settings and invoice templates) into an archive and import it there.
+          </Text>
+          <DataArchive />
         </Card>
 
         {/* Danger Zone */}
@@ -0,0 +1,64 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { FlexBox, Input, Button } from './ui';
+
+// Parse a tax list stored as JSON (`invoice_taxes` setting, client `taxRates`)
+export const parseTaxList = (value) => {
+  if (!value) return [];
+  try {
+    const taxes = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(taxes) ? taxes : [];
+  } catch (_) {
+    return [];
+  }
+};
+
+// Editable list of named taxes ({ name, rate } with rate in percent)
+const TaxRatesFields = ({ value = [], onChange }) => {
+  const updateTax = (index, field, fieldValue) => {
+    onChange(value.map((tax, i) => (i === index ? { ...tax, [field]: fieldValue } : tax)));
+  };
+
+  return (
+    <FlexBox direction="column" gap="8px">
+      {value.map((tax, index) => (
+        <FlexBox key={index} gap="10px" align="center">
+          <Input
+            value={tax.name}
+            onChange={(e) => updateTax(index, 'name', e.target.value)}
+            placeholder="Name (e.g. VAT)"
+          />
+          <Input
+            type="number"
+            step="0.01"
+            min="0"
+            value={tax.rate}
+            onChange={(e) => updateTax(index, 'rate', e.target.value)}
+            placeholder="Rate %"
+            style={{ maxWidth: '110px' }}
+          />
+          <Button
+            type="button"
+            variant="secondary"
+            onClick={() => onChange(value.filter((_, i) => i !== index))}
+            title="Remove tax"
+          >
+            <Trash2 size={14} />
+          </Button>
+        </FlexBox>
+      ))}
+      <div>
+        <Button
+          type="button"
+          variant="secondary"
+          onClick={() => onChange([...value, { name: '', rate: '' }])}
+        >
+          <Plus size={14} />
+          Add Tax
+        </Button>
+      </div>
+    </FlexBox>
+  );
+};
+
+export default TaxRatesFields;
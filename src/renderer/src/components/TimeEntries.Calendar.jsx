@@ -0,0 +1,496 @@
+import React, { useState, useMemo, useRef, useEffect, useCallback } from 'react';
+import styled from 'styled-components';
+import { ChevronLeft, ChevronRight, AlertTriangle } from 'lucide-react';
+import { useElectronAPI } from '../hooks/useElectronAPI';
+import { colors } from '../styles/theme';
+import {
+  addDays,
+  formatDateForForm,
+  getDraggedSegments,
+  getEntrySegments,
+  getWeekStart,
+  snapMinutes,
+  toSegmentsPayload
+} from '../utils/dateHelpers';
+import logger from '../utils/logger';
+import { getSeriesColor } from './Reports.Charts';
+import { Card, FlexBox, Button, IconButton, Chip, ChipGroup, Text, useToast } from './ui';
+
+const MINUTE_MS = 60 * 1000;
+const MINUTES_PER_DAY = 24 * 60;
+const HOUR_HEIGHT = 44;
+const GUTTER_WIDTH = 52;
+// Drags snap to quarter hours, which is also the shortest entry they make
+const SNAP_MINUTES = 15;
+// Hour scrolled to when the calendar opens
+const FIRST_VISIBLE_HOUR = 7;
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const DayHeaders = styled.div`
+  display: grid;
+  grid-template-columns: ${GUTTER_WIDTH}px repeat(${props => props.$days}, 1fr);
+  border-bottom: 1px solid ${colors.borderDefault};
+  padding-bottom: 8px;
+`;
+
+const DayHeader = styled.div`
+  text-align: center;
+  font-size: 12px;
+  color: ${props => (props.$today ? colors.textPrimary : colors.textSecondary)};
+  font-weight: ${props => (props.$today ? 600 : 400)};
+`;
+
+const ScrollArea = styled.div`
+  max-height: 640px;
+  overflow-y: auto;
+`;
+
+const Body = styled.div`
+  display: flex;
+  height: ${24 * HOUR_HEIGHT}px;
+`;
+
+const Gutter = styled.div`
+  position: relative;
+  width: ${GUTTER_WIDTH}px;
+  flex-shrink: 0;
+`;
+
+const HourLabel = styled.span`
+  position: absolute;
+  right: 8px;
+  transform: translateY(-50%);
+  font-size: 11px;
+  color: ${colors.textMuted};
+`;
+
+const Columns = styled.div`
+  position: relative;
+  flex: 1;
+  display: grid;
+  grid-template-columns: repeat(${props => props.$days}, 1fr);
+  user-select: none;
+  touch-action: none;
+`;
+
+const DayColumn = styled.div`
+  position: relative;
+  border-left: 1px solid ${colors.borderDark};
+  background-color: ${props => (props.$today ? 'rgba(255, 255, 255, 0.02)' : 'transparent')};
+  background-image: repeating-linear-gradient(
+    to bottom,
+    ${colors.borderDark} 0,
+    ${colors.borderDark} 1px,
+    transparent 1px,
+    transparent ${HOUR_HEIGHT}px
+  );
+  cursor: crosshair;
+`;
+
+const Block = styled.div`
+  position: absolute;
+  box-sizing: border-box;
+  padding: 2px 6px;
+  border-radius: 4px;
+  overflow: hidden;
+  font-size: 11px;
+  line-height: 1.3;
+  color: white;
+  background: ${props => props.$color};
+  opacity: ${props => (props.$locked ? 0.7 : 1)};
+  border: 2px solid ${props => (props.$conflict ? colors.danger : 'transparent')};
+  box-shadow: ${props => (props.$dragging ? '0 4px 12px rgba(0, 0, 0, 0.5)' : 'none')};
+  cursor: ${props => (props.$locked ? 'pointer' : 'grab')};
+  z-index: ${props => (props.$dragging ? 3 : 1)};
+`;
+
+const ResizeHandle = styled.div`
+  position: absolute;
+  left: 0;
+  right: 0;
+  height: 6px;
+  cursor: ns-resize;
+  ${props => (props.$edge === 'start' ? 'top: 0;' : 'bottom: 0;')}
+`;
+
+const NewBlock = styled.div`
+  position: absolute;
+  left: 2px;
+  right: 2px;
+  border-radius: 4px;
+  background: rgba(185, 28, 28, 0.35);
+  border: 1px dashed ${colors.primary};
+  font-size: 11px;
+  padding: 2px 6px;
+  pointer-events: none;
+`;
+
+const NowLine = styled.div`
+  position: absolute;
+  left: 0;
+  right: 0;
+  height: 2px;
+  background: ${colors.primary};
+  pointer-events: none;
+  z-index: 2;
+`;
+
+const snap = (minutes) => snapMinutes(minutes, SNAP_MINUTES);
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Minutes as a time for the entry form; the end of the day is 23:59
+const formatFormTime = (minutes) => {
+  const clamped = Math.min(minutes, MINUTES_PER_DAY - 1);
+  return `${String(Math.floor(clamped / 60)).padStart(2, '0')}:${String(clamped % 60).padStart(2, '0')}`;
+};
+
+const formatClock = (time) => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// Segments of the entry being dragged, where it would land
+const getDragSegments = (drag) => getDraggedSegments(drag.entry, {
+  type: drag.type,
+  days: drag.day - drag.originDay,
+  minutes: drag.minutes - drag.originMinutes
+}, SNAP_MINUTES);
+
+/**
+ * Side by side lanes for a day's blocks. Blocks that overlap share the width
+ * of their group and are marked as conflicts.
+ * @param {Array<{start: number, end: number}>} blocks - Minutes into the day
+ * @returns {Array<Object>} The blocks with lane, lanes and conflict
+ */
+const layoutBlocks = (blocks) => {
+  const sorted = [...blocks].sort((a, b) => a.start - b.start || b.end - a.end);
+  const laidOut = [];
+  let group = [];
+  let laneEnds = [];
+  let groupEnd = -1;
+
+  const closeGroup = () => {
+    group.forEach(block => {
+      laidOut.push({
+        ...block,
+        lanes: laneEnds.length,
+        conflict: group.some(other => other !== block && other.start < block.end && block.start < other.end)
+      });
+    });
+    group = [];
+    laneEnds = [];
+  };
+
+  sorted.forEach(block => {
+    if (block.start >= groupEnd) closeGroup();
+    let lane = laneEnds.findIndex(end => end <= block.start);
+    if (lane === -1) lane = laneEnds.length;
+    laneEnds[lane] = block.end;
+    group.push({ ...block, lane });
+    groupEnd = Math.max(groupEnd, block.end);
+  });
+  closeGroup();
+  return laidOut;
+};
+
+/**
+ * Time entries as blocks on a day or week time axis, colored by client.
+ * Dragging on empty space picks the time of a new entry; dragging a block
+ * moves it (also to another day) and dragging its edges changes its start or
+ * end. Overlapping entries are outlined.
+ * @param {Object} props
+ * @param {Array<Object>} props.timeEntries - All time entries
+ * @param {Array<Object>} props.clients
+ * @param {Array<Object>} props.projects
+ * @param {Array<Object>} props.tasks
+ * @param {Function} props.onChange - Called after an entry was saved
+ * @param {Function} props.onCreate - Called with { date, startTime, endTime }
+ *   of a dragged out span, to fill in the new entry
+ * @param {Function} props.onEdit - Called with an entry that was clicked
+ */
+const Calendar = ({ timeEntries, clients, projects, tasks, onChange, onCreate, onEdit }) => {
+  const { waitForReady } = useElectronAPI();
+  const { addToast } = useToast();
+  const [mode, setMode] = useState('week');
+  const [date, setDate] = useState(() => addDays(new Date(), 0));
+  // The drag is rendered from state; pointer handlers read the ref, which is
+  // always the latest drag
+  const [drag, setDrag] = useState(null);
+  const dragRef = useRef(null);
+  const scrollRef = useRef(null);
+  const columnsRef = useRef(null);
+
+  const days = useMemo(() => (
+    mode === 'week'
+      ? Array.from({ length: 7 }, (_, i) => addDays(getWeekStart(date), i))
+      : [addDays(date, 0)]
+  ), [mode, date]);
+  const dayKeys = useMemo(() => days.map(day => formatDateForForm(day)), [days]);
+  const todayKey = formatDateForForm(new Date());
+
+  useEffect(() => {
+    if (scrollRef.current) {
+      scrollRef.current.scrollTop = FIRST_VISIBLE_HOUR * HOUR_HEIGHT;
+    }
+  }, []);
+
+  const updateDrag = useCallback((next) => {
+    dragRef.current = next;
+    setDrag(next);
+  }, []);
+
+  // Day column and minutes into the day under the pointer
+  const getPointer = useCallback((event) => {
+    const rect = columnsRef.current.getBoundingClientRect();
+    const dayIndex = clamp(Math.floor((event.clientX - rect.left) / (rect.width / days.length)), 0, days.length - 1);
+    const minutes = clamp(((event.clientY - rect.top) / HOUR_HEIGHT) * 60, 0, MINUTES_PER_DAY);
+    return { dayIndex, minutes };
+  }, [days.length]);
+
+  const getClientColor = useCallback((clientId) => {
+    const index = clients.findIndex(client => client.id === clientId);
+    return index === -1 ? colors.secondary : getSeriesColor(index);
+  }, [clients]);
+
+  const getEntryLabel = useCallback((entry) => {
+    const client = clients.find(item => item.id === entry.clientId);
+    const project = projects.find(item => item.id === entry.projectId);
+    const task = tasks.find(item => item.id === entry.taskId);
+    return [client?.name || 'No client', project?.name, task?.name].filter(Boolean).join(' / ');
+  }, [clients, projects, tasks]);
+
+  const saveSegments = useCallback(async (entry, segments) => {
+    try {
+      const api = await waitForReady();
+      await api.timeEntries.update(entry.id, { segments: toSegmentsPayload(segments) });
+      await onChange();
+
+      const updateEvent = new CustomEvent('time-entries-updated');
+      window.dispatchEvent(updateEvent);
+    } catch (error) {
+      logger.error('Error updating time entry from calendar:', error);
+      addToast({
+        variant: 'error',
+        title: 'Save Failed',
+        message: `Could not move the entry: ${error.message}`,
+        duration: 5000
+      });
+    }
+  }, [waitForReady, onChange, addToast]);
+
+  const finishDrag = useCallback(() => {
+    const current = dragRef.current;
+    updateDrag(null);
+    if (!current) return;
+
+    if (current.type === 'create') {
+      const start = Math.min(current.originMinutes, snap(current.minutes));
+      const end = Math.max(current.originMinutes, snap(current.minutes));
+      if (end - start >= SNAP_MINUTES) {
+        onCreate({ date: dayKeys[current.day], startTime: formatFormTime(start), endTime: formatFormTime(end) });
+      }
+      return;
+    }
+
+    if (!current.moved || current.locked) {
+      onEdit(current.entry);
+      return;
+    }
+    saveSegments(current.entry, getDragSegments(current));
+  }, [dayKeys, onCreate, onEdit, saveSegments, updateDrag]);
+
+  // Listen on the window while dragging, so the drag follows the pointer
+  // outside the calendar
+  const isDragging = drag !== null;
+  useEffect(() => {
+    if (!isDragging) return undefined;
+
+    const handleMove = (event) => {
+      const current = dragRef.current;
+      if (!current) return;
+      const { dayIndex, minutes } = getPointer(event);
+      const day = current.type === 'move' ? dayIndex : current.day;
+      updateDrag({
+        ...current,
+        day,
+        minutes,
+        moved: current.moved || day !== current.originDay || Math.abs(minutes - current.originMinutes) >= SNAP_MINUTES / 2
+      });
+    };
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', finishDrag);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', finishDrag);
+    };
+  }, [isDragging, getPointer, finishDrag, updateDrag]);
+
+  const startCreate = (event) => {
+    if (event.button !== 0) return;
+    const { dayIndex, minutes } = getPointer(event);
+    updateDrag({ type: 'create', originDay: dayIndex, day: dayIndex, originMinutes: snap(minutes), minutes: snap(minutes) });
+  };
+
+  const startEntryDrag = (event, entry, type) => {
+    if (event.button !== 0) return;
+    event.stopPropagation();
+    const { dayIndex, minutes } = getPointer(event);
+    updateDrag({
+      type,
+      entry,
+      locked: entry.isInvoiced || entry.isActive,
+      originDay: dayIndex,
+      day: dayIndex,
+      originMinutes: minutes,
+      minutes,
+      moved: false
+    });
+  };
+
+  // Blocks per day, with the entry being dragged where it would land
+  const columns = useMemo(() => {
+    const blocksByDay = dayKeys.map(() => []);
+    timeEntries.forEach(entry => {
+      if (!entry.startTime || (!entry.endTime && !entry.isActive)) return;
+      const isDragged = drag && drag.entry?.id === entry.id && drag.moved && !drag.locked;
+      const segments = isDragged ? getDragSegments(drag) : getEntrySegments(entry);
+      const start = new Date(segments[0].start);
+      const dayIndex = dayKeys.indexOf(formatDateForForm(start));
+      if (dayIndex === -1) return;
+
+      const dayStart = addDays(start, 0).getTime();
+      const startMinutes = (segments[0].start - dayStart) / MINUTE_MS;
+      const endMinutes = Math.min((segments[segments.length - 1].end - dayStart) / MINUTE_MS, MINUTES_PER_DAY);
+      blocksByDay[dayIndex].push({
+        entry,
+        start: startMinutes,
+        end: Math.max(endMinutes, startMinutes + 1),
+        startTime: segments[0].start,
+        endTime: segments[segments.length - 1].end,
+        isDragged
+      });
+    });
+    return blocksByDay.map(layoutBlocks);
+  }, [timeEntries, dayKeys, drag]);
+
+  const step = mode === 'week' ? 7 : 1;
+  const label = mode === 'week'
+    ? `${days[0].toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – ${
+      days[6].toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+    : days[0].toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric', year: 'numeric' });
+  const now = new Date();
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+
+  return (
+    <Card>
+      <FlexBox justify="space-between" align="center" margin="0 0 16px 0" gap="12px" wrap>
+        <FlexBox align="center" gap="8px">
+          <IconButton variant="secondary" size="small" title="Previous" onClick={() => setDate(addDays(date, -step))}>
+            <ChevronLeft size={16} />
+          </IconButton>
+          <Text margin="0" style={{ minWidth: '220px', textAlign: 'center' }}>{label}</Text>
+          <IconButton variant="secondary" size="small" title="Next" onClick={() => setDate(addDays(date, step))}>
+            <ChevronRight size={16} />
+          </IconButton>
+          <Button variant="secondary" size="small" onClick={() => setDate(addDays(new Date(), 0))}>
+            Today
+          </Button>
+        </FlexBox>
+        <ChipGroup>
+          <Chip variant={mode === 'day' ? 'active' : 'default'} onClick={() => setMode('day')}>Day</Chip>
+          <Chip variant={mode === 'week' ? 'active' : 'default'} onClick={() => setMode('week')}>Week</Chip>
+        </ChipGroup>
+      </FlexBox>
+
+      <DayHeaders $days={days.length}>
+        <div />
+        {days.map((day, i) => (
+          <DayHeader key={dayKeys[i]} $today={dayKeys[i] === todayKey}>
+            {day.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+          </DayHeader>
+        ))}
+      </DayHeaders>
+
+      <ScrollArea ref={scrollRef}>
+        <Body>
+          <Gutter>
+            {HOURS.slice(1).map(hour => (
+              <HourLabel key={hour} style={{ top: `${hour * HOUR_HEIGHT}px` }}>
+                {formatFormTime(hour * 60)}
+              </HourLabel>
+            ))}
+          </Gutter>
+          <Columns ref={columnsRef} $days={days.length}>
+            {columns.map((blocks, dayIndex) => (
+              <DayColumn
+                key={dayKeys[dayIndex]}
+                $today={dayKeys[dayIndex] === todayKey}
+                onPointerDown={startCreate}
+              >
+                {blocks.map(block => {
+                  const { entry } = block;
+                  const locked = entry.isInvoiced || entry.isActive;
+                  const height = Math.max(((block.end - block.start) / 60) * HOUR_HEIGHT, 16);
+                  return (
+                    <Block
+                      key={entry.id}
+                      $color={getClientColor(entry.clientId)}
+                      $locked={locked}
+                      $conflict={block.conflict}
+                      $dragging={block.isDragged}
+                      title={[
+                        getEntryLabel(entry),
+                        entry.description,
+                        `${formatClock(block.startTime)} – ${entry.isActive ? 'now' : formatClock(block.endTime)}`,
+                        entry.isInvoiced ? 'Invoiced' : null,
+                        block.conflict ? 'Overlaps another entry' : null
+                      ].filter(Boolean).join('\n')}
+                      style={{
+                        top: `${(block.start / 60) * HOUR_HEIGHT}px`,
+                        height: `${height}px`,
+                        left: `calc(${(block.lane / block.lanes) * 100}% + 2px)`,
+                        width: `calc(${100 / block.lanes}% - 4px)`
+                      }}
+                      onPointerDown={(e) => startEntryDrag(e, entry, 'move')}
+                    >
+                      {!locked && (
+                        <ResizeHandle $edge="start" onPointerDown={(e) => startEntryDrag(e, entry, 'start')} />
+                      )}
+                      <FlexBox align="center" gap="4px">
+                        {block.conflict && <AlertTriangle size={11} />}
+                        <strong>{getEntryLabel(entry)}</strong>
+                      </FlexBox>
+                      {height > 30 && (
+                        <div>{formatClock(block.startTime)} – {entry.isActive ? 'now' : formatClock(block.endTime)}</div>
+                      )}
+                      {height > 44 && entry.description && <div>{entry.description}</div>}
+                      {!locked && (
+                        <ResizeHandle $edge="end" onPointerDown={(e) => startEntryDrag(e, entry, 'end')} />
+                      )}
+                    </Block>
+                  );
+                })}
+
+                {drag?.type === 'create' && drag.day === dayIndex && (() => {
+                  const start = Math.min(drag.originMinutes, snap(drag.minutes));
+                  const end = Math.max(drag.originMinutes, snap(drag.minutes));
+                  return end > start ? (
+                    <NewBlock style={{ top: `${(start / 60) * HOUR_HEIGHT}px`, height: `${((end - start) / 60) * HOUR_HEIGHT}px` }}>
+                      {formatFormTime(start)} – {formatFormTime(end)}
+                    </NewBlock>
+                  ) : null;
+                })()}
+
+                {dayKeys[dayIndex] === todayKey && (
+                  <NowLine style={{ top: `${(nowMinutes / 60) * HOUR_HEIGHT}px` }} />
+                )}
+              </DayColumn>
+            ))}
+          </Columns>
+        </Body>
+      </ScrollArea>
+    </Card>
+  );
+};
+
+export default Calendar;
@@ -0,0 +1,349 @@
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { FileText, Upload } from 'lucide-react';
+import { useElectronAPI } from '../hooks/useElectronAPI';
+import { useModalKeyboard } from '../hooks/useModalKeyboard';
+import {
+  Modal,
+  ModalContent,
+  ModalHeader,
+  ModalTitle,
+  ModalCloseButton,
+  FlexBox,
+  Text,
+  Button,
+  Input,
+  Select,
+  Label,
+  useToast
+} from './ui';
+import { formatDurationHumanFriendly } from '../utils/dateHelpers';
+
+const FIELDS = [
+  ['date', 'Date'],
+  ['start', 'Start Time'],
+  ['end', 'End Time'],
+  ['duration', 'Duration'],
+  ['client', 'Client'],
+  ['project', 'Project'],
+  ['task', 'Task'],
+  ['description', 'Description'],
+  ['billable', 'Billable']
+];
+
+const MappingGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(3, 1fr);
+  gap: 12px;
+`;
+
+const PreviewTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 13px;
+
+  th, td {
+    padding: 6px 8px;
+    text-align: left;
+    border-bottom: 1px solid #404040;
+    vertical-align: top;
+  }
+
+  th {
+    color: #ccc;
+    font-weight: 600;
+    font-size: 11px;
+    text-transform: uppercase;
+  }
+`;
+
+const ErrorRow = styled.tr`
+  background: rgba(185, 28, 28, 0.15);
+`;
+
+const formatTimeRange = (entry) => {
+  if (!entry.startTime) return '—';
+  const start = new Date(entry.startTime);
+  const time = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return `${start.toLocaleDateString()} ${time(start)}${entry.endTime ? `–${time(new Date(entry.endTime))}` : ''}`;
+};
+
+const formatBillable = (isBillable) => {
+  if (isBillable === null) return 'Default';
+  return isBillable ? 'Yes' : 'No';
+};
+
+const namesSummary = (label, names) => names.length > 0 && (
+  <Text size="small">
+    New {label}: {names.join(', ')}
+  </Text>
+);
+
+// Import time entries from any CSV file: pick the file, match its columns to
+// entry fields, check a dry run of every row, then import the valid ones
+const ImportCsv = ({ onClose, onImported }) => {
+  const { waitForReady } = useElectronAPI();
+  const { addToast } = useToast();
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [dateFormat, setDateFormat] = useState('mdy');
+  const [durationUnit, setDurationUnit] = useState('hours');
+  const [defaultStartTime, setDefaultStartTime] = useState('09:00');
+  const [preview, setPreview] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const options = { mapping, dateFormat, durationUnit, defaultStartTime };
+  const canImport = preview && preview.imported > 0 && !isWorking;
+
+  const handleChooseFile = async () => {
+    try {
+      const api = await waitForReady();
+      const result = await api.csvImport.chooseFile();
+      if (!result.success) {
+        if (result.error === 'Selection cancelled') return;
+        throw new Error(result.error);
+      }
+      setFile(result);
+      setMapping(result.mapping);
+      setDurationUnit(result.durationUnit);
+      setPreview(null);
+    } catch (error) {
+      console.error('Error opening CSV file:', error);
+      addToast({
+        variant: 'error',
+        title: 'File Not Usable',
+        message: error.message,
+        duration: 5000
+      });
+    }
+  };
+
+  // Any change to how the file is read needs a new preview
+  const changeOption = (setter) => (value) => {
+    setter(value);
+    setPreview(null);
+  };
+
+  const handleMappingChange = (field, value) => {
+    const next = { ...mapping };
+    if (value === '') {
+      delete next[field];
+    } else {
+      next[field] = Number(value);
+    }
+    changeOption(setMapping)(next);
+  };
+
+  const handlePreview = async () => {
+    try {
+      setIsWorking(true);
+      const api = await waitForReady();
+      const result = await api.csvImport.preview(file.filePath, options);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      setPreview(result);
+    } catch (error) {
+      console.error('Error previewing CSV import:', error);
+      addToast({
+        variant: 'error',
+        title: 'Preview Failed',
+        message: error.message,
+        duration: 5000
+      });
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!canImport) return;
+    try {
+      setIsWorking(true);
+      const api = await waitForReady();
+      const result = await api.csvImport.import(file.filePath, options);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      addToast({
+        variant: 'success',
+        title: 'Import Complete',
+        message: `Imported ${result.imported} time entries` +
+          (result.duplicates + result.invalid > 0
+            ? `; skipped ${result.duplicates} already here and ${result.invalid} with errors.`
+            : '.'),
+        duration: 5000
+      });
+      onImported();
+      onClose();
+    } catch (error) {
+      console.error('Error importing CSV file:', error);
+      setIsWorking(false);
+      addToast({
+        variant: 'error',
+        title: 'Import Failed',
+        message: 'Nothing was imported: ' + error.message,
+        duration: 5000
+      });
+    }
+  };
+
+  useModalKeyboard({
+    isOpen: true,
+    onClose: () => !isWorking && onClose(),
+    onSubmit: handleImport
+  });
+
+  return (
+    <Modal show onClick={() => !isWorking && onClose()}>
+      <ModalContent maxWidth="960px" onClick={(e) => e.stopPropagation()}>
+        <ModalHeader>
+          <ModalTitle>Import Time Entries</ModalTitle>
+          <ModalCloseButton onClick={() => !isWorking && onClose()}>×</ModalCloseButton>
+        </ModalHeader>
+
+        <FlexBox direction="column" gap="16px">
+          <FlexBox gap="12px" align="center">
+            <Button variant="secondary" onClick={handleChooseFile} disabled={isWorking}>
+              <FileText size={16} />
+              {file ? 'Choose Another File…' : 'Choose CSV File…'}
+            </Button>
+            {file && (
+              <Text variant="secondary" size="small">
+                {file.fileName} · {file.rowCount} rows
+              </Text>
+            )}
+          </FlexBox>
+
+          {file && (
+            <>
+              <MappingGrid>
+                {FIELDS.map(([field, label]) => (
+                  <FlexBox key={field} direction="column" gap="5px">
+                    <Label>{label}</Label>
+                    <Select
+                      value={Number.isInteger(mapping[field]) ? String(mapping[field]) : ''}
+                      onChange={(e) => handleMappingChange(field, e.target.value)}
+                    >
+                      <option value="">— Not imported —</option>
+                      {file.headers.map((header, index) => (
+                        <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                      ))}
+                    </Select>
+                  </FlexBox>
+                ))}
+              </MappingGrid>
+
+              <MappingGrid>
+                <FlexBox direction="column" gap="5px">
+                  <Label>Dates Like 03/05/2024 Are</Label>
+                  <Select value={dateFormat} onChange={(e) => changeOption(setDateFormat)(e.target.value)}>
+                    <option value="mdy">Month/Day/Year</option>
+                    <option value="dmy">Day/Month/Year</option>
+                  </Select>
+                </FlexBox>
+                <FlexBox direction="column" gap="5px">
+                  <Label>Plain Durations Are In</Label>
+                  <Select value={durationUnit} onChange={(e) => changeOption(setDurationUnit)(e.target.value)}>
+                    <option value="hours">Hours</option>
+                    <option value="minutes">Minutes</option>
+                  </Select>
+                </FlexBox>
+                <FlexBox direction="column" gap="5px">
+                  <Label>Start Time When Missing</Label>
+                  <Input
+                    type="time"
+                    value={defaultStartTime}
+                    onChange={(e) => changeOption(setDefaultStartTime)(e.target.value)}
+                  />
+                </FlexBox>
+              </MappingGrid>
+
+              <Text variant="secondary" size="small">
+                Clients, projects and tasks are matched by name and created when missing. Entries
+                that are already here are skipped, and nothing is imported if any entry fails.
+              </Text>
+            </>
+          )}
+
+          {preview && (
+            <FlexBox direction="column" gap="8px">
+              <Text>
+                <strong>{preview.imported}</strong> of {preview.rows} rows will be imported
+                {preview.duplicates > 0 && ` · ${preview.duplicates} already here`}
+                {preview.invalid > 0 && ` · ${preview.invalid} with errors`}
+              </Text>
+              {namesSummary('clients', preview.clients)}
+              {namesSummary('projects', preview.projects)}
+              {namesSummary('tasks', preview.tasks)}
+
+              <PreviewTable>
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>When</th>
+                    <th>Duration</th>
+                    <th>Client / Project / Task</th>
+                    <th>Description</th>
+                    <th>Billable</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.preview.map(({ row, entry, errors }) => {
+                    const Row = errors.length > 0 ? ErrorRow : 'tr';
+                    return (
+                      <Row key={row}>
+                        <td>{row}</td>
+                        <td>{formatTimeRange(entry)}</td>
+                        <td>{entry.duration ? formatDurationHumanFriendly(entry.duration) : '—'}</td>
+                        <td>
+                          {[entry.clientName, entry.projectName, entry.taskName].filter(Boolean).join(' / ') || '—'}
+                          {errors.length > 0 && (
+                            <Text variant="danger" size="small">{errors.join('; ')}</Text>
+                          )}
+                        </td>
+                        <td>{entry.description || ''}</td>
+                        <td>{formatBillable(entry.isBillable)}</td>
+                      </Row>
+                    );
+                  })}
+                </tbody>
+              </PreviewTable>
+              {preview.rows > preview.preview.length && (
+                <Text variant="secondary" size="small">
+                  Showing the first {preview.preview.length} rows.
+                </Text>
+              )}
+
+              {preview.errors.length > 0 && (
+                <FlexBox direction="column" gap="2px">
+                  <Label>Rows With Errors (skipped)</Label>
+                  {preview.errors.map(({ row, errors }) => (
+                    <Text key={row} variant="danger" size="small">
+                      Row {row}: {errors.join('; ')}
+                    </Text>
+                  ))}
+                </FlexBox>
+              )}
+            </FlexBox>
+          )}
+
+          <FlexBox gap="10px" justify="flex-end" style={{ marginTop: '20px' }}>
+            <Button variant="secondary" onClick={onClose} disabled={isWorking}>
+              Cancel
+            </Button>
+            <Button variant="secondary" onClick={handlePreview} disabled={!file || isWorking}>
+              {isWorking && !preview ? 'Checking...' : 'Preview'}
+            </Button>
+            <Button variant="primary" onClick={handleImport} disabled={!canImport}>
+              <Upload size={16} />
+              {isWorking && preview ? 'Importing...' : preview ? `Import ${preview.imported} Entries` : 'Import'}
+            </Button>
+          </FlexBox>
+        </FlexBox>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+export default ImportCsv;
@@ -0,0 +1,490 @@
+import React, { useState, useMemo, useRef, useCallback } from 'react';
+import styled from 'styled-components';
+import { ChevronLeft, ChevronRight, Copy, Plus } from 'lucide-react';
+import { useElectronAPI } from '../hooks/useElectronAPI';
+import { colors } from '../styles/theme';
+import { useModalKeyboard } from '../hooks/useModalKeyboard';
+import { addDays, formatDateForForm, getWeekStart } from '../utils/dateHelpers';
+import logger from '../utils/logger';
+import {
+  MINUTES_PER_DAY,
+  getBilledMinutes,
+  getCellMinutes,
+  isCellLocked,
+  parseCellMinutes,
+  planCellChange
+} from '../utils/weekGrid';
+import {
+  Card,
+  FlexBox,
+  Button,
+  IconButton,
+  Select,
+  Text,
+  Modal,
+  ModalContent,
+  ModalHeader,
+  ModalTitle,
+  ModalCloseButton,
+  useToast
+} from './ui';
+
+const GridTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 14px;
+
+  th, td {
+    border-bottom: 1px solid ${colors.borderDefault};
+    padding: 6px 8px;
+    text-align: center;
+  }
+
+  th {
+    color: ${colors.textSecondary};
+    font-weight: 500;
+    font-size: 12px;
+  }
+
+  th:first-child, td:first-child {
+    text-align: left;
+  }
+
+  tfoot td {
+    font-weight: 600;
+    border-bottom: none;
+  }
+`;
+
+const DayHeader = styled.th`
+  background: ${props => (props.$today ? colors.bgActive : 'transparent')};
+`;
+
+const CellInput = styled.input`
+  width: 64px;
+  padding: 6px;
+  background: ${props => (props.disabled ? 'transparent' : colors.bgPrimary)};
+  border: 1px solid ${props => (props.disabled ? 'transparent' : colors.borderDefault)};
+  border-radius: 4px;
+  color: ${props => (props.disabled ? colors.textSecondary : colors.textPrimary)};
+  font-size: 14px;
+  text-align: center;
+
+  &:focus {
+    outline: none;
+    border-color: ${colors.primary};
+  }
+`;
+
+const TotalCell = styled.td`
+  color: ${colors.textSecondary};
+  font-variant-numeric: tabular-nums;
+`;
+
+// One row per client, project and task combination ("3/12/none")
+const getRowKey = ({ clientId, projectId, taskId }) =>
+  [clientId, projectId, taskId].map(id => id ?? 'none').join('/');
+
+const formatCellHours = (minutes) => (minutes > 0 ? String(Math.round((minutes / 60) * 100) / 100) : '');
+
+const formatTotalHours = (minutes) => (minutes / 60).toFixed(2);
+
+// Confirmation before a lower number of hours deletes whole entries
+const DeleteConfirmation = ({ count, onConfirm, onClose }) => {
+  useModalKeyboard({
+    isOpen: true,
+    onClose,
+    onSubmit: onConfirm
+  });
+
+  return (
+    <Modal show onClick={onClose}>
+      <ModalContent onClick={(e) => e.stopPropagation()}>
+        <ModalHeader>
+          <ModalTitle>Delete Time Entries</ModalTitle>
+          <ModalCloseButton onClick={onClose}>×</ModalCloseButton>
+        </ModalHeader>
+
+        <Text>
+          The new hours delete {count} time {count === 1 ? 'entry' : 'entries'} of this day.
+        </Text>
+
+        <FlexBox gap="10px" justify="flex-end" style={{ marginTop: '20px' }}>
+          <Button variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button variant="danger" onClick={onConfirm}>
+            Delete
+          </Button>
+        </FlexBox>
+      </ModalContent>
+    </Modal>
+  );
+};
+
+/**
+ * Week of time as a grid: a row per client, project and task, a column per
+ * day (Monday to Sunday) and hours in the cells. Typing into a cell creates
+ * or adjusts that day's entries; arrow keys and Enter move between cells.
+ * @param {Object} props
+ * @param {Array<Object>} props.timeEntries - All time entries
+ * @param {Array<Object>} props.clients
+ * @param {Array<Object>} props.projects
+ * @param {Array<Object>} props.tasks
+ * @param {Function} props.onChange - Called after entries were saved, to
+ *   reload them
+ */
+const WeekGrid = ({ timeEntries, clients, projects, tasks, onChange }) => {
+  const { waitForReady } = useElectronAPI();
+  const { addToast } = useToast();
+  const [weekStart, setWeekStart] = useState(() => getWeekStart());
+  const [addedRows, setAddedRows] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [savingCell, setSavingCell] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [newRow, setNewRow] = useState({ clientId: '', projectId: '', taskId: '' });
+  const cellRefs = useRef({});
+
+  const days = useMemo(() => Array.from({ length: 7 }, (_, i) => addDays(weekStart, i)), [weekStart]);
+  const dayKeys = useMemo(() => days.map(day => formatDateForForm(day)), [days]);
+  const todayKey = formatDateForForm(new Date());
+
+  // Entries of the week starting at `start`, by local day
+  const getWeekEntries = useCallback((start) => {
+    const first = formatDateForForm(start);
+    const last = formatDateForForm(addDays(start, 6));
+    return timeEntries.filter(entry => {
+      const day = formatDateForForm(entry.startTime);
+      return day >= first && day <= last;
+    });
+  }, [timeEntries]);
+
+  const weekEntries = useMemo(() => getWeekEntries(weekStart), [getWeekEntries, weekStart]);
+  const lastWeekEntries = useMemo(() => getWeekEntries(addDays(weekStart, -7)), [getWeekEntries, weekStart]);
+
+  const getRowLabel = useCallback((row) => {
+    const client = clients.find(item => item.id === row.clientId);
+    const project = projects.find(item => item.id === row.projectId);
+    const task = tasks.find(item => item.id === row.taskId);
+    return [client?.name || 'No client', project?.name, task?.name].filter(Boolean).join(' / ');
+  }, [clients, projects, tasks]);
+
+  const rows = useMemo(() => {
+    const byKey = new Map();
+    const addRow = (source) => {
+      const key = getRowKey(source);
+      if (!byKey.has(key)) {
+        const row = {
+          key,
+          clientId: source.clientId ?? null,
+          projectId: source.projectId ?? null,
+          taskId: source.taskId ?? null
+        };
+        byKey.set(key, { ...row, label: getRowLabel(row), cells: dayKeys.map(() => []) });
+      }
+      return byKey.get(key);
+    };
+
+    weekEntries.forEach(entry => {
+      addRow(entry).cells[dayKeys.indexOf(formatDateForForm(entry.startTime))].push(entry);
+    });
+    addedRows.forEach(addRow);
+
+    return [...byKey.values()].sort((a, b) => a.label.localeCompare(b.label));
+  }, [weekEntries, addedRows, dayKeys, getRowLabel]);
+
+  // Totals are billed time, after rounding
+  const dayTotals = dayKeys.map((_, i) => rows.reduce((total, row) => total + getBilledMinutes(row.cells[i]), 0));
+  const weekTotal = dayTotals.reduce((total, minutes) => total + minutes, 0);
+
+  const changeWeek = (start) => {
+    setWeekStart(start);
+    setAddedRows([]);
+    setDrafts({});
+  };
+
+  // Rows of last week's entries, empty, to fill in this week
+  const copyLastWeek = () => {
+    setAddedRows(prev => [...prev, ...lastWeekEntries]);
+  };
+
+  const addRow = () => {
+    if (!newRow.clientId) return;
+    setAddedRows(prev => [...prev, {
+      clientId: parseInt(newRow.clientId),
+      projectId: newRow.projectId ? parseInt(newRow.projectId) : null,
+      taskId: newRow.taskId ? parseInt(newRow.taskId) : null
+    }]);
+    setNewRow({ clientId: '', projectId: '', taskId: '' });
+  };
+
+  const clearDraft = (cellKey) => {
+    setDrafts(prev => {
+      const next = { ...prev };
+      delete next[cellKey];
+      return next;
+    });
+  };
+
+  const commitCell = async (row, dayIndex) => {
+    const cellKey = `${row.key}|${dayIndex}`;
+    if (!(cellKey in drafts)) return;
+
+    const minutes = parseCellMinutes(drafts[cellKey]);
+    if (minutes === null || minutes > MINUTES_PER_DAY) {
+      addToast({
+        variant: 'error',
+        title: 'Invalid Hours',
+        message: 'Enter hours as 1.5, 1:30 or 90m, up to 24 hours a day.',
+        duration: 5000
+      });
+      clearDraft(cellKey);
+      return;
+    }
+
+    const plan = planCellChange({
+      row,
+      entries: row.cells[dayIndex],
+      dayEntries: rows.flatMap(item => item.cells[dayIndex]),
+      day: days[dayIndex],
+      minutes
+    });
+    if (!plan.create && plan.updates.length === 0 && plan.deletes.length === 0) {
+      clearDraft(cellKey);
+      return;
+    }
+    if (plan.deletes.length > 0) {
+      setPendingDelete({ cellKey, plan });
+      return;
+    }
+    await savePlan(cellKey, plan);
+  };
+
+  const savePlan = async (cellKey, plan) => {
+    try {
+      setSavingCell(cellKey);
+      const api = await waitForReady();
+      if (plan.create) {
+        await api.timeEntries.create(plan.create);
+      }
+      for (const { id, segments } of plan.updates) {
+        await api.timeEntries.update(id, { segments });
+      }
+      for (const id of plan.deletes) {
+        await api.timeEntries.delete(id);
+      }
+      await onChange();
+
+      const updateEvent = new CustomEvent('time-entries-updated');
+      window.dispatchEvent(updateEvent);
+    } catch (error) {
+      logger.error('Error saving week grid cell:', error);
+      addToast({
+        variant: 'error',
+        title: 'Save Failed',
+        message: `Could not save the time: ${error.message}`,
+        duration: 5000
+      });
+    } finally {
+      clearDraft(cellKey);
+      setSavingCell(null);
+    }
+  };
+
+  const confirmDelete = () => {
+    const { cellKey, plan } = pendingDelete;
+    setPendingDelete(null);
+    savePlan(cellKey, plan);
+  };
+
+  const cancelDelete = () => {
+    clearDraft(pendingDelete.cellKey);
+    setPendingDelete(null);
+  };
+
+  const focusCell = (rowIndex, dayIndex) => {
+    const input = cellRefs.current[`${rowIndex}-${dayIndex}`];
+    if (input && !input.disabled) {
+      input.focus();
+      input.select();
+    }
+  };
+
+  const handleKeyDown = (event, rowIndex, dayIndex) => {
+    const { selectionStart, selectionEnd, value } = event.target;
+    switch (event.key) {
+      case 'Enter':
+      case 'ArrowDown':
+        event.preventDefault();
+        if (rowIndex < rows.length - 1) focusCell(rowIndex + 1, dayIndex);
+        else event.target.blur();
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        focusCell(rowIndex - 1, dayIndex);
+        break;
+      case 'ArrowLeft':
+        if (selectionStart === 0 && selectionEnd === 0) {
+          event.preventDefault();
+          focusCell(rowIndex, dayIndex - 1);
+        }
+        break;
+      case 'ArrowRight':
+        if (selectionStart === value.length) {
+          event.preventDefault();
+          focusCell(rowIndex, dayIndex + 1);
+        }
+        break;
+      case 'Escape':
+        clearDraft(`${rows[rowIndex].key}|${dayIndex}`);
+        break;
+      default:
+        break;
+    }
+  };
+
+  const weekLabel = `${days[0].toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – ${
+    days[6].toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  const clientProjects = projects.filter(project => project.clientId === parseInt(newRow.clientId));
+  const projectTasks = tasks.filter(task => task.projectId === parseInt(newRow.projectId));
+
+  return (
+    <Card>
+      <FlexBox justify="space-between" align="center" margin="0 0 16px 0" gap="12px" wrap>
+        <FlexBox align="center" gap="8px">
+          <IconButton variant="secondary" size="small" title="Previous week" onClick={() => changeWeek(addDays(weekStart, -7))}>
+            <ChevronLeft size={16} />
+          </IconButton>
+          <Text margin="0" style={{ minWidth: '190px', textAlign: 'center' }}>{weekLabel}</Text>
+          <IconButton variant="secondary" size="small" title="Next week" onClick={() => changeWeek(addDays(weekStart, 7))}>
+            <ChevronRight size={16} />
+          </IconButton>
+          <Button variant="secondary" size="small" onClick={() => changeWeek(getWeekStart())}>
+            This Week
+          </Button>
+        </FlexBox>
+        <Button
+          variant="secondary"
+          size="small"
+          onClick={copyLastWeek}
+          disabled={lastWeekEntries.length === 0}
+          title="Add last week's rows to this week"
+        >
+          <Copy size={14} />
+          Copy Last Week
+        </Button>
+      </FlexBox>
+
+      <GridTable>
+        <thead>
+          <tr>
+            <th>Client / Project / Task</th>
+            {days.map((day, i) => (
+              <DayHeader key={dayKeys[i]} $today={dayKeys[i] === todayKey}>
+                {day.toLocaleDateString('en-US', { weekday: 'short', day: 'numeric' })}
+              </DayHeader>
+            ))}
+            <th>Total</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, rowIndex) => (
+            <tr key={row.key}>
+              <td>{row.label}</td>
+              {row.cells.map((entries, dayIndex) => {
+                const cellKey = `${row.key}|${dayIndex}`;
+                const locked = isCellLocked(entries);
+                const worked = getCellMinutes(entries);
+                const billed = getBilledMinutes(entries);
+                let title;
+                if (locked) title = 'Invoiced or running time is changed from the list';
+                else if (billed !== worked) title = `Billed ${formatTotalHours(billed)} h after rounding`;
+                return (
+                  <td key={cellKey}>
+                    <CellInput
+                      ref={input => { cellRefs.current[`${rowIndex}-${dayIndex}`] = input; }}
+                      inputMode="decimal"
+                      value={drafts[cellKey] ?? formatCellHours(worked)}
+                      disabled={locked || savingCell === cellKey}
+                      title={title}
+                      onFocus={(e) => e.target.select()}
+                      onChange={(e) => setDrafts(prev => ({ ...prev, [cellKey]: e.target.value }))}
+                      onBlur={() => commitCell(row, dayIndex)}
+                      onKeyDown={(e) => handleKeyDown(e, rowIndex, dayIndex)}
+                    />
+                  </td>
+                );
+              })}
+              <TotalCell>{formatTotalHours(getBilledMinutes(row.cells.flat()))}</TotalCell>
+            </tr>
+          ))}
+          {rows.length === 0 && (
+            <tr>
+              <td colSpan={9}>
+                <Text variant="secondary" margin="0">No time this week. Add a row to start entering hours.</Text>
+              </td>
+            </tr>
+          )}
+        </tbody>
+        <tfoot>
+          <tr>
+            <td>Total</td>
+            {dayTotals.map((minutes, i) => (
+              <TotalCell key={dayKeys[i]}>{formatTotalHours(minutes)}</TotalCell>
+            ))}
+            <TotalCell>{formatTotalHours(weekTotal)}</TotalCell>
+          </tr>
+        </tfoot>
+      </GridTable>
+
+      <FlexBox gap="8px" align="center" margin="16px 0 0 0" wrap>
+        <Select
+          value={newRow.clientId}
+          onChange={(e) => setNewRow({ clientId: e.target.value, projectId: '', taskId: '' })}
+          style={{ width: 'auto' }}
+        >
+          <option value="">Client…</option>
+          {clients.map(client => (
+            <option key={client.id} value={client.id}>{client.name}</option>
+          ))}
+        </Select>
+        <Select
+          value={newRow.projectId}
+          onChange={(e) => setNewRow(prev => ({ ...prev, projectId: e.target.value, taskId: '' }))}
+          disabled={clientProjects.length === 0}
+          style={{ width: 'auto' }}
+        >
+          <option value="">No project</option>
+          {clientProjects.map(project => (
+            <option key={project.id} value={project.id}>{project.name}</option>
+          ))}
+        </Select>
+        <Select
+          value={newRow.taskId}
+          onChange={(e) => setNewRow(prev => ({ ...prev, taskId: e.target.value }))}
+          disabled={projectTasks.length === 0}
+          style={{ width: 'auto' }}
+        >
+          <option value="">No task</option>
+          {projectTasks.map(task => (
+            <option key={task.id} value={task.id}>{task.name}</option>
+          ))}
+        </Select>
+        <Button variant="secondary" size="small" onClick={addRow} disabled={!newRow.clientId}>
+          <Plus size={14} />
+          Add Row
+        </Button>
+      </FlexBox>
+
+      {pendingDelete && (
+        <DeleteConfirmation
+          count={pendingDelete.plan.deletes.length}
+          onConfirm={confirmDelete}
+          onClose={cancelDelete}
+        />
+      )}
+    </Card>
+  );
+};
+
+export default WeekGrid;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import styled from 'styled-components';
+import { useSearchParams } from 'react-router-dom';
 import { 
   Play, 
   Square, 
@@ -11,11 +12,17 @@ import {
   Folder, 
   Building, 
   CheckSquare, 
-  ChevronUp 
+  ChevronUp,
+  Upload,
+  Filter,
+  X
 } from 'lucide-react';
 import { useTimer } from '../context/TimerContext';
 import { useElectronAPI } from '../hooks/useElectronAPI';
 import { useModalKeyboard } from '../hooks/useModalKeyboard';
+import ImportCsv from './TimeEntries.ImportCsv';
+import WeekGrid from './TimeEntries.WeekGrid';
+import Calendar from './TimeEntries.Calendar';
 import { 
   Container,
   Card, 
@@ -40,10 +47,12 @@ import {
   ModalCloseButton,
   EmptyState,
   IconButton,
+  Chip,
+  ChipGroup,
   LoadingOverlay
 } from './ui';
 import { colors, COLORS } from '../styles/theme';
-import { formatDurationHumanFriendly, formatTime, formatTimeForForm, formatDateForForm, calculateDuration } from '../utils/dateHelpers';
+import { formatDate, formatDurationHumanFriendly, formatTime, formatTimeForForm, formatDateForForm, calculateDuration, calculateEntryDuration, parseTimeWithDate } from '../utils/dateHelpers';
 import logger from '../utils/logger';
 
 // Styled components for Timer section (horizontal layout)
@@ -179,6 +188,11 @@ const DisabledDropdownButton = styled(DropdownButton)`
   opacity: ${props => props.disabled ? 0.5 : 1};
 `;
 
+const FilterBanner = styled(Card)`
+  margin-bottom: 20px;
+  padding: 12px 16px;
+`;
+
 const DayGroupContainer = styled.div`
   margin-bottom: ${props => props.$isLast ? '0' : '20px'};
   border-radius: 8px;
@@ -226,6 +240,16 @@ const InvoiceBadge = styled(Text)`
   font-weight: bold;
 `;
 
+const NonBillableBadge = styled(Text)`
+  padding: 2px 8px;
+  border-radius: 12px;
+  margin-bottom: 15px;
+  background-color: ${colors.secondary};
+  color: white;
+  font-size: 10px;
+  font-weight: bold;
+`;
+
 const DayInvoiceBadge = styled(Text)`
   padding: 2px 8px;
   border-radius: 12px;
@@ -259,6 +283,17 @@ const FlexForm = styled(FlexBox)`
   flex: 1;
 `;
 
+const SegmentRow = styled(FlexBox)`
+  align-items: flex-end;
+`;
+
+// Filter of the list from a link (the Reports page): client, project and task
+// ids ("none" for entries without one) and a range of local days
+const FILTER_ID_KEYS = ['clientId', 'projectId', 'taskId'];
+const FILTER_KEYS = [...FILTER_ID_KEYS, 'startDate', 'endDate'];
+
+const matchesFilterId = (value, id) => (value === 'none' ? id == null : id === Number(value));
+
 const TimeEntries = () => {
 
   // Helper functions for styling time entries (memoized)
@@ -288,6 +323,7 @@ const TimeEntries = () => {
     selectedTask,
     description,
     startTimer,
+    resumeTimer,
     stopTimer,
     updateTimerDescription,
     updateTimerClient,
@@ -298,6 +334,7 @@ const TimeEntries = () => {
   } = useTimer();
 
   const { waitForReady } = useElectronAPI();
+  const [searchParams, setSearchParams] = useSearchParams();
 
   // Timer state
   const [clients, setClients] = useState([]);
@@ -324,6 +361,8 @@ const TimeEntries = () => {
   const [timeEntries, setTimeEntries] = useState([]);
   const [settings, setSettings] = useState({ timer_rounding: '15' });
   const [showModal, setShowModal] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [view, setView] = useState('list');
   const [editingEntry, setEditingEntry] = useState(null);
   const [currentTime, setCurrentTime] = useState(new Date());
   const [collapsedDays, setCollapsedDays] = useState(new Set());
@@ -336,6 +375,9 @@ const TimeEntries = () => {
     description: '',
     startTime: '',
     endTime: '',
+    segments: [],
+    isBillable: '',
+    hourlyRate: '',
     date: new Date().toISOString().split('T')[0]
   });
 
@@ -407,10 +449,44 @@ const TimeEntries = () => {
     }
   }, [waitForReady]);
 
+  const entryFilter = useMemo(() => Object.fromEntries(
+    FILTER_KEYS.map(key => [key, searchParams.get(key)]).filter(([, value]) => value)
+  ), [searchParams]);
+  const isFiltered = Object.keys(entryFilter).length > 0;
+
+  const visibleEntries = useMemo(() => {
+    if (!isFiltered) return timeEntries;
+    return timeEntries.filter(entry => {
+      const day = formatDateForForm(entry.startTime);
+      return (!entryFilter.startDate || day >= entryFilter.startDate) &&
+        (!entryFilter.endDate || day <= entryFilter.endDate) &&
+        FILTER_ID_KEYS.every(key => !entryFilter[key] || matchesFilterId(entryFilter[key], entry[key]));
+    });
+  }, [timeEntries, entryFilter, isFiltered]);
+
+  // e.g. "Acme / Website · Mar 1, 2026 – Mar 31, 2026"
+  const filterLabel = useMemo(() => {
+    const nameOf = (list, key, fallback) => {
+      const value = entryFilter[key];
+      if (!value) return null;
+      if (value === 'none') return fallback;
+      return list.find(item => item.id === Number(value))?.name || fallback;
+    };
+    const names = [
+      nameOf(clients, 'clientId', 'No client'),
+      nameOf(projects, 'projectId', 'No project'),
+      nameOf(tasks, 'taskId', 'No task')
+    ].filter(Boolean);
+    const days = [entryFilter.startDate, entryFilter.endDate]
+      .filter(Boolean)
+      .map(day => formatDate(`${day}T00:00:00`));
+    return [names.join(' / '), days.join(' – ')].filter(Boolean).join(' · ');
+  }, [entryFilter, clients, projects, tasks]);
+
   // Memoized grouped entries to prevent expensive recalculations
   const groupedEntries = useMemo(() => {
     const groups = {};
-    timeEntries.forEach(entry => {
+    visibleEntries.forEach(entry => {
       const date = new Date(entry.startTime);
       const dateKey = date.toLocaleDateString('en-US', {
         weekday: 'short',
@@ -435,7 +511,7 @@ const TimeEntries = () => {
     });
     
     return sortedGroups;
-  }, [timeEntries]);
+  }, [visibleEntries]);
 
   // Timer sync with context - only when timer becomes active
   useEffect(() => {
@@ -578,9 +654,10 @@ const TimeEntries = () => {
     restoreLastUsed();
   }, [clients, projects, tasks, activeTimer, isInitialLoading, localSelectedClient, localSelectedProject, localSelectedTask, waitForReady]);
 
-  // Set up initial collapsed state for time entries
+  // Set up initial collapsed state for time entries; a filtered list opens
+  // every day
   useEffect(() => {
-    if (timeEntries.length > 0) {
+    if (visibleEntries.length > 0 && !isFiltered) {
       const dates = Object.keys(groupedEntries);
       
       if (dates.length > 0) {
@@ -590,7 +667,7 @@ const TimeEntries = () => {
     } else {
       setCollapsedDays(new Set());
     }
-  }, [timeEntries, groupedEntries]);
+  }, [visibleEntries, groupedEntries, isFiltered]);
 
   // Update current time every second for active timers (only if there are active timers)
   useEffect(() => {
@@ -880,7 +957,7 @@ const TimeEntries = () => {
       const canResume = entry.endTime && !entry.isActive;
       
       if (activeTimer) {
-        const elapsedMinutes = Math.floor((new Date() - new Date(activeTimer.startTime)) / (1000 * 60));
+        const elapsedMinutes = calculateEntryDuration(activeTimer);
         
         if (elapsedMinutes <= roundingMinutes) {
           await startTimer({
@@ -909,6 +986,15 @@ const TimeEntries = () => {
         }
       }
 
+      // Entries from today keep accumulating time on the same entry;
+      // older or invoiced ones start a fresh entry with the same details
+      if (canResume && !entry.isInvoiced && formatDateForForm(entry.startTime) === formatDateForForm(new Date())) {
+        logger.log(`Resuming entry ${entry.id}`);
+        await resumeTimer(entry.id);
+        await loadTimeEntries();
+        return;
+      }
+
       if (canResume) {
         const timeSinceStop = canResume ? Math.floor((new Date() - new Date(entry.endTime)) / (1000 * 60)) : null;
         logger.log(`Creating new entry from ${entry.id} (stopped ${timeSinceStop} minutes ago)`);
@@ -935,15 +1021,57 @@ const TimeEntries = () => {
     }
   };
 
+  // Segment editing: a single start/end pair is the common case, so the list
+  // only appears once an entry has (or is split into) more than one segment
+  const setFormSegments = (segments) => {
+    setEntryForm(prev => ({
+      ...prev,
+      segments: segments.length > 1 ? segments : [],
+      startTime: segments[0]?.startTime || '',
+      endTime: segments[segments.length - 1]?.endTime || ''
+    }));
+  };
+
+  const handleSegmentChange = (index, field, value) => {
+    setFormSegments(entryForm.segments.map((segment, i) => (
+      i === index ? { ...segment, [field]: value } : segment
+    )));
+  };
+
+  const handleAddSegment = () => {
+    const segments = entryForm.segments.length > 0
+      ? entryForm.segments
+      : [{ startTime: entryForm.startTime, endTime: entryForm.endTime }];
+    setFormSegments([...segments, { startTime: '', endTime: '' }]);
+  };
+
+  const handleRemoveSegment = (index) => {
+    setFormSegments(entryForm.segments.filter((_, i) => i !== index));
+  };
+
+  const getSegmentsPayload = () => (
+    entryForm.segments.length > 1 ? entryForm.segments : undefined
+  );
+
+  const hasIncompleteSegments = entryForm.segments.some(segment => !segment.startTime || !segment.endTime);
+
+  const segmentsTotal = entryForm.segments.reduce((total, segment) => (
+    total + calculateDuration(
+      parseTimeWithDate(segment.startTime, entryForm.date),
+      parseTimeWithDate(segment.endTime, entryForm.date)
+    )
+  ), 0);
+
   const handleCreateEntry = async () => {
-    if (entryForm.clientId && entryForm.startTime && entryForm.endTime) {
+    if (entryForm.clientId && entryForm.startTime && entryForm.endTime && !hasIncompleteSegments) {
       try {
         const api = await waitForReady();
         const createData = {
           ...entryForm,
           clientId: parseInt(entryForm.clientId),
           projectId: entryForm.projectId ? parseInt(entryForm.projectId) : null,
-          taskId: entryForm.taskId ? parseInt(entryForm.taskId) : null
+          taskId: entryForm.taskId ? parseInt(entryForm.taskId) : null,
+          segments: getSegmentsPayload()
         };
         
         await api.invoke('db:createTimeEntry', createData);
@@ -954,6 +1082,9 @@ const TimeEntries = () => {
           description: '',
           startTime: '',
           endTime: '',
+          segments: [],
+          isBillable: '',
+          hourlyRate: '',
           date: new Date().toISOString().split('T')[0]
         });
         setShowModal(false);
@@ -968,14 +1099,15 @@ const TimeEntries = () => {
   };
 
   const handleUpdateEntry = async () => {
-    if (editingEntry && entryForm.clientId && entryForm.startTime && entryForm.endTime) {
+    if (editingEntry && entryForm.clientId && entryForm.startTime && entryForm.endTime && !hasIncompleteSegments) {
       try {
         const api = await waitForReady();
         const updateData = {
           ...entryForm,
           clientId: parseInt(entryForm.clientId),
           projectId: entryForm.projectId ? parseInt(entryForm.projectId) : null,
-          taskId: entryForm.taskId ? parseInt(entryForm.taskId) : null
+          taskId: entryForm.taskId ? parseInt(entryForm.taskId) : null,
+          segments: getSegmentsPayload()
         };
         
         await api.invoke('db:updateTimeEntry', editingEntry.id, updateData);
@@ -987,6 +1119,9 @@ const TimeEntries = () => {
           description: '',
           startTime: '',
           endTime: '',
+          segments: [],
+          isBillable: '',
+          hourlyRate: '',
           date: new Date().toISOString().split('T')[0]
         });
         setEditingEntry(null);
@@ -1037,11 +1172,26 @@ const TimeEntries = () => {
       description: entry.description || '',
       startTime: formatTimeForForm(entry.startTime),
       endTime: formatTimeForForm(entry.endTime),
-      date: formatDateForForm(entry.startTime)
+      date: formatDateForForm(entry.startTime),
+      isBillable: entry.isBillable !== false,
+      hourlyRate: entry.hourlyRate || '',
+      segments: (entry.segments || []).length > 1
+        ? entry.segments.map(segment => ({
+            startTime: formatTimeForForm(segment.startTime),
+            endTime: formatTimeForForm(segment.endTime)
+          }))
+        : []
     });
     setShowModal(true);
   };
 
+  // New entry over a span picked in the calendar
+  const openCreateModal = ({ date, startTime, endTime }) => {
+    setEditingEntry(null);
+    setEntryForm(prev => ({ ...prev, date, startTime, endTime, segments: [] }));
+    setShowModal(true);
+  };
+
   // Helper functions for time entries (memoized)
   const getClientName = useCallback((clientId) => {
     const client = clients.find(c => c.id === clientId);
@@ -1053,25 +1203,13 @@ const TimeEntries = () => {
     return task ? task.name : null;
   }, [tasks]);
 
-  const getElapsedTime = useCallback((startTime) => {
-    const start = new Date(startTime);
-    const now = currentTime;
-    const diffMs = now.getTime() - start.getTime();
-    const minutes = Math.max(0, Math.floor(diffMs / (1000 * 60))); // Ensure non-negative
-    return formatDurationHumanFriendly(minutes);
+  const getElapsedTime = useCallback((entry) => {
+    return formatDurationHumanFriendly(calculateEntryDuration(entry, currentTime));
   }, [currentTime]);
 
   const calculateDayTotal = useCallback((entries) => {
     const totalMinutes = entries.reduce((total, entry) => {
-      if (entry.isActive) {
-        const start = new Date(entry.startTime);
-        const now = currentTime;
-        const diffMs = now.getTime() - start.getTime();
-        const minutes = Math.max(0, Math.floor(diffMs / (1000 * 60))); // Ensure non-negative
-        return total + minutes;
-      } else {
-        return total + calculateDuration(entry.startTime, entry.endTime);
-      }
+      return total + calculateEntryDuration(entry, currentTime);
     }, 0);
     
     return formatDurationHumanFriendly(totalMinutes);
@@ -1112,6 +1250,9 @@ const TimeEntries = () => {
         description: '',
         startTime: '',
         endTime: '',
+        segments: [],
+        isBillable: '',
+        hourlyRate: '',
         date: new Date().toISOString().split('T')[0]
       });
     },
@@ -1276,18 +1417,83 @@ const TimeEntries = () => {
       {/* Time Entries Section */}
       <TimeEntriesSection>
         <FlexBox justify="space-between" align="center" margin="0 0 20px 0">
-          <Title>Recent Time Entries</Title>
-          <Button variant="primary" onClick={() => setShowModal(true)}>
-            <Plus size={16} />
-            Manual Entry
-          </Button>
+          <FlexBox align="center" gap="16px">
+            <Title>{{ week: 'Week', calendar: 'Calendar' }[view] || 'Recent Time Entries'}</Title>
+            <ChipGroup>
+              <Chip variant={view === 'list' ? 'active' : 'default'} onClick={() => setView('list')}>
+                List
+              </Chip>
+              <Chip variant={view === 'week' ? 'active' : 'default'} onClick={() => setView('week')}>
+                Week
+              </Chip>
+              <Chip variant={view === 'calendar' ? 'active' : 'default'} onClick={() => setView('calendar')}>
+                Calendar
+              </Chip>
+            </ChipGroup>
+          </FlexBox>
+          <FlexBox gap="10px">
+            <Button variant="secondary" onClick={() => setShowImport(true)}>
+              <Upload size={16} />
+              Import CSV
+            </Button>
+            <Button variant="primary" onClick={() => setShowModal(true)}>
+              <Plus size={16} />
+              Manual Entry
+            </Button>
+          </FlexBox>
         </FlexBox>
 
-        {timeEntries.length === 0 ? (
+        {view === 'week' && (
+          <WeekGrid
+            timeEntries={timeEntries}
+            clients={clients}
+            projects={projects}
+            tasks={tasks}
+            onChange={loadTimeEntries}
+          />
+        )}
+
+        {view === 'calendar' && (
+          <Calendar
+            timeEntries={timeEntries}
+            clients={clients}
+            projects={projects}
+            tasks={tasks}
+            onChange={loadTimeEntries}
+            onCreate={openCreateModal}
+            onEdit={openEditModal}
+          />
+        )}
+
+        {view === 'list' && isFiltered && (
+          <FilterBanner>
+            <FlexBox justify="space-between" align="center" gap="12px">
+              <FlexBox align="center" gap="8px">
+                <Filter size={16} />
+                <Text margin="0">{filterLabel}</Text>
+              </FlexBox>
+              <Button variant="secondary" size="small" onClick={() => setSearchParams({})}>
+                <X size={14} />
+                Clear Filter
+              </Button>
+            </FlexBox>
+          </FilterBanner>
+        )}
+
+        {view === 'list' && (visibleEntries.length === 0 ? (
           <EmptyState>
             <Clock size={48} />
-            <h3>No Time Entries</h3>
-            <p>Start tracking your time or add a manual entry</p>
+            {isFiltered ? (
+              <>
+                <h3>No Matching Entries</h3>
+                <p>No time entries match this filter</p>
+              </>
+            ) : (
+              <>
+                <h3>No Time Entries</h3>
+                <p>Start tracking your time or add a manual entry</p>
+              </>
+            )}
           </EmptyState>
         ) : (
           <FlexBox direction="column" gap="0">
@@ -1365,6 +1571,11 @@ const TimeEntries = () => {
                                     INVOICED
                                   </InvoiceBadge>
                                 )}
+                                {entry.isBillable === false && (
+                                  <NonBillableBadge size="small">
+                                    NON-BILLABLE
+                                  </NonBillableBadge>
+                                )}
                               </FlexBox>
                               <Text variant="secondary" size="small">
                                 <ClientIcon size={14} />
@@ -1384,13 +1595,19 @@ const TimeEntries = () => {
                                     ? `${formatTime(entry.startTime)} - Running`
                                     : `${formatTime(entry.startTime)} - ${formatTime(entry.endTime)}`
                                   }
+                                  {(entry.segments || []).length > 1 && ` (${entry.segments.length} segments)`}
                                 </Text>
                                 <Text size="medium" variant="success">
                                   {entry.isActive 
-                                    ? getElapsedTime(entry.startTime)
-                                    : formatDurationHumanFriendly(calculateDuration(entry.startTime, entry.endTime))
+                                    ? getElapsedTime(entry)
+                                    : formatDurationHumanFriendly(calculateEntryDuration(entry))
                                   }
                                 </Text>
+                                {!entry.isActive && typeof entry.rawDuration === 'number' && entry.rawDuration !== entry.duration && (
+                                  <Text size="small" variant="secondary">
+                                    Billed {formatDurationHumanFriendly(entry.duration)}
+                                  </Text>
+                                )}
                               </FlexBox>
                             </FlexBox>
                             
@@ -1433,10 +1650,14 @@ const TimeEntries = () => {
               );
             })}
           </FlexBox>
-        )}
+        ))}
       </TimeEntriesSection>
 
       {/* Time Entry Modal */}
+      {showImport && (
+        <ImportCsv onClose={() => setShowImport(false)} onImported={loadAllData} />
+      )}
+
       {showModal && (
         <Modal show={showModal} onClick={() => setShowModal(false)}>
           <ModalContent onClick={(e) => e.stopPropagation()}>
@@ -1492,6 +1713,37 @@ const TimeEntries = () => {
                   ))}
                 </Select>
               </FlexBox>
+
+              <FlexBox direction="column" gap="5px">
+                <Label>Billable</Label>
+                <Select
+                  value={String(entryForm.isBillable)}
+                  onChange={(e) => {
+                    const { value } = e.target;
+                    setEntryForm(prev => ({ ...prev, isBillable: value === '' ? '' : value === 'true' }));
+                  }}
+                >
+                  {!editingEntry && <option value="">Same as task or project</option>}
+                  <option value="true">Billable</option>
+                  <option value="false">Non-billable</option>
+                </Select>
+              </FlexBox>
+
+              <FlexBox direction="column" gap="5px">
+                <Label>Hourly Rate</Label>
+                <Input
+                  type="text"
+                  value={entryForm.hourlyRate}
+                  onChange={(e) => {
+                    const value = e.target.value;
+                    // Allow numbers, decimal point, and empty string
+                    if (value === '' || /^\d*\.?\d*$/.test(value)) {
+                      setEntryForm(prev => ({ ...prev, hourlyRate: value }));
+                    }
+                  }}
+                  placeholder="Override task/project/client rate"
+                />
+              </FlexBox>
               
               <FlexBox direction="column" gap="5px">
                 <Label>Date *</Label>
@@ -1502,25 +1754,77 @@ const TimeEntries = () => {
                 />
               </FlexBox>
               
-              <FlexBox gap="10px">
-                <FlexForm direction="column" gap="5px">
-                  <Label>Start Time *</Label>
-                  <Input
-                    type="time"
-                    value={entryForm.startTime}
-                    onChange={(e) => setEntryForm(prev => ({ ...prev, startTime: e.target.value }))}
-                  />
-                </FlexForm>
-                
-                <FlexForm direction="column" gap="5px">
-                  <Label>End Time *</Label>
-                  <Input
-                    type="time"
-                    value={entryForm.endTime}
-                    onChange={(e) => setEntryForm(prev => ({ ...prev, endTime: e.target.value }))}
-                  />
-                </FlexForm>
-              </FlexBox>
+              {entryForm.segments.length > 1 ? (
+                <FlexBox direction="column" gap="10px">
+                  <Label>Work Segments *</Label>
+                  {entryForm.segments.map((segment, index) => (
+                    <SegmentRow key={index} gap="10px">
+                      <FlexForm direction="column" gap="5px">
+                        <Text size="small" variant="secondary">Start</Text>
+                        <Input
+                          type="time"
+                          value={segment.startTime}
+                          onChange={(e) => handleSegmentChange(index, 'startTime', e.target.value)}
+                        />
+                      </FlexForm>
+                      <FlexForm direction="column" gap="5px">
+                        <Text size="small" variant="secondary">End</Text>
+                        <Input
+                          type="time"
+                          value={segment.endTime}
+                          onChange={(e) => handleSegmentChange(index, 'endTime', e.target.value)}
+                        />
+                      </FlexForm>
+                      <IconButton
+                        variant="danger"
+                        size="small"
+                        onClick={() => handleRemoveSegment(index)}
+                        title="Remove segment"
+                      >
+                        <Trash2 size={14} />
+                      </IconButton>
+                    </SegmentRow>
+                  ))}
+                  <FlexBox justify="space-between" align="center">
+                    <Text size="small" variant="secondary">
+                      Total: {formatDurationHumanFriendly(segmentsTotal)}
+                    </Text>
+                    <Button variant="secondary" size="small" onClick={handleAddSegment}>
+                      <Plus size={14} />
+                      Add Segment
+                    </Button>
+                  </FlexBox>
+                </FlexBox>
+              ) : (
+                <FlexBox gap="10px" align="flex-end">
+                  <FlexForm direction="column" gap="5px">
+                    <Label>Start Time *</Label>
+                    <Input
+                      type="time"
+                      value={entryForm.startTime}
+                      onChange={(e) => setEntryForm(prev => ({ ...prev, startTime: e.target.value }))}
+                    />
+                  </FlexForm>
+                  
+                  <FlexForm direction="column" gap="5px">
+                    <Label>End Time *</Label>
+                    <Input
+                      type="time"
+                      value={entryForm.endTime}
+                      onChange={(e) => setEntryForm(prev => ({ ...prev, endTime: e.target.value }))}
+                    />
+                  </FlexForm>
+
+                  <IconButton
+                    variant="secondary"
+                    size="small"
+                    onClick={handleAddSegment}
+                    title="Add another work segment (e.g. after a break)"
+                  >
+                    <Plus size={14} />
+                  </IconButton>
+                </FlexBox>
+              )}
               
               <FlexBox direction="column" gap="5px">
                 <Label>Description</Label>
@@ -1538,7 +1842,7 @@ const TimeEntries = () => {
                 <Button 
                   variant="primary" 
                   onClick={editingEntry ? handleUpdateEntry : handleCreateEntry}
-                  disabled={!entryForm.clientId || !entryForm.startTime || !entryForm.endTime}
+                  disabled={!entryForm.clientId || !entryForm.startTime || !entryForm.endTime || hasIncompleteSegments}
                 >
                   {editingEntry ? 'Update' : 'Create'} Entry
                 </Button>
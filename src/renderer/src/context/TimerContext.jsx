@@ -1,9 +1,14 @@
 import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import { useElectronAPI } from '../hooks/useElectronAPI';
 import logger from '../utils/logger';
+import { calculateEntryElapsedMs } from '../utils/dateHelpers';
 
 const TimerContext = createContext();
 
+// The tray counts up from a start time, so hand it one that accounts for
+// time already logged in earlier segments of a resumed entry
+const getTrayStartTime = (timer) => new Date(Date.now() - calculateEntryElapsedMs(timer));
+
 export const useTimer = () => {
   const context = useContext(TimerContext);
   if (!context) {
@@ -70,19 +75,11 @@ export const TimerProvider = ({ children }) => {
           setActiveTimer(timer);
           setIsRunning(true);
           
-          // Calculate elapsed time using the correct Prisma field names
+          // Calculate elapsed time from the entry's work segments
           try {
-            const startTime = new Date(timer.startTime); // Changed from timer.start_time
-            logger.log('[TimerContext] Start time:', timer.startTime, 'Parsed:', startTime);
-            
-            if (isNaN(startTime.getTime())) {
-              logger.error('[TimerContext] Invalid start time, defaulting to 0');
-              setTime(0);
-            } else {
-              const elapsed = Math.floor((new Date() - startTime) / 1000);
-              logger.log('[TimerContext] Calculated elapsed time:', elapsed, 'seconds');
-              setTime(elapsed);
-            }
+            const elapsed = Math.floor(calculateEntryElapsedMs(timer) / 1000);
+            logger.log('[TimerContext] Calculated elapsed time:', elapsed, 'seconds');
+            setTime(elapsed);
           } catch (error) {
             logger.error('[TimerContext] Error calculating elapsed time:', error);
             setTime(0);
@@ -118,7 +115,7 @@ export const TimerProvider = ({ children }) => {
             id: timer.id,
             clientName: clientName,
             description: timer.description || '',
-            startTime: timer.startTime
+            startTime: getTrayStartTime(timer)
           });
         } else {
           logger.log('[TimerContext] No active timer found');
@@ -155,11 +152,7 @@ export const TimerProvider = ({ children }) => {
   const recalcElapsed = useCallback(() => {
     if (!isRunning || !activeTimer) return;
     try {
-      const start = new Date(activeTimer.startTime);
-      if (!isNaN(start.getTime())) {
-        const elapsed = Math.floor((Date.now() - start.getTime()) / 1000);
-        setTime(elapsed);
-      }
+      setTime(Math.floor(calculateEntryElapsedMs(activeTimer) / 1000));
     } catch (_) {
       // ignore
     }
@@ -263,7 +256,7 @@ export const TimerProvider = ({ children }) => {
             id: timer.id,
             clientName: clientName,
             description: description,
-            startTime: timer.startTime
+            startTime: getTrayStartTime(timer)
           });
           
           // Emit timer-started event to notify other components
@@ -283,7 +276,48 @@ export const TimerProvider = ({ children }) => {
     }
   }, [waitForReady, updateTrayStatus]);
 
-  const stopTimer = useCallback(async (roundTo = 15) => {
+  // Resume a stopped entry: time keeps accumulating on the same entry
+  const resumeTimer = useCallback(async (entryId) => {
+    logger.log('[TimerContext] Resuming timer for entry:', entryId);
+
+    try {
+      const api = await waitForReady();
+      if (!api || !api.invoke) {
+        throw new Error('electronAPI not available');
+      }
+
+      const timer = await api.invoke('db:resumeTimer', entryId);
+      if (!timer) {
+        throw new Error('Failed to resume timer - no response from backend');
+      }
+
+      logger.log('[TimerContext] Timer resumed successfully:', timer);
+      setActiveTimer(timer);
+      setIsRunning(true);
+      setTime(Math.floor(calculateEntryElapsedMs(timer) / 1000));
+      setDescription(timer.description || '');
+      setSelectedClient(timer.client || null);
+      setSelectedProject(timer.project || null);
+      setSelectedTask(timer.task || null);
+
+      updateTrayStatus({
+        id: timer.id,
+        clientName: timer.client?.name || null,
+        description: timer.description || '',
+        startTime: getTrayStartTime(timer)
+      });
+
+      const startEvent = new CustomEvent('timer-started', { detail: timer });
+      window.dispatchEvent(startEvent);
+
+      return timer;
+    } catch (error) {
+      logger.error('[TimerContext] Error resuming timer:', error);
+      throw error;
+    }
+  }, [waitForReady, updateTrayStatus]);
+
+  const stopTimer = useCallback(async (roundTo = null) => {
     logger.log('[TimerContext] Stopping timer, roundTo:', roundTo);
     
     // Prevent multiple simultaneous stop operations
@@ -511,6 +545,7 @@ export const TimerProvider = ({ children }) => {
     
     // Actions
     startTimer,
+    resumeTimer,
     stopTimer,
     updateTimerDescription,
     updateTimerClient,
@@ -522,6 +557,58 @@ export const TimerProvider = ({ children }) => {
     formatTime
   };
 
+  // Keep timer state in sync when an idle period is resolved (from the prompt or the tray)
+  useEffect(() => {
+    let unsub = null;
+
+    const setupIdleListener = async () => {
+      const api = await waitForReady();
+      if (!api?.idle?.onEvent) return;
+
+      const handleIdleEvent = async (evt) => {
+        if (!evt || evt.type !== 'resolved') return;
+        const { action, entry } = evt.payload || {};
+        logger.log('[TimerContext] Idle period resolved:', action);
+
+        try {
+          if (action === 'discard') {
+            // The timer was stopped where the idle period began
+            setActiveTimer(null);
+            setIsRunning(false);
+            setTime(0);
+            updateTrayStatus(null);
+            window.dispatchEvent(new CustomEvent('timer-stopped', { detail: entry }));
+          } else if (action === 'split') {
+            // The running entry lost the idle period, so reload its segments
+            const timer = await api.invoke('db:getActiveTimer');
+            if (timer) {
+              setActiveTimer(timer);
+              setTime(Math.floor(calculateEntryElapsedMs(timer) / 1000));
+              updateTrayStatus({
+                id: timer.id,
+                clientName: timer.client?.name || null,
+                description: timer.description || '',
+                startTime: getTrayStartTime(timer)
+              });
+            }
+          }
+
+          if (action === 'discard' || action === 'split') {
+            window.dispatchEvent(new CustomEvent('refresh-time-entries'));
+          }
+        } catch (error) {
+          logger.error('[TimerContext] Error applying idle resolution:', error);
+        }
+      };
+
+      api.idle.onEvent(handleIdleEvent);
+      unsub = () => api.idle.removeEventListener(handleIdleEvent);
+    };
+
+    setupIdleListener();
+    return () => { if (unsub) unsub(); };
+  }, [waitForReady, updateTrayStatus]);
+
   // Set up tray event listeners - these belong in TimerContext not individual components
   useEffect(() => {
     // Only setup listeners once
@@ -546,7 +633,7 @@ export const TimerProvider = ({ children }) => {
             // Use the current stopTimer function from context
             const currentStopTimer = stopTimerRef.current;
             if (currentStopTimer) {
-              await currentStopTimer(15); // Use default rounding
+              await currentStopTimer(); // Rounding policy is resolved by the main process
             }
             // Emit event to refresh time entries
             const refreshEvent = new CustomEvent('refresh-time-entries');
@@ -0,0 +1,24 @@
+import { useState, useEffect } from 'react';
+import { DEFAULT_CURRENCY } from '../utils/currency';
+
+/**
+ * Company default currency from Settings
+ * @returns {string} ISO currency code
+ */
+export const useDefaultCurrency = () => {
+  const [defaultCurrency, setDefaultCurrency] = useState(DEFAULT_CURRENCY);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const value = await window.electronAPI?.invoke('db:getSetting', 'default_currency');
+        if (value) setDefaultCurrency(value);
+      } catch (_) {
+        // Keep the default
+      }
+    };
+    load();
+  }, []);
+
+  return defaultCurrency;
+};
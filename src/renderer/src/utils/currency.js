@@ -0,0 +1,50 @@
+// Money formatting for the renderer. Clients bill in their own currency or
+// the company default (`default_currency` setting).
+
+export const DEFAULT_CURRENCY = 'USD';
+
+export const CURRENCY_OPTIONS = [
+  { code: 'USD', label: 'USD - US Dollar' },
+  { code: 'EUR', label: 'EUR - Euro' },
+  { code: 'GBP', label: 'GBP - British Pound' },
+  { code: 'CAD', label: 'CAD - Canadian Dollar' },
+  { code: 'AUD', label: 'AUD - Australian Dollar' },
+  { code: 'CHF', label: 'CHF - Swiss Franc' },
+  { code: 'JPY', label: 'JPY - Japanese Yen' }
+];
+
+export const formatCurrency = (amount, currency = DEFAULT_CURRENCY) => {
+  try {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: currency || DEFAULT_CURRENCY
+    }).format(amount || 0);
+  } catch (_) {
+    // Unknown currency code
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: DEFAULT_CURRENCY }).format(amount || 0);
+  }
+};
+
+// Symbol alone, e.g. for input labels ("Hourly Rate (€)")
+export const getCurrencySymbol = (currency = DEFAULT_CURRENCY) => {
+  const part = new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || DEFAULT_CURRENCY })
+    .formatToParts(0)
+    .find(p => p.type === 'currency');
+  return part ? part.value : currency;
+};
+
+export const getClientCurrency = (client, defaultCurrency = DEFAULT_CURRENCY) =>
+  client?.currency || defaultCurrency || DEFAULT_CURRENCY;
+
+// Sum amounts per currency: [{ currency, amount }] -> { USD: 10, EUR: 5 }
+export const sumByCurrency = (items) =>
+  items.reduce((totals, { currency, amount }) => {
+    totals[currency] = (totals[currency] || 0) + (amount || 0);
+    return totals;
+  }, {});
+
+// Per-currency totals as one line, e.g. "$120.00 + €80.00"; empty when all are 0
+export const formatTotals = (totals) => Object.entries(totals || {})
+  .filter(([, amount]) => amount > 0)
+  .map(([currency, amount]) => formatCurrency(amount, currency))
+  .join(' + ');
@@ -2,6 +2,8 @@
  * Date and time utility functions for the myHours application
  */
 
+const MINUTE_MS = 60 * 1000;
+
 /**
  * Format duration in minutes to HH:MM format
  */
@@ -166,3 +168,127 @@ export const calculateDuration = (startTime, endTime) => {
     return 0;
   }
 };
+
+/**
+ * Calculate worked minutes of a time entry from its segments (work intervals).
+ * Running entries and open segments count up to `now`; entries without
+ * segments fall back to their start and end times.
+ */
+export const calculateEntryDuration = (entry, now = new Date()) => {
+  return Math.floor(calculateEntryElapsedMs(entry, now) / (1000 * 60));
+};
+
+/**
+ * Calculate worked milliseconds of a time entry from its segments
+ */
+export const calculateEntryElapsedMs = (entry, now = new Date()) => {
+  if (!entry) return 0;
+
+  const segments = entry.segments && entry.segments.length > 0
+    ? entry.segments
+    : [{ startTime: entry.startTime, endTime: entry.isActive ? null : (entry.endTime || entry.startTime) }];
+
+  return segments.reduce((total, segment) => {
+    const start = new Date(segment.startTime).getTime();
+    const end = segment.endTime ? new Date(segment.endTime).getTime() : now.getTime();
+    if (isNaN(start) || isNaN(end)) return total;
+    return total + Math.max(0, end - start);
+  }, 0);
+};
+
+/**
+ * Work intervals of a time entry as { start, end } in milliseconds. Entries
+ * without segments have only their start and end; a running entry runs until
+ * `now`.
+ */
+export const getEntrySegments = (entry, now = new Date()) => (
+  entry.segments?.length > 0 ? entry.segments : [{ startTime: entry.startTime, endTime: entry.endTime }]
+).map(segment => ({
+  start: new Date(segment.startTime).getTime(),
+  end: segment.endTime ? new Date(segment.endTime).getTime() : now.getTime()
+}));
+
+// Segments from getEntrySegments as sent to db:updateTimeEntry
+export const toSegmentsPayload = (segments) => segments.map(segment => ({
+  startTime: new Date(segment.start).toISOString(),
+  endTime: new Date(segment.end).toISOString()
+}));
+
+// Minutes rounded to the nearest multiple of `step`
+export const snapMinutes = (minutes, step) => Math.round(minutes / step) * step;
+
+// A time rounded to the nearest `step` minutes of the local clock
+const snapTime = (time, step) => {
+  const midnight = addDays(new Date(time), 0).getTime();
+  return midnight + snapMinutes((time - midnight) / MINUTE_MS, step) * MINUTE_MS;
+};
+
+/**
+ * Segments of an entry after a drag on the calendar. A move shifts every
+ * segment by whole days (keeping the clock time) and the pointer's minutes,
+ * snapped; dragging the start or end moves only the first segment's start or
+ * the last segment's end, to the nearest `step` minutes, and keeps that
+ * segment at least `step` minutes long. Only the worked time is moved, so a
+ * rounded entry is rounded again when it is saved.
+ * @param {Object} entry
+ * @param {Object} drag
+ * @param {string} drag.type - "move", "start" or "end"
+ * @param {number} [drag.days] - Days the pointer moved across (moves only)
+ * @param {number} drag.minutes - Minutes the pointer moved up or down
+ * @param {number} [step] - Minutes to snap to
+ * @returns {Array<{start: number, end: number}>}
+ */
+export const getDraggedSegments = (entry, { type, days = 0, minutes }, step = 15) => {
+  const segments = getEntrySegments(entry).map(segment => ({ ...segment }));
+  const first = segments[0];
+  const last = segments[segments.length - 1];
+  const stepMs = step * MINUTE_MS;
+
+  if (type === 'move') {
+    const start = new Date(first.start);
+    const moved = addDays(start, days);
+    moved.setHours(start.getHours(), start.getMinutes(), start.getSeconds(), start.getMilliseconds());
+    const shift = moved.getTime() - first.start + snapMinutes(minutes, step) * MINUTE_MS;
+    return segments.map(segment => ({ start: segment.start + shift, end: segment.end + shift }));
+  }
+
+  if (type === 'start') {
+    first.start = Math.min(snapTime(first.start + minutes * MINUTE_MS, step), first.end - stepMs);
+  } else {
+    last.end = Math.max(snapTime(last.end + minutes * MINUTE_MS, step), last.start + stepMs);
+  }
+  return segments;
+};
+
+// Local midnight `days` days after a date (before it when negative)
+export const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Monday of the week a date is in, at local midnight
+export const getWeekStart = (date = new Date()) => addDays(date, -((date.getDay() + 6) % 7));
+
+/**
+ * Start and end (YYYY-MM-DD, both included) of a named date range. Weeks run
+ * Monday to Sunday; ranges up to today (thisWeek, thisMonth, thisQuarter,
+ * yearToDate) end today.
+ */
+export const getDateRange = (range, today = new Date()) => {
+  const year = today.getFullYear();
+  const month = today.getMonth();
+  const quarterStart = month - (month % 3);
+  const monday = getWeekStart(today);
+
+  const ranges = {
+    thisWeek: [monday, today],
+    lastWeek: [addDays(monday, -7), addDays(monday, -1)],
+    thisMonth: [new Date(year, month, 1), today],
+    lastMonth: [new Date(year, month - 1, 1), new Date(year, month, 0)],
+    thisQuarter: [new Date(year, quarterStart, 1), today],
+    lastQuarter: [new Date(year, quarterStart - 3, 1), new Date(year, quarterStart, 0)],
+    yearToDate: [new Date(year, 0, 1), today],
+    lastYear: [new Date(year - 1, 0, 1), new Date(year - 1, 11, 31)]
+  };
+  if (!ranges[range]) return null;
+
+  const [start, end] = ranges[range];
+  return { startDate: formatDateForForm(start), endDate: formatDateForForm(end) };
+};
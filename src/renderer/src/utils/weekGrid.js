@@ -0,0 +1,136 @@
+// Week grid cells: the time entries of one client, project and task on one
+// day. Cells show worked time before rounding, so hours typed into a cell are
+// exactly the time the entries cover; rounding only applies to the billed
+// totals.
+
+import {
+  addDays,
+  calculateEntryDuration,
+  calculateEntryElapsedMs,
+  getEntrySegments,
+  toSegmentsPayload
+} from './dateHelpers';
+
+const MINUTE_MS = 60 * 1000;
+
+export const MINUTES_PER_DAY = 24 * 60;
+
+// Time typed into an empty cell starts at 9:00, or after the day's last entry
+const DEFAULT_START_HOUR = 9;
+
+// Invoiced and running time is changed from the list, not the grid
+export const isCellLocked = (entries) => entries.some(entry => entry.isInvoiced || entry.isActive);
+
+const getWorkedMs = (entries, now) =>
+  entries.reduce((total, entry) => total + calculateEntryElapsedMs(entry, now), 0);
+
+/**
+ * Worked minutes of a cell, before rounding. Running timers count until `now`.
+ * @param {Array<Object>} entries
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export const getCellMinutes = (entries, now = new Date()) => Math.round(getWorkedMs(entries, now) / MINUTE_MS);
+
+/**
+ * Billed minutes of entries, after rounding. Running timers count their time
+ * so far.
+ * @param {Array<Object>} entries
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export const getBilledMinutes = (entries, now = new Date()) => entries.reduce(
+  (total, entry) => total + (entry.isActive ? calculateEntryDuration(entry, now) : entry.duration || 0),
+  0
+);
+
+/**
+ * Minutes typed into a cell: hours ("1.5", "1,5", "2h"), hours and minutes
+ * ("1:30") or minutes ("90m"). Empty is 0; null when it can't be read.
+ * @param {string} value
+ * @returns {number|null}
+ */
+export const parseCellMinutes = (value) => {
+  const text = String(value).trim().toLowerCase();
+  if (text === '') return 0;
+
+  let match = text.match(/^(\d+):([0-5]\d)$/);
+  if (match) return Number(match[1]) * 60 + Number(match[2]);
+  match = text.match(/^(\d+)\s*m$/);
+  if (match) return Number(match[1]);
+  match = text.match(/^(\d*[.,]?\d+)\s*h?$/);
+  if (match) return Math.round(Number(match[1].replace(',', '.')) * 60);
+  return null;
+};
+
+/**
+ * Entries to create, update and delete so a cell's worked time adds up to
+ * `minutes`. An empty cell gets a new entry; more time extends the cell's
+ * latest entry and less is taken off its latest entries first, deleting those
+ * it uses up. Locked cells are left alone.
+ * @param {Object} cell
+ * @param {Object} cell.row - clientId, projectId and taskId of the row
+ * @param {Array<Object>} cell.entries - The cell's entries
+ * @param {Array<Object>} cell.dayEntries - All entries of the day
+ * @param {Date} cell.day - Local midnight of the day
+ * @param {number} minutes
+ * @returns {{create: Object|null, updates: Array<{id: number, segments: Array}>, deletes: number[]}}
+ */
+export const planCellChange = ({ row, entries, dayEntries, day, minutes }) => {
+  const plan = { create: null, updates: [], deletes: [] };
+  if (isCellLocked(entries) || minutes === getCellMinutes(entries)) return plan;
+
+  if (entries.length === 0) {
+    const dayStart = day.getTime();
+    const dayEnd = addDays(day, 1).getTime();
+    const afterLast = Math.max(
+      dayStart + DEFAULT_START_HOUR * 60 * MINUTE_MS,
+      ...dayEntries.map(entry => new Date(entry.endTime || entry.startTime).getTime())
+    );
+    const start = Math.max(dayStart, Math.min(afterLast, dayEnd - minutes * MINUTE_MS));
+    plan.create = {
+      clientId: row.clientId,
+      projectId: row.projectId,
+      taskId: row.taskId,
+      description: '',
+      startTime: new Date(start).toISOString(),
+      endTime: new Date(start + minutes * MINUTE_MS).toISOString()
+    };
+    return plan;
+  }
+
+  const latestFirst = [...entries].sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+  const delta = minutes * MINUTE_MS - getWorkedMs(entries);
+  if (delta > 0) {
+    const segments = getEntrySegments(latestFirst[0]);
+    segments[segments.length - 1].end += delta;
+    plan.updates.push({ id: latestFirst[0].id, segments: toSegmentsPayload(segments) });
+    return plan;
+  }
+
+  let remaining = -delta;
+  for (const entry of latestFirst) {
+    if (remaining <= 0) break;
+    const segments = getEntrySegments(entry);
+    const worked = segments.reduce((total, segment) => total + segment.end - segment.start, 0);
+    if (worked <= remaining) {
+      plan.deletes.push(entry.id);
+      remaining -= worked;
+      continue;
+    }
+
+    while (remaining > 0) {
+      const last = segments[segments.length - 1];
+      const length = last.end - last.start;
+      if (length > remaining) {
+        last.end -= remaining;
+        remaining = 0;
+      } else {
+        segments.pop();
+        remaining -= length;
+      }
+    }
+    plan.updates.push({ id: entry.id, segments: toSegmentsPayload(segments) });
+  }
+  return plan;
+};
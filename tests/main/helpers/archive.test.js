@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest'
+
+import {
+  ARCHIVE_FORMAT,
+  ARCHIVE_SCHEMA_VERSION,
+  ARCHIVE_TABLES,
+  createArchiveFileName,
+  invoiceKey,
+  nameKey,
+  summarizeArchive,
+  timeEntryKey,
+  validateArchive,
+} from '../../../src/main/helpers/archive.js'
+
+const emptyData = () => Object.fromEntries(ARCHIVE_TABLES.map(table => [table, []]))
+
+const archive = (overrides = {}) => ({
+  format: ARCHIVE_FORMAT,
+  schemaVersion: ARCHIVE_SCHEMA_VERSION,
+  exportedAt: '2024-03-05T09:00:00.000Z',
+  appVersion: '1.4.0',
+  data: emptyData(),
+  templates: [],
+  ...overrides,
+})
+
+describe('archive helpers', () => {
+  it('names archives after the day they were exported', () => {
+    expect(createArchiveFileName(new Date(2024, 2, 5, 23, 30))).toBe('myhours-archive-2024-03-05.json')
+  })
+
+  describe('validateArchive', () => {
+    it('accepts an archive of this version', () => {
+      expect(validateArchive(archive())).toBeNull()
+    })
+
+    it('rejects other files', () => {
+      expect(validateArchive(null)).toBe('This file is not a myHours archive')
+      expect(validateArchive({ exportDate: '2024-03-05', timeEntries: [] })).toBe('This file is not a myHours archive')
+    })
+
+    it('rejects archives from newer versions', () => {
+      expect(validateArchive(archive({ schemaVersion: ARCHIVE_SCHEMA_VERSION + 1 }))).toMatch(/newer version/)
+      expect(validateArchive(archive({ schemaVersion: '1' }))).toBe('The archive has no valid schema version')
+    })
+
+    it('rejects archives with missing tables', () => {
+      const data = emptyData()
+      delete data.invoices
+      delete data.settings
+      expect(validateArchive(archive({ data }))).toBe('The archive is incomplete (missing invoices, settings)')
+      expect(validateArchive(archive({ templates: 'x' }))).toMatch(/templates/)
+    })
+  })
+
+  it('summarizes the rows of each table', () => {
+    const data = emptyData()
+    data.clients = [{ id: 1 }, { id: 2 }]
+    data.timeEntries = [{ id: 1 }]
+
+    expect(summarizeArchive(archive({ data, templates: [{ id: 'a' }] }))).toMatchObject({
+      clients: 2,
+      timeEntries: 1,
+      invoices: 0,
+      templates: 1,
+      exportedAt: '2024-03-05T09:00:00.000Z',
+      appVersion: '1.4.0',
+    })
+  })
+
+  describe('matching keys', () => {
+    it('matches names within their parent, ignoring case and spaces', () => {
+      expect(nameKey(1, ' Acme Corp ')).toBe(nameKey(1, 'acme corp'))
+      expect(nameKey(1, 'Acme')).not.toBe(nameKey(2, 'Acme'))
+      expect(nameKey(null, 'Acme')).toBe(nameKey(undefined, 'Acme'))
+    })
+
+    it('matches time entries by what was tracked and when', () => {
+      const entry = {
+        clientId: 1,
+        projectId: 2,
+        taskId: null,
+        startTime: '2024-03-05T09:00:00.000Z',
+        duration: 60,
+        description: 'Review ',
+      }
+
+      expect(timeEntryKey({ ...entry, startTime: new Date(entry.startTime), description: 'Review' })).toBe(timeEntryKey(entry))
+      expect(timeEntryKey({ ...entry, duration: 45 })).not.toBe(timeEntryKey(entry))
+      expect(timeEntryKey({ ...entry, taskId: 3 })).not.toBe(timeEntryKey(entry))
+    })
+
+    it('matches invoices by number, revision and type', () => {
+      const invoice = { clientId: 1, invoiceNumber: 'INV-001', revision: 1, type: 'invoice' }
+
+      expect(invoiceKey({ clientId: 1, invoiceNumber: 'INV-001' })).toBe(invoiceKey(invoice))
+      expect(invoiceKey({ ...invoice, revision: 2 })).not.toBe(invoiceKey(invoice))
+      expect(invoiceKey({ ...invoice, type: 'credit_note' })).not.toBe(invoiceKey(invoice))
+    })
+  })
+})
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest'
+
+import {
+  DEFAULT_BACKUP_RETENTION,
+  PRE_MIGRATION_BACKUP,
+  createBackupFileName,
+  getBackupKind,
+  getExpiredBackups,
+  isBackupDue,
+  isSqliteFile,
+  parseBackupFileName,
+  resolveBackupRetention,
+} from '../../../src/main/helpers/backups.js'
+
+describe('backups helpers', () => {
+  describe('backup file names', () => {
+    it('names backups after the local time they were made', () => {
+      expect(createBackupFileName(new Date(2024, 2, 5, 9, 4, 7))).toBe('myhours-backup-20240305-090407.db')
+    })
+
+    it('reads the time back from the name', () => {
+      const date = new Date(2024, 2, 5, 9, 4, 7)
+      expect(parseBackupFileName(createBackupFileName(date))).toEqual(date)
+      expect(parseBackupFileName(createBackupFileName(date, PRE_MIGRATION_BACKUP))).toEqual(date)
+    })
+
+    it('tells pre-migration backups apart', () => {
+      const date = new Date(2024, 2, 5, 9, 4, 7)
+      expect(getBackupKind(createBackupFileName(date))).toBe('backup')
+      expect(getBackupKind(createBackupFileName(date, PRE_MIGRATION_BACKUP))).toBe('pre-migration')
+      expect(getBackupKind('myhours.db')).toBeNull()
+    })
+
+    it('ignores other files', () => {
+      expect(parseBackupFileName('myhours.db')).toBeNull()
+      expect(parseBackupFileName('myhours.db.backup.1709629447000')).toBeNull()
+      expect(parseBackupFileName('myhours-backup-20240305-090407.db-journal')).toBeNull()
+    })
+  })
+
+  describe('isBackupDue', () => {
+    const now = new Date('2024-03-05T09:00:00')
+
+    it('never backs up when automatic backups are off', () => {
+      expect(isBackupDue('off', null, now)).toBe(false)
+      expect(isBackupDue(undefined, null, now)).toBe(false)
+    })
+
+    it('backs up straight away without an earlier backup', () => {
+      expect(isBackupDue('daily', null, now)).toBe(true)
+      expect(isBackupDue('weekly', null, now)).toBe(true)
+    })
+
+    it('waits a day or a week after the newest backup', () => {
+      expect(isBackupDue('daily', new Date('2024-03-04T10:00:00'), now)).toBe(false)
+      expect(isBackupDue('daily', new Date('2024-03-04T09:00:00'), now)).toBe(true)
+      expect(isBackupDue('weekly', new Date('2024-03-01T09:00:00'), now)).toBe(false)
+      expect(isBackupDue('weekly', new Date('2024-02-27T09:00:00'), now)).toBe(true)
+    })
+  })
+
+  describe('retention', () => {
+    it('keeps the default number of backups without a valid setting', () => {
+      expect(resolveBackupRetention('3')).toBe(3)
+      expect(resolveBackupRetention('0')).toBe(DEFAULT_BACKUP_RETENTION)
+      expect(resolveBackupRetention(null)).toBe(DEFAULT_BACKUP_RETENTION)
+    })
+
+    it('expires the oldest backups beyond the retention count', () => {
+      const backups = [
+        { name: 'b', createdAt: new Date('2024-03-02') },
+        { name: 'c', createdAt: new Date('2024-03-03') },
+        { name: 'a', createdAt: new Date('2024-03-01') },
+      ]
+      expect(getExpiredBackups(backups, 2).map(b => b.name)).toEqual(['a'])
+      expect(getExpiredBackups(backups, 5)).toEqual([])
+    })
+
+    it('keeps pre-migration backups out of the count', () => {
+      const backups = [
+        { name: 'a', kind: 'backup', createdAt: new Date('2024-03-01') },
+        { name: 'm', kind: 'pre-migration', createdAt: new Date('2024-03-02') },
+        { name: 'b', kind: 'backup', createdAt: new Date('2024-03-03') },
+        { name: 'old', kind: 'pre-migration', createdAt: new Date('2023-01-01') },
+      ]
+      expect(getExpiredBackups(backups, 1).map(b => b.name)).toEqual(['a'])
+    })
+  })
+
+  describe('isSqliteFile', () => {
+    it('recognises the SQLite header', () => {
+      expect(isSqliteFile(Buffer.from('SQLite format 3\u0000', 'latin1'))).toBe(true)
+      expect(isSqliteFile(Buffer.from('PK\u0003\u0004 not sqlite', 'latin1'))).toBe(false)
+      expect(isSqliteFile(Buffer.alloc(4))).toBe(false)
+    })
+  })
+})
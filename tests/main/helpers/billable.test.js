@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest'
+import { resolveBillable, isBillableEntry, summarizeBillableHours } from '../../../src/main/helpers/billable.js'
+
+describe('billable', () => {
+  it('takes the task setting, then the project, then billable', () => {
+    expect(resolveBillable({ task: { isBillable: false }, project: { isBillable: true } })).toBe(false)
+    expect(resolveBillable({ task: { isBillable: null }, project: { isBillable: false } })).toBe(false)
+    expect(resolveBillable({ task: { isBillable: true }, project: { isBillable: false } })).toBe(true)
+    expect(resolveBillable()).toBe(true)
+  })
+
+  it('treats entries without the flag as billable', () => {
+    expect(isBillableEntry({})).toBe(true)
+    expect(isBillableEntry({ isBillable: false })).toBe(false)
+  })
+
+  it('splits hours and works out utilization', () => {
+    expect(summarizeBillableHours([
+      { duration: 90 },
+      { duration: 60, isBillable: true },
+      { duration: 50, isBillable: false }
+    ])).toEqual({ billableHours: 2.5, nonBillableHours: 0.83, totalHours: 3.33, utilization: 75 })
+  })
+
+  it('has no utilization without hours', () => {
+    expect(summarizeBillableHours([]).utilization).toBeNull()
+  })
+})
@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest'
+import { getLogoMimeType, toLogoDataUrl } from '../../../src/main/helpers/company-logo.js'
+
+describe('company logo', () => {
+  it('detects the image type from the file name', () => {
+    expect(getLogoMimeType('logo.PNG')).toBe('image/png')
+    expect(getLogoMimeType('brand.jpeg')).toBe('image/jpeg')
+    expect(getLogoMimeType('mark.svg')).toBe('image/svg+xml')
+    expect(getLogoMimeType('logo.pdf')).toBeNull()
+    expect(getLogoMimeType('')).toBeNull()
+  })
+
+  it('inlines the logo as a base64 data URL', () => {
+    expect(toLogoDataUrl('logo.png', Buffer.from('abc'))).toBe('data:image/png;base64,YWJj')
+    expect(toLogoDataUrl('logo.bmp', Buffer.from('abc'))).toBeNull()
+    expect(toLogoDataUrl('logo.png', null)).toBeNull()
+  })
+})
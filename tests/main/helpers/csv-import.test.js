@@ -0,0 +1,190 @@
+import { describe, it, expect } from 'vitest'
+
+import {
+  buildImportRows,
+  detectDelimiter,
+  guessColumnMapping,
+  guessDurationUnit,
+  parseBillable,
+  parseClock,
+  parseCsv,
+  parseDate,
+  parseDateTime,
+  parseDuration,
+} from '../../../src/main/helpers/csv-import.js'
+
+const at = (...parts) => new Date(...parts)
+
+describe('csv import helpers', () => {
+  describe('parseCsv', () => {
+    it('reads quoted fields with separators, quotes and line breaks', () => {
+      const text = '﻿Date,Description\r\n"Thu, Aug 28, 2025","Said ""hi"", then\nleft"\r\n\r\n2025-08-29,Plain\n'
+
+      expect(parseCsv(text)).toEqual([
+        ['Date', 'Description'],
+        ['Thu, Aug 28, 2025', 'Said "hi", then\nleft'],
+        ['2025-08-29', 'Plain'],
+      ])
+    })
+
+    it('detects semicolon and tab separated files', () => {
+      expect(detectDelimiter('Date;Hours;"Note, with comma"\n')).toBe(';')
+      expect(detectDelimiter('Date\tHours\n')).toBe('\t')
+      expect(detectDelimiter('Date\n')).toBe(',')
+      expect(parseCsv('Date;Hours\n2024-03-05;1,5')).toEqual([['Date', 'Hours'], ['2024-03-05', '1,5']])
+    })
+  })
+
+  describe('guessColumnMapping', () => {
+    it('maps the columns of the app\'s own CSV export', () => {
+      const headers = ['Date', 'Client', 'Project', 'Task', 'Description', 'Duration (hours)', 'Start Time', 'End Time', 'Billable', 'Currency']
+
+      expect(guessColumnMapping(headers)).toEqual({
+        date: 0,
+        client: 1,
+        project: 2,
+        task: 3,
+        description: 4,
+        duration: 5,
+        start: 6,
+        end: 7,
+        billable: 8,
+      })
+    })
+
+    it('uses each column once and skips unknown ones', () => {
+      expect(guessColumnMapping(['Date', 'Duration', 'DecimalHours'])).toEqual({ date: 0, duration: 1 })
+      expect(guessColumnMapping([' CUSTOMER ', 'Notes'])).toEqual({ client: 0, description: 1 })
+    })
+
+    it('reads the duration unit from the column name', () => {
+      expect(guessDurationUnit('Duration (minutes)')).toBe('minutes')
+      expect(guessDurationUnit('Mins')).toBe('minutes')
+      expect(guessDurationUnit('Hours')).toBe('hours')
+    })
+  })
+
+  describe('parseDate', () => {
+    it('reads ISO, numeric and written-out dates', () => {
+      expect(parseDate('2024-03-05')).toEqual(at(2024, 2, 5))
+      expect(parseDate('03/05/2024')).toEqual(at(2024, 2, 5))
+      expect(parseDate('03/05/2024', 'dmy')).toEqual(at(2024, 4, 3))
+      expect(parseDate('5.3.24', 'dmy')).toEqual(at(2024, 2, 5))
+      expect(parseDate('Thu, Aug 28, 2025')).toEqual(at(2025, 7, 28))
+    })
+
+    it('rejects days that do not exist', () => {
+      expect(parseDate('2024-02-30')).toBeNull()
+      expect(parseDate('31/01/2024')).toBeNull()
+      expect(parseDate('12345')).toBeNull()
+      expect(parseDate('')).toBeNull()
+    })
+  })
+
+  describe('parseDateTime', () => {
+    const day = at(2024, 2, 5)
+
+    it('puts a time of day on the given date', () => {
+      expect(parseClock('5:30 PM')).toEqual({ hours: 17, minutes: 30, seconds: 0 })
+      expect(parseClock('12:15 am')).toEqual({ hours: 0, minutes: 15, seconds: 0 })
+      expect(parseDateTime('09:15', day)).toEqual(at(2024, 2, 5, 9, 15))
+      expect(parseDateTime('9am', day)).toEqual(at(2024, 2, 5, 9, 0))
+    })
+
+    it('reads dates and times written together', () => {
+      expect(parseDateTime('2024-03-06 08:00', day)).toEqual(at(2024, 2, 6, 8, 0))
+      expect(parseDateTime('3/6/2024, 1:05:00 PM', null)).toEqual(at(2024, 2, 6, 13, 5))
+      expect(parseDateTime('2024-03-06T08:00:00.000Z', null)).toEqual(new Date('2024-03-06T08:00:00.000Z'))
+    })
+
+    it('rejects what is not a time', () => {
+      expect(parseDateTime('25:00', day)).toBeNull()
+      expect(parseDateTime('9', day)).toBeNull()
+      expect(parseDateTime('09:00', null)).toBeNull()
+    })
+  })
+
+  it('reads durations as clock times, numbers or words', () => {
+    expect(parseDuration('1:30')).toBe(90)
+    expect(parseDuration('1.5')).toBe(90)
+    expect(parseDuration('1,25')).toBe(75)
+    expect(parseDuration('90', 'minutes')).toBe(90)
+    expect(parseDuration('2h 10 min')).toBe(130)
+    expect(parseDuration('5 h 45 min')).toBe(345)
+    expect(parseDuration('45 minutes')).toBe(45)
+    expect(parseDuration('soon')).toBeNull()
+    expect(parseDuration('')).toBeNull()
+  })
+
+  it('reads billable flags', () => {
+    expect(parseBillable('Yes')).toBe(true)
+    expect(parseBillable('non-billable')).toBe(false)
+    expect(parseBillable('')).toBeNull()
+    expect(parseBillable('maybe')).toBeUndefined()
+  })
+
+  describe('buildImportRows', () => {
+    const mapping = { date: 0, start: 1, end: 2, duration: 3, client: 4, project: 5, task: 6, description: 7, billable: 8 }
+    const build = (...records) => buildImportRows(records, { mapping })
+
+    it('starts entries without a start time at the default start time', () => {
+      const [{ entry, errors }] = build(['2024-03-05', '', '', '1.5', 'Acme', 'Website', '', 'Fixes', 'no'])
+
+      expect(errors).toEqual([])
+      expect(entry).toEqual({
+        startTime: at(2024, 2, 5, 9, 0),
+        endTime: at(2024, 2, 5, 10, 30),
+        duration: 90,
+        clientName: 'Acme',
+        projectName: 'Website',
+        taskName: null,
+        description: 'Fixes',
+        isBillable: false,
+      })
+    })
+
+    it('takes the duration from start and end times, across midnight', () => {
+      const [{ entry }] = build(['2024-03-05', '22:00', '01:30', '', '', '', '', '', ''])
+
+      expect(entry).toMatchObject({ startTime: at(2024, 2, 5, 22, 0), endTime: at(2024, 2, 6, 1, 30), duration: 210 })
+    })
+
+    it('keeps the duration column when there are start and end times too', () => {
+      const [{ entry }] = build(['2024-03-05', '09:00', '09:50', '1', '', '', '', '', ''])
+
+      expect(entry.duration).toBe(60)
+    })
+
+    it('lists what is wrong with each row', () => {
+      const rows = build(
+        ['someday', '', '', '1', '', '', '', '', ''],
+        ['', '', '', '', '', 'Website', 'Design', '', 'maybe'],
+        ['2024-03-05', '', '', '0', '', '', '', '', ''],
+        ['2024-03-05', '', '', '', '', '', '', '', ''],
+        ['2024-03-05', '10:00', '09:00', '', '', '', '', '', ''],
+      )
+
+      expect(rows.map(row => row.row)).toEqual([1, 2, 3, 4, 5])
+      expect(rows[0].errors).toContain('Unrecognized date "someday"')
+      expect(rows[1].errors).toEqual([
+        'A date or start time is required',
+        'A duration, or start and end times, are required',
+        'A project needs a client',
+        'Unrecognized billable value "maybe"',
+      ])
+      expect(rows[2].errors).toEqual(['The duration must be more than zero'])
+      expect(rows[3].errors).toEqual(['A duration, or start and end times, are required'])
+      expect(rows[4].errors).toEqual(['The end time is before the start time'])
+    })
+
+    it('leaves fields without a column empty', () => {
+      const [{ entry, errors }] = buildImportRows([['2024-03-05 13:00', '45']], {
+        mapping: { start: 0, duration: 1 },
+        durationUnit: 'minutes',
+      })
+
+      expect(errors).toEqual([])
+      expect(entry).toMatchObject({ startTime: at(2024, 2, 5, 13, 0), duration: 45, clientName: null, isBillable: null })
+    })
+  })
+})
@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest'
+import { formatCurrency, normalizeCurrency, resolveCurrency } from '../../../src/main/helpers/currency.js'
+
+describe('currency helpers', () => {
+  it('uses the client currency, then the company default', () => {
+    const settings = { default_currency: 'EUR' }
+
+    expect(resolveCurrency({ client: { currency: 'GBP' }, settings })).toBe('GBP')
+    expect(resolveCurrency({ client: { currency: null }, settings })).toBe('EUR')
+    expect(resolveCurrency({ client: {} })).toBe('USD')
+  })
+
+  it('rejects invalid currency codes', () => {
+    expect(normalizeCurrency('eur')).toBe('EUR')
+    expect(normalizeCurrency('EURO')).toBe('USD')
+    expect(normalizeCurrency('', 'GBP')).toBe('GBP')
+  })
+
+  it('formats amounts and passes other values through', () => {
+    expect(formatCurrency(1234.5, 'USD')).toBe('$1,234.50')
+    expect(formatCurrency('80.00', 'EUR')).toBe('€80.00')
+    expect(formatCurrency('Varies', 'GBP')).toBe('Varies')
+  })
+})
@@ -0,0 +1,17 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getAddress,
+  isValidEmail,
+  parseAddressList
+} from '../../../src/main/helpers/email-message.js'
+
+describe('email message', () => {
+  it('parses mailboxes and recipient lists', () => {
+    expect(getAddress('Jane Doe <jane@example.com>')).toBe('jane@example.com')
+    expect(getAddress(' jane@example.com ')).toBe('jane@example.com')
+    expect(parseAddressList('a@example.com, b@example.com; ')).toEqual(['a@example.com', 'b@example.com'])
+    expect(isValidEmail('Jane <jane@example.com>')).toBe(true)
+    expect(isValidEmail('jane@example')).toBe(false)
+    expect(isValidEmail('not an email')).toBe(false)
+  })
+})
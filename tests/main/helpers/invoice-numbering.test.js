@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest'
+import {
+  formatInvoiceNumber,
+  getClientPrefix,
+  getSequenceScope,
+  resolveCreditNotePattern,
+  resolveNumbering,
+  validateInvoiceNumberPattern,
+} from '../../../src/main/helpers/invoice-numbering.js'
+
+describe('invoice numbering', () => {
+  const date = new Date(2026, 2, 5)
+
+  it('fills in date tokens and pads the counter', () => {
+    expect(formatInvoiceNumber('INV-{YYYY}-{SEQ:4}', { sequence: 7, date })).toBe('INV-2026-0007')
+    expect(formatInvoiceNumber('{YY}{MM}/{SEQ}', { sequence: 12, date })).toBe('2603/12')
+  })
+
+  it('uses the client prefix, or the start of the client name', () => {
+    expect(formatInvoiceNumber('{CLIENT}-{SEQ:3}', { sequence: 1, date, client: { invoicePrefix: 'ACM' } })).toBe('ACM-001')
+    expect(getClientPrefix({ name: 'b&b studio' })).toBe('BBS')
+  })
+
+  it('requires exactly one counter and known tokens', () => {
+    expect(validateInvoiceNumberPattern('INV-{YYYY}')).toMatch('{SEQ}')
+    expect(validateInvoiceNumberPattern('{SEQ}-{SEQ}')).toMatch('{SEQ}')
+    expect(validateInvoiceNumberPattern('{DAY}-{SEQ}')).toBe('Unknown token {DAY}')
+    expect(validateInvoiceNumberPattern('#{SEQ:5}')).toBeNull()
+  })
+
+  it('falls back to the defaults for invalid settings', () => {
+    expect(resolveNumbering({ invoice_number_pattern: 'INV', invoice_number_reset: 'monthly' }))
+      .toEqual({ pattern: 'INV-{YYYY}-{SEQ:4}', reset: 'yearly' })
+    expect(resolveNumbering({ invoice_number_pattern: ' Q-{SEQ} ', invoice_number_reset: 'never' }))
+      .toEqual({ pattern: 'Q-{SEQ}', reset: 'never' })
+  })
+
+  it('keeps one counter per year unless it never resets', () => {
+    expect(getSequenceScope('yearly', date)).toBe('2026')
+    expect(getSequenceScope('never', date)).toBe('global')
+  })
+
+  it('numbers credit notes from a pattern and counter of their own', () => {
+    expect(resolveCreditNotePattern({})).toBe('CN-{YYYY}-{SEQ:4}')
+    expect(resolveCreditNotePattern({ credit_note_number_pattern: 'CR{SEQ}' })).toBe('CR{SEQ}')
+    expect(getSequenceScope('yearly', date, 'credit_note')).toBe('credit-2026')
+    expect(getSequenceScope('never', date, 'credit_note')).toBe('credit-global')
+  })
+})
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest'
+import { describeRevisionChanges, formatRevisionNote } from '../../../src/main/helpers/invoice-revisions.js'
+
+describe('invoice revisions', () => {
+  const previous = {
+    currency: 'EUR',
+    totalAmount: 200,
+    timeEntries: [{ id: 1, duration: 60 }, { id: 2, duration: 60 }]
+  }
+
+  it('describes entries, hours and totals that changed', () => {
+    const next = { totalAmount: 250, timeEntries: [{ id: 2, duration: 90 }, { id: 3, duration: 60 }, { id: 4, duration: 30 }] }
+
+    expect(describeRevisionChanges(previous, next))
+      .toBe('2 entries added; 1 entry removed; hours 2.00 → 3.00; total €200.00 → €250.00')
+  })
+
+  it('says so when nothing changed', () => {
+    expect(describeRevisionChanges(previous, { ...previous })).toBe('No changes to time or totals')
+  })
+
+  it('puts the reason given before the changes', () => {
+    expect(formatRevisionNote('  Wrong rate ', 'total $1.00 → $2.00')).toBe('Wrong rate (total $1.00 → $2.00)')
+    expect(formatRevisionNote('', 'total $1.00 → $2.00')).toBe('total $1.00 → $2.00')
+  })
+})
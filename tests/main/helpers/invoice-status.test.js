@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest'
+import { getAgingBucket, getDaysOverdue, getInvoiceStatus } from '../../../src/main/helpers/invoice-status.js'
+
+describe('invoice status', () => {
+  const now = new Date('2024-03-01T12:00:00')
+  const invoice = (fields) => ({ status: 'sent', totalAmount: 100, dueDate: new Date('2024-03-10T00:00:00'), payments: [], ...fields })
+
+  it('follows payments from sent to partially paid to paid', () => {
+    expect(getInvoiceStatus(invoice(), now)).toEqual({ status: 'sent', paidAmount: 0, balanceDue: 100, daysOverdue: 0 })
+    expect(getInvoiceStatus(invoice({ payments: [{ amount: 40 }] }), now)).toMatchObject({ status: 'partial', balanceDue: 60 })
+    expect(getInvoiceStatus(invoice({ payments: [{ amount: 40 }, { amount: 60 }] }), now)).toMatchObject({ status: 'paid', balanceDue: 0 })
+  })
+
+  it('becomes overdue after the due date unless paid or still a draft', () => {
+    const late = new Date('2024-04-01T09:00:00')
+
+    expect(getInvoiceStatus(invoice(), late)).toMatchObject({ status: 'overdue', daysOverdue: 22 })
+    expect(getInvoiceStatus(invoice({ payments: [{ amount: 10 }] }), late)).toMatchObject({ status: 'overdue', balanceDue: 90 })
+    expect(getInvoiceStatus(invoice({ payments: [{ amount: 100 }] }), late).status).toBe('paid')
+    expect(getInvoiceStatus(invoice({ status: 'draft' }), late).status).toBe('draft')
+  })
+
+  it('treats invoices generated before statuses existed as sent', () => {
+    expect(getInvoiceStatus(invoice({ status: 'generated' }), now).status).toBe('sent')
+  })
+
+  it('owes nothing on voided invoices', () => {
+    expect(getInvoiceStatus(invoice({ status: 'voided' }), now)).toMatchObject({ status: 'voided', balanceDue: 0 })
+  })
+
+  it('owes nothing on superseded revisions', () => {
+    expect(getInvoiceStatus(invoice({ status: 'superseded', payments: [{ amount: 40 }] }), now))
+      .toMatchObject({ status: 'superseded', balanceDue: 0 })
+  })
+
+  it('takes credit notes off the balance', () => {
+    const creditNote = (amount, status = 'sent') => ({ type: 'credit_note', status, totalAmount: -amount })
+
+    expect(getInvoiceStatus(invoice({ creditNotes: [creditNote(30)] }), now)).toMatchObject({ status: 'sent', balanceDue: 70 })
+    expect(getInvoiceStatus(invoice({ creditNotes: [creditNote(30)], payments: [{ amount: 70 }] }), now).status).toBe('paid')
+    expect(getInvoiceStatus(invoice({ creditNotes: [creditNote(100)] }), now)).toMatchObject({ status: 'credited', balanceDue: 0 })
+    expect(getInvoiceStatus(invoice({ creditNotes: [creditNote(100, 'voided')] }), now).balanceDue).toBe(100)
+  })
+
+  it('keeps the stored status of credit notes', () => {
+    expect(getInvoiceStatus({ type: 'credit_note', status: 'sent', totalAmount: -50, dueDate: null }, now))
+      .toEqual({ status: 'sent', paidAmount: 0, balanceDue: 0, daysOverdue: 0 })
+  })
+
+  it('counts whole days overdue and buckets them', () => {
+    expect(getDaysOverdue(null, now)).toBe(0)
+    expect(getDaysOverdue(new Date('2024-02-29T23:00:00'), now)).toBe(1)
+    expect(getAgingBucket(0)).toBe('current')
+    expect(getAgingBucket(30)).toBe('1-30')
+    expect(getAgingBucket(45)).toBe('31-60')
+    expect(getAgingBucket(90)).toBe('61-90')
+    expect(getAgingBucket(91)).toBe('90+')
+  })
+})
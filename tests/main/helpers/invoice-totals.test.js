@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest'
+import {
+  calculateInvoiceTotals,
+  normalizeDiscount,
+  normalizeExpenses,
+  parseTaxRates,
+  resolveTaxRates,
+} from '../../../src/main/helpers/invoice-totals.js'
+
+describe('calculateInvoiceTotals', () => {
+  it('adds expenses, takes off the discount and then charges each tax', () => {
+    const totals = calculateInvoiceTotals({
+      laborAmount: 900,
+      expenses: [{ description: 'Hosting', quantity: 2, unitPrice: 50 }],
+      discount: { type: 'percent', value: 10 },
+      taxes: [{ name: 'GST', rate: 5 }, { name: 'PST', rate: 7 }],
+    })
+
+    expect(totals).toMatchObject({
+      expenseAmount: 100,
+      subtotal: 1000,
+      discountAmount: 100,
+      taxableAmount: 900,
+      taxAmount: 108,
+      totalAmount: 1008,
+    })
+    expect(totals.taxes).toEqual([
+      { name: 'GST', rate: 5, amount: 45 },
+      { name: 'PST', rate: 7, amount: 63 },
+    ])
+  })
+
+  it('adds project fees to the subtotal', () => {
+    const totals = calculateInvoiceTotals({
+      laborAmount: 200,
+      charges: [{ description: 'Retainer', amount: 1000 }],
+      discount: { type: 'percent', value: 10 },
+    })
+
+    expect(totals).toMatchObject({ chargeAmount: 1000, subtotal: 1200, discountAmount: 120, totalAmount: 1080 })
+  })
+
+  it('never discounts more than the subtotal', () => {
+    const totals = calculateInvoiceTotals({ laborAmount: 40, discount: { type: 'fixed', value: 50 } })
+
+    expect(totals.discountAmount).toBe(40)
+    expect(totals.totalAmount).toBe(0)
+  })
+
+  it('equals the labor amount without adjustments', () => {
+    expect(calculateInvoiceTotals({ laborAmount: 123.456 }).totalAmount).toBe(123.46)
+  })
+})
+
+describe('tax rates', () => {
+  const settings = { invoice_taxes: JSON.stringify([{ name: 'VAT', rate: '20' }]) }
+
+  it('uses the global taxes unless the client overrides them', () => {
+    expect(resolveTaxRates({ client: { taxRates: null }, settings })).toEqual([{ name: 'VAT', rate: 20 }])
+    expect(resolveTaxRates({ client: { taxRates: '[{"name":"GST","rate":10}]' }, settings })).toEqual([
+      { name: 'GST', rate: 10 },
+    ])
+  })
+
+  it('treats an empty client list as tax exempt', () => {
+    expect(resolveTaxRates({ client: { taxRates: '[]' }, settings })).toEqual([])
+  })
+
+  it('ignores invalid lists and zero rates', () => {
+    expect(parseTaxRates('not json')).toBeNull()
+    expect(parseTaxRates([{ name: '', rate: '5' }, { name: 'Zero', rate: 0 }])).toEqual([{ name: 'Tax', rate: 5 }])
+  })
+})
+
+describe('form input', () => {
+  it('drops empty discounts and caps percentages', () => {
+    expect(normalizeDiscount({ type: 'percent', value: '' })).toBeNull()
+    expect(normalizeDiscount({ type: 'percent', value: '150' })).toEqual({ type: 'percent', value: 100 })
+    expect(normalizeDiscount({ type: 'other', value: '25' })).toEqual({ type: 'fixed', value: 25 })
+  })
+
+  it('drops blank expense lines and defaults the quantity', () => {
+    expect(
+      normalizeExpenses([
+        { description: ' Materials ', quantity: '', unitPrice: '12.5' },
+        { description: '', quantity: '1', unitPrice: '10' },
+        { description: 'Free', quantity: '1', unitPrice: '' },
+      ]),
+    ).toEqual([{ description: 'Materials', quantity: 1, unitPrice: 12.5 }])
+  })
+})
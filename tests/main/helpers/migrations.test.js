@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest'
+
+import {
+  formatMigrationFailure,
+  getPendingMigrations,
+  parseMigrationDirName,
+  splitSqlStatements,
+} from '../../../src/main/helpers/migrations.js'
+
+describe('migrations helpers', () => {
+  describe('parseMigrationDirName', () => {
+    it('numbers migrations by their timestamp', () => {
+      expect(parseMigrationDirName('20261021120000_add_rate_history')).toEqual({
+        version: 20261021120000,
+        name: '20261021120000_add_rate_history',
+      })
+    })
+
+    it('ignores other folders and files', () => {
+      expect(parseMigrationDirName('migration_lock.toml')).toBeNull()
+      expect(parseMigrationDirName('2026_add_rates')).toBeNull()
+    })
+  })
+
+  describe('getPendingMigrations', () => {
+    it('returns migrations not applied yet, oldest first', () => {
+      const migrations = [{ version: 3 }, { version: 1 }, { version: 2 }, { version: 4 }]
+      expect(getPendingMigrations(migrations, new Set([1, 3])).map(m => m.version)).toEqual([2, 4])
+      expect(getPendingMigrations(migrations, new Set([1, 2, 3, 4]))).toEqual([])
+    })
+  })
+
+  describe('splitSqlStatements', () => {
+    it('splits a script into statements without comments', () => {
+      const sql = [
+        '-- AlterTable',
+        'ALTER TABLE "tasks" ADD COLUMN "hourly_rate" REAL;',
+        '',
+        '-- CreateTable',
+        'CREATE TABLE "rate_history" (',
+        '    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,',
+        '    "rate" REAL',
+        ');',
+        'PRAGMA foreign_keys=ON;',
+      ].join('\n')
+
+      expect(splitSqlStatements(sql)).toEqual([
+        'ALTER TABLE "tasks" ADD COLUMN "hourly_rate" REAL',
+        'CREATE TABLE "rate_history" (\n    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,\n    "rate" REAL\n)',
+        'PRAGMA foreign_keys=ON',
+      ])
+    })
+
+    it('handles Windows line endings and a last statement without a semicolon', () => {
+      expect(splitSqlStatements('DROP INDEX "a";\r\nDROP INDEX IF EXISTS "b"\r\n')).toEqual([
+        'DROP INDEX "a"',
+        'DROP INDEX IF EXISTS "b"',
+      ])
+    })
+
+    it('keeps semicolons inside a line', () => {
+      expect(splitSqlStatements("UPDATE \"settings\" SET \"value\" = 'a;b';")).toEqual([
+        "UPDATE \"settings\" SET \"value\" = 'a;b'",
+      ])
+    })
+  })
+
+  describe('formatMigrationFailure', () => {
+    it('names the failed migration, the error and the backup', () => {
+      const error = new Error('Database update 20261021120000_add_rate_history failed', {
+        cause: new Error('table "rate_history" already exists'),
+      })
+      error.migration = { version: 20261021120000, name: '20261021120000_add_rate_history' }
+      error.backupPath = '/backups/myhours-pre-migration-20261021-120000.db'
+
+      const message = formatMigrationFailure(error)
+      expect(message).toContain('Failed update: 20261021120000_add_rate_history')
+      expect(message).toContain('Error: table "rate_history" already exists')
+      expect(message).toContain('/backups/myhours-pre-migration-20261021-120000.db')
+    })
+
+    it('leaves out the backup when there is none', () => {
+      const error = new Error('failed')
+      error.migration = { name: '20250829024006_init' }
+      expect(formatMigrationFailure(error)).not.toContain('backup made')
+    })
+  })
+})
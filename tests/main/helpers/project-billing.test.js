@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest'
+import {
+  addBillingPeriods,
+  calculateProjectCharges,
+  calculateRetainerUsage,
+  getBillingType,
+  getPeriodRange,
+} from '../../../src/main/helpers/project-billing.js'
+
+const client = { hourlyRate: 80 }
+const retainer = { id: 2, name: 'Support', billingType: 'retainer', retainerAmount: 1000, retainerHours: 10 }
+const entry = (project, hours, startTime = '2024-01-10T10:00:00') => ({ project, client, duration: hours * 60, startTime })
+
+describe('billing periods', () => {
+  it('steps across years and knows the last day of each month', () => {
+    expect(addBillingPeriods('2024-01', -1)).toBe('2023-12')
+    expect(addBillingPeriods('2023-12', 2)).toBe('2024-02')
+    expect(getPeriodRange('2024-02')).toEqual({ startDate: '2024-02-01', endDate: '2024-02-29' })
+  })
+
+  it('treats projects without a known billing type as hourly', () => {
+    expect(getBillingType({ billingType: 'retainer' })).toBe('retainer')
+    expect(getBillingType({ billingType: 'weekly' })).toBe('hourly')
+    expect(getBillingType(null)).toBe('hourly')
+  })
+})
+
+describe('calculateRetainerUsage', () => {
+  it('reports remaining hours and overage', () => {
+    expect(calculateRetainerUsage(retainer, 7.5)).toEqual({
+      includedHours: 10,
+      usedHours: 7.5,
+      remainingHours: 2.5,
+      overageHours: 0,
+      percentUsed: 75,
+    })
+    expect(calculateRetainerUsage(retainer, 12)).toMatchObject({ remainingHours: 0, overageHours: 2, percentUsed: 120 })
+  })
+})
+
+describe('calculateProjectCharges', () => {
+  it('charges nothing for hourly projects', () => {
+    expect(calculateProjectCharges({ entries: [entry({ id: 1, name: 'Web' }, 3)] })).toEqual([])
+  })
+
+  it('charges a fixed fee once', () => {
+    const project = { id: 1, name: 'Launch', billingType: 'fixed', fixedFee: 2500 }
+    const entries = [entry(project, 2), entry(project, 3)]
+
+    expect(calculateProjectCharges({ entries })).toEqual([
+      {
+        key: 'fixed:1',
+        type: 'fixed',
+        projectId: 1,
+        period: null,
+        description: 'Fixed fee: Launch',
+        quantity: 1,
+        unitPrice: 2500,
+        amount: 2500,
+      },
+    ])
+    expect(calculateProjectCharges({ entries, history: { charges: ['fixed:1'] } })).toEqual([])
+  })
+
+  it('charges the retainer for each month and overage at the client rate without an overage rate', () => {
+    const charges = calculateProjectCharges({
+      entries: [entry(retainer, 12), entry(retainer, 1, '2024-02-02T10:00:00')],
+    })
+
+    expect(charges.map((charge) => [charge.key, charge.quantity, charge.amount])).toEqual([
+      ['retainer:2:2024-01', 1, 1000],
+      ['overage:2:2024-01', 2, 160],
+      ['retainer:2:2024-02', 1, 1000],
+    ])
+  })
+
+  it('bills retainers for the given months even without time', () => {
+    const charges = calculateProjectCharges({ entries: [], retainerProjects: [retainer], periods: ['2024-03'] })
+
+    expect(charges).toEqual([expect.objectContaining({ key: 'retainer:2:2024-03', description: 'Retainer: Support (March 2024)' })])
+  })
+})
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest'
+import { getRateAt, resolveHourlyRate, parseHourlyRate } from '../../../src/main/helpers/rates.js'
+
+describe('rates', () => {
+  const entry = {
+    hourlyRate: 150,
+    task: { hourlyRate: 120 },
+    project: { hourlyRate: 100 },
+    client: { hourlyRate: 75 }
+  }
+
+  it('resolves entry, then task, then project, then client', () => {
+    expect(resolveHourlyRate(entry)).toBe(150)
+    expect(resolveHourlyRate({ ...entry, hourlyRate: null })).toBe(120)
+    expect(resolveHourlyRate({ ...entry, hourlyRate: null, task: { hourlyRate: null } })).toBe(100)
+    expect(resolveHourlyRate({ client: { hourlyRate: 75 }, project: { hourlyRate: 0 } })).toBe(75)
+  })
+
+  it('uses the rate in effect when the entry started', () => {
+    const client = {
+      hourlyRate: 120,
+      rateHistory: [
+        { rate: 120, effectiveFrom: '2024-03-01T00:00:00' },
+        { rate: 100, effectiveFrom: '2024-01-01T00:00:00' }
+      ]
+    }
+
+    expect(resolveHourlyRate({ startTime: '2024-02-15T09:00:00', client })).toBe(100)
+    expect(resolveHourlyRate({ startTime: '2024-03-01T09:00:00', client })).toBe(120)
+    expect(getRateAt(client, '2023-12-01T09:00:00')).toBe(100)
+    expect(getRateAt(client)).toBe(120)
+  })
+
+  it('falls through while a task or project rate was cleared', () => {
+    const entry = {
+      startTime: '2024-02-15T09:00:00',
+      project: { hourlyRate: 150, rateHistory: [{ rate: null, effectiveFrom: '2024-01-01' }, { rate: 150, effectiveFrom: '2024-03-01' }] },
+      client: { hourlyRate: 75 }
+    }
+
+    expect(resolveHourlyRate(entry)).toBe(75)
+  })
+
+  it('is 0 without any rate', () => {
+    expect(resolveHourlyRate({})).toBe(0)
+    expect(resolveHourlyRate(null)).toBe(0)
+  })
+
+  it('parses form rates, leaving blanks to inherit', () => {
+    expect(parseHourlyRate('95.5')).toBe(95.5)
+    expect(parseHourlyRate('')).toBeNull()
+    expect(parseHourlyRate(0)).toBeNull()
+    expect(parseHourlyRate(undefined)).toBeNull()
+  })
+})
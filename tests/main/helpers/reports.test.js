@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest'
+
+import {
+  addAmount,
+  buildEntryFilter,
+  buildInvoiceTotalsQuery,
+  buildTimeTotalsQuery,
+  getGroupLabel,
+  getPeriodKey,
+  getReportRange,
+  listPeriods,
+  normalizeReportRow,
+  parseReportDate,
+  summarizeTimeRows,
+} from '../../../src/main/helpers/reports.js'
+
+describe('report helpers', () => {
+  it('reads plain dates as local days and includes the whole end day', () => {
+    expect(parseReportDate('2024-03-05')).toEqual(new Date(2024, 2, 5))
+    expect(parseReportDate('2024-03-05T10:00:00.000Z')).toEqual(new Date('2024-03-05T10:00:00.000Z'))
+    expect(parseReportDate('')).toBeNull()
+    expect(parseReportDate('soon')).toBeNull()
+
+    expect(getReportRange({ startDate: '2024-03-01', endDate: '2024-03-31' })).toEqual({
+      start: new Date(2024, 2, 1),
+      end: new Date(2024, 2, 31, 23, 59, 59, 999),
+    })
+    expect(getReportRange({})).toEqual({ start: null, end: null })
+  })
+
+  it('filters entries by range, ids and flags with bound values', () => {
+    const { where, values } = buildEntryFilter({
+      startDate: '2024-03-01',
+      endDate: '2024-03-31',
+      clientId: '3',
+      projectId: [4, 5],
+      taskId: '',
+      isBillable: true,
+      isInvoiced: false,
+    })
+
+    expect(where).toBe(
+      'WHERE te.start_time >= ? AND te.start_time <= ? AND te.client_id IN (?) AND te.project_id IN (?, ?)' +
+      ' AND te.is_billable = ? AND te.is_invoiced = ?'
+    )
+    expect(values).toEqual([
+      new Date(2024, 2, 1).getTime(),
+      new Date(2024, 2, 31, 23, 59, 59, 999).getTime(),
+      3, 4, 5, 1, 0,
+    ])
+    expect(buildEntryFilter()).toEqual({ where: '', values: [] })
+    expect(buildEntryFilter({ projectId: 'none', taskId: [7, 'none'] })).toEqual({
+      where: 'WHERE te.project_id IS NULL AND (te.task_id IN (?) OR te.task_id IS NULL)',
+      values: [7],
+    })
+  })
+
+  it('groups time totals by the dimensions asked for and currency', () => {
+    const { sql, values } = buildTimeTotalsQuery({ clientId: 1 }, ['client', 'week'])
+
+    expect(sql).toContain('e.client_id AS clientId, e.client_name AS clientName')
+    expect(sql).toContain("date(e.start_time / 1000, 'unixepoch', 'localtime', 'weekday 0', '-6 days') AS period")
+    expect(sql).toMatch(/GROUP BY clientId, clientName, period, currency$/)
+    expect(sql).toContain('FROM rate_history h')
+    expect(values).toEqual([1])
+
+    expect(buildTimeTotalsQuery().sql).toMatch(/GROUP BY currency$/)
+    expect(() => buildTimeTotalsQuery({}, ['year'])).toThrow('Unknown report dimension: year')
+  })
+
+  it('leaves voided and superseded invoices out of invoice totals', () => {
+    const { sql, values } = buildInvoiceTotalsQuery({ startDate: '2024-01-01', clientId: [2] })
+
+    expect(sql).toContain('WHERE i.status NOT IN (?, ?) AND i.created_at >= ? AND i.client_id IN (?)')
+    expect(values).toEqual(['voided', 'superseded', new Date(2024, 0, 1).getTime(), 2])
+  })
+
+  it('turns BigInt counts into numbers', () => {
+    expect(normalizeReportRow({ clientId: 3n, minutes: 90n, amount: 1.5, clientName: 'Acme' }))
+      .toEqual({ clientId: 3, minutes: 90, amount: 1.5, clientName: 'Acme' })
+  })
+
+  it('sums hours and amounts per currency', () => {
+    const summary = summarizeTimeRows([
+      { currency: 'USD', entries: 2, minutes: 90, billableMinutes: 60, invoicedMinutes: 30, amount: 100, invoicedAmount: 40 },
+      { currency: 'EUR', entries: 1, minutes: 30, billableMinutes: 30, invoicedMinutes: 0, amount: 25.005, invoicedAmount: 0 },
+      { currency: 'USD', entries: 1, minutes: 60, billableMinutes: 0, invoicedMinutes: 0, amount: 0, invoicedAmount: 0 },
+    ])
+
+    expect(summary).toEqual({
+      entries: 4,
+      hours: 3,
+      billableHours: 1.5,
+      nonBillableHours: 1.5,
+      invoicedHours: 0.5,
+      uninvoicedHours: 2.5,
+      utilization: 50,
+      amount: { USD: 100, EUR: 25.01 },
+      invoicedAmount: { USD: 40 },
+      uninvoicedAmount: { USD: 60, EUR: 25.01 },
+    })
+    expect(summarizeTimeRows([])).toMatchObject({ hours: 0, utilization: 0, amount: {} })
+    expect(addAmount({ USD: 1 }, 'USD', 0.1 + 0.2)).toEqual({ USD: 1.3 })
+  })
+
+  it('labels groups with their parents in the key', () => {
+    const row = { clientId: 1, clientName: 'Acme', projectId: 4, projectName: 'Website', taskId: null, taskName: null }
+
+    expect(getGroupLabel(row, 'client')).toEqual({ key: '1', name: 'Acme' })
+    expect(getGroupLabel(row, 'project')).toEqual({ key: '1/4', name: 'Website' })
+    expect(getGroupLabel(row, 'task')).toEqual({ key: '1/4/none', name: 'No task' })
+  })
+
+  it('lists every day, week (from Monday) or month of a range', () => {
+    const start = new Date(2024, 1, 28)
+    const end = new Date(2024, 2, 12, 18)
+
+    expect(getPeriodKey(new Date(2024, 2, 10, 23), 'week')).toBe('2024-03-04')
+    expect(getPeriodKey(new Date(2024, 2, 10), 'month')).toBe('2024-03')
+    expect(listPeriods(start, new Date(2024, 2, 2), 'day')).toEqual(['2024-02-28', '2024-02-29', '2024-03-01', '2024-03-02'])
+    expect(listPeriods(start, end, 'week')).toEqual(['2024-02-26', '2024-03-04', '2024-03-11'])
+    expect(listPeriods(new Date(2024, 0, 31), end, 'month')).toEqual(['2024-01', '2024-02', '2024-03'])
+    expect(listPeriods(end, start, 'day')).toEqual([])
+  })
+})
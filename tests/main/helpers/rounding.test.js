@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest'
+import { resolveRoundingPolicy, roundDuration } from '../../../src/main/helpers/rounding.js'
+
+describe('roundDuration', () => {
+  it('rounds up, down and to the nearest increment', () => {
+    expect(roundDuration(7, { mode: 'up', increment: 6, minimum: 0 })).toBe(12)
+    expect(roundDuration(7, { mode: 'down', increment: 6, minimum: 0 })).toBe(6)
+    expect(roundDuration(10, { mode: 'nearest', increment: 6, minimum: 0 })).toBe(12)
+    expect(roundDuration(8, { mode: 'nearest', increment: 6, minimum: 0 })).toBe(6)
+  })
+
+  it('applies a minimum billable increment', () => {
+    const policy = { mode: 'up', increment: 6, minimum: 15 }
+    expect(roundDuration(4, policy)).toBe(15)
+    expect(roundDuration(17, policy)).toBe(18)
+  })
+
+  it('leaves empty entries and zero increments alone', () => {
+    expect(roundDuration(0, { mode: 'up', increment: 15, minimum: 15 })).toBe(0)
+    expect(roundDuration(7, { mode: 'up', increment: 0, minimum: 0 })).toBe(7)
+  })
+})
+
+describe('resolveRoundingPolicy', () => {
+  const settings = { timer_rounding: '15', timer_rounding_mode: null, timer_rounding_minimum: null }
+
+  it('prefers the project, then the client', () => {
+    const project = { roundingMode: 'nearest', roundingIncrement: 6, roundingMinimum: null }
+    const client = { roundingMode: 'down', roundingIncrement: 30, roundingMinimum: 0 }
+
+    expect(resolveRoundingPolicy({ project, client, settings }))
+      .toEqual({ mode: 'nearest', increment: 6, minimum: 0, source: 'project' })
+    expect(resolveRoundingPolicy({ project: { roundingMode: null }, client, settings }))
+      .toEqual({ mode: 'down', increment: 30, minimum: 0, source: 'client' })
+  })
+
+  it('falls back to the global settings, rounding up by default', () => {
+    expect(resolveRoundingPolicy({ settings }))
+      .toEqual({ mode: 'up', increment: 15, minimum: 0, source: 'global' })
+    expect(resolveRoundingPolicy({}))
+      .toEqual({ mode: 'up', increment: 15, minimum: 0, source: 'global' })
+  })
+})
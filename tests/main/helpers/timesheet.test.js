@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest'
+import { appendHtmlSection, buildTimesheet, formatMinutes } from '../../../src/main/helpers/timesheet.js'
+
+describe('timesheet', () => {
+  it('formats minutes as hours and minutes', () => {
+    expect(formatMinutes(95)).toBe('1:35')
+    expect(formatMinutes(0)).toBe('0:00')
+    expect(formatMinutes(null)).toBe('0:00')
+  })
+
+  it('orders entries by start and groups them by local day', () => {
+    const timesheet = buildTimesheet([
+      { id: 2, duration: 60, startTime: '2024-03-02T09:00:00', endTime: '2024-03-02T10:00:00' },
+      { id: 1, duration: 45, startTime: '2024-03-01T23:00:00', endTime: '2024-03-01T23:45:00' },
+      { id: 3, duration: 15, startTime: '2024-03-02T08:00:00', endTime: '2024-03-02T08:15:00' }
+    ])
+
+    expect(timesheet.days.map(day => [day.date, day.entries.map(entry => entry.id), day.hours])).toEqual([
+      ['2024-03-01', [1], '0.75'],
+      ['2024-03-02', [3, 2], '1.25']
+    ])
+    expect(timesheet.projects).toEqual([{ name: 'No project', duration: '2:00', hours: '2.00', share: 100 }])
+  })
+
+  it('appends a section on its own page before the end of the body', () => {
+    expect(appendHtmlSection('<html><BODY>a</BODY></html>', 'b')).toBe(
+      '<html><BODY>a<div style="page-break-before: always; break-before: page;"></div>b</BODY></html>'
+    )
+    expect(appendHtmlSection('a', 'b')).toBe('a<div style="page-break-before: always; break-before: page;"></div>b')
+  })
+})
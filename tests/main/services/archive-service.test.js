@@ -0,0 +1,121 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+import ArchiveService from '../../../src/main/services/archive-service.js'
+import { ARCHIVE_FORMAT, ARCHIVE_SCHEMA_VERSION, ARCHIVE_TABLES } from '../../../src/main/helpers/archive.js'
+
+const archiveData = () => ({
+  ...Object.fromEntries(ARCHIVE_TABLES.map(table => [table, []])),
+  clients: [{ id: 1, name: 'Acme' }],
+})
+
+describe('ArchiveService', () => {
+  let files
+  let database
+  let templateService
+  let service
+
+  beforeEach(() => {
+    files = {}
+    database = {
+      getArchiveData: vi.fn(async () => archiveData()),
+      hasUserData: vi.fn(async () => false),
+      hasOnlySampleData: vi.fn(async () => false),
+      importArchiveData: vi.fn(async () => ({ created: { clients: 1 }, skipped: {} })),
+    }
+    templateService = {
+      listTemplates: vi.fn(() => [
+        { id: 'default', name: 'Default', builtIn: true },
+        { id: 'my-layout', name: 'My Layout', builtIn: false },
+      ]),
+      getTemplate: vi.fn((id) => ({ id, name: 'My Layout', builtIn: false, content: '<html></html>' })),
+      importTemplate: vi.fn(({ id }) => ({ id, created: true })),
+    }
+    service = new ArchiveService({
+      database,
+      templateService,
+      versionService: { getBaseVersion: () => '1.4.0' },
+      fileSystem: {
+        readFile: vi.fn(async (filePath) => {
+          if (!(filePath in files)) throw new Error('ENOENT')
+          return files[filePath]
+        }),
+        writeFile: vi.fn(async (filePath, contents) => { files[filePath] = contents }),
+      },
+      dateProvider: () => new Date('2024-03-05T09:00:00Z'),
+    })
+  })
+
+  it('requires a database', () => {
+    expect(() => new ArchiveService({})).toThrow('Database dependency is required')
+  })
+
+  it('exports all data with the user templates and a schema version', async () => {
+    const summary = await service.exportTo('/out/archive.json')
+    const archive = JSON.parse(files['/out/archive.json'])
+
+    expect(archive).toMatchObject({
+      format: ARCHIVE_FORMAT,
+      schemaVersion: ARCHIVE_SCHEMA_VERSION,
+      appVersion: '1.4.0',
+      exportedAt: '2024-03-05T09:00:00.000Z',
+      data: { clients: [{ id: 1, name: 'Acme' }] },
+      templates: [{ id: 'my-layout', name: 'My Layout', content: '<html></html>' }],
+    })
+    expect(summary).toMatchObject({ clients: 1, templates: 1 })
+  })
+
+  it('summarizes an archive before importing it', async () => {
+    await service.exportTo('/in/archive.json')
+    database.hasUserData.mockResolvedValue(true)
+
+    await expect(service.inspect('/in/archive.json')).resolves.toMatchObject({
+      path: '/in/archive.json',
+      name: 'archive.json',
+      clients: 1,
+      canRestore: false,
+      replacesSampleData: false,
+    })
+  })
+
+  it('offers to restore in place of the sample data', async () => {
+    await service.exportTo('/in/archive.json')
+    database.hasOnlySampleData.mockResolvedValue(true)
+
+    await expect(service.inspect('/in/archive.json')).resolves.toMatchObject({
+      canRestore: true,
+      replacesSampleData: true,
+    })
+  })
+
+  it('refuses files that are not archives', async () => {
+    files['/in/entries.json'] = JSON.stringify({ exportDate: '2024-03-05', timeEntries: [] })
+    files['/in/broken.json'] = '{'
+
+    await expect(service.inspect('/in/entries.json')).rejects.toThrow('This file is not a myHours archive')
+    await expect(service.inspect('/in/broken.json')).rejects.toThrow('This file is not a myHours archive')
+    await expect(service.importFrom('/in/missing.json', 'merge')).rejects.toThrow('This file is not a myHours archive')
+  })
+
+  it('imports templates first and passes renamed ids to the database', async () => {
+    await service.exportTo('/in/archive.json')
+    templateService.importTemplate.mockReturnValue({ id: 'my-layout-2', created: true })
+
+    const result = await service.importFrom('/in/archive.json', 'merge')
+
+    expect(database.importArchiveData).toHaveBeenCalledWith(
+      expect.objectContaining({ clients: [{ id: 1, name: 'Acme' }] }),
+      { mode: 'merge', templateIds: { 'my-layout': 'my-layout-2' }, exportedAt: '2024-03-05T09:00:00.000Z' }
+    )
+    expect(result.created).toEqual({ clients: 1, templates: 1 })
+  })
+
+  it('only restores into an empty database', async () => {
+    await service.exportTo('/in/archive.json')
+    database.hasUserData.mockResolvedValue(true)
+
+    await expect(service.importFrom('/in/archive.json', 'restore')).rejects.toThrow('needs an empty database')
+    await expect(service.importFrom('/in/archive.json', 'replace')).rejects.toThrow('Unknown import mode: replace')
+    expect(templateService.importTemplate).not.toHaveBeenCalled()
+    expect(database.importArchiveData).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,184 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+vi.mock('@prisma/client', () => ({
+  default: { PrismaClient: class {} },
+}))
+
+import BackupService from '../../../src/main/services/backup-service.js'
+
+const SQLITE_HEADER = 'SQLite format 3\u0000'
+
+describe('BackupService', () => {
+  let folder
+  let settings
+  let database
+  let backupDb
+  let now
+  let service
+
+  const writeBackup = (name, contents = SQLITE_HEADER) => fs.writeFile(path.join(folder, name), contents, 'latin1')
+
+  beforeEach(async () => {
+    folder = await fs.mkdtemp(path.join(os.tmpdir(), 'myhours-backups-'))
+    now = new Date(2024, 2, 5, 9, 0, 0)
+    settings = { backup_folder: folder, backup_schedule: 'daily', backup_retention: '2' }
+    database = {
+      getSetting: vi.fn(async (key) => settings[key] ?? null),
+      backupTo: vi.fn(async (filePath) => fs.writeFile(filePath, SQLITE_HEADER, 'latin1')),
+      restoreFrom: vi.fn(async () => {}),
+    }
+    backupDb = {
+      $queryRawUnsafe: vi.fn(async (sql) => {
+        if (sql.startsWith('PRAGMA')) return [{ integrity_check: 'ok' }]
+        if (sql.includes('sqlite_master')) {
+          return ['clients', 'projects', 'tasks', 'time_entries', 'invoices', 'settings'].map(name => ({ name }))
+        }
+        if (sql.includes('MAX(start_time)')) return [{ startTime: BigInt(new Date(2024, 2, 4, 15).getTime()) }]
+        return [{ count: BigInt(3) }]
+      }),
+      $disconnect: vi.fn(async () => {}),
+    }
+    service = new BackupService(database, {
+      pathService: { getBackupsPath: () => path.join(folder, 'default') },
+      dateProvider: () => now,
+      openDatabase: vi.fn(() => backupDb),
+    })
+  })
+
+  afterEach(async () => {
+    await fs.rm(folder, { recursive: true, force: true })
+  })
+
+  it('backs up into the chosen folder and lists backups newest first', async () => {
+    await writeBackup('myhours-backup-20240301-090000.db')
+    await writeBackup('notes.txt')
+
+    const backup = await service.backupNow()
+
+    expect(backup.name).toBe('myhours-backup-20240305-090000.db')
+    expect(database.backupTo).toHaveBeenCalledWith(path.join(folder, backup.name))
+    expect((await service.listBackups()).map(b => b.name)).toEqual([
+      'myhours-backup-20240305-090000.db',
+      'myhours-backup-20240301-090000.db',
+    ])
+  })
+
+  it('uses the default folder when none is chosen', async () => {
+    settings.backup_folder = null
+    const backup = await service.backupNow()
+    expect(backup.path).toBe(path.join(folder, 'default', backup.name))
+  })
+
+  it('removes backups beyond the retention count', async () => {
+    await writeBackup('myhours-backup-20240301-090000.db')
+    await writeBackup('myhours-backup-20240302-090000.db')
+
+    await service.backupNow()
+
+    expect((await service.listBackups()).map(b => b.name)).toEqual([
+      'myhours-backup-20240305-090000.db',
+      'myhours-backup-20240302-090000.db',
+    ])
+  })
+
+  it('keeps pre-migration backups out of retention', async () => {
+    await writeBackup('myhours-pre-migration-20240228-090000.db')
+    await writeBackup('myhours-backup-20240301-090000.db')
+    await writeBackup('myhours-pre-migration-20240303-090000.db')
+    await writeBackup('myhours-backup-20240304-090000.db')
+
+    await service.backupNow()
+
+    expect((await service.listBackups()).map(b => [b.name, b.kind])).toEqual([
+      ['myhours-backup-20240305-090000.db', 'backup'],
+      ['myhours-backup-20240304-090000.db', 'backup'],
+      ['myhours-pre-migration-20240303-090000.db', 'pre-migration'],
+      ['myhours-pre-migration-20240228-090000.db', 'pre-migration'],
+    ])
+  })
+
+  it('refuses to overwrite a backup made the same second', async () => {
+    await service.backupNow()
+    await expect(service.backupNow()).rejects.toThrow('try again')
+  })
+
+  describe('runDue', () => {
+    it('backs up when the newest backup is older than the schedule', async () => {
+      await writeBackup('myhours-backup-20240304-080000.db')
+      expect(await service.runDue()).toMatchObject({ name: 'myhours-backup-20240305-090000.db' })
+    })
+
+    it('skips when a recent backup exists or backups are off', async () => {
+      await writeBackup('myhours-backup-20240304-100000.db')
+      expect(await service.runDue()).toBeNull()
+
+      settings.backup_schedule = 'off'
+      await fs.rm(path.join(folder, 'myhours-backup-20240304-100000.db'))
+      expect(await service.runDue()).toBeNull()
+      expect(database.backupTo).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('inspectBackup', () => {
+    it('summarises a backup', async () => {
+      await writeBackup('myhours-backup-20240301-090000.db')
+
+      const summary = await service.inspectBackup(path.join(folder, 'myhours-backup-20240301-090000.db'))
+
+      expect(summary).toMatchObject({
+        name: 'myhours-backup-20240301-090000.db',
+        createdAt: new Date(2024, 2, 1, 9, 0, 0),
+        clients: 3,
+        timeEntries: 3,
+        invoices: 3,
+        lastEntryAt: new Date(2024, 2, 4, 15),
+      })
+      expect(backupDb.$disconnect).toHaveBeenCalled()
+    })
+
+    it('rejects files that are not SQLite databases', async () => {
+      await writeBackup('export.db', 'not a database at all')
+      await expect(service.inspectBackup(path.join(folder, 'export.db'))).rejects.toThrow('not an SQLite database')
+    })
+
+    it('rejects damaged databases and other SQLite files', async () => {
+      await writeBackup('other.db')
+      const filePath = path.join(folder, 'other.db')
+
+      backupDb.$queryRawUnsafe.mockResolvedValueOnce([{ integrity_check: '*** in database main ***' }])
+      await expect(service.inspectBackup(filePath)).rejects.toThrow('damaged')
+
+      backupDb.$queryRawUnsafe
+        .mockResolvedValueOnce([{ integrity_check: 'ok' }])
+        .mockResolvedValueOnce([{ name: 'clients' }])
+      await expect(service.inspectBackup(filePath)).rejects.toThrow('missing projects')
+      expect(backupDb.$disconnect).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('restoreBackup', () => {
+    it('backs up the current data before restoring without pruning', async () => {
+      await writeBackup('myhours-backup-20240301-090000.db')
+      await writeBackup('myhours-backup-20240302-090000.db')
+      const filePath = path.join(folder, 'myhours-backup-20240301-090000.db')
+
+      const result = await service.restoreBackup(filePath)
+
+      expect(result.backup.name).toBe('myhours-backup-20240305-090000.db')
+      expect(result.summary.clients).toBe(3)
+      expect(database.backupTo.mock.invocationCallOrder[0]).toBeLessThan(database.restoreFrom.mock.invocationCallOrder[0])
+      expect(database.restoreFrom).toHaveBeenCalledWith(filePath)
+      await expect(fs.access(filePath)).resolves.toBeUndefined()
+    })
+
+    it('leaves the database alone when the backup is not usable', async () => {
+      await writeBackup('export.db', 'not a database at all')
+      await expect(service.restoreBackup(path.join(folder, 'export.db'))).rejects.toThrow()
+      expect(database.backupTo).not.toHaveBeenCalled()
+      expect(database.restoreFrom).not.toHaveBeenCalled()
+    })
+  })
+})
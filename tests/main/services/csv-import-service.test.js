@@ -0,0 +1,75 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+import CsvImportService from '../../../src/main/services/csv-import-service.js'
+
+const CSV = [
+  'Date,Hours,Customer,Project,Notes',
+  '2024-03-05,1.5,Acme,Website,Fixes',
+  'someday,2,Acme,Website,Broken',
+  '2024-03-06,0:45,Globex,,Call',
+].join('\n')
+
+describe('CsvImportService', () => {
+  let files
+  let database
+  let service
+
+  beforeEach(() => {
+    files = { '/in/hours.csv': CSV, '/in/empty.csv': 'Date,Hours\n' }
+    database = {
+      importTimeEntries: vi.fn(async (entries) => ({
+        imported: entries.length,
+        duplicates: 0,
+        clients: ['Globex'],
+        projects: [],
+        tasks: [],
+      })),
+    }
+    service = new CsvImportService({
+      database,
+      fileSystem: { readFile: vi.fn(async (filePath) => files[filePath]) },
+    })
+  })
+
+  it('requires a database', () => {
+    expect(() => new CsvImportService({})).toThrow('Database dependency is required')
+  })
+
+  it('suggests a mapping from the column names', async () => {
+    await expect(service.open('/in/hours.csv')).resolves.toEqual({
+      filePath: '/in/hours.csv',
+      fileName: 'hours.csv',
+      headers: ['Date', 'Hours', 'Customer', 'Project', 'Notes'],
+      rowCount: 3,
+      mapping: { date: 0, duration: 1, client: 2, project: 3, description: 4 },
+      durationUnit: 'hours',
+    })
+    await expect(service.open('/in/empty.csv')).rejects.toThrow('The file has no rows to import')
+  })
+
+  it('previews as a dry run, passing only valid rows on', async () => {
+    const mapping = { date: 0, duration: 1, client: 2, project: 3, description: 4 }
+
+    const result = await service.run('/in/hours.csv', { mapping })
+
+    const [entries, options] = database.importTimeEntries.mock.calls[0]
+    expect(options).toEqual({ dryRun: true })
+    expect(entries.map(entry => entry.description)).toEqual(['Fixes', 'Call'])
+    expect(result).toMatchObject({ dryRun: true, rows: 3, valid: 2, invalid: 1, imported: 2, clients: ['Globex'] })
+    expect(result.preview).toHaveLength(3)
+    expect(result.errors).toEqual([{ row: 2, errors: ['Unrecognized date "someday"'] }])
+  })
+
+  it('imports when asked to', async () => {
+    await service.run('/in/hours.csv', { mapping: { date: 0, duration: 1 }, dryRun: false })
+
+    expect(database.importTimeEntries.mock.calls[0][1]).toEqual({ dryRun: false })
+  })
+
+  it('checks the options', async () => {
+    await expect(service.run('/in/hours.csv', { mapping: { duration: 1 } })).rejects.toThrow('Choose the column with the date or start time')
+    await expect(service.run('/in/hours.csv', { mapping: { date: 0, rate: 1 } })).rejects.toThrow('Unknown fields: rate')
+    await expect(service.run('/in/hours.csv', { mapping: { date: 0 }, dateFormat: 'ymd' })).rejects.toThrow('Unknown date format: ymd')
+    expect(database.importTimeEntries).not.toHaveBeenCalled()
+  })
+})
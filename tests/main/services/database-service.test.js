@@ -0,0 +1,1012 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('@prisma/client', () => ({
+  default: { PrismaClient: class { } },
+}));
+
+vi.mock('../../../src/main/services/path-service.js', () => ({
+  default: class {
+    getDatabasePath() { return '/tmp/test.db'; }
+    getDatabaseUrl() { return 'file:/tmp/test.db'; }
+    getDebugInfo() { return {}; }
+    bootstrapDatabaseFromTemplate() { }
+  },
+}));
+
+import DatabaseService from '../../../src/main/services/database-service.js';
+
+describe('DatabaseService time segments', () => {
+  let db;
+  let prisma;
+  const now = new Date('2024-01-15T10:07:00');
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(now);
+
+    prisma = {
+      timeEntry: {
+        findUnique: vi.fn(),
+        findMany: vi.fn().mockResolvedValue([]),
+        update: vi.fn(async ({ where, data }) => ({ id: where.id, ...data })),
+        create: vi.fn(async ({ data }) => ({ id: 2, ...data })),
+      },
+      timeEntrySegment: {
+        updateMany: vi.fn(),
+        findMany: vi.fn().mockResolvedValue([]),
+        create: vi.fn(async ({ data }) => ({ id: 99, ...data })),
+      },
+      client: { findUnique: vi.fn().mockResolvedValue(null) },
+      project: { findUnique: vi.fn().mockResolvedValue(null) },
+      setting: { findUnique: vi.fn().mockResolvedValue(null) },
+    };
+
+    db = new DatabaseService();
+    db.prisma = prisma;
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('stopTimer', () => {
+    it('sums all segments before rounding', async () => {
+      prisma.timeEntry.findUnique.mockResolvedValue({
+        id: 1,
+        isActive: true,
+        startTime: new Date('2024-01-15T09:00:00'),
+      });
+      prisma.timeEntrySegment.findMany.mockResolvedValue([
+        { startTime: new Date('2024-01-15T09:00:00'), endTime: new Date('2024-01-15T09:20:00') },
+        { startTime: new Date('2024-01-15T10:00:00'), endTime: now },
+      ]);
+
+      await db.stopTimer(1, 15);
+
+      expect(prisma.timeEntrySegment.updateMany).toHaveBeenCalledWith({
+        where: { timeEntryId: 1, endTime: null },
+        data: { endTime: now },
+      });
+      // 20m + 7m = 27m, rounded up to 30m (not 67m from the first start)
+      expect(prisma.timeEntry.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: { endTime: now, duration: 30, rawDuration: 27, isActive: false },
+      }));
+    });
+
+    it('applies the project rounding policy over the client and global ones', async () => {
+      prisma.timeEntry.findUnique.mockResolvedValue({
+        id: 1,
+        isActive: true,
+        clientId: 2,
+        projectId: 3,
+        startTime: new Date('2024-01-15T10:00:00'),
+      });
+      prisma.timeEntrySegment.findMany.mockResolvedValue([
+        { startTime: new Date('2024-01-15T10:00:00'), endTime: now },
+      ]);
+      prisma.project.findUnique.mockResolvedValue({
+        id: 3, clientId: 2, roundingMode: 'nearest', roundingIncrement: 6, roundingMinimum: 15,
+      });
+      prisma.client.findUnique.mockResolvedValue({ id: 2, roundingMode: 'down', roundingIncrement: 30 });
+
+      await db.stopTimer(1);
+
+      // 7m worked, nearest 6m is 6m, raised to the 15m minimum
+      expect(prisma.timeEntry.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: { endTime: now, duration: 15, rawDuration: 7, isActive: false },
+      }));
+    });
+
+    it('falls back to the client, then the global settings', async () => {
+      prisma.timeEntry.findUnique.mockResolvedValue({
+        id: 1,
+        isActive: true,
+        clientId: 2,
+        startTime: new Date('2024-01-15T09:00:00'),
+      });
+      prisma.timeEntrySegment.findMany.mockResolvedValue([
+        { startTime: new Date('2024-01-15T09:00:00'), endTime: now },
+      ]);
+      prisma.client.findUnique.mockResolvedValue({ id: 2, roundingMode: 'down', roundingIncrement: 30 });
+
+      await db.stopTimer(1);
+      expect(prisma.timeEntry.update.mock.calls.at(-1)[0].data.duration).toBe(60);
+
+      prisma.client.findUnique.mockResolvedValue({ id: 2, roundingMode: null });
+      prisma.setting.findUnique.mockImplementation(async ({ where }) => (
+        { timer_rounding: { value: '10' }, timer_rounding_mode: { value: 'nearest' } }[where.key] || null
+      ));
+
+      await db.stopTimer(1);
+      expect(prisma.timeEntry.update.mock.calls.at(-1)[0].data.duration).toBe(70);
+    });
+  });
+
+  describe('startTimer', () => {
+    it('rounds and records the timer it stops like a stopped timer', async () => {
+      const running = { id: 1, isActive: true, clientId: 2, startTime: new Date('2024-01-15T09:00:00') };
+      prisma.timeEntry.findMany.mockResolvedValue([running]);
+      prisma.timeEntry.findUnique.mockResolvedValue(running);
+      prisma.timeEntrySegment.findMany.mockResolvedValue([
+        { startTime: new Date('2024-01-15T09:00:00'), endTime: now },
+      ]);
+      prisma.client.findUnique.mockResolvedValue({ id: 2, roundingMode: 'up', roundingIncrement: 15 });
+
+      await db.startTimer({ clientId: 2 });
+
+      // 67m worked, rounded up to 75m by the client policy
+      expect(prisma.timeEntry.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 1 },
+        data: { endTime: now, duration: 75, rawDuration: 67, isActive: false },
+      }));
+      expect(prisma.timeEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ clientId: 2, isActive: true, startTime: now }),
+      }));
+    });
+  });
+
+  describe('resumeTimer', () => {
+    it('rounds and records the other timer it stops', async () => {
+      const running = { id: 2, isActive: true, startTime: new Date('2024-01-15T10:00:00') };
+      prisma.timeEntry.findMany.mockResolvedValue([running]);
+      prisma.timeEntry.findUnique.mockImplementation(async ({ where }) => (
+        where.id === 2 ? running : { id: 1, isActive: true, isInvoiced: false, startTime: new Date('2024-01-15T09:00:00') }
+      ));
+      prisma.timeEntrySegment.findMany.mockResolvedValue([
+        { startTime: new Date('2024-01-15T10:00:00'), endTime: now },
+      ]);
+      prisma.setting.findUnique.mockImplementation(async ({ where }) => (
+        { timer_rounding: { value: '15' }, timer_rounding_mode: { value: 'up' } }[where.key] || null
+      ));
+
+      await db.resumeTimer(1);
+
+      expect(prisma.timeEntry.findMany).toHaveBeenCalledWith({ where: { isActive: true, id: { not: 1 } } });
+      expect(prisma.timeEntry.update).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: 2 },
+        data: { endTime: now, duration: 15, rawDuration: 7, isActive: false },
+      }));
+    });
+
+    it('keeps the original startTime and opens a new segment', async () => {
+      const startTime = new Date('2024-01-15T09:00:00');
+      const endTime = new Date('2024-01-15T09:20:00');
+      prisma.timeEntry.findUnique.mockResolvedValue({ id: 1, isActive: false, isInvoiced: false, startTime, endTime });
+      prisma.timeEntrySegment.findMany.mockResolvedValue([{ startTime, endTime }]);
+
+      await db.resumeTimer(1);
+
+      expect(prisma.timeEntrySegment.create).toHaveBeenCalledTimes(1);
+      expect(prisma.timeEntrySegment.create).toHaveBeenCalledWith({
+        data: { timeEntryId: 1, startTime: now },
+      });
+      const updateCall = prisma.timeEntry.update.mock.calls.at(-1)[0];
+      expect(updateCall.data).toEqual({ isActive: true, endTime: null });
+    });
+
+    it('backfills a segment for entries recorded before segments existed', async () => {
+      const startTime = new Date('2024-01-15T09:00:00');
+      const endTime = new Date('2024-01-15T09:20:00');
+      prisma.timeEntry.findUnique.mockResolvedValue({ id: 1, isActive: false, isInvoiced: false, startTime, endTime });
+
+      await db.resumeTimer(1);
+
+      expect(prisma.timeEntrySegment.create).toHaveBeenNthCalledWith(1, {
+        data: { timeEntryId: 1, startTime, endTime },
+      });
+      expect(prisma.timeEntrySegment.create).toHaveBeenNthCalledWith(2, {
+        data: { timeEntryId: 1, startTime: now },
+      });
+    });
+
+    it('refuses to resume an invoiced entry', async () => {
+      prisma.timeEntry.findUnique.mockResolvedValue({ id: 1, isActive: false, isInvoiced: true });
+
+      await expect(db.resumeTimer(1)).rejects.toThrow('Cannot resume an invoiced time entry');
+      expect(prisma.timeEntry.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('splitTimeEntry', () => {
+    it('moves the period into a finished entry and keeps the timer running', async () => {
+      const startTime = new Date('2024-01-15T09:00:00');
+      const idleStart = new Date('2024-01-15T09:30:00');
+      const idleEnd = new Date('2024-01-15T10:00:00');
+      prisma.timeEntry.findUnique.mockResolvedValue({ id: 1, isActive: true, startTime });
+      prisma.timeEntrySegment.findMany.mockResolvedValue([{ startTime, endTime: idleStart }]);
+
+      const entry = await db.splitTimeEntry(1, idleStart, idleEnd, { clientId: '3', description: 'Lunch meeting' });
+
+      expect(prisma.timeEntrySegment.updateMany).toHaveBeenCalledWith({
+        where: { timeEntryId: 1, endTime: null },
+        data: { endTime: idleStart },
+      });
+      expect(prisma.timeEntrySegment.create).toHaveBeenCalledWith({
+        data: { timeEntryId: 1, startTime: idleEnd },
+      });
+      expect(prisma.timeEntry.update).not.toHaveBeenCalled();
+      expect(entry).toMatchObject({
+        clientId: 3,
+        description: 'Lunch meeting',
+        startTime: idleStart,
+        endTime: idleEnd,
+        duration: 30,
+        isActive: false,
+      });
+    });
+
+    it('refuses to split an entry that is not running', async () => {
+      prisma.timeEntry.findUnique.mockResolvedValue({ id: 1, isActive: false });
+
+      await expect(db.splitTimeEntry(1, now, now)).rejects.toThrow('Time entry 1 is not running');
+    });
+  });
+
+  describe('getTimeEntries', () => {
+    it('adds the rate each entry is billed at', async () => {
+      prisma.timeEntry.findMany.mockResolvedValue([
+        { id: 1, task: { hourlyRate: 120 }, project: { hourlyRate: 100 }, client: { hourlyRate: 75 } },
+        { id: 2, hourlyRate: 90, project: null, client: { hourlyRate: 75 } },
+      ]);
+
+      const entries = await db.getTimeEntries();
+
+      expect(entries.map((entry) => entry.resolvedRate)).toEqual([120, 90]);
+    });
+  });
+
+  describe('createTimeEntry', () => {
+    it('rounds manual entries and records the raw minutes', async () => {
+      prisma.timeEntry.create = vi.fn(async ({ data }) => ({ id: 5, ...data }));
+      prisma.client.findUnique.mockResolvedValue({ id: 2, roundingMode: 'up', roundingIncrement: 6 });
+
+      const entry = await db.createTimeEntry({
+        clientId: '2',
+        date: '2024-01-15',
+        startTime: '09:00',
+        endTime: '09:20',
+      });
+
+      expect(entry.rawDuration).toBe(20);
+      expect(entry.duration).toBe(24);
+    });
+
+    it('takes the billable flag from the task, then the project', async () => {
+      prisma.task = { findUnique: vi.fn().mockResolvedValue({ id: 4, projectId: 3, isBillable: null }) };
+      prisma.project.findUnique.mockResolvedValue({ id: 3, isBillable: false });
+      const entry = { clientId: '2', taskId: '4', date: '2024-01-15', startTime: '09:00', endTime: '09:20' };
+
+      expect((await db.createTimeEntry(entry)).isBillable).toBe(false);
+      expect(prisma.project.findUnique).toHaveBeenCalledWith({ where: { id: 3 } });
+
+      prisma.task.findUnique.mockResolvedValue({ id: 4, projectId: 3, isBillable: true });
+      expect((await db.createTimeEntry(entry)).isBillable).toBe(true);
+
+      expect((await db.createTimeEntry({ ...entry, isBillable: false })).isBillable).toBe(false);
+    });
+  });
+
+  describe('updateTimeEntry', () => {
+    it('replaces segments and derives start, end and duration from them', async () => {
+      await db.updateTimeEntry(1, {
+        date: '2024-01-15',
+        segments: [
+          { startTime: '13:00', endTime: '13:45' },
+          { startTime: '09:00', endTime: '09:30' },
+        ],
+      });
+
+      const { data } = prisma.timeEntry.update.mock.calls[0][0];
+      expect(data.startTime).toEqual(new Date('2024-01-15T09:00:00'));
+      expect(data.endTime).toEqual(new Date('2024-01-15T13:45:00'));
+      expect(data.duration).toBe(75);
+      expect(data.segments.deleteMany).toEqual({});
+      expect(data.segments.create).toHaveLength(2);
+    });
+
+    it('clears an empty rate override', async () => {
+      await db.updateTimeEntry(1, { hourlyRate: '' });
+      await db.updateTimeEntry(1, { hourlyRate: '135.5' });
+
+      expect(prisma.timeEntry.update.mock.calls[0][0].data.hourlyRate).toBeNull();
+      expect(prisma.timeEntry.update.mock.calls[1][0].data.hourlyRate).toBe(135.5);
+    });
+
+    it('only changes the billable flag when given true or false', async () => {
+      await db.updateTimeEntry(1, { description: 'Admin', isBillable: '' });
+      await db.updateTimeEntry(1, { isBillable: false });
+
+      expect(prisma.timeEntry.update.mock.calls[0][0].data).not.toHaveProperty('isBillable');
+      expect(prisma.timeEntry.update.mock.calls[1][0].data.isBillable).toBe(false);
+    });
+
+    it('rejects segments that end before they start', async () => {
+      await expect(db.updateTimeEntry(1, {
+        date: '2024-01-15',
+        segments: [
+          { startTime: '09:00', endTime: '09:30' },
+          { startTime: '11:00', endTime: '10:00' },
+        ],
+      })).rejects.toThrow('Segment 2 ends before it starts');
+    });
+  });
+});
+
+describe('DatabaseService invoice totals', () => {
+  let db;
+  let prisma;
+
+  beforeEach(() => {
+    prisma = {
+      timeEntry: {
+        findMany: vi.fn().mockResolvedValue([
+          {
+            id: 1,
+            clientId: 3,
+            duration: 120,
+            startTime: new Date('2024-01-15T09:00:00Z'),
+            client: { hourlyRate: 50 },
+            project: null,
+          },
+        ]),
+        updateMany: vi.fn(),
+      },
+      invoice: {
+        create: vi.fn(async ({ data }) => ({ id: 7, ...data })),
+        findFirst: vi.fn().mockResolvedValue(null),
+      },
+      setting: { findMany: vi.fn().mockResolvedValue([]) },
+      invoiceSequence: {
+        nextValue: 1,
+        upsert: vi.fn(async ({ where }) => ({ scope: where.scope, nextValue: ++prisma.invoiceSequence.nextValue })),
+      },
+      $transaction: vi.fn(async (fn) => fn(prisma)),
+      client: {
+        create: vi.fn(async ({ data }) => ({ id: 3, ...data })),
+        update: vi.fn(async ({ data }) => ({ id: 3, ...data })),
+      },
+    };
+
+    db = new DatabaseService();
+    db.prisma = prisma;
+  });
+
+  it('stores the totals computed by the invoice generator', async () => {
+    await db.markAsInvoiced([1], 'INV-1', { clientName: 'Acme', currency: 'EUR' }, {
+      subtotal: 130,
+      discountAmount: 13,
+      taxAmount: 23.4,
+      totalAmount: 140.4,
+    });
+
+    const { data } = prisma.invoice.create.mock.calls[0][0];
+    expect(data).toMatchObject({ subtotal: 130, discountAmount: 13, taxAmount: 23.4, totalAmount: 140.4, currency: 'EUR' });
+  });
+
+  it('falls back to the labor amount without totals', async () => {
+    await db.markAsInvoiced([1], 'INV-1');
+
+    const { data } = prisma.invoice.create.mock.calls[0][0];
+    expect(data).toMatchObject({ subtotal: 100, discountAmount: 0, taxAmount: 0, totalAmount: 100 });
+  });
+
+  it('stores new invoices as drafts with their due date', async () => {
+    const dueDate = new Date('2024-02-14T00:00:00Z');
+    await db.markAsInvoiced([1], 'INV-1', null, null, { dueDate });
+
+    const { data } = prisma.invoice.create.mock.calls[0][0];
+    expect(data).toMatchObject({ status: 'draft', dueDate });
+  });
+
+  it('numbers invoices from the sequence inside the transaction', async () => {
+    prisma.setting.findMany.mockResolvedValue([
+      { key: 'invoice_number_pattern', value: '{CLIENT}-{YY}{SEQ:3}' },
+    ]);
+    prisma.timeEntry.findMany.mockResolvedValue([
+      { id: 1, clientId: 3, duration: 60, startTime: new Date('2024-01-15T09:00:00Z'), client: { name: 'Acme', invoicePrefix: 'AC' } },
+    ]);
+
+    const first = await db.markAsInvoiced([1], null, { clientName: 'Acme' }, null, { invoiceDate: new Date(2024, 5, 1) });
+    const second = await db.markAsInvoiced([1], null, null, null, { invoiceDate: new Date(2024, 5, 2) });
+
+    expect(first.invoiceNumber).toBe('AC-24001');
+    expect(JSON.parse(first.data).invoiceNumber).toBe('AC-24001');
+    expect(second.invoiceNumber).toBe('AC-24002');
+    expect(prisma.invoiceSequence.upsert.mock.calls[0][0].where).toEqual({ scope: '2024' });
+    expect(prisma.$transaction).toHaveBeenCalledTimes(2);
+  });
+
+  it('skips numbers already used and rejects duplicate manual numbers', async () => {
+    prisma.invoice.findFirst.mockImplementation(async ({ where }) =>
+      where.invoiceNumber === 'INV-2024-0001' ? { id: 1 } : null);
+
+    const invoice = await db.markAsInvoiced([1], null, null, null, { invoiceDate: new Date(2024, 0, 20) });
+    expect(invoice.invoiceNumber).toBe('INV-2024-0002');
+
+    await expect(db.markAsInvoiced([1], 'INV-2024-0001')).rejects.toThrow('already in use');
+  });
+
+  it('replaces a regenerated revision inside the transaction that stores the new one', async () => {
+    const calls = [];
+    prisma.invoice.update = vi.fn(async ({ where, data }) => {
+      calls.push(['update', where.id, data.status]);
+      return { id: where.id, ...data };
+    });
+    prisma.invoice.findFirst.mockImplementation(async ({ where }) => {
+      calls.push(['numberCheck', where.invoiceNumber]);
+      return null;
+    });
+    prisma.invoice.findUnique = vi.fn(async () => ({ status: 'sent', totalAmount: 100, payments: [{ amount: 40 }], creditNotes: [] }));
+    prisma.invoice.updateMany = vi.fn().mockResolvedValue({ count: 0 });
+    prisma.payment = { updateMany: vi.fn().mockResolvedValue({ count: 1 }) };
+
+    const invoice = await db.markAsInvoiced([1], 'INV-9', null, null, { status: 'sent', replacesInvoiceId: 9 });
+
+    expect(prisma.$transaction).toHaveBeenCalledTimes(1);
+    // Superseded first, so the new revision can keep the number
+    expect(calls.slice(0, 2)).toEqual([['update', 9, 'superseded'], ['numberCheck', 'INV-9']]);
+    expect(prisma.timeEntry.updateMany).toHaveBeenCalledWith({
+      where: { invoiceId: 9 },
+      data: { isInvoiced: false, invoiceId: null },
+    });
+    expect(prisma.payment.updateMany).toHaveBeenCalledWith({ where: { invoiceId: 9 }, data: { invoiceId: 7 } });
+    expect(prisma.invoice.updateMany).toHaveBeenCalledWith({ where: { creditedInvoiceId: 9 }, data: { creditedInvoiceId: 7 } });
+    expect(calls.at(-1)).toEqual(['update', 7, 'partial']);
+    expect(invoice.id).toBe(7);
+  });
+
+  it('stores client tax overrides as JSON and null to inherit', async () => {
+    await db.updateClient(3, { taxRates: [{ name: 'VAT', rate: '20' }] });
+    await db.updateClient(3, { taxRates: null });
+
+    expect(prisma.client.update.mock.calls[0][0].data.taxRates).toBe('[{"name":"VAT","rate":20}]');
+    expect(prisma.client.update.mock.calls[1][0].data.taxRates).toBeNull();
+  });
+});
+
+describe('DatabaseService invoice payments', () => {
+  let db;
+  let prisma;
+  let invoice;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-03-01T12:00:00'));
+
+    invoice = { id: 7, status: 'sent', totalAmount: 500, dueDate: new Date('2024-02-20T12:00:00'), payments: [] };
+    prisma = {
+      invoice: {
+        findUnique: vi.fn(async () => invoice),
+        update: vi.fn(async ({ data }) => Object.assign(invoice, data)),
+      },
+      payment: {
+        create: vi.fn(async ({ data }) => {
+          const payment = { id: invoice.payments.length + 1, ...data };
+          invoice.payments.push(payment);
+          return payment;
+        }),
+        delete: vi.fn(async ({ where }) => {
+          const payment = invoice.payments.find((p) => p.id === where.id);
+          invoice.payments = invoice.payments.filter((p) => p !== payment);
+          return payment;
+        }),
+      },
+    };
+
+    db = new DatabaseService();
+    db.prisma = prisma;
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('moves the invoice to partially paid, then paid', async () => {
+    await db.recordPayment(7, { amount: '200', date: '2024-02-25', method: 'Card' });
+    expect(invoice.status).toBe('partial');
+    expect(db.withPaymentStatus(invoice)).toMatchObject({
+      status: 'overdue',
+      paidAmount: 200,
+      balanceDue: 300,
+      daysOverdue: 10,
+      agingBucket: '1-30',
+    });
+
+    await db.recordPayment(7, { amount: 300 });
+    expect(invoice.status).toBe('paid');
+    expect(db.withPaymentStatus(invoice)).toMatchObject({ status: 'paid', balanceDue: 0, agingBucket: null });
+  });
+
+  it('goes back to sent when the only payment is deleted', async () => {
+    await db.recordPayment(7, { amount: 500 });
+    await db.deletePayment(1);
+
+    expect(invoice.status).toBe('sent');
+  });
+
+  it('rejects empty payments and payments on voided invoices', async () => {
+    await expect(db.recordPayment(7, { amount: '0' })).rejects.toThrow('greater than zero');
+
+    invoice.status = 'voided';
+    await expect(db.recordPayment(7, { amount: 50 })).rejects.toThrow('voided');
+    expect(prisma.payment.create).not.toHaveBeenCalled();
+  });
+
+  it('keeps paid invoices paid when marked as sent', async () => {
+    await db.recordPayment(7, { amount: 500 });
+    await db.updateInvoiceStatus(7, 'sent');
+
+    expect(invoice.status).toBe('paid');
+    await expect(db.updateInvoiceStatus(7, 'overdue')).rejects.toThrow('Invalid invoice status');
+  });
+});
+
+describe('DatabaseService credit notes', () => {
+  let db;
+  let prisma;
+  let invoice;
+
+  beforeEach(() => {
+    invoice = { id: 7, status: 'sent', totalAmount: 500, dueDate: null, payments: [], creditNotes: [] };
+    prisma = {
+      invoice: {
+        findUnique: vi.fn(async () => invoice),
+        findFirst: vi.fn().mockResolvedValue(null),
+        create: vi.fn(async ({ data }) => {
+          const creditNote = { id: 8, ...data };
+          invoice.creditNotes.push(creditNote);
+          return creditNote;
+        }),
+        update: vi.fn(async ({ data }) => Object.assign(invoice, data)),
+      },
+      client: { findUnique: vi.fn(async ({ where }) => ({ id: where.id, name: 'Acme' })) },
+      setting: { findMany: vi.fn().mockResolvedValue([]) },
+      invoiceSequence: {
+        upsert: vi.fn(async ({ where }) => ({ scope: where.scope, nextValue: 2 })),
+      },
+      $transaction: vi.fn(async (fn) => fn(prisma)),
+    };
+
+    db = new DatabaseService();
+    db.prisma = prisma;
+  });
+
+  const issue = (amount) => db.createCreditNote({
+    creditedInvoiceId: 7,
+    clientId: 3,
+    totals: { subtotal: -amount, discountAmount: 0, taxAmount: 0, totalAmount: -amount },
+    reason: 'Overbilled',
+    templateData: { templateId: 'credit-note' },
+    date: new Date(2024, 4, 1),
+  });
+
+  it('numbers credit notes from their own counter and links them to the invoice', async () => {
+    const creditNote = await issue(100);
+
+    expect(creditNote).toMatchObject({
+      invoiceNumber: 'CN-2024-0001',
+      type: 'credit_note',
+      creditedInvoiceId: 7,
+      creditReason: 'Overbilled',
+      totalAmount: -100,
+    });
+    expect(JSON.parse(creditNote.data).invoiceNumber).toBe('CN-2024-0001');
+    expect(prisma.invoiceSequence.upsert.mock.calls[0][0].where).toEqual({ scope: 'credit-2024' });
+  });
+
+  it('takes credit notes off the balance of the credited invoice', async () => {
+    await issue(100);
+    expect(db.withPaymentStatus(invoice)).toMatchObject({ status: 'sent', creditedAmount: 100, balanceDue: 400 });
+
+    await issue(400);
+    expect(db.withPaymentStatus(invoice)).toMatchObject({ status: 'credited', creditedAmount: 500, balanceDue: 0 });
+  });
+
+  it('rejects payments on superseded revisions and credit notes', async () => {
+    invoice.status = 'superseded';
+    await expect(db.recordPayment(7, { amount: 50 })).rejects.toThrow('superseded');
+
+    invoice.status = 'sent';
+    invoice.type = 'credit_note';
+    await expect(db.recordPayment(7, { amount: 50 })).rejects.toThrow('on a credit note');
+  });
+});
+
+describe('DatabaseService rate history', () => {
+  let db;
+  let prisma;
+
+  beforeEach(() => {
+    prisma = {
+      client: {
+        findUnique: vi.fn().mockResolvedValue({ id: 3, hourlyRate: 100 }),
+        update: vi.fn(async ({ data }) => ({ id: 3, ...data })),
+      },
+    };
+
+    db = new DatabaseService();
+    db.prisma = prisma;
+  });
+
+  it('records a changed rate from its effective date', async () => {
+    await db.updateClient(3, { hourlyRate: 120, rateEffectiveFrom: '2024-03-01' });
+
+    const { data } = prisma.client.update.mock.calls[0][0];
+    expect(data).not.toHaveProperty('rateEffectiveFrom');
+    expect(data.rateHistory.create).toEqual({ rate: 120, effectiveFrom: new Date('2024-03-01T00:00:00') });
+  });
+
+  it('leaves the history alone when the rate is unchanged', async () => {
+    await db.updateClient(3, { name: 'Acme', hourlyRate: 100 });
+
+    expect(prisma.client.update.mock.calls[0][0].data).not.toHaveProperty('rateHistory');
+  });
+});
+
+describe('DatabaseService data archives', () => {
+  let db;
+  let prisma;
+
+  // In-memory table with the queries the archive import uses
+  const table = (rows = []) => {
+    const matchValue = (value, condition) => (condition?.notIn ? !condition.notIn.includes(value) : value === condition);
+    const matches = (where) => (row) => Object.entries(where).every(([key, value]) => matchValue(row[key], value));
+    const increment = (row, update) => Object.fromEntries(Object.entries(update).map(([key, value]) => (
+      [key, value?.increment !== undefined ? row[key] + value.increment : value]
+    )));
+    return {
+      rows,
+      findMany: vi.fn(async () => rows.map(row => ({ ...row }))),
+      findUnique: vi.fn(async ({ where }) => rows.find(matches(where)) || null),
+      findFirst: vi.fn(async ({ where = {}, orderBy } = {}) => {
+        const found = rows.filter(matches(where));
+        return (orderBy?.id === 'desc' ? found.reverse() : found)[0] || null;
+      }),
+      update: vi.fn(async ({ where, data }) => Object.assign(rows.find(matches(where)), data)),
+      deleteMany: vi.fn(async ({ where } = {}) => {
+        const kept = rows.filter(row => where && !Object.entries(where).every(([key, value]) => (
+          value?.in ? value.in.includes(row[key]) : row[key] === value
+        )));
+        rows.splice(0, rows.length, ...kept);
+      }),
+      count: vi.fn(async () => rows.length),
+      create: vi.fn(async ({ data }) => {
+        const row = { ...data, id: data.id ?? Math.max(0, ...rows.map(r => r.id)) + 1 };
+        rows.push(row);
+        return row;
+      }),
+      upsert: vi.fn(async ({ where, update, create }) => {
+        const row = rows.find(matches(where));
+        if (row) return Object.assign(row, increment(row, update));
+        const created = { ...create, id: Math.max(0, ...rows.map(r => r.id)) + 1 };
+        rows.push(created);
+        return created;
+      }),
+    };
+  };
+
+  const archiveData = () => ({
+    clients: [{ id: 5, name: 'Acme', invoiceTemplate: 'my-layout' }, { id: 6, name: 'Globex', invoiceTemplate: null }],
+    projects: [{ id: 7, clientId: 5, name: 'Website' }, { id: 8, clientId: 5, name: 'App' }],
+    tasks: [{ id: 3, projectId: 8, name: 'Design' }],
+    rateHistory: [{ id: 1, clientId: 6, projectId: null, taskId: null, rate: 90, effectiveFrom: '2024-01-01T00:00:00.000Z' }],
+    invoices: [
+      { id: 20, clientId: 5, invoiceNumber: 'INV-001', revision: 1, type: 'invoice', creditedInvoiceId: null, data: '{"templateId":"my-layout"}' },
+      { id: 21, clientId: 5, invoiceNumber: 'CN-001', revision: 1, type: 'credit_note', creditedInvoiceId: 20, data: '{}' },
+    ],
+    payments: [{ id: 4, invoiceId: 20, amount: 50 }],
+    timeEntries: [
+      { id: 10, clientId: 5, projectId: 7, taskId: null, startTime: '2024-03-01T09:00:00.000Z', duration: 60, description: 'Homepage', invoiceId: 20 },
+      { id: 11, clientId: 5, projectId: 8, taskId: 3, startTime: '2024-03-02T09:00:00.000Z', duration: 30, description: 'Mockups', invoiceId: null },
+    ],
+    timeEntrySegments: [
+      { id: 1, timeEntryId: 10, startTime: '2024-03-01T09:00:00.000Z' },
+      { id: 2, timeEntryId: 11, startTime: '2024-03-02T09:00:00.000Z' },
+    ],
+    invoiceSequences: [{ scope: 'invoice', nextValue: 2 }],
+    settings: [
+      { key: 'currency', value: 'EUR' },
+      { key: 'company_name', value: 'Archive Co' },
+      { key: 'invoice_template', value: 'my-layout' },
+      { key: 'smtp_password', value: 'secret' },
+    ],
+  });
+
+  beforeEach(() => {
+    prisma = {
+      client: table(),
+      project: table(),
+      task: table(),
+      rateHistory: table(),
+      invoice: table(),
+      payment: table(),
+      timeEntry: table(),
+      timeEntrySegment: table(),
+      invoiceSequence: table(),
+      setting: table(),
+    };
+    prisma.$transaction = vi.fn(async (work) => (typeof work === 'function' ? work(prisma) : Promise.all(work)));
+
+    db = new DatabaseService();
+    db.prisma = prisma;
+  });
+
+  it('exports every table without machine-specific settings', async () => {
+    prisma.client.rows.push({ id: 1, name: 'Acme' });
+    prisma.invoiceSequence.rows.push({ id: 1, scope: 'invoice', nextValue: 4 });
+    prisma.setting.rows.push({ id: 1, key: 'currency', value: 'EUR' }, { id: 2, key: 'smtp_password', value: 'secret' }, { id: 3, key: 'lastUsedClientId', value: '1' });
+
+    const data = await db.getArchiveData();
+
+    expect(data.clients).toEqual([{ id: 1, name: 'Acme' }]);
+    expect(data.invoiceSequences).toEqual([{ scope: 'invoice', nextValue: 4 }]);
+    expect(data.settings).toEqual([{ key: 'currency', value: 'EUR' }]);
+  });
+
+  it('restores into an empty database keeping every id', async () => {
+    const result = await db.importArchiveData(archiveData(), { mode: 'restore' });
+
+    expect(prisma.client.rows.map(c => c.id)).toEqual([5, 6]);
+    expect(prisma.timeEntry.rows[0]).toMatchObject({ id: 10, projectId: 7, invoiceId: 20 });
+    expect(prisma.invoice.rows[1]).toMatchObject({ id: 21, creditedInvoiceId: 20 });
+    expect(prisma.setting.rows.map(s => s.key)).toEqual(['currency', 'company_name', 'invoice_template']);
+    expect(result.created).toMatchObject({ clients: 2, projects: 2, tasks: 1, invoices: 2, payments: 1, timeEntries: 2, timeEntrySegments: 2 });
+  });
+
+  it('only restores into an empty database', async () => {
+    prisma.client.rows.push({ id: 1, name: 'Acme' });
+
+    await expect(db.importArchiveData(archiveData(), { mode: 'restore' })).rejects.toThrow('needs an empty database');
+    expect(prisma.client.rows).toHaveLength(1);
+  });
+
+  it('merges into existing data with new ids, reusing what is already here', async () => {
+    prisma.client.rows.push({ id: 1, name: 'ACME ' });
+    prisma.project.rows.push({ id: 1, clientId: 1, name: 'Website' });
+    prisma.timeEntry.rows.push({ id: 1, clientId: 1, projectId: 1, taskId: null, startTime: new Date('2024-03-01T09:00:00.000Z'), duration: 60, description: 'Homepage' });
+    prisma.invoiceSequence.rows.push({ id: 1, scope: 'invoice', nextValue: 9 });
+    prisma.setting.rows.push({ id: 1, key: 'currency', value: 'USD' });
+
+    const result = await db.importArchiveData(archiveData(), { mode: 'merge' });
+
+    const [, globex] = prisma.client.rows;
+    expect(globex).toMatchObject({ id: 2, name: 'Globex' });
+    const app = prisma.project.rows.find(p => p.name === 'App');
+    expect(app).toMatchObject({ id: 2, clientId: 1 });
+    expect(prisma.task.rows[0]).toMatchObject({ projectId: app.id });
+    expect(prisma.rateHistory.rows[0]).toMatchObject({ clientId: globex.id, rate: 90 });
+
+    const [invoice, creditNote] = prisma.invoice.rows;
+    expect(invoice).toMatchObject({ id: 1, clientId: 1 });
+    expect(creditNote).toMatchObject({ creditedInvoiceId: invoice.id });
+    expect(prisma.payment.rows[0]).toMatchObject({ invoiceId: invoice.id, amount: 50 });
+
+    // The Homepage entry and its segment were already here
+    expect(prisma.timeEntry.rows).toHaveLength(2);
+    expect(prisma.timeEntry.rows[1]).toMatchObject({ id: 2, projectId: app.id, taskId: 1, description: 'Mockups' });
+    expect(prisma.timeEntrySegment.rows).toEqual([expect.objectContaining({ id: 1, timeEntryId: 2 })]);
+
+    // Numbering is not set back and current settings are kept
+    expect(prisma.invoiceSequence.rows[0].nextValue).toBe(9);
+    expect(prisma.setting.rows.map(s => [s.key, s.value])).toEqual([
+      ['currency', 'USD'],
+      ['company_name', 'Archive Co'],
+      ['invoice_template', 'my-layout'],
+    ]);
+
+    expect(result.created).toMatchObject({ clients: 1, projects: 1, timeEntries: 1, timeEntrySegments: 1, settings: 2 });
+    expect(result.skipped).toMatchObject({ clients: 1, projects: 1, timeEntries: 1, timeEntrySegments: 1, invoiceSequences: 1, settings: 1 });
+  });
+
+  it('skips invoices that were already imported, with their payments', async () => {
+    await db.importArchiveData(archiveData(), { mode: 'merge' });
+    const result = await db.importArchiveData(archiveData(), { mode: 'merge' });
+
+    expect(prisma.invoice.rows).toHaveLength(2);
+    expect(prisma.payment.rows).toHaveLength(1);
+    expect(prisma.timeEntry.rows).toHaveLength(2);
+    expect(result.created).toEqual({});
+  });
+
+  it('imports running timers stopped when the archive was exported', async () => {
+    const data = archiveData();
+    data.timeEntries[1] = { ...data.timeEntries[1], isActive: true, endTime: null, duration: 0 };
+
+    const result = await db.importArchiveData(data, { mode: 'merge', exportedAt: '2024-03-02T09:47:00.000Z' });
+
+    expect(prisma.timeEntry.rows[1]).toMatchObject({
+      isActive: false,
+      endTime: new Date('2024-03-02T09:47:00.000Z'),
+      rawDuration: 47,
+    });
+    expect(prisma.timeEntry.rows[1].duration).toBeGreaterThanOrEqual(47);
+    expect(prisma.timeEntrySegment.rows[1].endTime).toEqual(new Date('2024-03-02T09:47:00.000Z'));
+    expect(result.stoppedTimers).toBe(1);
+  });
+
+  it('does not count the unchanged sample data as user data, and restores in its place', async () => {
+    prisma.client.rows.push({ id: 1, name: 'Sample Co' });
+    prisma.timeEntry.rows.push({ id: 1, clientId: 1, startTime: new Date('2024-01-01T09:00:00Z'), duration: 60 });
+    const { key } = await db.getDataFingerprint();
+    prisma.setting.rows.push({ id: 1, key: 'sample_data', value: key });
+
+    expect(await db.hasUserData()).toBe(false);
+
+    await db.importArchiveData(archiveData(), { mode: 'restore' });
+
+    expect(prisma.client.rows.map(c => c.name)).toEqual(['Acme', 'Globex']);
+    expect(prisma.timeEntry.rows.map(e => e.id)).toEqual([10, 11]);
+    expect(prisma.setting.rows.find(s => s.key === 'sample_data')).toBeUndefined();
+  });
+
+  it('counts the sample data as user data once clients or entries are added', async () => {
+    prisma.client.rows.push({ id: 1, name: 'Sample Co' });
+    const { key } = await db.getDataFingerprint();
+    prisma.setting.rows.push({ id: 1, key: 'sample_data', value: key });
+    prisma.client.rows.push({ id: 2, name: 'Real Client' });
+
+    expect(await db.hasUserData()).toBe(true);
+    await expect(db.importArchiveData(archiveData(), { mode: 'restore' })).rejects.toThrow('needs an empty database');
+  });
+
+  it('renumbers merged invoices whose number a different invoice here uses', async () => {
+    prisma.client.rows.push({ id: 1, name: 'Initech' });
+    prisma.invoice.rows.push({ id: 1, clientId: 1, invoiceNumber: 'INV-001', revision: 1, type: 'invoice', status: 'sent', data: '{}' });
+    const data = archiveData();
+    data.invoices[0] = { ...data.invoices[0], status: 'sent', createdAt: '2024-05-01T12:00:00.000Z', data: '{"invoiceNumber":"INV-001"}' };
+    data.invoiceSequences = [{ scope: '2024', nextValue: 4 }];
+
+    const result = await db.importArchiveData(data, { mode: 'merge' });
+
+    const merged = prisma.invoice.rows[1];
+    expect(merged).toMatchObject({ clientId: 2, invoiceNumber: 'INV-2024-0004' });
+    expect(JSON.parse(merged.data)).toEqual({ invoiceNumber: 'INV-2024-0004', archiveInvoiceNumber: 'INV-001' });
+    expect(prisma.invoiceSequence.rows[0].nextValue).toBe(5);
+    expect(result.renumbered).toEqual([{ from: 'INV-001', to: 'INV-2024-0004' }]);
+
+    // Merging the archive again finds the renumbered invoice
+    const again = await db.importArchiveData(data, { mode: 'merge' });
+    expect(prisma.invoice.rows).toHaveLength(3);
+    expect(again.renumbered).toEqual([]);
+  });
+
+  it('points clients, invoices and the default template at renamed templates', async () => {
+    await db.importArchiveData(archiveData(), { mode: 'restore', templateIds: { 'my-layout': 'my-layout-2' } });
+
+    expect(prisma.client.rows[0].invoiceTemplate).toBe('my-layout-2');
+    expect(JSON.parse(prisma.invoice.rows[0].data).templateId).toBe('my-layout-2');
+    expect(prisma.setting.rows.find(s => s.key === 'invoice_template').value).toBe('my-layout-2');
+  });
+});
+
+describe('DatabaseService CSV import', () => {
+  let db;
+  let prisma;
+  let rows;
+
+  const table = (name) => ({
+    findMany: vi.fn(async () => rows[name].map(row => ({ ...row }))),
+    create: vi.fn(async ({ data }) => {
+      const row = { ...data, id: rows[name].length + 1 };
+      rows[name].push(row);
+      return row;
+    }),
+  });
+
+  const entry = (overrides = {}) => ({
+    startTime: new Date('2024-03-05T09:00:00'),
+    endTime: new Date('2024-03-05T10:30:00'),
+    duration: 90,
+    clientName: 'Acme',
+    projectName: 'Website',
+    taskName: null,
+    description: 'Fixes',
+    isBillable: null,
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    rows = {
+      client: [{ id: 1, name: 'ACME' }],
+      project: [{ id: 1, clientId: 1, name: 'Website', isBillable: false }],
+      task: [],
+      timeEntry: [],
+    };
+    prisma = {
+      client: table('client'),
+      project: table('project'),
+      task: table('task'),
+      timeEntry: table('timeEntry'),
+    };
+    prisma.$transaction = vi.fn(async (work) => work(prisma));
+
+    db = new DatabaseService();
+    db.prisma = prisma;
+  });
+
+  it('matches clients and projects by name and creates the missing ones once', async () => {
+    const result = await db.importTimeEntries([
+      entry(),
+      entry({ projectName: 'App', taskName: 'Design', startTime: new Date('2024-03-06T09:00:00'), endTime: null, isBillable: true }),
+      entry({ clientName: 'Globex', projectName: null, startTime: new Date('2024-03-07T09:00:00') }),
+      entry({ projectName: 'app', taskName: 'design', startTime: new Date('2024-03-08T09:00:00') }),
+    ]);
+
+    expect(result).toEqual({ imported: 4, duplicates: 0, clients: ['Globex'], projects: ['App'], tasks: ['Design'] });
+    expect(rows.project[1]).toEqual({ id: 2, name: 'App', clientId: 1 });
+    expect(rows.task[0]).toEqual({ id: 1, name: 'Design', projectId: 2 });
+
+    const [first, second, third, fourth] = rows.timeEntry;
+    // Billable follows the project unless the file says otherwise
+    expect(first).toMatchObject({ clientId: 1, projectId: 1, duration: 90, rawDuration: 90, isBillable: false });
+    expect(first.segments.create).toEqual([{ startTime: entry().startTime, endTime: entry().endTime }]);
+    expect(second).toMatchObject({ projectId: 2, taskId: 1, isBillable: true });
+    expect(second).not.toHaveProperty('segments');
+    expect(third).toMatchObject({ clientId: 2, projectId: null, isBillable: true });
+    expect(fourth).toMatchObject({ projectId: 2, taskId: 1 });
+  });
+
+  it('skips entries that are already here or twice in the file', async () => {
+    rows.timeEntry.push({ id: 1, clientId: 1, projectId: 1, taskId: null, startTime: entry().startTime, duration: 90, description: 'Fixes' });
+
+    const result = await db.importTimeEntries([entry(), entry({ description: 'Other' }), entry({ description: 'Other' })]);
+
+    expect(result).toMatchObject({ imported: 1, duplicates: 2 });
+    expect(rows.timeEntry).toHaveLength(2);
+  });
+
+  it('changes nothing on a dry run', async () => {
+    const result = await db.importTimeEntries(
+      [entry({ clientName: 'Globex', projectName: 'Intranet' }), entry({ clientName: 'Globex', projectName: 'Intranet', description: 'More' })],
+      { dryRun: true },
+    );
+
+    expect(result).toEqual({ imported: 2, duplicates: 0, clients: ['Globex'], projects: ['Intranet'], tasks: [] });
+    expect(prisma.client.create).not.toHaveBeenCalled();
+    expect(prisma.project.create).not.toHaveBeenCalled();
+    expect(prisma.timeEntry.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('DatabaseService reports', () => {
+  let db;
+  let prisma;
+
+  beforeEach(() => {
+    prisma = {
+      $queryRawUnsafe: vi.fn(async () => [{ clientId: 1n, clientName: 'Acme', currency: 'EUR', minutes: 90n, amount: 150 }]),
+      invoice: { findMany: vi.fn() },
+    };
+    db = new DatabaseService();
+    db.prisma = prisma;
+  });
+
+  it('sums time totals in SQL with the filters as bound values', async () => {
+    const rows = await db.getTimeTotals({ clientId: 1, isInvoiced: false }, ['client']);
+
+    const [sql, ...values] = prisma.$queryRawUnsafe.mock.calls[0];
+    expect(sql).toContain('FROM time_entries te');
+    expect(sql).toContain('GROUP BY clientId, clientName, currency');
+    expect(values).toEqual([1, 0]);
+    expect(rows).toEqual([{ clientId: 1, clientName: 'Acme', currency: 'EUR', minutes: 90, amount: 150 }]);
+  });
+
+  it('lists only invoices with a balance due', async () => {
+    const past = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+    prisma.invoice.findMany.mockResolvedValue([
+      { id: 1, type: 'invoice', status: 'sent', totalAmount: 100, dueDate: past, payments: [{ amount: 40 }], creditNotes: [] },
+      { id: 2, type: 'invoice', status: 'paid', totalAmount: 50, dueDate: past, payments: [{ amount: 50 }], creditNotes: [] },
+      { id: 3, type: 'invoice', status: 'draft', totalAmount: 70, dueDate: null, payments: [], creditNotes: [] },
+    ]);
+
+    const invoices = await db.getUnpaidInvoices({ clientId: '2' });
+
+    expect(prisma.invoice.findMany.mock.calls[0][0].where).toEqual({
+      type: 'invoice',
+      status: { notIn: ['voided', 'superseded'] },
+      clientId: 2,
+    });
+    expect(invoices).toHaveLength(1);
+    expect(invoices[0]).toMatchObject({ id: 1, status: 'overdue', balanceDue: 60, agingBucket: '1-30' });
+  });
+});
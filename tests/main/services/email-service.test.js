@@ -0,0 +1,275 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import net from 'node:net';
+import EmailService, { DEFAULT_EMAIL_SUBJECT } from '../../../src/main/services/email-service.js';
+
+// Minimal SMTP server that accepts everything and records the session
+const startSmtpServer = ({ extensions = [], rejectRecipient = null } = {}) => {
+  const session = { commands: [], messages: [] };
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let data = null;
+
+    socket.write('220 localhost ESMTP test\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+
+      while (true) {
+        if (data !== null) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          data += buffer.slice(0, end);
+          buffer = buffer.slice(end + 5);
+          session.messages.push(data.replace(/^\.\./gm, '.'));
+          data = null;
+          socket.write('250 Queued\r\n');
+          continue;
+        }
+
+        const index = buffer.indexOf('\r\n');
+        if (index === -1) return;
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        session.commands.push(line);
+
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') {
+          const lines = ['localhost', ...extensions];
+          socket.write(lines.map((text, i) => `250${i === lines.length - 1 ? ' ' : '-'}${text}\r\n`).join(''));
+        } else if (verb === 'STARTTLS') {
+          socket.write('454 TLS not available\r\n');
+        } else if (verb === 'AUTH') {
+          socket.write('235 Authenticated\r\n');
+        } else if (verb === 'RCPT' && rejectRecipient && line.includes(rejectRecipient)) {
+          socket.write('550 No such user\r\n');
+        } else if (verb === 'DATA') {
+          data = '';
+          socket.write('354 Go ahead\r\n');
+        } else if (verb === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, session, port: server.address().port });
+    });
+  });
+};
+
+describe('EmailService', () => {
+  let database;
+  let invoiceGenerator;
+  let fileSystem;
+  let transport;
+  let createTransport;
+  let service;
+  let invoice;
+  let settings;
+
+  beforeEach(() => {
+    invoice = {
+      id: 7,
+      invoiceNumber: 'INV-2026-0007',
+      status: 'draft',
+      totalAmount: 1250,
+      currency: 'EUR',
+      dueDate: new Date(2026, 10, 18),
+      createdAt: new Date(2026, 9, 19),
+      client: { name: 'Globex', email: 'ap@globex.test' },
+      data: JSON.stringify({ periodStart: '10/1/2026', periodEnd: '10/31/2026', companyName: 'Old Name' })
+    };
+    settings = {
+      company_name: 'Acme',
+      company_email: 'billing@acme.test',
+      smtp_host: 'smtp.acme.test',
+      smtp_port: '2525',
+      smtp_user: 'acme',
+      smtp_password: 'secret'
+    };
+
+    database = {
+      getInvoiceById: vi.fn(async () => invoice),
+      getSettings: vi.fn(async () => settings),
+      markInvoiceSent: vi.fn(async (id, { to, sentAt }) => ({ ...invoice, status: 'sent', sentTo: to, sentAt }))
+    };
+    invoiceGenerator = {
+      getStoredData: (inv) => JSON.parse(inv.data || '{}'),
+      generatePDFFromStoredData: vi.fn(async () => '/tmp/invoice-7.pdf'),
+      createInvoiceFilename: vi.fn(() => 'Invoice-Globex-INV-2026-0007.pdf')
+    };
+    fileSystem = {
+      readFileSync: vi.fn(() => Buffer.from('%PDF-1.4')),
+      unlinkSync: vi.fn()
+    };
+    transport = { sendMail: vi.fn(async () => ({ accepted: ['ap@globex.test'] })) };
+    createTransport = vi.fn(() => transport);
+
+    service = new EmailService({
+      database,
+      invoiceGenerator,
+      fileSystem,
+      createTransport,
+      dateProvider: () => new Date('2026-10-19T10:00:00Z')
+    });
+  });
+
+  it('should require its dependencies', () => {
+    expect(() => new EmailService({ invoiceGenerator })).toThrow('Database dependency is required');
+    expect(() => new EmailService({ database })).toThrow('Invoice generator dependency is required');
+  });
+
+  it('should compose the email from the default templates', async () => {
+    const email = await service.composeInvoiceEmail(7);
+
+    expect(email.to).toBe('ap@globex.test');
+    expect(email.subject).toBe('Invoice INV-2026-0007 from Acme');
+    expect(email.body).toContain('Hello Globex,');
+    expect(email.body).toContain('€1,250.00');
+    expect(email.body).toContain('10/1/2026 to 10/31/2026');
+  });
+
+  it('should use the templates from settings without HTML escaping', async () => {
+    settings.email_subject_template = '{{clientName}} & {{companyName}}: {{invoiceNumber}}';
+    settings.email_body_template = 'Due {{dueDate}}';
+
+    const email = await service.composeInvoiceEmail(7);
+
+    expect(email.subject).toBe('Globex & Acme: INV-2026-0007');
+    expect(email.body).toBe(`Due ${new Date(2026, 10, 18).toLocaleDateString()}`);
+    expect(DEFAULT_EMAIL_SUBJECT).toContain('{{invoiceNumber}}');
+  });
+
+  it('should send the invoice PDF and record it as sent', async () => {
+    const result = await service.sendInvoiceEmail(7, {
+      to: 'ap@globex.test, Jane <jane@globex.test>',
+      subject: 'Invoice',
+      body: 'Attached.'
+    });
+
+    expect(createTransport).toHaveBeenCalledWith({
+      host: 'smtp.acme.test',
+      port: 2525,
+      secure: false,
+      requireTLS: true,
+      auth: { user: 'acme', pass: 'secret' }
+    });
+    expect(transport.sendMail).toHaveBeenCalledWith({
+      from: 'Acme <billing@acme.test>',
+      to: ['ap@globex.test', 'Jane <jane@globex.test>'],
+      subject: 'Invoice',
+      text: 'Attached.',
+      attachments: [{
+        filename: 'Invoice-Globex-INV-2026-0007.pdf',
+        content: Buffer.from('%PDF-1.4'),
+        contentType: 'application/pdf'
+      }]
+    });
+    expect(fileSystem.unlinkSync).toHaveBeenCalledWith('/tmp/invoice-7.pdf');
+    expect(database.markInvoiceSent).toHaveBeenCalledWith(7, {
+      to: 'ap@globex.test, jane@globex.test',
+      sentAt: new Date('2026-10-19T10:00:00Z')
+    });
+    expect(result.status).toBe('sent');
+  });
+
+  it('should not record the invoice as sent when sending fails', async () => {
+    transport.sendMail.mockRejectedValue(new Error('SMTP error 550: No such user'));
+
+    await expect(service.sendInvoiceEmail(7, { to: 'ap@globex.test', subject: 'Invoice' }))
+      .rejects.toThrow('SMTP error 550');
+    expect(database.markInvoiceSent).not.toHaveBeenCalled();
+    expect(fileSystem.unlinkSync).toHaveBeenCalled();
+  });
+
+  it('should validate the email before sending', async () => {
+    await expect(service.sendInvoiceEmail(7, { to: '', subject: 'Invoice' })).rejects.toThrow('Add at least one recipient');
+    await expect(service.sendInvoiceEmail(7, { to: 'ap@globex', subject: 'Invoice' })).rejects.toThrow('Invalid email address: ap@globex');
+    await expect(service.sendInvoiceEmail(7, { to: 'ap@globex.test', subject: ' ' })).rejects.toThrow('Subject is required');
+
+    invoice.status = 'voided';
+    await expect(service.sendInvoiceEmail(7, { to: 'ap@globex.test', subject: 'Invoice' })).rejects.toThrow('Voided invoices cannot be sent');
+
+    invoice.status = 'draft';
+    delete settings.smtp_host;
+    await expect(service.sendInvoiceEmail(7, { to: 'ap@globex.test', subject: 'Invoice' })).rejects.toThrow('Email is not set up');
+    expect(transport.sendMail).not.toHaveBeenCalled();
+  });
+
+  it('should send a test email with the saved settings', async () => {
+    settings.smtp_from = 'Acme Billing <invoices@acme.test>';
+
+    await expect(service.sendTestEmail('me@acme.test')).resolves.toEqual({ success: true });
+    expect(transport.sendMail).toHaveBeenCalledWith(expect.objectContaining({
+      from: 'Acme Billing <invoices@acme.test>',
+      to: 'me@acme.test'
+    }));
+  });
+
+  describe('with a local SMTP server', () => {
+    let stub;
+
+    beforeEach(async () => {
+      stub = await startSmtpServer();
+      settings.smtp_host = '127.0.0.1';
+      settings.smtp_port = String(stub.port);
+      delete settings.smtp_user;
+      service = new EmailService({ database, invoiceGenerator, fileSystem });
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => stub.server.close(resolve));
+    });
+
+    it('should deliver the invoice to every recipient', async () => {
+      await service.sendInvoiceEmail(7, { to: 'ap@globex.test, Jane <jane@globex.test>', subject: 'Invoice', body: 'Hello\n.hidden line' });
+
+      expect(stub.session.commands).toEqual(expect.arrayContaining([
+        'MAIL FROM:<billing@acme.test>',
+        'RCPT TO:<ap@globex.test>',
+        'RCPT TO:<jane@globex.test>',
+        'DATA'
+      ]));
+      expect(stub.session.messages).toHaveLength(1);
+      expect(stub.session.messages[0]).toContain('Subject: Invoice');
+      expect(stub.session.messages[0]).toContain('.hidden line');
+      expect(stub.session.messages[0]).toContain(Buffer.from('%PDF-1.4').toString('base64'));
+      expect(database.markInvoiceSent).toHaveBeenCalled();
+    });
+
+    it('should encode attachment names instead of breaking the headers', async () => {
+      invoiceGenerator.createInvoiceFilename.mockReturnValue('Invoice-"Café"\r\nBcc: evil@example.com.pdf');
+
+      await service.sendInvoiceEmail(7, { to: 'ap@globex.test', subject: 'Invoice' });
+
+      const [message] = stub.session.messages;
+      expect(message).not.toMatch(/^Bcc:/m);
+      expect(message).toMatch(/filename\*0?\*?=/);
+      expect(stub.session.commands).not.toContain('RCPT TO:<evil@example.com>');
+    });
+
+    it('should fail with the server reply when a recipient is rejected', async () => {
+      await new Promise(resolve => stub.server.close(resolve));
+      stub = await startSmtpServer({ rejectRecipient: 'jane@globex.test' });
+      settings.smtp_port = String(stub.port);
+
+      await expect(service.sendInvoiceEmail(7, { to: 'jane@globex.test', subject: 'Invoice' })).rejects.toThrow(/550/);
+      expect(stub.session.commands).not.toContain('DATA');
+      expect(database.markInvoiceSent).not.toHaveBeenCalled();
+    });
+
+    it('should not send the password over an unencrypted connection', async () => {
+      await new Promise(resolve => stub.server.close(resolve));
+      stub = await startSmtpServer({ extensions: ['AUTH PLAIN LOGIN'] });
+      settings.smtp_port = String(stub.port);
+      settings.smtp_user = 'acme';
+
+      await expect(service.sendTestEmail('me@acme.test')).rejects.toThrow(/TLS/);
+      expect(stub.session.commands.some(command => command.startsWith('AUTH'))).toBe(false);
+    });
+  });
+});
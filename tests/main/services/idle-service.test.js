@@ -0,0 +1,146 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { EventEmitter } from 'node:events'
+import { createIpcMainMock, createMainWindowMock } from '../helpers/electron-main-test-harness'
+
+// Force 'electron' to use our test double module
+vi.mock('electron', async () => ({
+  ...(await import('../../mocks/electron.js')),
+}))
+
+import IdleService from '../../../src/main/services/idle-service.js'
+
+function createPowerMonitorMock() {
+  const powerMonitor = new EventEmitter()
+  powerMonitor.idleSeconds = 0
+  powerMonitor.getSystemIdleTime = vi.fn(() => powerMonitor.idleSeconds)
+  return powerMonitor
+}
+
+describe('IdleService', () => {
+  const now = new Date('2024-01-15T11:00:00')
+  let ipcMain
+  let powerMonitor
+  let mainWindow
+  let database
+  let tray
+  let service
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(now)
+
+    ipcMain = createIpcMainMock()
+    powerMonitor = createPowerMonitorMock()
+    mainWindow = { ...createMainWindowMock(), show: vi.fn() }
+    database = {
+      settings: { idle_threshold: '10', timer_rounding: '15' },
+      getSetting: vi.fn(async (key) => database.settings[key] ?? null),
+      getActiveTimer: vi.fn(async () => ({ id: 7, description: 'Feature work', client: { name: 'Acme' } })),
+      stopTimer: vi.fn(async (id) => ({ id, isActive: false })),
+      splitTimeEntry: vi.fn(async () => ({ id: 8 })),
+    }
+    tray = { setIdlePrompt: vi.fn() }
+
+    service = new IdleService(mainWindow, database, { ipcMain, powerMonitor })
+    service.setTrayService(tray)
+    service.setup()
+  })
+
+  afterEach(() => {
+    service.destroy()
+    vi.useRealTimers()
+  })
+
+  // Idle since `minutes` ago, noticed on the next poll a minute after returning
+  async function goIdle(minutes) {
+    powerMonitor.idleSeconds = minutes * 60
+    await service.check()
+    vi.advanceTimersByTime(60 * 1000)
+    powerMonitor.idleSeconds = 60
+    await service.check()
+  }
+
+  it('prompts the renderer and tray after an idle period over the threshold', async () => {
+    await goIdle(20)
+
+    const pending = await ipcMain.invoke('idle:getPending')
+    expect(pending).toMatchObject({ entryId: 7, idleMinutes: 20, clientName: 'Acme' })
+    expect(new Date(pending.idleStart)).toEqual(new Date('2024-01-15T10:40:00'))
+    expect(mainWindow.webContents.send).toHaveBeenCalledWith('idle:event', { type: 'detected', payload: pending })
+    expect(tray.setIdlePrompt).toHaveBeenCalledWith(pending)
+    expect(mainWindow.show).toHaveBeenCalled()
+  })
+
+  it('does nothing while idle detection is turned off', async () => {
+    database.settings.idle_threshold = '0'
+
+    await goIdle(20)
+
+    expect(await ipcMain.invoke('idle:getPending')).toBeNull()
+    expect(database.getActiveTimer).not.toHaveBeenCalled()
+  })
+
+  it('does not prompt when no timer is running', async () => {
+    database.getActiveTimer.mockResolvedValue(null)
+
+    await goIdle(20)
+
+    expect(await ipcMain.invoke('idle:getPending')).toBeNull()
+  })
+
+  it('treats sleep as idle time', async () => {
+    powerMonitor.emit('suspend')
+    await vi.waitFor(() => expect(service.idle).not.toBeNull())
+
+    vi.advanceTimersByTime(30 * 60 * 1000)
+    powerMonitor.idleSeconds = 0
+    await service.check()
+
+    expect(service.pending).toMatchObject({ entryId: 7, idleMinutes: 30 })
+  })
+
+  it('keeps the idle time without touching the entry', async () => {
+    await goIdle(20)
+
+    const result = await ipcMain.invoke('idle:resolve', 'keep')
+
+    expect(result).toMatchObject({ success: true, action: 'keep' })
+    expect(database.stopTimer).not.toHaveBeenCalled()
+    expect(database.splitTimeEntry).not.toHaveBeenCalled()
+    expect(tray.setIdlePrompt).toHaveBeenLastCalledWith(null)
+    expect(await ipcMain.invoke('idle:getPending')).toBeNull()
+  })
+
+  it('discards by stopping the timer where the idle period began', async () => {
+    await goIdle(20)
+
+    await ipcMain.invoke('idle:resolve', 'discard')
+
+    expect(database.stopTimer).toHaveBeenCalledWith(7, null, new Date('2024-01-15T10:40:00'))
+    expect(mainWindow.webContents.send).toHaveBeenLastCalledWith('idle:event', {
+      type: 'resolved',
+      payload: { action: 'discard', entryId: 7, entry: { id: 7, isActive: false } },
+    })
+  })
+
+  it('splits the idle period into its own entry', async () => {
+    await goIdle(20)
+
+    const options = { clientId: 2, description: 'Meeting' }
+    const result = await ipcMain.invoke('idle:resolve', 'split', options)
+
+    expect(database.splitTimeEntry).toHaveBeenCalledWith(
+      7,
+      new Date('2024-01-15T10:40:00'),
+      new Date('2024-01-15T11:00:00'),
+      options,
+    )
+    expect(result.entry).toEqual({ id: 8 })
+  })
+
+  it('reports an error when nothing is pending', async () => {
+    const result = await ipcMain.invoke('idle:resolve', 'keep')
+
+    expect(result).toEqual({ success: false, error: 'No idle period to resolve' })
+  })
+})
@@ -55,8 +55,13 @@ describe('InvoiceGenerator', () => {
       getTimeEntriesByIds: vi.fn(),
       markAsInvoiced: vi.fn(),
       getInvoiceById: vi.fn(),
-      voidInvoice: vi.fn(),
-      unmarkAsInvoiced: vi.fn()
+      supersedeInvoice: vi.fn(),
+      unmarkAsInvoiced: vi.fn(),
+      movePayments: vi.fn(),
+      moveCreditNotes: vi.fn(),
+      createCreditNote: vi.fn(data => ({ id: 20, invoiceNumber: 'CN-2024-0001', ...data })),
+      getProjects: vi.fn().mockResolvedValue([]),
+      getProjectBillingHistory: vi.fn().mockResolvedValue({ charges: [], hours: {} })
     };
 
     mockFileSystem = {
@@ -93,6 +98,7 @@ describe('InvoiceGenerator', () => {
       pdfRenderer: mockPdfRenderer,
       templateCompiler: mockTemplateCompiler,
       dateProvider: mockDateProvider,
+      userProvider: () => 'alex',
       templatePath: '/mock/template.hbs'
     });
   });
@@ -150,6 +156,17 @@ describe('InvoiceGenerator', () => {
   });
 
   describe('getHourlyRateForEntry', () => {
+    it('should prefer the entry rate, then the task rate', () => {
+      const entry = {
+        hourlyRate: 150,
+        task: { hourlyRate: 120 },
+        project: { hourlyRate: 100 },
+        client: { hourlyRate: 75 }
+      };
+      expect(invoiceGenerator.getHourlyRateForEntry(entry)).toBe(150);
+      expect(invoiceGenerator.getHourlyRateForEntry({ ...entry, hourlyRate: null })).toBe(120);
+    });
+
     it('should return project hourly rate when available', () => {
       const entry = {
         project: { hourlyRate: 100 },
@@ -192,6 +209,84 @@ describe('InvoiceGenerator', () => {
     });
   });
 
+  describe('raw vs billed hours', () => {
+    it('should total worked minutes, falling back to duration', () => {
+      const timeEntries = [
+        { duration: 30, rawDuration: 22 },
+        { duration: 60 }
+      ];
+      expect(invoiceGenerator.calculateTotalRawHours(timeEntries)).toBeCloseTo(82 / 60);
+    });
+
+    it('should only report rounding when an entry was rounded', () => {
+      expect(invoiceGenerator.hasRoundedEntries([{ duration: 60, rawDuration: 60 }, { duration: 30 }])).toBe(false);
+      expect(invoiceGenerator.hasRoundedEntries([{ duration: 30, rawDuration: 22 }])).toBe(true);
+    });
+  });
+
+  describe('line item grouping', () => {
+    const website = { id: 1, name: 'Website', hourlyRate: 100 };
+    const api = { id: 2, name: 'API', hourlyRate: 150 };
+    const timeEntries = [
+      { id: 1, startTime: '2024-01-15T10:00:00Z', duration: 60, description: 'Layout', projectId: 1, project: website, taskId: 5, task: { name: 'Design' } },
+      { id: 2, startTime: '2024-01-15T14:00:00Z', duration: 30, description: 'Endpoints', projectId: 2, project: api },
+      { id: 3, startTime: '2024-01-16T09:00:00Z', duration: 90, description: 'Layout', projectId: 1, project: website, taskId: 6, task: { name: 'Build' } }
+    ];
+
+    it('should keep one line per day by default', () => {
+      const data = invoiceGenerator.createLineItemData(timeEntries);
+
+      expect(data.groupBy).toBe('day');
+      expect(data.itemLabel).toBe('Date');
+      expect(data.groups).toHaveLength(1);
+      expect(data.groups[0].label).toBeNull();
+      expect(data.lineItems).toHaveLength(2);
+      expect(data.lineItems[0]).toMatchObject({ description: 'Layout; Endpoints', hours: '1.50', rate: 'Varies', amount: '175.00' });
+    });
+
+    it('should put each project on its own line', () => {
+      const data = invoiceGenerator.createLineItemData(timeEntries, 'project');
+
+      expect(data.itemLabel).toBe('Project');
+      expect(data.lineItems.map(line => line.label)).toEqual(['API', 'Website']);
+      expect(data.lineItems[1]).toMatchObject({ description: 'Layout', hours: '2.50', rate: '100.00', amount: '250.00' });
+    });
+
+    it('should group tasks under their project with subtotals', () => {
+      const data = invoiceGenerator.createLineItemData(timeEntries, 'task');
+
+      expect(data.groups.map(group => group.label)).toEqual(['API', 'Website']);
+      expect(data.groups[1].lineItems.map(line => line.label)).toEqual(['Build', 'Design']);
+      expect(data.groups[1]).toMatchObject({ subtotalHours: '2.50', subtotalAmount: '250.00' });
+      expect(data.groups[0].lineItems[0].label).toBe('General work');
+    });
+
+    it('should group days under their project', () => {
+      const data = invoiceGenerator.createLineItemData(timeEntries, 'project_day');
+
+      expect(data.groups[1].label).toBe('Website');
+      expect(data.groups[1].lineItems).toHaveLength(2);
+      expect(data.lineItems).toHaveLength(3);
+    });
+
+    it('should give every entry its own line', () => {
+      const data = invoiceGenerator.createLineItemData(timeEntries, 'entry');
+
+      expect(data.lineItems).toHaveLength(3);
+      expect(data.lineItems.map(line => line.description)).toEqual(['Layout', 'Endpoints', 'Layout']);
+    });
+
+    it('should fall back to day for unknown groupings', () => {
+      expect(invoiceGenerator.createLineItemData(timeEntries, 'client').groupBy).toBe('day');
+    });
+
+    it('should read the grouping stored with an invoice', () => {
+      expect(invoiceGenerator.getStoredGroupBy({ data: JSON.stringify({ groupBy: 'task' }) })).toBe('task');
+      expect(invoiceGenerator.getStoredGroupBy({ data: null })).toBe('day');
+      expect(invoiceGenerator.getStoredGroupBy({ data: 'not json' })).toBe('day');
+    });
+  });
+
   describe('calculateTotalAmount', () => {
     it('should calculate total amount correctly', () => {
       const timeEntries = [
@@ -255,18 +350,10 @@ describe('InvoiceGenerator', () => {
       const dueDate = invoiceGenerator.calculateDueDate(settings);
       expect(mockDateProvider).toHaveBeenCalled();
     });
-  });
 
-  describe('generateInvoiceNumber', () => {
-    it('should generate invoice number with correct format', () => {
-      // Mock Math.random to return predictable value
-      const originalRandom = Math.random;
-      Math.random = vi.fn().mockReturnValue(0.123);
-      
-      const invoiceNumber = invoiceGenerator.generateInvoiceNumber();
-      expect(invoiceNumber).toBe('INV-20240115-123');
-      
-      Math.random = originalRandom;
+    it('should prefer a chosen due date over the payment terms', () => {
+      const dueDate = invoiceGenerator.getDueDate({ invoice_terms: 'Net 15' }, null, '2024-03-01');
+      expect(dueDate).toEqual(new Date(2024, 2, 1));
     });
   });
 
@@ -328,7 +415,7 @@ describe('InvoiceGenerator', () => {
         }
       ]);
 
-      mockDatabase.markAsInvoiced.mockResolvedValue({ id: 456 });
+      mockDatabase.markAsInvoiced.mockResolvedValue({ id: 456, invoiceNumber: 'INV-2024-0001' });
 
       mockFileSystem.readFileSync.mockReturnValue('<html>{{clientName}}</html>');
       
@@ -366,5 +453,546 @@ describe('InvoiceGenerator', () => {
         expect.any(Buffer)
       );
     });
+
+    it('should leave non-billable entries off the invoice', async () => {
+      mockDatabase.getTimeEntries.mockResolvedValue([
+        { id: 1, duration: 120, startTime: '2024-01-15T10:00:00Z', project: { hourlyRate: 100 }, client: { name: 'Test Client' } },
+        { id: 2, duration: 60, startTime: '2024-01-16T10:00:00Z', isBillable: false, client: { name: 'Test Client' } }
+      ]);
+
+      await invoiceGenerator.generateInvoice({ client_id: '1' });
+
+      expect(mockDatabase.markAsInvoiced.mock.calls[0][0]).toEqual([1]);
+    });
+
+    it('should not invoice when only non-billable time is left', async () => {
+      mockDatabase.getTimeEntries.mockResolvedValue([
+        { id: 2, duration: 60, startTime: '2024-01-16T10:00:00Z', isBillable: false, client: { name: 'Test Client' } }
+      ]);
+
+      await expect(invoiceGenerator.generateInvoice({ client_id: '1' }))
+        .rejects.toThrow('No billable time entries found for the specified criteria');
+      expect(mockDatabase.markAsInvoiced).not.toHaveBeenCalled();
+    });
+
+    it('should apply discount, expenses and taxes to the invoice totals', async () => {
+      mockDatabase.getSettings.mockResolvedValue({
+        invoice_taxes: JSON.stringify([{ name: 'VAT', rate: 20 }])
+      });
+
+      await invoiceGenerator.generateInvoice({
+        client_id: '1',
+        discount: { type: 'fixed', value: '50' },
+        expenses: [{ description: 'Domain', quantity: '1', unitPrice: '30' }]
+      });
+
+      const [, , templateData, totals] = mockDatabase.markAsInvoiced.mock.calls[0];
+      expect(totals).toEqual({ subtotal: 230, discountAmount: 50, taxAmount: 36, totalAmount: 216 });
+      expect(templateData).toMatchObject({
+        laborAmount: '200.00',
+        subtotal: '230.00',
+        discountAmount: '50.00',
+        taxes: [{ name: 'VAT', rate: '20', amount: '36.00' }],
+        totalAmount: '216.00'
+      });
+      expect(templateData.expenses).toEqual([
+        { description: 'Domain', quantity: '1', unitPrice: '30.00', amount: '30.00' }
+      ]);
+    });
+
+    it('should bill in the client currency and store it with the invoice', async () => {
+      mockDatabase.getSettings.mockResolvedValue({ default_currency: 'EUR' });
+
+      await invoiceGenerator.generateInvoice({ client_id: '1' });
+      expect(mockDatabase.markAsInvoiced.mock.calls[0][2].currency).toBe('EUR');
+
+      mockDatabase.getTimeEntries.mockResolvedValue([
+        { id: 2, duration: 60, startTime: '2024-01-15T10:00:00Z', client: { name: 'UK Ltd', hourlyRate: 90, currency: 'GBP' } }
+      ]);
+      await invoiceGenerator.generateInvoice({ client_id: '2' });
+      expect(mockDatabase.markAsInvoiced.mock.calls[1][2].currency).toBe('GBP');
+    });
+
+    it('should reuse the stored adjustments when regenerating', async () => {
+      mockDatabase.getInvoiceById.mockResolvedValue({
+        id: 9,
+        invoiceNumber: 'INV-9',
+        clientId: 1,
+        timeEntries: [{ id: 1 }],
+        data: JSON.stringify({
+          adjustments: { discount: { type: 'percent', value: 10 }, expenses: [], taxes: [{ name: 'GST', rate: 5 }] }
+        })
+      });
+      mockDatabase.markAsInvoiced.mockResolvedValue({ id: 10 });
+
+      await invoiceGenerator.regenerateInvoice(9);
+
+      const [, invoiceNumber, , totals] = mockDatabase.markAsInvoiced.mock.calls[0];
+      expect(invoiceNumber).toBe('INV-9');
+      expect(totals).toEqual({ subtotal: 200, discountAmount: 20, taxAmount: 9, totalAmount: 189 });
+    });
+
+    it('should leave numbering to the database unless a number is given', async () => {
+      const templateData = await invoiceGenerator.createInvoiceData(
+        await mockDatabase.getTimeEntries(),
+        {},
+        {}
+      );
+
+      expect(mockDatabase.markAsInvoiced.mock.calls[0][1]).toBeNull();
+      expect(mockDatabase.markAsInvoiced.mock.calls[0][4].invoiceDate).toEqual(new Date('2024-01-15T10:00:00Z'));
+      expect(templateData.invoiceNumber).toBe('INV-2024-0001');
+
+      await invoiceGenerator.generateInvoice({ client_id: '1', invoice_number: ' CUSTOM-7 ' });
+      expect(mockDatabase.markAsInvoiced.mock.calls[1][1]).toBe('CUSTOM-7');
+    });
+
+    it('should add company and client details and inline the logo', async () => {
+      const [entry] = await mockDatabase.getTimeEntries();
+      mockDatabase.getTimeEntries.mockResolvedValue([
+        { ...entry, client: { ...entry.client, address: '2 Side St', taxId: 'FR456' } }
+      ]);
+      mockDatabase.getSettings.mockResolvedValue({
+        company_address: '1 Main St\nSpringfield',
+        company_tax_id: 'DE123',
+        company_logo: 'logo.png',
+        invoice_payment_instructions: 'IBAN DE00 1234',
+        invoice_footer_notes: 'Thank you!'
+      });
+      mockFileSystem.readFileSync.mockImplementation((file, encoding) =>
+        encoding ? '<html>{{companyName}}</html>' : Buffer.from('abc')
+      );
+      invoiceGenerator.brandingDir = '/branding';
+
+      await invoiceGenerator.generateInvoice({ client_id: '1' });
+
+      const templateData = mockDatabase.markAsInvoiced.mock.calls[0][2];
+      expect(templateData).toMatchObject({
+        companyAddress: '1 Main St\nSpringfield',
+        companyTaxId: 'DE123',
+        companyLogo: 'logo.png',
+        paymentInstructions: 'IBAN DE00 1234',
+        footerNotes: 'Thank you!',
+        clientAddress: '2 Side St',
+        clientTaxId: 'FR456'
+      });
+      // Only the file name is stored; the image is inlined when rendering
+      expect(templateData.companyLogoUrl).toBeUndefined();
+      const render = mockTemplateCompiler.compile.mock.results[0].value;
+      expect(render.mock.calls[0][0].companyLogoUrl).toBe('data:image/png;base64,YWJj');
+    });
+
+    it('should render with the template chosen for the client', async () => {
+      const templateService = {
+        resolveTemplateId: vi.fn().mockReturnValue('minimal'),
+        getTemplateSource: vi.fn().mockReturnValue('<html>minimal</html>')
+      };
+      invoiceGenerator.templateService = templateService;
+      mockDatabase.getSettings.mockResolvedValue({ invoice_template: 'detailed' });
+
+      await invoiceGenerator.generateInvoice({ client_id: '1' });
+
+      expect(templateService.resolveTemplateId).toHaveBeenCalledWith({
+        client: expect.objectContaining({ name: 'Test Client' }),
+        settings: { invoice_template: 'detailed' }
+      });
+      expect(mockDatabase.markAsInvoiced.mock.calls[0][2].templateId).toBe('minimal');
+      expect(templateService.getTemplateSource).toHaveBeenCalledWith('minimal');
+      expect(mockTemplateCompiler.compile).toHaveBeenCalledWith('<html>minimal</html>');
+      expect(mockFileSystem.readFileSync).not.toHaveBeenCalled();
+    });
+
+    it('should preview template source with sample data and report render errors', async () => {
+      mockDatabase.getSettings.mockResolvedValue({ company_name: 'Test Company' });
+      const render = vi.fn().mockReturnValue('<html>preview</html>');
+      mockTemplateCompiler.compile.mockReturnValue(render);
+
+      const preview = await invoiceGenerator.previewTemplate('<html>{{companyName}}</html>');
+
+      expect(preview).toEqual({ html: '<html>preview</html>', error: null });
+      expect(mockTemplateCompiler.compile).toHaveBeenCalledWith('<html>{{companyName}}</html>');
+      const sample = render.mock.calls[0][0];
+      expect(sample.companyName).toBe('Test Company');
+      expect(sample.groups.length).toBe(2);
+      expect(sample.expenses.length).toBe(1);
+      expect(mockDatabase.markAsInvoiced).not.toHaveBeenCalled();
+
+      mockTemplateCompiler.compile.mockReturnValue(() => {
+        throw new Error('Parse error on line 1');
+      });
+      await expect(invoiceGenerator.previewTemplate('{{#each}')).resolves.toEqual({
+        html: null,
+        error: 'Parse error on line 1'
+      });
+    });
+
+    it('should store the due date and start new invoices as drafts', async () => {
+      mockDatabase.getSettings.mockResolvedValue({ invoice_terms: 'Net 15' });
+
+      await invoiceGenerator.generateInvoice({ client_id: '1' });
+
+      const options = mockDatabase.markAsInvoiced.mock.calls[0][4];
+      expect(options.dueDate).toEqual(new Date('2024-01-30T10:00:00Z'));
+      expect(options.status).toBeUndefined();
+    });
+
+    it('should keep the due date, status and payments when regenerating', async () => {
+      mockDatabase.getInvoiceById.mockResolvedValue({
+        id: 9,
+        invoiceNumber: 'INV-9',
+        clientId: 1,
+        status: 'partial',
+        revision: 2,
+        totalAmount: 100,
+        dueDate: new Date('2024-02-01T00:00:00Z'),
+        timeEntries: [{ id: 1, duration: 60 }]
+      });
+      mockDatabase.markAsInvoiced.mockResolvedValue({ id: 10 });
+
+      await invoiceGenerator.regenerateInvoice(9, { note: 'Rate corrected' });
+
+      // The database supersedes the revision and moves its payments in the
+      // same transaction that stores the new one
+      expect(mockDatabase.markAsInvoiced.mock.calls[0][4]).toEqual({
+        dueDate: new Date('2024-02-01T00:00:00Z'),
+        client: expect.objectContaining({ name: 'Test Client' }),
+        status: 'sent',
+        revision: 3,
+        revisionNote: 'Rate corrected (hours 1.00 → 2.00; total $100.00 → $200.00)',
+        revisedBy: 'alex',
+        replacesInvoiceId: 9
+      });
+    });
+
+    it('should regenerate with the invoice\'s own entries and leave it alone when that fails', async () => {
+      const existing = {
+        id: 9,
+        invoiceNumber: 'INV-9',
+        clientId: 1,
+        status: 'sent',
+        timeEntries: [{ id: 1, duration: 120 }]
+      };
+      mockDatabase.getInvoiceById.mockResolvedValue(existing);
+      mockDatabase.getTimeEntries.mockResolvedValue([
+        { id: 1, isInvoiced: true, invoiceId: 9, duration: 120, startTime: '2024-01-15T10:00:00Z', project: { hourlyRate: 100 }, client: { name: 'Test Client' } },
+        { id: 2, isInvoiced: true, invoiceId: 4, duration: 60, startTime: '2024-01-16T10:00:00Z', project: { hourlyRate: 100 }, client: { name: 'Test Client' } }
+      ]);
+      mockDatabase.markAsInvoiced.mockResolvedValue({ id: 10 });
+
+      await invoiceGenerator.regenerateInvoice(9);
+      expect(mockDatabase.getTimeEntries).toHaveBeenCalledWith({ clientId: 1, startDate: undefined, endDate: undefined });
+      expect(mockDatabase.markAsInvoiced.mock.calls[0][0]).toEqual([1]);
+
+      // A rate missing now fails before the invoice is touched
+      mockDatabase.markAsInvoiced.mockClear();
+      mockDatabase.getTimeEntries.mockResolvedValue([
+        { id: 1, isInvoiced: true, invoiceId: 9, duration: 120, startTime: '2024-01-15T10:00:00Z', project: {}, client: { name: 'Test Client' } }
+      ]);
+      await expect(invoiceGenerator.regenerateInvoice(9)).rejects.toThrow('no hourly rate set');
+
+      // So does an invoice left with nothing to bill
+      mockDatabase.getTimeEntries.mockResolvedValue([]);
+      await expect(invoiceGenerator.regenerateInvoice(9)).rejects.toThrow('No uninvoiced time entries found');
+
+      expect(mockDatabase.markAsInvoiced).not.toHaveBeenCalled();
+      expect(mockDatabase.supersedeInvoice).not.toHaveBeenCalled();
+      expect(mockDatabase.unmarkAsInvoiced).not.toHaveBeenCalled();
+    });
+
+    it('should not regenerate superseded invoices or credit notes', async () => {
+      mockDatabase.getInvoiceById.mockResolvedValue({ id: 9, status: 'superseded', timeEntries: [] });
+      await expect(invoiceGenerator.regenerateInvoice(9)).rejects.toThrow('Cannot regenerate a superseded invoice');
+
+      mockDatabase.getInvoiceById.mockResolvedValue({ id: 9, type: 'credit_note', status: 'sent', timeEntries: [] });
+      await expect(invoiceGenerator.regenerateInvoice(9)).rejects.toThrow('Credit notes cannot be regenerated');
+      expect(mockDatabase.supersedeInvoice).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createCreditNote', () => {
+    const invoice = {
+      id: 9,
+      invoiceNumber: 'INV-9',
+      clientId: 1,
+      client: { name: 'Test Client' },
+      status: 'sent',
+      totalAmount: 240,
+      discountAmount: 0,
+      createdAt: '2024-01-10T10:00:00Z',
+      creditNotes: [],
+      data: JSON.stringify({ taxes: [{ name: 'VAT', rate: '20', amount: '40.00' }] })
+    };
+
+    beforeEach(() => {
+      mockDatabase.getSettings.mockResolvedValue({});
+    });
+
+    it('should credit part of an invoice with negative totals and proportional tax', async () => {
+      mockDatabase.getInvoiceById.mockResolvedValue(invoice);
+
+      const creditNote = await invoiceGenerator.createCreditNote(9, { amount: 120, reason: 'Hours billed twice' });
+
+      expect(creditNote.invoiceNumber).toBe('CN-2024-0001');
+      const data = mockDatabase.createCreditNote.mock.calls[0][0];
+      expect(data.creditedInvoiceId).toBe(9);
+      expect(data.totals).toEqual({ totalAmount: -120, taxAmount: -20, discountAmount: 0, subtotal: -100 });
+      expect(data.templateData).toMatchObject({
+        templateId: 'credit-note',
+        creditedInvoiceNumber: 'INV-9',
+        reason: 'Hours billed twice',
+        totalAmount: '-120.00',
+        taxes: [{ name: 'VAT', rate: '20', amount: '-20.00' }]
+      });
+    });
+
+    it('should default to what has not been credited yet', async () => {
+      mockDatabase.getInvoiceById.mockResolvedValue({
+        ...invoice,
+        creditNotes: [{ status: 'sent', totalAmount: -40 }]
+      });
+
+      await invoiceGenerator.createCreditNote(9, { reason: 'Cancelled' });
+
+      expect(mockDatabase.createCreditNote.mock.calls[0][0].totals.totalAmount).toBe(-200);
+      await expect(invoiceGenerator.createCreditNote(9, { amount: 250, reason: 'Too much' }))
+        .rejects.toThrow('Credit amount cannot be more than the 200.00 not credited yet');
+    });
+
+    it('should only credit sent invoices, with a reason', async () => {
+      mockDatabase.getInvoiceById.mockResolvedValue({ ...invoice, status: 'draft' });
+      await expect(invoiceGenerator.createCreditNote(9, { reason: 'x' })).rejects.toThrow('Draft invoices');
+
+      mockDatabase.getInvoiceById.mockResolvedValue({ ...invoice, status: 'voided' });
+      await expect(invoiceGenerator.createCreditNote(9, { reason: 'x' })).rejects.toThrow('Cannot credit a voided invoice');
+
+      mockDatabase.getInvoiceById.mockResolvedValue({ ...invoice, type: 'credit_note' });
+      await expect(invoiceGenerator.createCreditNote(9, { reason: 'x' })).rejects.toThrow('Credit notes cannot be credited');
+
+      mockDatabase.getInvoiceById.mockResolvedValue(invoice);
+      await expect(invoiceGenerator.createCreditNote(9, { reason: ' ' })).rejects.toThrow('A reason is required');
+      expect(mockDatabase.createCreditNote).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('timesheets', () => {
+    const entries = [
+      {
+        id: 1,
+        clientId: 1,
+        projectId: 3,
+        duration: 90,
+        startTime: '2024-01-15T09:00:00',
+        endTime: '2024-01-15T10:30:00',
+        description: 'Design review',
+        isInvoiced: true,
+        project: { name: 'Website', hourlyRate: 100 },
+        task: { name: 'Design' },
+        client: { name: 'Test Client' }
+      },
+      {
+        id: 2,
+        clientId: 1,
+        projectId: null,
+        duration: 30,
+        startTime: '2024-01-16T14:00:00',
+        endTime: '2024-01-16T14:30:00',
+        isBillable: false,
+        client: { name: 'Test Client' }
+      },
+      { id: 3, clientId: 1, duration: null, startTime: '2024-01-16T15:00:00', endTime: null, isActive: true }
+    ];
+    let template;
+
+    beforeEach(() => {
+      mockDatabase.getSettings.mockResolvedValue({ company_name: 'Test Company' });
+      mockDatabase.getTimeEntries.mockResolvedValue(entries);
+      mockDatabase.markAsInvoiced.mockResolvedValue({ id: 456, invoiceNumber: 'INV-2024-0001' });
+      template = vi.fn(data => (data.appendix ? '<section>timesheet</section>' : '<html><body>invoice</body></html>'));
+      mockTemplateCompiler.compile.mockReturnValue(template);
+      mockPdfRenderer.renderHtmlToPdf.mockResolvedValue(Buffer.from('pdf data'));
+      mockDialogService.showSaveDialog.mockResolvedValue({ canceled: false, filePath: '/path/to/timesheet.pdf' });
+    });
+
+    it('should list all finished time of the client with day and project subtotals', async () => {
+      const result = await invoiceGenerator.generateTimesheet({
+        client_id: '1',
+        start_date: '2024-01-01',
+        end_date: '2024-01-31'
+      });
+
+      expect(result).toBe('/path/to/timesheet.pdf');
+      expect(mockDatabase.getTimeEntries).toHaveBeenCalledWith({ clientId: 1, startDate: '2024-01-01', endDate: '2024-01-31' });
+      expect(mockDialogService.showSaveDialog).toHaveBeenCalledWith(expect.objectContaining({
+        defaultPath: 'Timesheet-Test.Client-2024-01-01-2024-01-31.pdf'
+      }));
+
+      const data = template.mock.calls[0][0];
+      expect(data).toMatchObject({ companyName: 'Test Company', clientName: 'Test Client', appendix: false });
+      expect(data.timesheet).toMatchObject({ entryCount: 2, totalDuration: '2:00', totalHours: '2.00' });
+      expect(data.timesheet.days.map(day => [day.date, day.duration])).toEqual([
+        ['2024-01-15', '1:30'],
+        ['2024-01-16', '0:30']
+      ]);
+      expect(data.timesheet.days[0].entries[0]).toMatchObject({
+        project: 'Website',
+        task: 'Design',
+        description: 'Design review',
+        duration: '1:30',
+        isBillable: true
+      });
+      expect(data.timesheet.projects).toEqual([
+        { name: 'Website', duration: '1:30', hours: '1.50', share: 75 },
+        { name: 'No project', duration: '0:30', hours: '0.50', share: 25 }
+      ]);
+      expect(mockFileSystem.writeFileSync).toHaveBeenCalledWith('/path/to/timesheet.pdf', expect.any(Buffer));
+    });
+
+    it('should need a client and some time', async () => {
+      await expect(invoiceGenerator.generateTimesheet({})).rejects.toThrow('Please select a client');
+
+      mockDatabase.getTimeEntries.mockResolvedValue([entries[2]]);
+      await expect(invoiceGenerator.generateTimesheet({ client_id: '1' }))
+        .rejects.toThrow('No time entries found');
+      expect(mockDialogService.showSaveDialog).not.toHaveBeenCalled();
+    });
+
+    it('should append the timesheet to an invoice when asked', async () => {
+      mockDatabase.getTimeEntries.mockResolvedValue([entries[0]]);
+      await invoiceGenerator.generateInvoice({ client_id: '1', attach_timesheet: true });
+
+      const stored = mockDatabase.markAsInvoiced.mock.calls[0][2];
+      expect(stored.timesheet.entryCount).toBe(1);
+      const html = mockPdfRenderer.renderHtmlToPdf.mock.calls[0][0];
+      expect(html).toMatch(/^<html><body>invoice<div style="page-break-before: always;[^"]*"><\/div><section>timesheet<\/section><\/body><\/html>$/);
+      expect(template.mock.calls[1][0]).toMatchObject({ appendix: true, invoiceNumber: 'INV-2024-0001' });
+    });
+
+    it('should leave invoices without a timesheet by default', async () => {
+      mockDatabase.getTimeEntries.mockResolvedValue([entries[0]]);
+      await invoiceGenerator.generateInvoice({ client_id: '1' });
+
+      expect(mockDatabase.markAsInvoiced.mock.calls[0][2].timesheet).toBeUndefined();
+      expect(mockPdfRenderer.renderHtmlToPdf).toHaveBeenCalledWith('<html><body>invoice</body></html>');
+    });
+  });
+
+  describe('project billing', () => {
+    const client = { id: 1, name: 'Test Client', hourlyRate: 80 };
+    const fixedProject = { id: 3, name: 'Launch', billingType: 'fixed', fixedFee: 1500 };
+    const retainerProject = {
+      id: 4,
+      name: 'Support',
+      billingType: 'retainer',
+      retainerAmount: 1000,
+      retainerHours: 10,
+      overageRate: 120
+    };
+    const entry = (id, project, duration) => ({
+      id,
+      clientId: 1,
+      duration,
+      startTime: '2024-01-10T10:00:00Z',
+      description: 'Work',
+      client,
+      project
+    });
+
+    beforeEach(() => {
+      mockDatabase.getSettings.mockResolvedValue({});
+      mockDatabase.markAsInvoiced.mockResolvedValue({ id: 20, invoiceNumber: 'INV-20' });
+    });
+
+    it('should bill a fixed fee once instead of the hours', async () => {
+      await invoiceGenerator.createInvoiceData([entry(1, fixedProject, 300)], {}, {});
+
+      const [, , templateData, totals] = mockDatabase.markAsInvoiced.mock.calls[0];
+      expect(totals.totalAmount).toBe(1500);
+      expect(templateData.laborAmount).toBe('0.00');
+      expect(templateData.charges).toEqual([
+        { description: 'Fixed fee: Launch', quantity: '1', unitPrice: '1500.00', amount: '1500.00' }
+      ]);
+      expect(templateData.adjustments.charges[0].key).toBe('fixed:3');
+
+      mockDatabase.getProjectBillingHistory.mockResolvedValue({ charges: ['fixed:3'], hours: {} });
+      await invoiceGenerator.createInvoiceData([entry(2, fixedProject, 60)], {}, {});
+      expect(mockDatabase.markAsInvoiced.mock.calls[1][3].totalAmount).toBe(0);
+    });
+
+    it('should bill retainer hours beyond those included at the overage rate', async () => {
+      // 8 hours were billed earlier in the month, so 3 of these 5 are overage
+      mockDatabase.getProjectBillingHistory.mockResolvedValue({ charges: ['retainer:4:2024-01'], hours: { '4:2024-01': 8 } });
+
+      await invoiceGenerator.createInvoiceData([entry(1, retainerProject, 300)], {}, {});
+
+      const [, , templateData, totals] = mockDatabase.markAsInvoiced.mock.calls[0];
+      expect(totals.totalAmount).toBe(360);
+      expect(templateData.adjustments.charges).toEqual([
+        expect.objectContaining({ key: 'overage:4:2024-01', quantity: 3, unitPrice: 120, amount: 360 })
+      ]);
+    });
+
+    it('should create a recurring draft for the month with its retainer fee', async () => {
+      mockDatabase.getTimeEntries.mockResolvedValue([{ ...entry(5, null, 60), isActive: true }]);
+      mockDatabase.getProjects.mockResolvedValue([retainerProject]);
+
+      const invoice = await invoiceGenerator.createRecurringInvoice(client, '2024-01');
+
+      expect(mockDatabase.getTimeEntries).toHaveBeenCalledWith({
+        clientId: 1,
+        startDate: '2024-01-01',
+        endDate: '2024-01-31',
+        isInvoiced: false
+      });
+      // The running timer is left for a later invoice
+      expect(mockDatabase.markAsInvoiced.mock.calls[0][0]).toEqual([]);
+      expect(mockDatabase.markAsInvoiced.mock.calls[0][4]).toMatchObject({
+        client,
+        period: { startDate: '2024-01-01', endDate: '2024-01-31' }
+      });
+      expect(invoice.charges).toEqual([
+        { description: 'Retainer: Support (January 2024)', quantity: '1', unitPrice: '1000.00', amount: '1000.00' }
+      ]);
+    });
+
+    it('should regenerate a recurring draft of only its retainer fee', async () => {
+      mockDatabase.getInvoiceById.mockResolvedValue({
+        id: 21,
+        invoiceNumber: 'INV-21',
+        clientId: 1,
+        client,
+        status: 'draft',
+        periodStart: '2024-01-01',
+        periodEnd: '2024-01-31',
+        timeEntries: [],
+        data: JSON.stringify({ adjustments: { charges: [{ key: 'retainer:4:2024-01', type: 'retainer', period: '2024-01' }] } })
+      });
+      mockDatabase.getTimeEntries.mockResolvedValue([]);
+      mockDatabase.getProjects.mockResolvedValue([retainerProject]);
+      mockTemplateCompiler.compile.mockReturnValue(() => '<html></html>');
+      mockPdfRenderer.renderHtmlToPdf.mockResolvedValue(Buffer.from('pdf data'));
+      mockDialogService.showSaveDialog.mockResolvedValue({ canceled: false, filePath: '/path/to/invoice.pdf' });
+
+      await invoiceGenerator.regenerateInvoice(21);
+
+      // Its own fee isn't counted as billed already
+      expect(mockDatabase.getProjectBillingHistory).toHaveBeenCalledWith(1, { excludeInvoiceId: 21 });
+      const [entryIds, invoiceNumber, , totals, options] = mockDatabase.markAsInvoiced.mock.calls[0];
+      expect(entryIds).toEqual([]);
+      expect(invoiceNumber).toBe('INV-21');
+      expect(totals.totalAmount).toBe(1000);
+      expect(options).toMatchObject({
+        client,
+        period: { startDate: '2024-01-01', endDate: '2024-01-31' },
+        status: 'draft',
+        replacesInvoiceId: 21
+      });
+    });
+
+    it('should skip a recurring draft when there is nothing to bill', async () => {
+      mockDatabase.getTimeEntries.mockResolvedValue([]);
+
+      await expect(invoiceGenerator.createRecurringInvoice(client, '2024-01')).resolves.toBeNull();
+      expect(mockDatabase.markAsInvoiced).not.toHaveBeenCalled();
+    });
   });
 });
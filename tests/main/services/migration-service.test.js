@@ -0,0 +1,232 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+vi.mock('@prisma/client', () => ({
+  default: { PrismaClient: class {} },
+}))
+
+vi.mock('../../../src/main/services/legacy-migrations.js', () => ({
+  LEGACY_BASELINE_VERSION: 20240201000000,
+  applyLegacyMigrations: vi.fn(async () => {}),
+}))
+
+import MigrationService from '../../../src/main/services/migration-service.js'
+import { applyLegacyMigrations } from '../../../src/main/services/legacy-migrations.js'
+
+const MIGRATIONS = {
+  '20240101000000_init': 'CREATE TABLE "clients" ("id" INTEGER NOT NULL PRIMARY KEY);\n',
+  '20240201000000_add_rates': '-- AlterTable\nALTER TABLE "clients" ADD COLUMN "hourly_rate" REAL;\n',
+  '20240301000000_add_history':
+    'CREATE TABLE "rate_history" ("id" INTEGER NOT NULL PRIMARY KEY);\nCREATE INDEX "rate_history_id_idx" ON "rate_history"("id");\n',
+}
+
+// Stand-in for a Prisma client on one SQLite file: statements run in a
+// transaction only take effect when it completes
+const createDatabase = ({ tables = [], applied = [], prismaMigrations = [], failOn = null, violations = [] } = {}) => {
+  const db = {
+    tables: new Set(tables),
+    applied: [...applied],
+    log: [],
+  }
+  const commit = (sql, params) => {
+    db.log.push(sql)
+    if (sql.includes('CREATE TABLE IF NOT EXISTS "schema_migrations"')) db.tables.add('schema_migrations')
+    if (sql.startsWith('INSERT INTO schema_migrations')) db.applied.push(params[0])
+  }
+
+  db.$queryRawUnsafe = vi.fn(async (sql, ...params) => {
+    if (sql.includes('sqlite_master')) return db.tables.has(params[0]) ? [{ name: params[0] }] : []
+    if (sql.includes('FROM schema_migrations')) return db.applied.map(version => ({ version: BigInt(version) }))
+    if (sql.includes('_prisma_migrations')) return prismaMigrations.map(name => ({ migration_name: name }))
+    if (sql.startsWith('PRAGMA foreign_key_check')) return violations
+    return []
+  })
+  db.$executeRawUnsafe = vi.fn(async (sql, ...params) => commit(sql, params))
+  db.$transaction = vi.fn(async (fn) => {
+    const statements = []
+    await fn({
+      $queryRawUnsafe: db.$queryRawUnsafe,
+      $executeRawUnsafe: async (sql, ...params) => {
+        if (failOn && sql.includes(failOn)) throw new Error(`near "${failOn}": syntax error`)
+        statements.push([sql, params])
+      },
+    })
+    db.log.push('COMMIT')
+    for (const [sql, params] of statements) commit(sql, params)
+  })
+  db.$disconnect = vi.fn(async () => {})
+  return db
+}
+
+describe('MigrationService', () => {
+  let dir
+  let db
+  let service
+
+  const createService = (database) => {
+    db = database
+    service = new MigrationService({
+      pathService: {
+        getMigrationsPath: () => path.join(dir, 'migrations'),
+        getBackupsPath: () => path.join(dir, 'backups'),
+        getDatabasePath: () => path.join(dir, 'myhours.db'),
+      },
+      dateProvider: () => new Date(2024, 2, 5, 9, 0, 0),
+      openDatabase: vi.fn(() => db),
+    })
+  }
+
+  const backupPath = () => path.join(dir, 'backups', 'myhours-pre-migration-20240305-090000.db')
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'myhours-migrations-'))
+    for (const [name, sql] of Object.entries(MIGRATIONS)) {
+      await fs.mkdir(path.join(dir, 'migrations', name), { recursive: true })
+      await fs.writeFile(path.join(dir, 'migrations', name, 'migration.sql'), sql)
+    }
+    await fs.writeFile(path.join(dir, 'migrations', 'migration_lock.toml'), 'provider = "sqlite"\n')
+    applyLegacyMigrations.mockClear()
+  })
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true })
+  })
+
+  describe('loadMigrations', () => {
+    it('reads the migration folders in order', async () => {
+      createService(createDatabase())
+      const migrations = await service.loadMigrations()
+      expect(migrations.map(m => m.version)).toEqual([20240101000000, 20240201000000, 20240301000000])
+      expect(migrations[1].sql).toBe(MIGRATIONS['20240201000000_add_rates'])
+    })
+
+    it('reads the migrations bundled with the app', async () => {
+      const bundled = new MigrationService({
+        pathService: { getMigrationsPath: () => path.resolve('prisma/migrations') },
+      })
+      const migrations = await bundled.loadMigrations()
+      const folders = (await fs.readdir('prisma/migrations')).filter(name => !name.endsWith('.toml'))
+
+      expect(migrations.map(m => m.name)).toEqual(folders.sort())
+      expect(migrations.every(m => m.sql.trim().length > 0)).toBe(true)
+    })
+  })
+
+  it('applies every migration to a new database without a backup', async () => {
+    createService(createDatabase())
+
+    const applied = await service.migrate()
+
+    expect(applied.map(m => m.name)).toEqual(Object.keys(MIGRATIONS))
+    expect(db.applied).toEqual([20240101000000, 20240201000000, 20240301000000])
+    expect(db.log).not.toContainEqual(expect.stringContaining('VACUUM INTO'))
+    expect(db.$disconnect).toHaveBeenCalled()
+  })
+
+  it('backs up, then applies only the pending migrations', async () => {
+    createService(createDatabase({ tables: ['schema_migrations', 'clients'], applied: [20240101000000] }))
+
+    const applied = await service.migrate()
+
+    expect(applied.map(m => m.version)).toEqual([20240201000000, 20240301000000])
+    expect(db.$executeRawUnsafe).toHaveBeenNthCalledWith(1, 'VACUUM INTO ?', backupPath())
+    expect(db.log).toContain('ALTER TABLE "clients" ADD COLUMN "hourly_rate" REAL')
+    expect(db.log).not.toContain('CREATE TABLE "clients" ("id" INTEGER NOT NULL PRIMARY KEY)')
+    expect(db.applied).toEqual([20240101000000, 20240201000000, 20240301000000])
+  })
+
+  it('can skip the backup', async () => {
+    createService(createDatabase({ tables: ['clients'] }))
+
+    await service.migrate(path.join(dir, 'restore.db'), { backup: false })
+
+    expect(service.openDatabase).toHaveBeenCalledWith(path.join(dir, 'restore.db'))
+    expect(db.log).not.toContainEqual(expect.stringContaining('VACUUM INTO'))
+    expect(db.applied).toEqual([20240101000000, 20240201000000, 20240301000000])
+  })
+
+  it('does nothing when the database is up to date', async () => {
+    createService(createDatabase({
+      tables: ['schema_migrations', 'clients'],
+      applied: [20240101000000, 20240201000000, 20240301000000],
+    }))
+
+    expect(await service.migrate()).toEqual([])
+    expect(db.$executeRawUnsafe).not.toHaveBeenCalled()
+  })
+
+  it('switches foreign keys off around each migration transaction', async () => {
+    createService(createDatabase({ tables: ['schema_migrations', 'clients'], applied: [20240101000000, 20240201000000] }))
+
+    await service.migrate()
+
+    const start = db.log.indexOf('PRAGMA foreign_keys = OFF')
+    expect(start).toBeGreaterThan(-1)
+    expect(db.log.slice(start)).toEqual([
+      'PRAGMA foreign_keys = OFF',
+      'COMMIT',
+      'CREATE TABLE "rate_history" ("id" INTEGER NOT NULL PRIMARY KEY)',
+      'CREATE INDEX "rate_history_id_idx" ON "rate_history"("id")',
+      'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+      'PRAGMA foreign_keys = ON',
+    ])
+  })
+
+  describe('databases from before the migration runner', () => {
+    it('applies the legacy upgrades and records migrations up to the baseline', async () => {
+      createService(createDatabase({ tables: ['clients'] }))
+
+      const applied = await service.migrate()
+
+      expect(db.$executeRawUnsafe).toHaveBeenNthCalledWith(1, 'VACUUM INTO ?', backupPath())
+      expect(applyLegacyMigrations).toHaveBeenCalledWith(db)
+      expect(applied.map(m => m.version)).toEqual([20240301000000])
+      expect(db.applied).toEqual([20240101000000, 20240201000000, 20240301000000])
+      expect(db.log.filter(sql => sql.startsWith('VACUUM INTO'))).toHaveLength(1)
+    })
+
+    it('counts migrations Prisma applied to the template database', async () => {
+      createService(createDatabase({
+        tables: ['clients', '_prisma_migrations'],
+        prismaMigrations: ['20240101000000_init', '20240201000000_add_rates', '20240301000000_add_history'],
+      }))
+
+      expect(await service.migrate()).toEqual([])
+      expect(db.applied).toEqual([20240101000000, 20240201000000, 20240301000000])
+    })
+  })
+
+  describe('failures', () => {
+    it('rolls back the failed migration and reports it with the backup', async () => {
+      createService(createDatabase({
+        tables: ['schema_migrations', 'clients'],
+        applied: [20240101000000],
+        failOn: 'ADD COLUMN',
+      }))
+
+      const error = await service.migrate().catch(e => e)
+
+      expect(error.message).toContain('20240201000000_add_rates failed')
+      expect(error.cause.message).toContain('syntax error')
+      expect(error.migration).toEqual({ version: 20240201000000, name: '20240201000000_add_rates' })
+      expect(error.backupPath).toBe(backupPath())
+      expect(db.applied).toEqual([20240101000000])
+      expect(db.log).not.toContainEqual(expect.stringContaining('rate_history'))
+      expect(db.log[db.log.length - 1]).toBe('PRAGMA foreign_keys = ON')
+      expect(db.$disconnect).toHaveBeenCalled()
+    })
+
+    it('fails a migration that leaves broken foreign keys', async () => {
+      createService(createDatabase({
+        tables: ['schema_migrations', 'clients'],
+        applied: [20240101000000, 20240201000000],
+        violations: [{ table: 'rate_history', rowid: 1, parent: 'clients', fkid: 0 }],
+      }))
+
+      await expect(service.migrate()).rejects.toThrow('Foreign key check failed on table rate_history')
+      expect(db.applied).toEqual([20240101000000, 20240201000000])
+    })
+  })
+})
@@ -0,0 +1,177 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+import { splitSqlStatements } from '../../../src/main/helpers/migrations.js'
+
+// Upgrades real SQLite databases, so this needs the generated Prisma client
+// (npm run prisma:generate)
+const PrismaClient = await import('@prisma/client')
+  .then(module => module.default.PrismaClient)
+  .catch(() => null)
+const MigrationService = PrismaClient
+  ? (await import('../../../src/main/services/migration-service.js')).default
+  : null
+
+const openDatabase = (filePath) =>
+  new PrismaClient({ datasources: { db: { url: `file:${filePath}?connection_limit=1` } } })
+
+const withDatabase = async (filePath, fn) => {
+  const db = openDatabase(filePath)
+  try {
+    return await fn(db)
+  } finally {
+    await db.$disconnect()
+  }
+}
+
+// Tables with their columns and the indexes, leaving out migration records
+const describeSchema = (filePath) => withDatabase(filePath, async (db) => {
+  const objects = await db.$queryRawUnsafe(
+    "SELECT type, name FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' AND name NOT IN ('schema_migrations', '_prisma_migrations') ORDER BY name"
+  )
+  const schema = {}
+  for (const object of objects) {
+    if (object.type === 'table') {
+      const columns = await db.$queryRawUnsafe(`PRAGMA table_info("${object.name}")`)
+      schema[object.name] = columns.map(column => column.name).sort()
+    } else if (object.type === 'index') {
+      schema[object.name] = 'index'
+    }
+  }
+  return schema
+})
+
+const countRows = (filePath) => withDatabase(filePath, async (db) => {
+  const counts = {}
+  for (const table of ['clients', 'projects', 'tasks', 'time_entries']) {
+    const [row] = await db.$queryRawUnsafe(`SELECT COUNT(*) AS count FROM "${table}"`)
+    counts[table] = Number(row.count)
+  }
+  return counts
+})
+
+// A client with a project, task and time entry, using the first schema's columns
+const seed = (filePath) => withDatabase(filePath, async (db) => {
+  const now = new Date('2025-08-30T09:00:00Z').getTime()
+  await db.$executeRawUnsafe('INSERT INTO "clients" ("name", "hourly_rate", "updated_at") VALUES (?, ?, ?)', 'Acme', 100, now)
+  await db.$executeRawUnsafe('INSERT INTO "projects" ("name", "client_id", "hourly_rate", "updated_at") VALUES (?, 1, ?, ?)', 'Website', 120, now)
+  await db.$executeRawUnsafe('INSERT INTO "tasks" ("name", "project_id", "updated_at") VALUES (?, 1, ?)', 'Design', now)
+  await db.$executeRawUnsafe(
+    'INSERT INTO "time_entries" ("client_id", "project_id", "task_id", "start_time", "end_time", "duration", "updated_at") VALUES (1, 1, 1, ?, ?, 60, ?)',
+    now,
+    now + 60 * 60 * 1000,
+    now
+  )
+})
+
+describe.skipIf(!PrismaClient)('MigrationService upgrades', () => {
+  let dir
+  let service
+  let migrations
+  let latestSchema
+
+  const upgradeFrom = async (name, prepare) => {
+    const filePath = path.join(dir, `${name}.db`)
+    await prepare(filePath)
+    await seed(filePath)
+    await service.migrate(filePath)
+    return filePath
+  }
+
+  beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'myhours-upgrades-'))
+    // A second apart, so each upgrade's backup gets its own file name
+    let backupTime = new Date(2026, 0, 1).getTime()
+    service = new MigrationService({
+      pathService: {
+        getMigrationsPath: () => path.resolve('prisma/migrations'),
+        getBackupsPath: () => path.join(dir, 'backups'),
+      },
+      dateProvider: () => new Date((backupTime += 1000)),
+    })
+    migrations = await service.loadMigrations()
+
+    const latest = path.join(dir, 'latest.db')
+    await service.migrate(latest)
+    latestSchema = await describeSchema(latest)
+  })
+
+  afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true })
+  })
+
+  it('creates a new database with every migration', async () => {
+    expect(Object.keys(latestSchema)).toEqual(expect.arrayContaining(['clients', 'rate_history', 'time_entry_segments']))
+    await withDatabase(path.join(dir, 'latest.db'), async (db) => {
+      const rows = await db.$queryRawUnsafe('SELECT version FROM schema_migrations ORDER BY version')
+      expect(rows.map(row => Number(row.version))).toEqual(migrations.map(m => m.version))
+    })
+  })
+
+  // Databases the migration runner created with an older version of the app
+  it('upgrades a database from each earlier schema', async () => {
+    for (let count = 1; count < migrations.length; count++) {
+      const older = new MigrationService({
+        pathService: service.pathService,
+        dateProvider: service.dateProvider,
+      })
+      older.loadMigrations = async () => migrations.slice(0, count)
+
+      const filePath = await upgradeFrom(`runner-${count}`, (file) => older.migrate(file))
+
+      expect(await describeSchema(filePath), migrations[count - 1].name).toEqual(latestSchema)
+      expect(await countRows(filePath), migrations[count - 1].name).toEqual({
+        clients: 1,
+        projects: 1,
+        tasks: 1,
+        time_entries: 1,
+      })
+    }
+  }, 300000)
+
+  // Template databases built by `prisma migrate deploy` and upgraded by the
+  // startup checks that came before the migration runner
+  it('upgrades a database from before the migration runner from each earlier schema', async () => {
+    for (let count = 1; count <= migrations.length; count++) {
+      const filePath = await upgradeFrom(`legacy-${count}`, (file) => withDatabase(file, async (db) => {
+        await db.$executeRawUnsafe(`CREATE TABLE "_prisma_migrations" (
+          "id" TEXT PRIMARY KEY NOT NULL,
+          "checksum" TEXT NOT NULL,
+          "finished_at" DATETIME,
+          "migration_name" TEXT NOT NULL,
+          "logs" TEXT,
+          "rolled_back_at" DATETIME,
+          "started_at" DATETIME NOT NULL DEFAULT current_timestamp,
+          "applied_steps_count" INTEGER UNSIGNED NOT NULL DEFAULT 0
+        )`)
+        for (const migration of migrations.slice(0, count)) {
+          for (const statement of splitSqlStatements(migration.sql)) {
+            await db.$executeRawUnsafe(statement)
+          }
+          await db.$executeRawUnsafe(
+            'INSERT INTO "_prisma_migrations" ("id", "checksum", "finished_at", "migration_name", "applied_steps_count") VALUES (?, ?, CURRENT_TIMESTAMP, ?, 1)',
+            String(migration.version),
+            'checksum',
+            migration.name
+          )
+        }
+      }))
+
+      expect(await describeSchema(filePath), migrations[count - 1].name).toEqual(latestSchema)
+      expect(await countRows(filePath), migrations[count - 1].name).toEqual({
+        clients: 1,
+        projects: 1,
+        tasks: 1,
+        time_entries: 1,
+      })
+    }
+  }, 300000)
+
+  it('backs up an existing database before upgrading it', async () => {
+    const backups = await fs.readdir(path.join(dir, 'backups'))
+    expect(backups.some(name => name.startsWith('myhours-pre-migration-'))).toBe(true)
+  })
+})
@@ -43,6 +43,9 @@ describe('PathService (dev)', () => {
     const url = svc.getDatabaseUrl('dev.db')
     expect(url).toBe(`file:${dbPath}`)
 
+    expect(svc.getInvoiceTemplatesPath()).toBe(path.join(userData, 'invoice-templates'))
+    expect(svc.getBrandingPath()).toBe(path.join(userData, 'branding'))
+
     // Bootstrap from template
     const prismaDir = path.join(appPath, 'prisma')
     fs.mkdirSync(prismaDir, { recursive: true })
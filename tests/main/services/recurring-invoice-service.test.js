@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+import RecurringInvoiceService from '../../../src/main/services/recurring-invoice-service.js'
+
+describe('RecurringInvoiceService', () => {
+  const now = new Date('2024-03-05T09:00:00')
+  let database
+  let invoiceGenerator
+  let service
+
+  beforeEach(() => {
+    database = {
+      getRecurringClients: vi.fn(async () => []),
+      setLastBilledPeriod: vi.fn(async () => ({})),
+    }
+    invoiceGenerator = {
+      createRecurringInvoice: vi.fn(async (client, period) => ({ invoiceNumber: `${client.id}-${period}` })),
+    }
+    service = new RecurringInvoiceService(database, invoiceGenerator, { dateProvider: () => now })
+  })
+
+  describe('getDuePeriods', () => {
+    it('makes last month due once the recurring day has come', () => {
+      expect(service.getDuePeriods({ recurringDay: 1 }, now)).toEqual(['2024-02'])
+      expect(service.getDuePeriods({ recurringDay: 10 }, now)).toEqual(['2024-01'])
+    })
+
+    it('catches up on months after the last billed one', () => {
+      expect(service.getDuePeriods({ recurringDay: 1, lastBilledPeriod: '2023-11' }, now)).toEqual([
+        '2023-12',
+        '2024-01',
+        '2024-02',
+      ])
+      expect(service.getDuePeriods({ recurringDay: 1, lastBilledPeriod: '2024-02' }, now)).toEqual([])
+    })
+
+    it('has nothing due without a recurring day', () => {
+      expect(service.getDuePeriods({ recurringDay: null }, now)).toEqual([])
+    })
+  })
+
+  describe('runDue', () => {
+    it('creates due drafts and records the billed month', async () => {
+      database.getRecurringClients.mockResolvedValue([{ id: 1, recurringDay: 1, lastBilledPeriod: '2024-01' }])
+
+      const created = await service.runDue()
+
+      expect(invoiceGenerator.createRecurringInvoice).toHaveBeenCalledWith(expect.objectContaining({ id: 1 }), '2024-02')
+      expect(database.setLastBilledPeriod).toHaveBeenCalledWith(1, '2024-02')
+      expect(created).toEqual([{ invoiceNumber: '1-2024-02' }])
+    })
+
+    it('records months with nothing to bill without creating a draft', async () => {
+      database.getRecurringClients.mockResolvedValue([{ id: 1, recurringDay: 1 }])
+      invoiceGenerator.createRecurringInvoice.mockResolvedValue(null)
+
+      await expect(service.runDue()).resolves.toEqual([])
+      expect(database.setLastBilledPeriod).toHaveBeenCalledWith(1, '2024-02')
+    })
+
+    it('stops at a failed month and carries on with other clients', async () => {
+      database.getRecurringClients.mockResolvedValue([
+        { id: 1, recurringDay: 1, lastBilledPeriod: '2023-12' },
+        { id: 2, recurringDay: 1 },
+      ])
+      invoiceGenerator.createRecurringInvoice.mockImplementation(async (client, period) => {
+        if (client.id === 1) throw new Error('Invalid time entries')
+        return { invoiceNumber: `${client.id}-${period}` }
+      })
+
+      const created = await service.runDue()
+
+      expect(invoiceGenerator.createRecurringInvoice).toHaveBeenCalledTimes(2)
+      expect(database.setLastBilledPeriod).toHaveBeenCalledTimes(1)
+      expect(database.setLastBilledPeriod).toHaveBeenCalledWith(2, '2024-02')
+      expect(created).toEqual([{ invoiceNumber: '2-2024-02' }])
+    })
+  })
+})
@@ -0,0 +1,136 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+import ReportService from '../../../src/main/services/report-service.js'
+
+const timeRow = (overrides = {}) => ({
+  currency: null,
+  entries: 1,
+  minutes: 60,
+  billableMinutes: 60,
+  invoicedMinutes: 0,
+  amount: 100,
+  invoicedAmount: 0,
+  ...overrides,
+})
+
+describe('ReportService', () => {
+  let database
+  let service
+
+  beforeEach(() => {
+    database = {
+      getSetting: vi.fn(async () => 'EUR'),
+      getTimeTotals: vi.fn(async () => []),
+      getInvoiceTotals: vi.fn(async () => []),
+      getUnpaidInvoices: vi.fn(async () => []),
+    }
+    service = new ReportService({ database })
+  })
+
+  it('requires a database and a known report type', async () => {
+    expect(() => new ReportService({})).toThrow('Database dependency is required')
+    await expect(service.get('forecast')).rejects.toThrow('Unknown report type: forecast')
+  })
+
+  it('sums a summary in the currency of each client', async () => {
+    database.getTimeTotals.mockResolvedValue([
+      timeRow(),
+      timeRow({ currency: 'usd', minutes: 30, billableMinutes: 0, amount: 0 }),
+      timeRow({ currency: 'USD', invoicedMinutes: 60, invoicedAmount: 50, amount: 50 }),
+    ])
+
+    const summary = await service.get('summary', { startDate: '2024-03-01' })
+
+    expect(database.getTimeTotals).toHaveBeenCalledWith({ startDate: '2024-03-01' }, [])
+    expect(summary).toMatchObject({
+      hours: 2.5,
+      billableHours: 2,
+      utilization: 80,
+      amount: { EUR: 100, USD: 50 },
+      invoicedAmount: { USD: 50 },
+      uninvoicedAmount: { EUR: 100 },
+    })
+  })
+
+  it('breaks totals down by project, largest first', async () => {
+    database.getTimeTotals.mockResolvedValue([
+      timeRow({ clientId: 1, clientName: 'Acme', projectId: 2, projectName: 'App', minutes: 30 }),
+      timeRow({ clientId: 1, clientName: 'Acme', projectId: 3, projectName: 'Website', minutes: 90 }),
+      timeRow({ clientId: 1, clientName: 'Acme', projectId: 2, projectName: 'App', currency: 'USD', minutes: 30 }),
+      timeRow({ clientId: 1, clientName: 'Acme', projectId: null, projectName: null, minutes: 15 }),
+    ])
+
+    const report = await service.get('breakdown', { groupBy: 'project' })
+
+    expect(database.getTimeTotals).toHaveBeenCalledWith({ groupBy: 'project' }, ['client', 'project'])
+    expect(report.rows.map(({ key, name, hours }) => [key, name, hours])).toEqual([
+      ['1/3', 'Website', 1.5],
+      ['1/2', 'App', 1],
+      ['1/none', 'No project', 0.25],
+    ])
+    expect(report.rows[1]).toMatchObject({ clientId: 1, clientName: 'Acme', projectId: 2, amount: { EUR: 100, USD: 100 } })
+    expect(report.totals.hours).toBe(2.75)
+    await expect(service.get('breakdown', { groupBy: 'invoice' })).rejects.toThrow('Unknown report grouping: invoice')
+  })
+
+  it('builds chart series with a value for every period', async () => {
+    database.getTimeTotals.mockResolvedValue([
+      timeRow({ clientId: 1, clientName: 'Acme', period: '2024-03-04' }),
+      timeRow({ clientId: 2, clientName: 'Globex', period: '2024-03-06', minutes: 30, billableMinutes: 30, currency: 'USD', amount: 25 }),
+      timeRow({ clientId: 1, clientName: 'Acme', period: '2024-03-06', minutes: 45, billableMinutes: 0, amount: 0 }),
+    ])
+
+    const report = await service.get('timeline', {
+      startDate: '2024-03-04',
+      endDate: '2024-03-06',
+      stackBy: 'client',
+    })
+
+    expect(database.getTimeTotals.mock.calls[0][1]).toEqual(['client', 'day'])
+    expect(report.periods).toEqual(['2024-03-04', '2024-03-05', '2024-03-06'])
+    expect(report.series).toEqual([
+      { key: '1', name: 'Acme', hours: [1, 0, 0.75], billableHours: [1, 0, 0], amount: { EUR: [100, 0, 0] } },
+      { key: '2', name: 'Globex', hours: [0, 0, 0.5], billableHours: [0, 0, 0.5], amount: { USD: [0, 0, 25] } },
+    ])
+  })
+
+  it('takes the timeline range from the entries when none is given', async () => {
+    database.getTimeTotals.mockResolvedValue([
+      timeRow({ period: '2024-03' }),
+      timeRow({ period: '2024-01' }),
+    ])
+
+    const report = await service.get('timeline', { interval: 'month' })
+
+    expect(report.periods).toEqual(['2024-01', '2024-02', '2024-03'])
+    expect(report.series).toEqual([
+      { key: 'total', name: 'Total', hours: [1, 0, 1], billableHours: [1, 0, 1], amount: { EUR: [100, 0, 100] } },
+    ])
+    await expect(service.get('timeline', { interval: 'year' })).rejects.toThrow('Unknown report interval: year')
+  })
+
+  it('sums receivables by currency and aging bucket', async () => {
+    database.getInvoiceTotals.mockResolvedValue([
+      { currency: 'USD', invoices: 2, invoiced: 80, tax: 8, credited: 20 },
+      { currency: null, invoices: 1, invoiced: 50, tax: 0, credited: 0 },
+    ])
+    database.getUnpaidInvoices.mockResolvedValue([
+      { currency: null, client: { currency: 'USD' }, balanceDue: 30, status: 'overdue', agingBucket: '1-30' },
+      { currency: 'GBP', client: { currency: 'USD' }, balanceDue: 50, status: 'sent', agingBucket: 'current' },
+      { currency: null, client: { currency: null }, balanceDue: 10, status: 'overdue', agingBucket: '90+' },
+    ])
+
+    const report = await service.get('receivables', { clientId: 4 })
+
+    expect(database.getUnpaidInvoices).toHaveBeenCalledWith({ clientId: 4 })
+    expect(report).toEqual({
+      invoiced: { USD: 80, EUR: 50 },
+      tax: { USD: 8 },
+      credited: { USD: 20 },
+      outstanding: { USD: 30, GBP: 50, EUR: 10 },
+      overdue: { USD: 30, EUR: 10 },
+      overdueCount: 2,
+      aging: { current: { GBP: 50 }, '1-30': { USD: 30 }, '31-60': {}, '61-90': {}, '90+': { EUR: 10 } },
+    })
+  })
+})
@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import TemplateService, { BUILT_IN_TEMPLATES } from '../../../src/main/services/template-service.js';
+
+const builtInDir = path.join(__dirname, '../../../src/main/templates');
+
+describe('TemplateService', () => {
+  let templatesDir;
+  let service;
+
+  beforeEach(() => {
+    templatesDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mh-templates-')), 'invoice-templates');
+    service = new TemplateService({ templatesDir, builtInDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(templatesDir), { recursive: true, force: true });
+  });
+
+  it('should require a templates directory', () => {
+    expect(() => new TemplateService({})).toThrow('Templates directory is required');
+  });
+
+  it('should list the built-in templates, which all exist', () => {
+    const templates = service.listTemplates();
+
+    expect(templates.map(t => t.id)).toEqual(['default', 'minimal', 'detailed', 'timesheet']);
+    expect(templates.every(t => t.builtIn)).toBe(true);
+    for (const template of BUILT_IN_TEMPLATES) {
+      expect(fs.existsSync(path.join(builtInDir, template.file))).toBe(true);
+    }
+  });
+
+  it('should save, update and delete user templates', () => {
+    const created = service.saveTemplate({ name: 'My Layout', content: '<html>{{clientName}}</html>' });
+
+    expect(created).toMatchObject({ id: 'my-layout', name: 'My Layout', builtIn: false });
+    expect(fs.readFileSync(path.join(templatesDir, 'my-layout.hbs'), 'utf8')).toBe('<html>{{clientName}}</html>');
+
+    const duplicate = service.saveTemplate({ name: 'My Layout', content: 'x' });
+    expect(duplicate.id).toBe('my-layout-2');
+
+    const updated = service.saveTemplate({ id: 'my-layout', name: 'Renamed', content: 'updated' });
+    expect(updated).toMatchObject({ id: 'my-layout', name: 'Renamed', content: 'updated' });
+
+    service.deleteTemplate('my-layout');
+    expect(service.getTemplate('my-layout')).toBeNull();
+    expect(service.listTemplates().map(t => t.id)).toContain('my-layout-2');
+  });
+
+  it('should not change or delete built-in templates', () => {
+    expect(() => service.saveTemplate({ id: 'default', name: 'Default', content: 'x' })).toThrow('Built-in templates cannot be changed');
+    expect(() => service.deleteTemplate('minimal')).toThrow('Built-in templates cannot be deleted');
+    expect(() => service.saveTemplate({ name: '', content: 'x' })).toThrow('Template name is required');
+    expect(() => service.saveTemplate({ id: 'missing', name: 'X', content: 'x' })).toThrow('Template not found');
+  });
+
+  it('should resolve the client template, then the settings default', () => {
+    const { id } = service.saveTemplate({ name: 'Client Layout', content: 'x' });
+
+    expect(service.resolveTemplateId({ client: { invoiceTemplate: id }, settings: { invoice_template: 'minimal' } })).toBe(id);
+    expect(service.resolveTemplateId({ client: {}, settings: { invoice_template: 'minimal' } })).toBe('minimal');
+    expect(service.resolveTemplateId({ client: { invoiceTemplate: 'deleted' }, settings: {} })).toBe('default');
+  });
+
+  it('should fall back to the default template source for unknown ids', () => {
+    const defaultSource = fs.readFileSync(path.join(builtInDir, 'invoice.hbs'), 'utf8');
+
+    expect(service.getTemplateSource('deleted')).toBe(defaultSource);
+    expect(service.getTemplateSource('timesheet')).toContain('Timesheet');
+  });
+
+  it('should render credit notes with their own template, kept out of the gallery', () => {
+    expect(service.getTemplateSource('credit-note')).toContain('CREDIT NOTE');
+    expect(service.listTemplates().map(t => t.id)).not.toContain('credit-note');
+    expect(service.saveTemplate({ name: 'Credit Note', content: 'x' }).id).toBe('credit-note-2');
+  });
+
+  it('should import templates from an archive, keeping their id when it is free', () => {
+    expect(service.importTemplate({ id: 'my-layout', name: 'My Layout', content: 'a' })).toEqual({ id: 'my-layout', created: true });
+    expect(service.getTemplate('my-layout')).toMatchObject({ name: 'My Layout', content: 'a' });
+
+    // The same template again is already here
+    expect(service.importTemplate({ id: 'my-layout', name: 'My Layout', content: 'a' })).toEqual({ id: 'my-layout', created: false });
+
+    // A different template with a taken id is added under a new one
+    expect(service.importTemplate({ id: 'my-layout', name: 'My Layout', content: 'b' })).toEqual({ id: 'my-layout-2', created: true });
+    expect(service.importTemplate({ id: 'default', name: 'Default', content: 'c' })).toEqual({ id: 'default-2', created: true });
+    expect(service.importTemplate({ id: '../escape', name: 'Escape', content: 'd' })).toEqual({ id: 'escape', created: true });
+    expect(service.getTemplate('my-layout').content).toBe('a');
+  });
+});
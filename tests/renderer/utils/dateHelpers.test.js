@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getDraggedSegments,
+  getEntrySegments,
+  snapMinutes,
+  toSegmentsPayload
+} from '../../../src/renderer/src/utils/dateHelpers.js'
+
+const iso = (local) => new Date(local).toISOString()
+const entry = (segments, fields = {}) => ({
+  id: 1,
+  startTime: iso(segments[0][0]),
+  endTime: iso(segments[segments.length - 1][1]),
+  segments: segments.map(([start, end]) => ({ startTime: iso(start), endTime: iso(end) })),
+  ...fields
+})
+const drag = (item, change) => toSegmentsPayload(getDraggedSegments(item, change))
+const payload = (...segments) => segments.map(([start, end]) => ({ startTime: iso(start), endTime: iso(end) }))
+
+describe('dateHelpers', () => {
+  describe('getEntrySegments', () => {
+    it('uses the start and end of entries without segments', () => {
+      const item = { startTime: iso('2024-03-04T09:00:00'), endTime: iso('2024-03-04T10:00:00') }
+      expect(toSegmentsPayload(getEntrySegments(item))).toEqual(payload(['2024-03-04T09:00:00', '2024-03-04T10:00:00']))
+    })
+
+    it('runs a running entry until now', () => {
+      const item = {
+        isActive: true,
+        startTime: iso('2024-03-04T09:00:00'),
+        endTime: null,
+        segments: [{ startTime: iso('2024-03-04T09:00:00'), endTime: null }]
+      }
+      expect(getEntrySegments(item, new Date('2024-03-04T09:40:00'))[0].end).toBe(new Date('2024-03-04T09:40:00').getTime())
+    })
+  })
+
+  describe('getDraggedSegments', () => {
+    it('snaps to quarter hours', () => {
+      expect(snapMinutes(7, 15)).toBe(0)
+      expect(snapMinutes(8, 15)).toBe(15)
+      expect(snapMinutes(-22, 15)).toBe(-15)
+    })
+
+    it('moves an entry by snapped minutes and keeps its clock time to the second', () => {
+      const item = entry([['2024-03-04T09:07:30', '2024-03-04T10:07:30']])
+      expect(drag(item, { type: 'move', minutes: 38 })).toEqual(
+        payload(['2024-03-04T09:52:30', '2024-03-04T10:52:30'])
+      )
+      expect(drag(item, { type: 'move', days: 2, minutes: -5 })).toEqual(
+        payload(['2024-03-06T09:07:30', '2024-03-06T10:07:30'])
+      )
+    })
+
+    it('snaps a dragged start or end to the clock', () => {
+      const item = entry([['2024-03-04T09:07:00', '2024-03-04T10:07:00']])
+      expect(drag(item, { type: 'start', minutes: -20 })).toEqual(
+        payload(['2024-03-04T08:45:00', '2024-03-04T10:07:00'])
+      )
+      expect(drag(item, { type: 'end', minutes: 35 })).toEqual(
+        payload(['2024-03-04T09:07:00', '2024-03-04T10:45:00'])
+      )
+    })
+
+    it('keeps at least one step of time', () => {
+      const item = entry([['2024-03-04T09:00:00', '2024-03-04T10:00:00']])
+      expect(drag(item, { type: 'end', minutes: -120 })).toEqual(
+        payload(['2024-03-04T09:00:00', '2024-03-04T09:15:00'])
+      )
+      expect(drag(item, { type: 'start', minutes: 120 })).toEqual(
+        payload(['2024-03-04T09:45:00', '2024-03-04T10:00:00'])
+      )
+    })
+
+    it('moves and resizes entries across midnight', () => {
+      const item = entry([['2024-03-04T23:00:00', '2024-03-05T01:00:00']])
+      expect(drag(item, { type: 'move', days: 1, minutes: 60 })).toEqual(
+        payload(['2024-03-06T00:00:00', '2024-03-06T02:00:00'])
+      )
+      // The end handle sits at the bottom of the start day; a small drag keeps the time after midnight
+      expect(drag(item, { type: 'end', minutes: 3 })).toEqual(
+        payload(['2024-03-04T23:00:00', '2024-03-05T01:00:00'])
+      )
+      expect(drag(item, { type: 'end', minutes: 50 })).toEqual(
+        payload(['2024-03-04T23:00:00', '2024-03-05T01:45:00'])
+      )
+      expect(drag(item, { type: 'end', minutes: -120 })).toEqual(
+        payload(['2024-03-04T23:00:00', '2024-03-04T23:15:00'])
+      )
+    })
+
+    it('moves every segment and resizes only the outer ones', () => {
+      const item = entry([
+        ['2024-03-04T09:00:00', '2024-03-04T10:00:00'],
+        ['2024-03-04T11:00:00', '2024-03-04T11:30:00']
+      ])
+      expect(drag(item, { type: 'move', minutes: 30 })).toEqual(payload(
+        ['2024-03-04T09:30:00', '2024-03-04T10:30:00'],
+        ['2024-03-04T11:30:00', '2024-03-04T12:00:00']
+      ))
+      expect(drag(item, { type: 'start', minutes: 30 })).toEqual(payload(
+        ['2024-03-04T09:30:00', '2024-03-04T10:00:00'],
+        ['2024-03-04T11:00:00', '2024-03-04T11:30:00']
+      ))
+      expect(drag(item, { type: 'end', minutes: -60 })).toEqual(payload(
+        ['2024-03-04T09:00:00', '2024-03-04T10:00:00'],
+        ['2024-03-04T11:00:00', '2024-03-04T11:15:00']
+      ))
+    })
+
+    it('moves the worked time of a rounded entry, not its billed time', () => {
+      // 7 minutes worked, billed as 15
+      const item = entry([['2024-03-04T09:00:00', '2024-03-04T09:07:00']], { duration: 15, rawDuration: 7 })
+      expect(drag(item, { type: 'move', minutes: 60 })).toEqual(
+        payload(['2024-03-04T10:00:00', '2024-03-04T10:07:00'])
+      )
+      expect(drag(item, { type: 'end', minutes: 10 })).toEqual(
+        payload(['2024-03-04T09:00:00', '2024-03-04T09:15:00'])
+      )
+    })
+  })
+})
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getBilledMinutes,
+  getCellMinutes,
+  parseCellMinutes,
+  planCellChange
+} from '../../../src/renderer/src/utils/weekGrid.js'
+
+const iso = (local) => new Date(local).toISOString()
+const row = { clientId: 1, projectId: 2, taskId: null }
+const day = new Date('2024-03-04T00:00:00')
+
+describe('weekGrid', () => {
+  it('reads hours, hours and minutes and minutes', () => {
+    expect(parseCellMinutes('1.5')).toBe(90)
+    expect(parseCellMinutes('1,5')).toBe(90)
+    expect(parseCellMinutes('2h')).toBe(120)
+    expect(parseCellMinutes('.25')).toBe(15)
+    expect(parseCellMinutes('1:30')).toBe(90)
+    expect(parseCellMinutes('90m')).toBe(90)
+    expect(parseCellMinutes(' ')).toBe(0)
+    expect(parseCellMinutes('1:75')).toBeNull()
+    expect(parseCellMinutes('abc')).toBeNull()
+  })
+
+  it('creates an entry at 9:00 or after the last entry of the day', () => {
+    expect(planCellChange({ row, entries: [], dayEntries: [], day, minutes: 90 }).create).toEqual({
+      clientId: 1,
+      projectId: 2,
+      taskId: null,
+      description: '',
+      startTime: iso('2024-03-04T09:00:00'),
+      endTime: iso('2024-03-04T10:30:00')
+    })
+
+    const other = { id: 9, startTime: '2024-03-04T10:00:00', endTime: '2024-03-04T12:00:00' }
+    const plan = planCellChange({ row, entries: [], dayEntries: [other], day, minutes: 60 })
+    expect([plan.create.startTime, plan.create.endTime]).toEqual([iso('2024-03-04T12:00:00'), iso('2024-03-04T13:00:00')])
+  })
+
+  it('works from unrounded time, so rounded entries do not drift', () => {
+    // 7 minutes worked, billed as 15 by the rounding policy
+    const entry = { id: 1, duration: 15, rawDuration: 7, startTime: '2024-03-04T09:00:00', endTime: '2024-03-04T09:07:00' }
+
+    expect(getCellMinutes([entry])).toBe(7)
+    expect(getBilledMinutes([entry])).toBe(15)
+    expect(planCellChange({ row, entries: [entry], dayEntries: [entry], day, minutes: 7 }))
+      .toEqual({ create: null, updates: [], deletes: [] })
+    expect(planCellChange({ row, entries: [entry], dayEntries: [entry], day, minutes: 30 }).updates).toEqual([
+      { id: 1, segments: [{ startTime: iso('2024-03-04T09:00:00'), endTime: iso('2024-03-04T09:30:00') }] }
+    ])
+  })
+
+  it('counts running timers until now and leaves their cells alone', () => {
+    const entry = { id: 1, isActive: true, duration: 0, startTime: '2024-03-04T09:00:00', endTime: null }
+    const now = new Date('2024-03-04T09:45:00')
+
+    expect(getCellMinutes([entry], now)).toBe(45)
+    expect(getBilledMinutes([entry], now)).toBe(45)
+    expect(planCellChange({ row, entries: [entry], dayEntries: [entry], day, minutes: 120 }))
+      .toEqual({ create: null, updates: [], deletes: [] })
+  })
+
+  it('takes time off the latest entries first and deletes those it uses up', () => {
+    const entries = [
+      { id: 1, duration: 60, startTime: '2024-03-04T09:00:00', endTime: '2024-03-04T10:00:00' },
+      { id: 2, duration: 60, startTime: '2024-03-04T11:00:00', endTime: '2024-03-04T12:00:00' }
+    ]
+
+    expect(planCellChange({ row, entries, dayEntries: entries, day, minutes: 30 })).toEqual({
+      create: null,
+      updates: [{ id: 1, segments: [{ startTime: iso('2024-03-04T09:00:00'), endTime: iso('2024-03-04T09:30:00') }] }],
+      deletes: [2]
+    })
+    expect(planCellChange({ row, entries, dayEntries: entries, day, minutes: 150 }).updates).toEqual([
+      { id: 2, segments: [{ startTime: iso('2024-03-04T11:00:00'), endTime: iso('2024-03-04T12:30:00') }] }
+    ])
+  })
+
+  it('drops and shortens the last segments of an entry', () => {
+    const entry = {
+      id: 1,
+      duration: 90,
+      startTime: '2024-03-04T09:00:00',
+      endTime: '2024-03-04T11:30:00',
+      segments: [
+        { startTime: '2024-03-04T09:00:00', endTime: '2024-03-04T10:00:00' },
+        { startTime: '2024-03-04T11:00:00', endTime: '2024-03-04T11:30:00' }
+      ]
+    }
+
+    expect(getCellMinutes([entry])).toBe(90)
+    expect(planCellChange({ row, entries: [entry], dayEntries: [entry], day, minutes: 45 }).updates).toEqual([
+      { id: 1, segments: [{ startTime: iso('2024-03-04T09:00:00'), endTime: iso('2024-03-04T09:45:00') }] }
+    ])
+  })
+})